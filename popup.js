@@ -391,7 +391,7 @@ async function handleExtractTranscript() {
         console.log('[DEBUG] Content script response:', response);
         
         if (response && response.success) {
-            currentState.transcript = response.data.transcript;
+            currentState.transcript = transcriptNormalizer.normalize(response.data.transcript);
             displayTranscriptPreview(response.data.transcript);
             showToast('Transcript extracted successfully!', 'success');
         } else {
@@ -471,27 +471,10 @@ async function handleGenerateSummary() {
 }
 
 /**
- * Format transcript for AI processing
+ * Format transcript for AI processing (shared with the background service)
  */
 function formatTranscriptForAI(transcript) {
-    const participants = transcript.metadata.participants.join(', ');
-    const duration = transcript.metadata.duration;
-    const language = transcript.metadata.language;
-    
-    const formattedEntries = transcript.entries.map(entry => {
-        const time = entry.startTime.split('.')[0]; // Remove fractional seconds
-        return `[${time}] ${entry.speaker}: ${entry.text}`;
-    }).join('\n');
-    
-    return {
-        metadata: {
-            participants,
-            duration,
-            language,
-            entryCount: transcript.entries.length
-        },
-        content: formattedEntries
-    };
+    return transcriptNormalizer.formatForAI(transcript);
 }
 
 /**
@@ -507,7 +490,7 @@ async function generateSummaryWithAI(transcript, settings) {
     }
     
     const fullPrompt = `${prompt}\n\nOutput language: ${language}`;
-    const content = `Meeting transcript:\n${transcript.content}\n\nParticipants: ${transcript.metadata.participants}\nDuration: ${transcript.metadata.duration}`;
+    const content = `Meeting transcript:\n${transcript.content}\n\nParticipants: ${transcript.metadata.participants.join(', ')}\nDuration: ${transcript.metadata.duration}`;
     
     if (provider === PROVIDERS.OPENAI) {
         return await callOpenAI(apiKey, fullPrompt, content);
@@ -0,0 +1,142 @@
+/**
+ * Azure OpenAI Client for Teams Transcript Chrome Extension
+ * Sends OpenAIClient's chat requests to an Azure OpenAI resource: the URL names
+ * the deployment and api-version, and the key travels in the api-key header
+ */
+
+const { OpenAIClient } = require('./openaiClient.js');
+
+// Constants
+const AZURE_DEFAULT_API_VERSION = '2024-10-21';
+const AZURE_API_VERSION_PATTERN = /^\d{4}-\d{2}-\d{2}(-preview)?$/;
+const AZURE_LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Azure OpenAI API Client class
+ */
+class AzureOpenAIClient extends OpenAIClient {
+    constructor() {
+        super();
+        this.providerId = 'azure';
+        this.displayName = 'Azure OpenAI';
+        this.endpoint = null;
+        this.deployment = null;
+        this.apiVersion = AZURE_DEFAULT_API_VERSION;
+    }
+
+    /**
+     * Initialize the client and test the deployment
+     * @param {Object} config - { endpoint, deployment, apiVersion, apiKey }
+     */
+    async initialize(config = {}) {
+        this.configure(config);
+        console.log('[AzureOpenAIClient] Initialized for deployment', this.deployment);
+
+        await this.testConnection();
+    }
+
+    /**
+     * Set resource endpoint, deployment, api-version and key without any request
+     * @param {Object} config - { endpoint, deployment, apiVersion, apiKey }
+     */
+    configure({ endpoint, deployment, apiVersion = AZURE_DEFAULT_API_VERSION, apiKey } = {}) {
+        if (!apiKey) {
+            throw new Error('Azure OpenAI API key is required');
+        }
+        if (!this.validateApiKey(apiKey)) {
+            throw new Error('Invalid Azure OpenAI API key format');
+        }
+        if (!deployment || !String(deployment).trim()) {
+            throw new Error('Azure OpenAI deployment name is required');
+        }
+        if (!AZURE_API_VERSION_PATTERN.test(apiVersion || '')) {
+            throw new Error(`Invalid Azure OpenAI api-version: ${apiVersion}`);
+        }
+
+        this.endpoint = this.normalizeEndpoint(endpoint);
+        this.deployment = String(deployment).trim();
+        this.apiVersion = apiVersion;
+        this.apiKey = apiKey;
+        // Requests name the deployment; the model behind it is the resource's choice
+        this.model = this.deployment;
+    }
+
+    /**
+     * Resource origin from a pasted endpoint (any path, e.g. a full deployment URL, is dropped)
+     * @param {string} endpoint - e.g. https://my-resource.openai.azure.com/
+     * @returns {string} Origin without trailing slash
+     */
+    normalizeEndpoint(endpoint) {
+        let url;
+        try {
+            url = new URL(String(endpoint || '').trim());
+        } catch (error) {
+            throw new Error('Azure OpenAI endpoint must be a URL such as https://my-resource.openai.azure.com');
+        }
+
+        // Plain http only for local proxies and test servers
+        if (url.protocol !== 'https:' && !(url.protocol === 'http:' && AZURE_LOCAL_HOSTS.includes(url.hostname))) {
+            throw new Error('Azure OpenAI endpoint must use https');
+        }
+        return url.origin;
+    }
+
+    /**
+     * Test the key and deployment with a one-token completion
+     */
+    async testConnection() {
+        try {
+            console.log('[AzureOpenAIClient] Testing deployment...');
+            await this.makeApiCall(this.deployment, [{ role: 'user', content: 'ping' }], { max_tokens: 1 });
+            return true;
+        } catch (error) {
+            console.error('[AzureOpenAIClient] Deployment test failed:', error);
+            throw new Error(`Azure OpenAI connection failed: ${error.message}`);
+        }
+    }
+
+    getEndpoint(path) {
+        // Chat goes to the deployment; the model list belongs to the resource
+        const base = path === '/models'
+            ? `${this.endpoint}/openai`
+            : `${this.endpoint}/openai/deployments/${encodeURIComponent(this.deployment)}`;
+        return `${base}${path}?api-version=${encodeURIComponent(this.apiVersion)}`;
+    }
+
+    getAuthHeaders() {
+        return { 'api-key': this.apiKey };
+    }
+
+    /**
+     * Handle HTTP error responses with Azure-specific hints
+     */
+    async handleHttpError(response) {
+        switch (response.status) {
+            case 401:
+                throw new Error(`Invalid API key (${response.status}). Please check your Azure OpenAI key and endpoint.`);
+            case 404:
+                throw new Error(`Deployment "${this.deployment}" not found (404). Please check the deployment name and api-version ${this.apiVersion}.`);
+            default:
+                return await super.handleHttpError(response);
+        }
+    }
+
+    /**
+     * Validate Azure key format: 32 hex characters, or the longer alphanumeric keys of newer resources
+     */
+    validateApiKey(apiKey) {
+        return typeof apiKey === 'string' && /^[A-Za-z0-9]{32,}$/.test(apiKey);
+    }
+}
+
+// Create singleton instance
+const azureOpenaiClient = new AzureOpenAIClient();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AzureOpenAIClient, azureOpenaiClient, AZURE_DEFAULT_API_VERSION };
+} else {
+    // Browser environment - attach to window
+    window.AzureOpenAIClient = AzureOpenAIClient;
+    window.azureOpenaiClient = azureOpenaiClient;
+}
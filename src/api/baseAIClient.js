@@ -0,0 +1,1048 @@
+/**
+ * Base AI Client for Teams Transcript Chrome Extension
+ * Retry, rate limiting, prompt building and chunked summaries shared by every
+ * summary provider; subclasses only describe their HTTP API
+ */
+
+const { tokenCounter } = require('../utils/tokenCounter.js');
+const { RateLimitTracker } = require('../utils/rateLimitTracker.js');
+const { chunkingStrategy } = require('../utils/chunkingStrategy.js');
+
+// Constants
+const API_TIMEOUT = 60000; // 60 seconds for AI processing
+const MAX_RETRIES = 3;
+const INITIAL_RETRY_DELAY = 2000; // 2 seconds
+const MAX_RETRY_DELAY = 16000; // 16 seconds
+const DEFAULT_TEMPERATURE = 0.3;
+
+// Default prompts for different summary types, shared by all providers
+const DEFAULT_PROMPTS = {
+  default: `You are an expert meeting summarizer. Please analyze the provided meeting transcript and generate a comprehensive summary.
+
+Structure your response as follows:
+
+## Meeting Summary
+[Brief overview of the meeting purpose and outcome]
+
+## Key Discussion Points
+- [Main topics discussed with context]
+
+## Decisions Made
+- [Important decisions reached during the meeting]
+
+## Action Items
+- [Specific tasks assigned with responsible parties if mentioned]
+
+## Follow-up Required
+- [Items that need future attention]
+
+Please maintain the original context and speaker attributions where relevant. Be concise but comprehensive.`,
+
+  actionItems: `You are a meeting action item specialist. Focus specifically on extracting and organizing actionable tasks from this meeting transcript.
+
+Structure your response as follows:
+
+## Action Items Summary
+[Total number of action items identified]
+
+## Immediate Actions (Next 1-7 days)
+- [Task] - [Responsible person if mentioned] - [Deadline if mentioned]
+
+## Medium-term Actions (1-4 weeks)
+- [Task] - [Responsible person if mentioned] - [Deadline if mentioned]
+
+## Long-term Actions (1+ months)
+- [Task] - [Responsible person if mentioned] - [Deadline if mentioned]
+
+## Decisions That Enable Actions
+- [Key decisions that impact the action items]
+
+Focus on concrete, actionable tasks. If no clear owner is mentioned, note "Owner TBD".`,
+
+  technical: `You are a technical meeting specialist. Focus on technical discussions, architecture decisions, and implementation details.
+
+Structure your response as follows:
+
+## Technical Summary
+[Overview of technical scope and objectives]
+
+## Architecture & Design Decisions
+- [Technical decisions made with rationale]
+
+## Technical Issues Discussed
+- [Problems identified and solutions proposed]
+
+## Implementation Details
+- [Specific technical requirements or specifications]
+
+## Technical Dependencies
+- [Dependencies, integrations, or blockers identified]
+
+## Next Technical Steps
+- [Immediate technical actions required]
+
+Use technical terminology appropriately and preserve technical context from the discussion.`,
+
+  section: `You are a meeting section summarizer. Please analyze this portion of a meeting transcript and provide a focused summary for this section.
+
+Structure your response as follows:
+
+## Section Summary
+[Brief overview of what was discussed in this section]
+
+## Key Points
+- [Main topics covered in this section]
+
+## Decisions or Outcomes
+- [Any decisions made or conclusions reached in this section]
+
+## Action Items
+- [Tasks or follow-ups identified in this section]
+
+## Context for Next Section
+- [Important context that carries forward]
+
+This is part of a larger meeting, so focus on this section while maintaining continuity.`,
+
+  combine: `You are a meeting summary combiner. Please analyze the provided section summaries and create a cohesive final meeting summary.
+
+Structure your response as follows:
+
+## Executive Summary
+[High-level overview of the entire meeting]
+
+## Key Discussion Points
+- [Main topics discussed across all sections]
+
+## Major Decisions
+- [Important decisions reached during the meeting]
+
+## Action Items
+- [All actionable tasks identified with responsible parties]
+
+## Follow-up Required
+- [Items that need future attention]
+
+## Meeting Outcomes
+- [Overall results and next steps]
+
+When a section header carries a topic label ("## Section 2: budget / forecast (...)"), use those labels as ### subheadings under Key Discussion Points, in meeting order.
+
+Ensure the final summary flows naturally and avoids repetition while capturing all important information from the section summaries.`
+};
+
+/**
+ * AI provider client base class.
+ * Every provider answers the same interface: initialize, testConnection,
+ * listModels, complete, stream and capabilities. Subclasses set providerId,
+ * displayName, defaultModel, maxOutputTokens and completionPath, and implement
+ * getEndpoint, getAuthHeaders, buildRequestBody, buildMessages, extractText,
+ * parseStreamEvent, validateApiKey, testConnection and getAvailableModels.
+ */
+class BaseAIClient {
+    constructor() {
+        this.apiKey = null;
+        this.model = null;
+        this.retryCount = 0;
+        this.lastRequestTime = 0;
+        this.rateLimitReset = 0;
+        // Key into the provider registry and ChunkingStrategy's context limits
+        this.providerId = null;
+        this.displayName = 'AI';
+        this.defaultModel = null;
+        this.maxOutputTokens = 4096;
+        this.completionPath = '/chat/completions';
+        // Budget from the provider's rate-limit headers, shared by concurrent chunk requests
+        this.rateLimits = new RateLimitTracker();
+    }
+
+    /**
+     * Initialize the client and test the connection
+     * @param {string|Object} config - API key, or provider settings ({ apiKey, ... })
+     */
+    async initialize(config) {
+        this.configure(typeof config === 'string' || !config ? { apiKey: config } : config);
+        console.log(`[${this.constructor.name}] Initialized with API key`);
+
+        // Test the API key
+        await this.testConnection();
+    }
+
+    /**
+     * Set key and model without any request
+     * @param {Object} config - { apiKey, model }
+     */
+    configure({ apiKey, model = null } = {}) {
+        if (!apiKey && this.requiresApiKey()) {
+            throw new Error(`${this.displayName} API key is required`);
+        }
+
+        if (apiKey && !this.validateApiKey(apiKey)) {
+            throw new Error(`Invalid ${this.displayName} API key format`);
+        }
+
+        this.apiKey = apiKey || null;
+        this.model = model;
+    }
+
+    /**
+     * Test API connection and key validity
+     */
+    async testConnection() {
+        throw new Error(`${this.constructor.name} does not implement testConnection`);
+    }
+
+    /**
+     * Models the provider offers
+     * @returns {Promise<Array<string>>} Model IDs
+     */
+    async listModels() {
+        const models = await this.getAvailableModels();
+        return models.map(model => model.id);
+    }
+
+    /**
+     * What the provider supports, for callers choosing how to use it
+     * @returns {Object} { streaming, modelDiscovery, requiresApiKey }
+     */
+    capabilities() {
+        return {
+            streaming: true,
+            modelDiscovery: true,
+            requiresApiKey: this.requiresApiKey()
+        };
+    }
+
+    /**
+     * Model used when a request names none
+     * @returns {Promise<string>} Model ID
+     */
+    async resolveModel() {
+        return this.model || this.defaultModel;
+    }
+
+    /**
+     * Run one completion with retries
+     * @param {Array<Object>} messages - Messages in the provider's shape (see buildMessages)
+     * @param {Object} options - { model, temperature, maxTokens, signal }; aborting
+     *   signal cancels the request and any retry wait with an AbortError
+     * @returns {Promise<Object>} { text, model, usage, raw }
+     */
+    async complete(messages, options = {}) {
+        const model = options.model || await this.resolveModel();
+        const response = await this.callWithRetry(model, messages, {
+            temperature: options.temperature || DEFAULT_TEMPERATURE,
+            max_tokens: options.maxTokens || this.maxOutputTokens
+        }, options.signal);
+
+        const text = this.extractText(response);
+        if (!text) {
+            throw new Error(`${this.displayName} returned empty response`);
+        }
+        return { text, model: response.model || model, usage: response.usage, raw: response };
+    }
+
+    /**
+     * Run one completion, passing text to onDelta as it arrives over server-sent events.
+     * Providers without streaming deliver the whole text as a single delta.
+     * Aborting options.signal ends the request and keeps the text received so far.
+     * @param {Array<Object>} messages - Messages in the provider's shape
+     * @param {Object} options - Same as complete(), plus signal (AbortSignal)
+     * @param {Function} onDelta - Called with each piece of text
+     * @returns {Promise<Object>} { text, model, usage, stopped }
+     */
+    async stream(messages, options = {}, onDelta = () => {}) {
+        if (!this.capabilities().streaming) {
+            const result = await this.complete(messages, options);
+            onDelta(result.text);
+            return { ...result, stopped: false };
+        }
+
+        const model = options.model || await this.resolveModel();
+        const parameters = {
+            temperature: options.temperature || DEFAULT_TEMPERATURE,
+            max_tokens: options.maxTokens || this.maxOutputTokens
+        };
+        const result = { text: '', model, usage: undefined };
+        const handleDelta = text => {
+            result.text += text;
+            onDelta(text);
+        };
+
+        try {
+            const streamed = await this.callWithRetry(model, messages, parameters, options.signal, async () => {
+                try {
+                    return await this.makeStreamingApiCall(model, messages, parameters, options.signal, handleDelta);
+                } catch (error) {
+                    // A retry would repeat text the caller already has
+                    if (result.text) {
+                        error.noRetry = true;
+                    }
+                    throw error;
+                }
+            });
+            result.model = streamed.model || model;
+            result.usage = streamed.usage;
+        } catch (error) {
+            if (error.name === 'AbortError' && options.signal?.aborted) {
+                console.log(`[${this.constructor.name}] Stream stopped after ${result.text.length} characters`);
+                return { ...result, stopped: true };
+            }
+            throw error;
+        }
+
+        if (!result.text) {
+            throw new Error(`${this.displayName} returned empty response`);
+        }
+        return { ...result, stopped: false };
+    }
+
+    /**
+     * Generate meeting summary from formatted transcript
+     * @param {Object} formattedTranscript - Transcript from transcriptFormatter
+     * @param {Object} options - Generation options
+     * @returns {Promise<Object>} Generated summary
+     */
+    async generateSummary(formattedTranscript, options = {}) {
+        if (!this.apiKey && this.requiresApiKey()) {
+            throw new Error(`${this.displayName} client not initialized. Please provide API key.`);
+        }
+
+        const {
+            promptType = 'default',
+            language = 'en',
+            model = await this.resolveModel()
+        } = options;
+
+        console.log(`[${this.constructor.name}] Generating summary with options:`, {
+            promptType,
+            language,
+            model,
+            participantCount: formattedTranscript.metadata.participants.length,
+            duration: formattedTranscript.metadata.duration
+        });
+
+        try {
+            // Check if we need to chunk the transcript
+            const shouldChunk = await this.checkTokenLimits(formattedTranscript, model);
+
+            if (shouldChunk) {
+                return await this.generateChunkedSummary(formattedTranscript, { ...options, model });
+            } else {
+                return await this.generateSingleSummary(formattedTranscript, { ...options, model });
+            }
+        } catch (error) {
+            console.error(`[${this.constructor.name}] Summary generation failed:`, error);
+            throw this.createDetailedError(error);
+        }
+    }
+
+    /**
+     * Generate summary for single (non-chunked) transcript
+     */
+    async generateSingleSummary(formattedTranscript, options) {
+        const {
+            promptType = 'default',
+            customPrompt = null,
+            language = 'en',
+            model = this.defaultModel,
+            temperature = DEFAULT_TEMPERATURE,
+            maxTokens = this.maxOutputTokens,
+            signal = null
+        } = options;
+
+        // Prepare the prompt
+        const systemPrompt = this.buildSystemPrompt(promptType, customPrompt, language);
+        const userMessage = this.buildUserMessage(formattedTranscript);
+
+        // Make API call with retry logic
+        const response = await this.callWithRetry(model, this.buildMessages(systemPrompt, userMessage), {
+            temperature,
+            max_tokens: maxTokens
+        }, signal);
+
+        // Parse and format the response
+        return this.formatSummaryResponse(response, formattedTranscript.metadata);
+    }
+
+    /**
+     * Generate summary for large transcript using advanced chunking strategy
+     */
+    async generateChunkedSummary(formattedTranscript, options) {
+        console.log(`[${this.constructor.name}] Large transcript detected, using advanced chunking strategy`);
+
+        // Use advanced chunking strategy with progress tracking
+        const progressCallback = options.progressCallback || ((update) => {
+            console.log(`[${this.constructor.name}] ${update.stage}: ${update.message} (${update.current}/${update.total})`);
+        });
+
+        const chunkingOptions = {
+            provider: this.providerId,
+            model: options.model || this.defaultModel,
+            strategy: options.chunkingStrategy || 'hybrid',
+            language: options.language || 'en',
+            concurrency: options.concurrency || 1 // Chunks summarized at once
+        };
+
+        // Bind generateSingleSummary to use with chunking strategy
+        const boundGenerateSummary = async (transcript, summaryOptions) => {
+            return await this.generateSingleSummary(transcript, {
+                ...options,
+                ...summaryOptions,
+                promptType: summaryOptions.isChunk ? 'section' :
+                           summaryOptions.isCombinung ? 'combine' :
+                           options.promptType || 'default'
+            });
+        };
+
+        return await chunkingStrategy.processLargeTranscript(
+            formattedTranscript,
+            boundGenerateSummary,
+            chunkingOptions,
+            progressCallback
+        );
+    }
+
+    /**
+     * Fallback basic chunking for compatibility
+     */
+    async generateBasicChunkedSummary(formattedTranscript, options) {
+        console.log(`[${this.constructor.name}] Using basic chunking fallback`);
+
+        const chunks = this.createBasicChunks(formattedTranscript);
+        const summaries = [];
+
+        for (let i = 0; i < chunks.length; i++) {
+            console.log(`[${this.constructor.name}] Processing chunk ${i + 1}/${chunks.length}`);
+
+            const chunkSummary = await this.generateSingleSummary(chunks[i], {
+                ...options,
+                promptType: 'section' // Use section-specific prompt for chunks
+            });
+
+            summaries.push({
+                chunkIndex: i,
+                summary: chunkSummary
+            });
+        }
+
+        // Combine chunk summaries into final summary
+        return await this.combineSummaries(summaries, formattedTranscript.metadata, options);
+    }
+
+    /**
+     * Make API call with retry logic and rate limiting
+     * @param {AbortSignal} signal - Cancels the request, rate limit waits and retries (optional)
+     * @param {Function} request - Runs one attempt (defaults to makeApiCall)
+     */
+    async callWithRetry(model, messages, parameters, signal = null, request = () => this.makeApiCall(model, messages, parameters, signal)) {
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+            try {
+                // Nothing is sent once the caller has cancelled
+                signal?.throwIfAborted();
+                console.log(`[${this.constructor.name}] API call attempt ${attempt + 1}/${MAX_RETRIES + 1}`);
+
+                // Check rate limits
+                await this.checkRateLimit(this.estimateTokenCount(messages.map(message => message.content).join('\n'), model), signal);
+
+                const response = await request();
+
+                // Success - reset retry count
+                this.retryCount = 0;
+                return response;
+
+            } catch (error) {
+                lastError = error;
+
+                // Don't retry on certain errors
+                if (this.shouldNotRetry(error)) {
+                    throw error;
+                }
+
+                // Calculate retry delay with exponential backoff
+                if (attempt < MAX_RETRIES) {
+                    const delay = Math.min(
+                        INITIAL_RETRY_DELAY * Math.pow(2, attempt),
+                        MAX_RETRY_DELAY
+                    );
+
+                    console.log(`[${this.constructor.name}] Request failed, retrying in ${delay}ms...`, error.message);
+                    await this.sleep(delay, signal);
+                }
+            }
+        }
+
+        // All retries exhausted
+        throw lastError;
+    }
+
+    /**
+     * Make the actual API call to the provider
+     * @param {AbortSignal} signal - Caller's cancel signal (optional)
+     */
+    async makeApiCall(model, messages, parameters, signal = null) {
+        const controller = new AbortController();
+        let timedOut = false;
+        const timeoutId = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, API_TIMEOUT);
+        const unlink = this.linkAbortSignal(signal, controller);
+
+        try {
+            this.lastRequestTime = Date.now();
+
+            console.log(`[${this.constructor.name}] Making API request to ${this.displayName}`);
+
+            const response = await fetch(this.getEndpoint(this.completionPath), {
+                method: 'POST',
+                headers: {
+                    ...this.getAuthHeaders(),
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'Teams-Transcript-Extension/1.0'
+                },
+                body: JSON.stringify(this.buildRequestBody(model, messages, parameters)),
+                signal: controller.signal
+            });
+
+            clearTimeout(timeoutId);
+            await this.checkResponse(response);
+
+            const data = await response.json();
+
+            console.log(`[${this.constructor.name}] API call successful`, {
+                usage: data.usage,
+                model: data.model
+            });
+
+            return data;
+
+        } catch (error) {
+            clearTimeout(timeoutId);
+
+            if (error.name === 'AbortError' && timedOut) {
+                throw new Error(`Request timeout after ${API_TIMEOUT}ms`);
+            }
+
+            throw error;
+        } finally {
+            unlink();
+        }
+    }
+
+    /**
+     * Make a streaming API call, passing each piece of text to onDelta
+     * The timeout applies to silence between events, not to the whole response.
+     * @param {AbortSignal} signal - Caller's stop signal (optional)
+     * @returns {Promise<Object>} { model, usage } reported by the stream
+     */
+    async makeStreamingApiCall(model, messages, parameters, signal, onDelta) {
+        const controller = new AbortController();
+        let timedOut = false;
+        let timeoutId = null;
+        const resetTimeout = () => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, API_TIMEOUT);
+        };
+        const unlink = this.linkAbortSignal(signal, controller);
+
+        const result = { model: null, usage: undefined };
+
+        try {
+            resetTimeout();
+            this.lastRequestTime = Date.now();
+
+            console.log(`[${this.constructor.name}] Making streaming API request to ${this.displayName}`);
+
+            const response = await fetch(this.getEndpoint(this.completionPath), {
+                method: 'POST',
+                headers: {
+                    ...this.getAuthHeaders(),
+                    'Content-Type': 'application/json',
+                    'Accept': 'text/event-stream',
+                    'User-Agent': 'Teams-Transcript-Extension/1.0'
+                },
+                body: JSON.stringify(this.buildStreamRequestBody(model, messages, parameters)),
+                signal: controller.signal
+            });
+
+            await this.checkResponse(response);
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let finished = false;
+
+            while (!finished) {
+                resetTimeout();
+                const { value, done } = await reader.read();
+                buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+                // Events end with a blank line; the last piece may still be arriving
+                const events = buffer.split(/\r?\n\r?\n/);
+                buffer = done ? '' : events.pop();
+
+                for (const rawEvent of events) {
+                    const { event, data } = this.parseServerSentEvent(rawEvent);
+                    if (data === null) {
+                        continue;
+                    }
+
+                    const parsed = this.parseStreamEvent(event, data);
+                    if (parsed.model) {
+                        result.model = parsed.model;
+                    }
+                    if (parsed.usage) {
+                        result.usage = { ...result.usage, ...parsed.usage };
+                    }
+                    if (parsed.text) {
+                        onDelta(parsed.text);
+                    }
+                    if (parsed.done) {
+                        finished = true;
+                        break;
+                    }
+                }
+
+                if (done) {
+                    finished = true;
+                } else if (finished) {
+                    await reader.cancel();
+                }
+            }
+
+            console.log(`[${this.constructor.name}] Streaming API call successful`, result);
+            return result;
+
+        } catch (error) {
+            if (error.name === 'AbortError' && timedOut) {
+                throw new Error(`Request timeout after ${API_TIMEOUT}ms`);
+            }
+
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+            unlink();
+        }
+    }
+
+    /**
+     * Abort a request's own controller when the caller's signal aborts
+     * @param {AbortSignal} signal - Caller's signal (optional)
+     * @param {AbortController} controller - The request's controller
+     * @returns {Function} Removes the link once the request is over
+     */
+    linkAbortSignal(signal, controller) {
+        if (!signal) {
+            return () => {};
+        }
+        if (signal.aborted) {
+            controller.abort();
+            return () => {};
+        }
+
+        const abort = () => controller.abort();
+        signal.addEventListener('abort', abort, { once: true });
+        return () => signal.removeEventListener('abort', abort);
+    }
+
+    /**
+     * Record rate limits and throw for error responses
+     * @param {Response} response - Fetch response
+     */
+    async checkResponse(response) {
+        this.rateLimits.update(response.headers);
+
+        // Handle rate limiting
+        if (response.status === 429) {
+            const retryAfter = response.headers.get('retry-after');
+            this.rateLimitReset = Date.now() + (parseInt(retryAfter) * 1000);
+            throw new Error(`Rate limit exceeded. Retry after ${retryAfter} seconds.`);
+        }
+
+        if (!response.ok) {
+            await this.handleHttpError(response);
+        }
+    }
+
+    /**
+     * Split one server-sent event into its name and data
+     * @param {string} rawEvent - Lines of one event
+     * @returns {Object} { event, data } (data is null for comments and keep-alives)
+     */
+    parseServerSentEvent(rawEvent) {
+        let event = 'message';
+        const data = [];
+
+        rawEvent.split(/\r?\n/).forEach(line => {
+            if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                data.push(line.slice(5).replace(/^ /, ''));
+            }
+        });
+
+        return { event, data: data.length > 0 ? data.join('\n') : null };
+    }
+
+    /**
+     * URL of an API path (e.g. completionPath)
+     */
+    getEndpoint(path) {
+        throw new Error(`${this.constructor.name} does not implement getEndpoint`);
+    }
+
+    /**
+     * Authentication headers for API requests
+     */
+    getAuthHeaders() {
+        return {};
+    }
+
+    /**
+     * Request body of a completion in the provider's format
+     */
+    buildRequestBody(model, messages, parameters) {
+        return {
+            model: model,
+            messages: messages,
+            temperature: parameters.temperature || DEFAULT_TEMPERATURE,
+            max_tokens: parameters.max_tokens || this.maxOutputTokens
+        };
+    }
+
+    /**
+     * Request body of a streaming completion
+     */
+    buildStreamRequestBody(model, messages, parameters) {
+        return { ...this.buildRequestBody(model, messages, parameters), stream: true };
+    }
+
+    /**
+     * Messages for a system prompt and user content in the provider's format
+     * @param {string} systemPrompt - Instructions
+     * @param {string} userContent - Transcript or section summaries
+     * @returns {Array<Object>} Chat messages
+     */
+    buildMessages(systemPrompt, userContent) {
+        return [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: userContent }
+        ];
+    }
+
+    /**
+     * Generated text of an API response
+     */
+    extractText(apiResponse) {
+        throw new Error(`${this.constructor.name} does not implement extractText`);
+    }
+
+    /**
+     * Read one event of a streaming response
+     * @param {string} event - Event name ('message' when the server sends none)
+     * @param {string} data - Event data
+     * @returns {Object} { text, model, usage, done } (all optional)
+     */
+    parseStreamEvent(event, data) {
+        throw new Error(`${this.constructor.name} does not implement parseStreamEvent`);
+    }
+
+    /**
+     * Build system prompt based on type and language
+     */
+    buildSystemPrompt(promptType, customPrompt, language) {
+        let basePrompt = customPrompt || DEFAULT_PROMPTS[promptType] || DEFAULT_PROMPTS.default;
+
+        // Add language instruction
+        const languageInstruction = this.getLanguageInstruction(language);
+        if (languageInstruction) {
+            basePrompt += '\n\n' + languageInstruction;
+        }
+
+        return basePrompt;
+    }
+
+    /**
+     * Build user message with transcript content
+     */
+    buildUserMessage(formattedTranscript) {
+        const { metadata, content } = formattedTranscript;
+
+        let message = `Meeting Information:
+- Duration: ${metadata.duration}
+- Participants: ${metadata.participants.join(', ')}
+- Language: ${metadata.language}
+- Total Entries: ${metadata.totalEntries}
+
+Transcript Content:
+${content}`;
+
+        return message;
+    }
+
+    /**
+     * Get language-specific instruction
+     */
+    getLanguageInstruction(language) {
+        const instructions = {
+            'en': 'Please provide the summary in English.',
+            'zh-TW': '請用繁體中文提供摘要。',
+            'zh-CN': '请用简体中文提供摘要。',
+            'ja': '日本語で要約を提供してください。',
+            'ko': '한국어로 요약을 제공해 주세요.',
+            'es': 'Por favor, proporciona el resumen en español.',
+            'fr': 'Veuillez fournir le résumé en français.',
+            'de': 'Bitte stellen Sie die Zusammenfassung auf Deutsch zur Verfügung.'
+        };
+
+        return instructions[language] || instructions['en'];
+    }
+
+    /**
+     * Format the API response into structured summary
+     */
+    formatSummaryResponse(apiResponse, metadata) {
+        return {
+            summary: this.extractText(apiResponse),
+            metadata: {
+                ...metadata,
+                generatedAt: new Date().toISOString(),
+                model: apiResponse.model,
+                usage: apiResponse.usage,
+                processingTime: Date.now() - this.lastRequestTime
+            },
+            raw: apiResponse
+        };
+    }
+
+    /**
+     * Check if transcript needs chunking based on the provider's context limit
+     */
+    async checkTokenLimits(formattedTranscript, model) {
+        const contextLimit = chunkingStrategy.getContextLimit(this.providerId, model);
+        // Exact counts once the bundled BPE vocabulary is loaded; estimates otherwise
+        await tokenCounter.loadBundledEncodings();
+        const estimatedTokens = this.estimateTokenCount(formattedTranscript.content, model);
+
+        console.log(`[${this.constructor.name}] Token estimation:`, {
+            estimated: estimatedTokens,
+            contextLimit: contextLimit,
+            needsChunking: estimatedTokens > (contextLimit * 0.8) // Use 80% of limit for safety
+        });
+
+        // Use 80% of context limit for safety (leaving room for prompt and response)
+        return estimatedTokens > (contextLimit * 0.8);
+    }
+
+    /**
+     * Count tokens with the shared tokenizer (see tokenCounter.js)
+     */
+    estimateTokenCount(text, model = this.defaultModel) {
+        return tokenCounter.count(text, { provider: this.providerId, model });
+    }
+
+    /**
+     * Create basic chunks for large transcripts
+     */
+    createBasicChunks(formattedTranscript) {
+        const sections = formattedTranscript.sections;
+        const chunkSize = Math.ceil(sections.length / 3); // Split into 3 chunks max
+
+        const chunks = [];
+        for (let i = 0; i < sections.length; i += chunkSize) {
+            const chunkSections = sections.slice(i, i + chunkSize);
+            const chunkContent = chunkSections.map(section => section.content).join('\n\n');
+
+            chunks.push({
+                metadata: {
+                    ...formattedTranscript.metadata,
+                    chunkIndex: chunks.length,
+                    totalChunks: Math.ceil(sections.length / chunkSize)
+                },
+                content: chunkContent,
+                sections: chunkSections
+            });
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Combine multiple chunk summaries into final summary
+     */
+    async combineSummaries(summaries, originalMetadata, options) {
+        const combinedContent = summaries.map((s, i) =>
+            `## Section ${i + 1}\n${s.summary.summary}`
+        ).join('\n\n');
+
+        const combinePrompt = `Please combine these section summaries into a cohesive final summary:
+
+${combinedContent}
+
+Create a unified summary that captures the key points from all sections while avoiding repetition.`;
+
+        const messages = this.buildMessages(this.buildSystemPrompt(options.promptType, null, options.language), combinePrompt);
+
+        const response = await this.callWithRetry(options.model || this.defaultModel, messages, {
+            temperature: options.temperature || DEFAULT_TEMPERATURE,
+            max_tokens: this.maxOutputTokens
+        }, options.signal);
+
+        return this.formatSummaryResponse(response, originalMetadata);
+    }
+
+    /**
+     * Check rate limiting before making requests
+     * @param {number} tokens - Estimated input tokens of the request, reserved from the header budget
+     */
+    async checkRateLimit(tokens = 0, signal = null) {
+        if (this.rateLimitReset > Date.now()) {
+            const waitTime = this.rateLimitReset - Date.now();
+            console.log(`[${this.constructor.name}] Rate limit active, waiting ${waitTime}ms`);
+            await this.sleep(waitTime, signal);
+        }
+
+        const waited = await this.rateLimits.acquire(tokens, ms => this.sleep(ms, signal));
+        if (waited > 0) {
+            console.log(`[${this.constructor.name}] Waited ${waited}ms for rate limit capacity`);
+        }
+    }
+
+    /**
+     * Handle HTTP error responses
+     */
+    async handleHttpError(response) {
+        const status = response.status;
+        let errorMessage = `HTTP ${status}`;
+
+        try {
+            const errorData = await response.json();
+            if (errorData.error && errorData.error.message) {
+                errorMessage += `: ${errorData.error.message}`;
+            }
+        } catch (e) {
+            // Ignore JSON parse errors for error responses
+        }
+
+        switch (status) {
+            case 401:
+                throw new Error(`Invalid API key (${status}). Please check your ${this.displayName} API key.`);
+            case 403:
+                throw new Error(`Access forbidden (${status}). Your API key may not have the required permissions.`);
+            case 429:
+                throw new Error(`Rate limit exceeded (${status}). Please try again later.`);
+            case 500:
+            case 502:
+            case 503:
+            case 504:
+                throw new Error(`${this.displayName} server error (${status}). Please try again later.`);
+            default:
+                throw new Error(errorMessage);
+        }
+    }
+
+    /**
+     * Check if error should not be retried
+     */
+    shouldNotRetry(error) {
+        // Stopped by the caller, or failed after part of a stream arrived
+        if (error.name === 'AbortError' || error.noRetry) {
+            return true;
+        }
+
+        const message = error.message.toLowerCase();
+
+        // Don't retry on authentication errors
+        if (message.includes('401') || message.includes('403')) {
+            return true;
+        }
+
+        // Don't retry on invalid request errors or unknown models/deployments
+        if (message.includes('400') || message.includes('404')) {
+            return true;
+        }
+
+        // Don't retry on quota exceeded
+        if (message.includes('quota')) {
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Whether requests need an API key (servers without auth override this)
+     */
+    requiresApiKey() {
+        return true;
+    }
+
+    /**
+     * Validate API key format
+     */
+    validateApiKey(apiKey) {
+        return !!apiKey && typeof apiKey === 'string';
+    }
+
+    /**
+     * Create detailed error with context
+     */
+    createDetailedError(originalError) {
+        const error = new Error(originalError.message);
+        error.name = `${this.constructor.name}Error`;
+        error.originalError = originalError;
+        error.timestamp = new Date().toISOString();
+        error.retryCount = this.retryCount;
+
+        return error;
+    }
+
+    /**
+     * Sleep for specified duration
+     * @param {AbortSignal} signal - Ends the wait early with an AbortError (optional)
+     */
+    sleep(ms, signal = null) {
+        if (!signal) {
+            return new Promise(resolve => setTimeout(resolve, ms));
+        }
+
+        return new Promise((resolve, reject) => {
+            if (signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                reject(signal.reason);
+            };
+            const timeoutId = setTimeout(() => {
+                signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Get available models (for debugging/validation)
+     * @returns {Promise<Array<Object>>} Models ({ id, ... })
+     */
+    async getAvailableModels() {
+        throw new Error(`${this.constructor.name} does not implement getAvailableModels`);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BaseAIClient, DEFAULT_PROMPTS };
+} else {
+    // Browser environment - attach to window
+    window.BaseAIClient = BaseAIClient;
+    window.AI_DEFAULT_PROMPTS = DEFAULT_PROMPTS;
+}
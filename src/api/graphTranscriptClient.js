@@ -0,0 +1,286 @@
+/**
+ * Microsoft Graph Transcript Client for Teams Transcript Chrome Extension
+ * Fetches Teams meeting transcripts through the Graph onlineMeetings API
+ * (GET /me/onlineMeetings/{meetingId}/transcripts/{transcriptId}/content)
+ */
+
+const { TranscriptSource } = require('./transcriptSource.js');
+const { webvttParser } = require('../utils/webvttParser.js');
+
+// Constants
+const GRAPH_API_BASE_URL = 'https://graph.microsoft.com/v1.0';
+const GRAPH_API_TIMEOUT = 30000; // 30 seconds
+const GRAPH_MAX_RETRIES = 2;
+const GRAPH_DEFAULT_RETRY_DELAY = 1000; // 1 second
+
+/**
+ * Microsoft Graph Transcript Client class - the Graph onlineMeetings transcript source
+ */
+class GraphTranscriptClient extends TranscriptSource {
+    /**
+     * @param {Object} options - Client options
+     * @param {string} options.baseUrl - Graph endpoint (defaults to graph.microsoft.com/v1.0)
+     * @param {string} options.userId - Organizer user ID; defaults to the signed-in user (/me)
+     * @param {Function} options.getAccessToken - Async function returning a Graph access token
+     */
+    constructor(options = {}) {
+        super('graph');
+        this.baseUrl = (options.baseUrl || GRAPH_API_BASE_URL).replace(/\/$/, '');
+        this.userPath = options.userId ? `/users/${encodeURIComponent(options.userId)}` : '/me';
+        this.getAccessToken = options.getAccessToken || (() => this.requestAccessTokenFromBackground());
+    }
+
+    /**
+     * Ask the background service for the Graph token it captured from Teams on the web
+     * @returns {Promise<string>} Access token
+     */
+    async requestAccessTokenFromBackground() {
+        if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) {
+            throw new Error('Microsoft Graph access token is not available');
+        }
+
+        const response = await chrome.runtime.sendMessage({ action: 'getGraphToken' });
+        if (!response?.token) {
+            throw new Error('No Microsoft Graph session. Please open Teams on the web (teams.microsoft.com) and try again.');
+        }
+        return response.token;
+    }
+
+    /**
+     * Resolve the onlineMeeting ID from meetingInfo (ID or Teams join link)
+     * @param {Object} meetingInfo - { onlineMeetingId } or { joinWebUrl }
+     * @returns {Promise<string>} Online meeting ID
+     */
+    async resolveMeetingId(meetingInfo) {
+        if (!meetingInfo) {
+            throw new Error('Invalid meeting information provided');
+        }
+        if (meetingInfo.onlineMeetingId) {
+            return meetingInfo.onlineMeetingId;
+        }
+        if (!meetingInfo.joinWebUrl) {
+            throw new Error('Missing online meeting ID or Teams join link for Microsoft Graph');
+        }
+
+        // OData string literals escape single quotes by doubling them
+        const joinWebUrl = meetingInfo.joinWebUrl.replace(/'/g, '\'\'');
+        const filter = encodeURIComponent(`JoinWebUrl eq '${joinWebUrl}'`);
+        const response = await this.request(`${this.userPath}/onlineMeetings?$filter=${filter}`);
+        const meeting = Array.isArray(response.value) ? response.value[0] : null;
+
+        if (!meeting?.id) {
+            throw new Error('No online meeting found for this Teams join link');
+        }
+        return meeting.id;
+    }
+
+    /**
+     * List transcripts of an online meeting
+     * @param {Object} meetingInfo - Meeting metadata
+     * @returns {Promise<Array<Object>>} Transcript descriptors, oldest first
+     */
+    async listTranscripts(meetingInfo) {
+        const meetingId = await this.resolveMeetingId(meetingInfo);
+        const response = await this.request(
+            `${this.userPath}/onlineMeetings/${encodeURIComponent(meetingId)}/transcripts`
+        );
+
+        return (response.value || [])
+            .map((item, index) => ({
+                id: item.id,
+                displayName: `Transcript ${index + 1}`,
+                language: 'unknown',
+                createdDateTime: item.createdDateTime || null,
+                size: null,
+                temporaryDownloadUrl: null,
+                meetingId: meetingId
+            }))
+            .sort((a, b) => String(a.createdDateTime).localeCompare(String(b.createdDateTime)));
+    }
+
+    /**
+     * Fetch meetingInfo.transcriptId, or the most recent transcript of the meeting
+     * @param {Object} meetingInfo - Meeting metadata
+     * @returns {Promise<Object>} Transcript object
+     */
+    async fetchTranscript(meetingInfo) {
+        if (meetingInfo?.transcriptId) {
+            return this.fetchTranscripts(meetingInfo, [meetingInfo.transcriptId]);
+        }
+
+        const transcripts = await this.listTranscripts(meetingInfo);
+        if (transcripts.length === 0) {
+            throw new Error('No transcripts found for this meeting. The meeting may not have been transcribed.');
+        }
+        const latest = transcripts[transcripts.length - 1];
+        return this.fetchTranscripts(
+            { ...meetingInfo, onlineMeetingId: latest.meetingId, transcriptStartedAt: latest.createdDateTime },
+            [latest.id]
+        );
+    }
+
+    /**
+     * Fetch one or more transcripts by ID; several are merged into one timeline
+     * @param {Object} meetingInfo - Meeting metadata
+     * @param {Array<string>} transcriptIds - Transcript IDs
+     * @returns {Promise<Object>} Transcript object
+     */
+    async fetchTranscripts(meetingInfo, transcriptIds) {
+        if (!transcriptIds || transcriptIds.length === 0) {
+            return this.fetchTranscript(meetingInfo);
+        }
+
+        const meetingId = await this.resolveMeetingId(meetingInfo);
+        const transcripts = [];
+
+        for (const transcriptId of transcriptIds) {
+            const vtt = await this.request(
+                `${this.userPath}/onlineMeetings/${encodeURIComponent(meetingId)}/transcripts/${encodeURIComponent(transcriptId)}/content?$format=text/vtt`,
+                'text/vtt'
+            );
+            const transcript = this.parseVttTranscript(vtt, meetingInfo);
+            transcript.transcriptInfo = { id: transcriptId, meetingId: meetingId };
+            transcripts.push(transcript);
+        }
+
+        return transcripts.length === 1
+            ? transcripts[0]
+            : this.mergeTranscripts(transcripts, meetingInfo);
+    }
+
+    /**
+     * Convert Graph VTT content into the shared transcript structure
+     * @param {string} vtt - WebVTT content returned by Graph
+     * @param {Object} meetingInfo - Meeting metadata
+     * @returns {Object} Transcript object
+     */
+    parseVttTranscript(vtt, meetingInfo = {}) {
+        const { cues } = webvttParser.parse(vtt);
+        const entries = cues
+            .filter(cue => cue.text)
+            .map((cue, index) => ({
+                id: cue.id || `cue-${index + 1}`,
+                text: cue.text.replace(/\n/g, ' '),
+                speaker: cue.speaker || 'Unknown Speaker',
+                speakerId: null,
+                startTime: cue.startTime,
+                endTime: cue.endTime,
+                confidence: null,
+                language: 'unknown',
+                isEdited: false
+            }));
+
+        if (entries.length === 0) {
+            throw new Error('Transcript is empty: no entries found');
+        }
+
+        return {
+            raw: vtt,
+            ...this.normalizeTranscript({
+                entries: entries,
+                events: [],
+                metadata: { version: '1.0', type: 'GraphTranscript' }
+            }, {
+                title: meetingInfo.title,
+                url: meetingInfo.joinWebUrl || meetingInfo.url,
+                transcriptStartedAt: meetingInfo.transcriptStartedAt
+            })
+        };
+    }
+
+    /**
+     * GET a Graph resource, retrying throttled requests
+     * @param {string} path - Path relative to the Graph base URL
+     * @param {string} accept - Accept header; JSON responses are parsed
+     * @returns {Promise<Object|string>} Parsed JSON or response text
+     */
+    async request(path, accept = 'application/json') {
+        const token = await this.getAccessToken();
+
+        for (let attempt = 0; ; attempt++) {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), GRAPH_API_TIMEOUT);
+            let response;
+
+            try {
+                response = await fetch(`${this.baseUrl}${path}`, {
+                    method: 'GET',
+                    headers: {
+                        'Authorization': `Bearer ${token}`,
+                        'Accept': accept
+                    },
+                    signal: controller.signal
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw new Error(`Request timeout after ${GRAPH_API_TIMEOUT}ms`);
+                }
+                throw error;
+            } finally {
+                clearTimeout(timeoutId);
+            }
+
+            if (response.ok) {
+                return accept === 'application/json' ? response.json() : response.text();
+            }
+
+            // Graph asks clients to back off on 429/503 using Retry-After
+            if ((response.status === 429 || response.status === 503) && attempt < GRAPH_MAX_RETRIES) {
+                const retryAfter = parseFloat(response.headers.get('Retry-After'));
+                const delay = Number.isFinite(retryAfter) ? retryAfter * 1000 : GRAPH_DEFAULT_RETRY_DELAY;
+                console.log(`[GraphTranscriptClient] Throttled (${response.status}), retrying in ${delay}ms`);
+                await this.sleep(delay);
+                continue;
+            }
+
+            await this.handleHttpError(response);
+        }
+    }
+
+    /**
+     * Handle HTTP error responses
+     * @param {Response} response - Fetch response object
+     */
+    async handleHttpError(response) {
+        const status = response.status;
+        let detail = '';
+
+        try {
+            const errorData = await response.json();
+            if (errorData.error && errorData.error.message) {
+                detail = `: ${errorData.error.message}`;
+            }
+        } catch (e) {
+            // Ignore JSON parse errors for error responses
+        }
+
+        switch (status) {
+            case 401:
+                throw new Error(`Microsoft Graph authentication failed (${status}). Please reopen Teams on the web and try again${detail}`);
+            case 403:
+                throw new Error(`Access denied (${status}). Only meeting organizers can read transcripts through Microsoft Graph${detail}`);
+            case 404:
+                throw new Error(`Meeting or transcript not found (${status})${detail}`);
+            case 429:
+                throw new Error(`Rate limit exceeded (${status}). Please wait a moment and try again.`);
+            default:
+                throw new Error(`Microsoft Graph error (${status})${detail}`);
+        }
+    }
+
+    /**
+     * Sleep utility for retry delays
+     * @param {number} ms - Milliseconds to sleep
+     * @returns {Promise} Promise that resolves after delay
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GraphTranscriptClient, GRAPH_API_BASE_URL };
+} else {
+    window.GraphTranscriptClient = GraphTranscriptClient;
+}
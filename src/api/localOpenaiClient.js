@@ -0,0 +1,134 @@
+/**
+ * Local Model Client for Teams Transcript Chrome Extension
+ * Sends OpenAIClient's requests to a self-hosted server with the OpenAI API
+ * shape (Ollama, LM Studio, vLLM), so transcripts stay on the user's network
+ */
+
+const { OpenAIClient } = require('./openaiClient.js');
+
+// Constants
+const LOCAL_DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+const LOCAL_MAX_TOKENS_OUTPUT = 1024; // Small windows: leave most of the context to the transcript
+
+/**
+ * Local OpenAI-compatible API Client class
+ */
+class LocalOpenAIClient extends OpenAIClient {
+    constructor() {
+        super();
+        this.providerId = 'local';
+        this.displayName = 'Local model';
+        this.maxOutputTokens = LOCAL_MAX_TOKENS_OUTPUT;
+        this.baseUrl = LOCAL_DEFAULT_BASE_URL;
+    }
+
+    /**
+     * Initialize the client and check the server answers
+     * @param {Object} config - { baseUrl, model, apiKey }; model and apiKey are optional
+     */
+    async initialize(config = {}) {
+        this.configure(config);
+        console.log('[LocalOpenAIClient] Initialized for', this.baseUrl);
+
+        await this.testConnection();
+    }
+
+    /**
+     * Set base URL, model and optional key without any request
+     * @param {Object} config - { baseUrl, model, apiKey }
+     */
+    configure({ baseUrl = LOCAL_DEFAULT_BASE_URL, model = null, apiKey = null } = {}) {
+        let url;
+        try {
+            url = new URL(String(baseUrl || LOCAL_DEFAULT_BASE_URL).trim());
+        } catch (error) {
+            throw new Error(`Local model base URL must be a URL such as ${LOCAL_DEFAULT_BASE_URL}`);
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw new Error('Local model base URL must use http or https');
+        }
+
+        // Paths are appended to the base, e.g. /v1 + /chat/completions
+        this.baseUrl = `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+        this.model = model ? String(model).trim() : null;
+        this.apiKey = apiKey || null;
+    }
+
+    /**
+     * Check the server lists models, and the chosen one if set
+     */
+    async testConnection() {
+        try {
+            const models = await this.listModels();
+            if (this.model && !models.includes(this.model)) {
+                throw new Error(`model "${this.model}" is not served (available: ${models.join(', ') || 'none'})`);
+            }
+            console.log('[LocalOpenAIClient] Server reachable. Models:', models.slice(0, 5));
+            return true;
+        } catch (error) {
+            console.error('[LocalOpenAIClient] Connection test failed:', error);
+            throw new Error(`Local model server at ${this.baseUrl} failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * The configured model, or the server's first one when none is set
+     * @returns {Promise<string>} Model ID
+     */
+    async resolveModel() {
+        if (!this.model) {
+            const [first] = await this.listModels();
+            if (!first) {
+                throw new Error(`No models available at ${this.baseUrl}`);
+            }
+            this.model = first;
+        }
+        return this.model;
+    }
+
+    getEndpoint(path) {
+        return `${this.baseUrl}${path}`;
+    }
+
+    getAuthHeaders() {
+        return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+    }
+
+    requiresApiKey() {
+        return false;
+    }
+
+    /**
+     * Any key is passed through as is; most local servers take none
+     */
+    validateApiKey(apiKey) {
+        return !apiKey || typeof apiKey === 'string';
+    }
+
+    /**
+     * Handle HTTP error responses with local-server hints
+     */
+    async handleHttpError(response) {
+        switch (response.status) {
+            case 403:
+                // Ollama rejects origins it does not know
+                throw new Error(`Access forbidden (${response.status}). Allow the extension origin on the server (e.g. OLLAMA_ORIGINS=chrome-extension://*).`);
+            case 404:
+                throw new Error(`Model "${this.model}" not found (404) at ${this.baseUrl}.`);
+            default:
+                return await super.handleHttpError(response);
+        }
+    }
+}
+
+// Create singleton instance
+const localOpenaiClient = new LocalOpenAIClient();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LocalOpenAIClient, localOpenaiClient, LOCAL_DEFAULT_BASE_URL };
+} else {
+    // Browser environment - attach to window
+    window.LocalOpenAIClient = LocalOpenAIClient;
+    window.localOpenaiClient = localOpenaiClient;
+}
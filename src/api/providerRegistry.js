@@ -0,0 +1,217 @@
+/**
+ * AI Provider Registry for Teams Transcript Chrome Extension
+ * One adapter per summary provider: which client class serves it, what the
+ * setup and settings views ask for, and the context limits chunking plans with
+ */
+
+// Context limits are conservative: about 10% under each model's window
+const OPENAI_LIMITS = {
+    'gpt-4.1': 1000000,      // 1M+ context window, use 900k for safety
+    'gpt-4': 120000,         // 128k context, use 110k for safety
+    'gpt-3.5-turbo': 15000   // 16k context, use 15k for safety
+};
+
+/**
+ * Providers shipped with the extension, in the order the views list them.
+ * Adapter fields:
+ * - id: settings.provider value; provider-specific settings live under settings[id]
+ * - label: name shown in the provider pickers
+ * - loadClient: returns the BaseAIClient subclass (required lazily, so the popup
+ *   can list providers without loading every client, and chunkingStrategy can
+ *   read limits without a require cycle through baseAIClient)
+ * - requiresApiKey: false when the key field may stay empty
+ * - summaryModel(settings): model requests use and limits are looked up by
+ * - limits: context limits by model; 'default' covers unlisted models
+ * - concurrency: chunks summarized at once unless settings.chunkConcurrency says otherwise
+ * - fields: extra inputs ({ key, label, type, placeholder, value, required, discover })
+ * - hostField: field holding a server URL the extension needs optional host access to
+ *   (its origin must be covered by optional_host_permissions in manifest.json)
+ * - hint: line shown under the fields
+ */
+const BUILT_IN_PROVIDERS = [
+    {
+        id: 'openai',
+        label: 'OpenAI GPT-4.1',
+        loadClient: () => require('./openaiClient.js').OpenAIClient,
+        summaryModel: () => 'gpt-4.1',
+        limits: OPENAI_LIMITS,
+        concurrency: 3
+    },
+    {
+        id: 'anthropic',
+        label: 'Claude Sonnet 4',
+        loadClient: () => require('./anthropicClient.js').AnthropicClient,
+        summaryModel: () => 'claude-sonnet-4-20250514',
+        limits: {
+            'claude-sonnet-4-20250514': 180000,    // 200k context, use 180k for safety
+            'claude-3-5-sonnet-20241022': 180000,  // 200k context, use 180k for safety
+            'claude-3-sonnet-20240229': 180000,    // 200k context, use 180k for safety
+            'claude-3-opus-20240229': 180000,      // 200k context, use 180k for safety
+            'claude-3-haiku-20240307': 180000      // 200k context, use 180k for safety
+        },
+        concurrency: 2
+    },
+    {
+        id: 'azure',
+        label: 'Azure OpenAI',
+        loadClient: () => require('./azureOpenaiClient.js').AzureOpenAIClient,
+        // Deployment names are the user's; unless one is named after its model, plan for 128k
+        summaryModel: settings => settings.azure?.deployment || null,
+        limits: { ...OPENAI_LIMITS, 'default': OPENAI_LIMITS['gpt-4'] },
+        // Deployments often run on a small tokens-per-minute quota
+        concurrency: 2,
+        fields: [
+            { key: 'endpoint', label: 'Azure 資源端點', type: 'url', placeholder: 'https://my-resource.openai.azure.com' },
+            { key: 'deployment', label: '部署名稱', placeholder: 'gpt-4o-summaries', required: true },
+            { key: 'apiVersion', label: 'API 版本', value: '2024-10-21' }
+        ],
+        hostField: 'endpoint',
+        hint: '儲存時會請求存取此 Azure 端點的權限'
+    },
+    {
+        id: 'local',
+        label: '本機模型 (Ollama / LM Studio / vLLM)',
+        loadClient: () => require('./localOpenaiClient.js').LocalOpenAIClient,
+        requiresApiKey: false,
+        summaryModel: settings => settings.local?.model || null,
+        limits: {
+            // Ollama and LM Studio run 4k windows by default whatever the model supports
+            'default': 3500                        // 4k context, use 3.5k for safety
+        },
+        // Local servers mostly answer one request at a time
+        concurrency: 1,
+        fields: [
+            { key: 'baseUrl', label: '伺服器網址', type: 'url', value: 'http://localhost:11434/v1' },
+            { key: 'model', label: '模型', placeholder: '留空則使用伺服器的第一個模型', discover: true }
+        ],
+        hostField: 'baseUrl',
+        hint: '逐字稿只會送到此伺服器；不需要金鑰時 API 金鑰可留空'
+    }
+];
+
+/**
+ * Provider Registry class
+ */
+class ProviderRegistry {
+    constructor() {
+        this.adapters = new Map();
+    }
+
+    /**
+     * Add a provider adapter (see BUILT_IN_PROVIDERS for the fields)
+     * @param {Object} adapter - Provider adapter
+     * @returns {ProviderRegistry} This registry
+     */
+    register(adapter) {
+        if (!adapter || !adapter.id || !adapter.label || typeof adapter.loadClient !== 'function') {
+            throw new Error('A provider adapter needs an id, a label and loadClient');
+        }
+        if (this.adapters.has(adapter.id)) {
+            throw new Error(`AI provider already registered: ${adapter.id}`);
+        }
+
+        this.adapters.set(adapter.id, {
+            requiresApiKey: true,
+            summaryModel: () => null,
+            limits: {},
+            concurrency: 1,
+            fields: [],
+            hostField: null,
+            hint: null,
+            ...adapter
+        });
+        return this;
+    }
+
+    /**
+     * @param {string} id - Provider ID
+     * @returns {boolean} True when the provider is registered
+     */
+    has(id) {
+        return this.adapters.has(id);
+    }
+
+    /**
+     * @param {string} id - Provider ID
+     * @returns {Object} Provider adapter
+     */
+    get(id) {
+        const adapter = this.adapters.get(id);
+        if (!adapter) {
+            throw new Error(`Unsupported AI provider: ${id}`);
+        }
+        return adapter;
+    }
+
+    /**
+     * @returns {Array<Object>} Adapters in registration order
+     */
+    list() {
+        return [...this.adapters.values()];
+    }
+
+    /**
+     * Context limits by model, or null for an unknown provider
+     * @param {string} id - Provider ID
+     * @returns {Object|null} Limits
+     */
+    getContextLimits(id) {
+        return this.adapters.get(id)?.limits || null;
+    }
+
+    /**
+     * Model summaries of these settings are sized for and requested with
+     * @param {Object} settings - Extension settings ({ provider, ... })
+     * @returns {string|null} Model ID (null when the provider picks one)
+     */
+    getSummaryModel(settings) {
+        return this.get(settings.provider).summaryModel(settings);
+    }
+
+    /**
+     * Chunks summarized at once: the user's setting, else the provider's default
+     * @param {Object} settings - Extension settings ({ provider, chunkConcurrency })
+     * @returns {number} Concurrency (WorkerPool clamps it)
+     */
+    getConcurrency(settings) {
+        return parseInt(settings.chunkConcurrency, 10) || this.get(settings.provider).concurrency;
+    }
+
+    /**
+     * Unconfigured client, e.g. to build a request preview
+     * @param {string} id - Provider ID
+     * @returns {Object} BaseAIClient subclass instance
+     */
+    createClient(id) {
+        const Client = this.get(id).loadClient();
+        return new Client();
+    }
+
+    /**
+     * Client configured from extension settings, without any request
+     * @param {Object} settings - { provider, apiKey, [provider]: provider settings }
+     * @returns {Object} BaseAIClient subclass instance
+     */
+    createConfiguredClient(settings) {
+        const client = this.createClient(settings.provider);
+        client.configure({
+            ...(settings[settings.provider] || {}),
+            apiKey: settings.apiKey,
+            model: this.getSummaryModel(settings)
+        });
+        return client;
+    }
+}
+
+// Create singleton instance with the built-in providers
+const providerRegistry = new ProviderRegistry();
+BUILT_IN_PROVIDERS.forEach(adapter => providerRegistry.register(adapter));
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProviderRegistry, providerRegistry, BUILT_IN_PROVIDERS };
+} else {
+    // Browser environment - attach to window
+    window.ProviderRegistry = ProviderRegistry;
+    window.providerRegistry = providerRegistry;
+}
@@ -8,12 +8,47 @@ const API_TIMEOUT = 30000; // 30 seconds
 const MAX_RETRIES = 3;
 const INITIAL_RETRY_DELAY = 1000; // 1 second
 const MAX_RETRY_DELAY = 8000; // 8 seconds
+const FOLDER_PAGE_SIZE = 200;
+
+// Files Teams saves meeting recordings as
+const RECORDING_FILE_PATTERN = /\.(mp4|m4a|mov|webm|mkv)$/i;
+
+// SharePoint pages that carry the file or folder path in their ?id= parameter
+const ID_PARAM_PAGE_PATTERN = /\/(stream|onedrive|AllItems|my|embed)\.aspx$/i;
+
+/**
+ * Resolve the shared WebVTT parser (a manifest-loaded global in the content script)
+ * @returns {Object} WebVTTParser instance
+ */
+function getWebVTTParser() {
+    if (typeof window !== 'undefined' && window.webvttParser) {
+        return window.webvttParser;
+    }
+    return require('../utils/webvttParser.js').webvttParser;
+}
+
+/**
+ * Resolve the shared time utilities (a manifest-loaded global in the content script)
+ * @returns {Object} TimeUtils instance
+ */
+function getStreamTime() {
+    if (typeof window !== 'undefined' && window.timeUtils) {
+        return window.timeUtils;
+    }
+    return require('../utils/timeUtils.js').timeUtils;
+}
+
+// Transcript source base class (a manifest-loaded global in the content script)
+const StreamTranscriptSourceBase = typeof window !== 'undefined' && window.TranscriptSource
+    ? window.TranscriptSource
+    : require('./transcriptSource.js').TranscriptSource;
 
 /**
- * Microsoft Stream API Client class
+ * Microsoft Stream API Client class - the SharePoint Stream transcript source
  */
-class StreamApiClient {
+class StreamApiClient extends StreamTranscriptSourceBase {
     constructor() {
+        super('stream');
         this.retryCount = 0;
         this.authHeaders = null;
     }
@@ -51,6 +86,245 @@ class StreamApiClient {
         }
     }
 
+    /**
+     * List every transcript attached to a recording
+     * @param {Object} meetingInfo - Meeting metadata from content script
+     * @returns {Promise<Array>} Transcript descriptors (id, language, creation time, size)
+     */
+    async listTranscripts(meetingInfo) {
+        const listing = await this.fetchTranscriptListing(meetingInfo);
+        return this.parseTranscriptList(listing);
+    }
+
+    /**
+     * Fetch one or more transcripts of a recording by ID.
+     * A single ID returns that transcript; several IDs are merged into one timeline.
+     * @param {Object} meetingInfo - Meeting metadata from content script
+     * @param {Array<string>} transcriptIds - IDs chosen from listTranscripts()
+     * @returns {Promise<Object>} Parsed (and possibly merged) transcript object
+     */
+    async fetchTranscripts(meetingInfo, transcriptIds) {
+        if (!transcriptIds || transcriptIds.length === 0) {
+            return this.fetchTranscript(meetingInfo);
+        }
+
+        const listing = await this.fetchTranscriptListing(meetingInfo);
+        const availableTranscripts = this.parseTranscriptList(listing);
+
+        try {
+            const transcripts = [];
+            for (const transcriptId of transcriptIds) {
+                const transcriptMeta = listing.value.find(item => item.id === transcriptId);
+                if (!transcriptMeta) {
+                    throw new Error(`Transcript ${transcriptId} is not available for this recording`);
+                }
+
+                const content = await this.fetchTranscriptContent(transcriptMeta);
+                const parsed = await this.parseTranscriptContent(content, this.withTranscriptStart(meetingInfo, transcriptMeta));
+                parsed.transcriptInfo = availableTranscripts.find(item => item.id === transcriptId);
+                transcripts.push(parsed);
+            }
+
+            const result = transcripts.length === 1
+                ? transcripts[0]
+                : this.mergeTranscripts(transcripts, meetingInfo);
+
+            return { ...result, availableTranscripts };
+        } catch (error) {
+            console.error('[StreamApiClient] Failed to fetch selected transcripts:', error);
+            throw this.createDetailedError(error);
+        }
+    }
+
+    /**
+     * Fetch the raw transcript listing for a recording
+     * @param {Object} meetingInfo - Meeting metadata from content script
+     * @returns {Promise<Object>} OData listing with a value array
+     */
+    async fetchTranscriptListing(meetingInfo) {
+        if (!meetingInfo || !meetingInfo.isValid) {
+            throw new Error('Invalid meeting information provided');
+        }
+
+        const { siteUrl, driveId, itemId } = meetingInfo;
+
+        if (!driveId || !itemId) {
+            throw new Error('Missing required IDs (driveId, itemId) for API call');
+        }
+
+        this.authHeaders = await this.getAuthHeaders();
+        const apiUrl = this.buildApiUrl(siteUrl, driveId, itemId);
+
+        try {
+            const listing = await this.fetchWithRetry(apiUrl);
+            if (!listing || !Array.isArray(listing.value)) {
+                throw new Error('No transcript list found in response');
+            }
+            return listing;
+        } catch (error) {
+            console.error('[StreamApiClient] Failed to list transcripts:', error);
+            throw this.createDetailedError(error);
+        }
+    }
+
+    /**
+     * Normalize a transcript listing into descriptors for the picker
+     * @param {Object} listing - OData listing returned by /media/transcripts
+     * @returns {Array<Object>} Transcript descriptors
+     */
+    parseTranscriptList(listing) {
+        if (!listing || !Array.isArray(listing.value)) {
+            return [];
+        }
+
+        return listing.value.map((item, index) => ({
+            id: item.id,
+            displayName: item.displayName || item.name || `Transcript ${index + 1}`,
+            language: item.languageTag || item.spokenLanguageTag || item.locale || 'unknown',
+            createdDateTime: item.createdDateTime || item.createdTime || null,
+            size: typeof item.size === 'number' ? item.size : null,
+            temporaryDownloadUrl: item.temporaryDownloadUrl || null
+        }));
+    }
+
+    /**
+     * List the recordings with transcripts behind a set of SharePoint URLs.
+     * Each source may be a folder/library URL or a single recording (stream.aspx) URL.
+     * @param {Array<string>} sources - SharePoint URLs
+     * @returns {Promise<Object>} { recordings, errors } - recordings have transcripts; errors are per source
+     */
+    async listRecordings(sources) {
+        const recordings = [];
+        const errors = [];
+        const seen = new Set();
+
+        for (const source of sources) {
+            try {
+                const driveItem = await this.resolveDriveItem(source);
+                const items = driveItem.folder
+                    ? (await this.listFolderChildren(source, driveItem)).filter(item => this.isRecordingItem(item))
+                    : [driveItem];
+
+                for (const item of items) {
+                    const driveId = item.parentReference && item.parentReference.driveId;
+                    const key = `${driveId}/${item.id}`;
+                    if (!driveId || seen.has(key)) {
+                        continue;
+                    }
+                    seen.add(key);
+
+                    const recording = {
+                        url: item.webUrl || source,
+                        title: (item.name || 'Untitled Meeting').replace(RECORDING_FILE_PATTERN, ''),
+                        siteUrl: this.getSiteUrl(item.webUrl || source),
+                        driveId: driveId,
+                        itemId: item.id,
+                        createdDateTime: item.createdDateTime || null
+                    };
+
+                    try {
+                        const listing = await this.fetchTranscriptListing({ ...recording, isValid: true });
+                        if (listing.value.length > 0) {
+                            recordings.push({ ...recording, transcriptCount: listing.value.length });
+                        }
+                    } catch (error) {
+                        // Recordings without transcription answer 404; skip them like empty listings
+                        if (!/\(404\)/.test(error.message)) {
+                            errors.push({ source: recording.url, error: error.message });
+                        }
+                    }
+                }
+            } catch (error) {
+                console.warn('[StreamApiClient] Skipping batch source:', source, error);
+                errors.push({ source, error: error.message });
+            }
+        }
+
+        return { recordings, errors };
+    }
+
+    /**
+     * Resolve a SharePoint URL to its drive item through the shares API
+     * @param {string} url - File, folder or stream.aspx URL
+     * @returns {Promise<Object>} Drive item
+     */
+    async resolveDriveItem(url) {
+        const target = this.toSharingUrl(url);
+        // Sharing IDs are "u!" + unpadded base64url of the absolute URL
+        const bytes = new TextEncoder().encode(target);
+        const encoded = btoa(String.fromCharCode(...bytes))
+            .replace(/=+$/, '')
+            .replace(/\//g, '_')
+            .replace(/\+/g, '-');
+
+        this.authHeaders = await this.getAuthHeaders();
+        return this.fetchWithRetry(`${new URL(target).origin}/_api/v2.1/shares/u!${encoded}/driveItem`);
+    }
+
+    /**
+     * List a folder's children, following paging links
+     * @param {string} url - Folder URL (for the API origin)
+     * @param {Object} folder - Folder drive item
+     * @returns {Promise<Array<Object>>} Child drive items
+     */
+    async listFolderChildren(url, folder) {
+        const origin = new URL(this.toSharingUrl(url)).origin;
+        const driveId = folder.parentReference && folder.parentReference.driveId;
+        let nextUrl = `${origin}/_api/v2.1/drives/${driveId}/items/${folder.id}/children?$top=${FOLDER_PAGE_SIZE}`;
+        const children = [];
+
+        while (nextUrl) {
+            const page = await this.fetchWithRetry(nextUrl);
+            children.push(...(page.value || []));
+            nextUrl = page['@odata.nextLink'] || null;
+        }
+
+        // Child items omit the drive ID the folder already told us
+        return children.map(item => ({
+            ...item,
+            parentReference: { driveId, ...item.parentReference }
+        }));
+    }
+
+    /**
+     * Whether a drive item is a meeting recording
+     * @param {Object} item - Drive item
+     * @returns {boolean} True for video/audio files
+     */
+    isRecordingItem(item) {
+        if (!item || !item.file) {
+            return false;
+        }
+        const mimeType = item.file.mimeType || '';
+        return mimeType.startsWith('video/') || mimeType.startsWith('audio/') || RECORDING_FILE_PATTERN.test(item.name || '');
+    }
+
+    /**
+     * Turn a SharePoint page link into the absolute URL of the file or folder it shows
+     * @param {string} url - SharePoint URL
+     * @returns {string} Absolute file or folder URL
+     */
+    toSharingUrl(url) {
+        const parsed = new URL(url);
+        const idPath = parsed.searchParams.get('id');
+
+        if (idPath && ID_PARAM_PAGE_PATTERN.test(parsed.pathname)) {
+            return `${parsed.origin}${encodeURI(idPath)}`;
+        }
+        return `${parsed.origin}${parsed.pathname}`;
+    }
+
+    /**
+     * Site URL (OneDrive or SharePoint site) a file URL belongs to
+     * @param {string} url - File URL
+     * @returns {string} Site URL
+     */
+    getSiteUrl(url) {
+        const parsed = new URL(url);
+        const siteMatch = parsed.pathname.match(/^\/(?:personal|sites|teams)\/[^/]+/i);
+        return parsed.origin + (siteMatch ? siteMatch[0] : '');
+    }
+
     /**
      * Build Microsoft Stream API URL
      * @param {string} siteUrl - SharePoint site URL
@@ -65,9 +339,12 @@ class StreamApiClient {
         const personalMatch = currentUrl.match(/\/personal\/([^\/]+)\//);
         const personalPath = personalMatch ? `/personal/${personalMatch[1]}` : '';
         
-        // Clean site URL and add personal path
+        // Clean site URL and add personal path (unless the site URL already names a site)
         const cleanSiteUrl = siteUrl.replace(/\/$/, '');
-        const baseUrl = `${cleanSiteUrl}${personalPath}`;
+        const hasSitePath = /\/(personal|sites|teams)\/[^/]+$/i.test(cleanSiteUrl);
+        const baseUrl = personalPath && !hasSitePath
+            ? `${cleanSiteUrl}${personalPath}`
+            : cleanSiteUrl;
         
         let apiPath;
         if (transcriptId) {
@@ -159,16 +436,34 @@ class StreamApiClient {
                 }
             }
 
-            // Method 4: Try to intercept from network requests
-            // This would require more complex implementation
-            
-            return null;
+            // Method 4: Use the SharePoint token the background captured from network requests
+            // (Teams on the web has no SharePoint page context to read it from)
+            return await this.requestSessionToken();
         } catch (error) {
             console.error('[StreamApiClient] Error extracting Bearer token:', error);
             return null;
         }
     }
 
+    /**
+     * Ask the background service for the SharePoint Bearer token it last saw
+     * @returns {Promise<string|null>} Bearer token or null
+     */
+    async requestSessionToken() {
+        if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.sendMessage) {
+            return null;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getSessionData' });
+            const authToken = response && response.sessionData && response.sessionData.authToken;
+            return authToken ? authToken.replace(/^Bearer\s+/i, '') : null;
+        } catch (error) {
+            console.warn('[StreamApiClient] Could not get session token from background:', error);
+            return null;
+        }
+    }
+
     /**
      * Fetch with retry logic and exponential backoff
      * @param {string} url - API URL to fetch
@@ -344,42 +639,22 @@ class StreamApiClient {
         console.log('[StreamApiClient] Response type:', typeof transcriptData);
         console.log('[StreamApiClient] Response keys:', Object.keys(transcriptData));
 
-        // Handle different response formats
-        let transcript = transcriptData;
-        
         // If response contains a value property (OData format) - this is transcript metadata
         if (transcriptData.value && Array.isArray(transcriptData.value)) {
             console.log('[StreamApiClient] Found transcript metadata array');
             if (transcriptData.value.length > 0) {
-                const transcriptMeta = transcriptData.value[0];
+                // Honour an explicitly requested transcript, otherwise take the first one
+                const transcriptMeta = transcriptData.value.find(item => item.id === meetingInfo.transcriptId) ||
+                    transcriptData.value[0];
                 console.log('[StreamApiClient] Transcript metadata:', transcriptMeta);
-                
-                // Check if we have a temporaryDownloadUrl
-                if (transcriptMeta.temporaryDownloadUrl) {
-                    console.log('[StreamApiClient] Found temporaryDownloadUrl, fetching actual transcript content');
-                    
-                    // Add format=json parameter to the URL
-                    const contentUrl = new URL(transcriptMeta.temporaryDownloadUrl);
-                    contentUrl.searchParams.set('format', 'json');
-                    contentUrl.searchParams.set('applyhighlights', 'false');
-                    contentUrl.searchParams.set('applymediaedits', 'false');
-                    
-                    console.log('[StreamApiClient] Fetching transcript content from:', contentUrl.toString());
-                    
-                    try {
-                        // Fetch the actual transcript content
-                        const contentResponse = await this.makeApiRequest(contentUrl.toString());
-                        console.log('[StreamApiClient] Transcript content response:', contentResponse);
-                        
-                        // The content response should contain the actual transcript
-                        transcript = contentResponse;
-                    } catch (error) {
-                        console.error('[StreamApiClient] Failed to fetch transcript content:', error);
-                        throw new Error('Failed to fetch transcript content from download URL');
-                    }
-                } else {
-                    throw new Error('No download URL found in transcript metadata');
-                }
+
+                const transcript = await this.fetchTranscriptContent(transcriptMeta);
+                const result = await this.parseTranscriptContent(transcript, this.withTranscriptStart(meetingInfo, transcriptMeta));
+
+                return {
+                    ...result,
+                    availableTranscripts: this.parseTranscriptList(transcriptData)
+                };
             } else if (typeof transcriptData.value === 'string') {
                 // The transcript might be returned as a string (WebVTT or plain text)
                 console.log('[StreamApiClient] Value is a string, creating simple transcript structure');
@@ -389,6 +664,65 @@ class StreamApiClient {
             }
         }
 
+        return this.parseTranscriptContent(transcriptData, meetingInfo);
+    }
+
+    /**
+     * Anchor a transcript to the wall clock: a transcript is created when transcription starts
+     * @param {Object} meetingInfo - Meeting metadata
+     * @param {Object} transcriptMeta - Entry from the /media/transcripts listing
+     * @returns {Object} Meeting metadata with transcriptStartedAt
+     */
+    withTranscriptStart(meetingInfo, transcriptMeta) {
+        return {
+            ...meetingInfo,
+            transcriptStartedAt: transcriptMeta.createdDateTime || transcriptMeta.createdTime || meetingInfo.transcriptStartedAt || null
+        };
+    }
+
+    /**
+     * Download transcript content through its temporary download URL
+     * @param {Object} transcriptMeta - Entry from the /media/transcripts listing
+     * @returns {Promise<Object|string>} Transcript content response
+     */
+    async fetchTranscriptContent(transcriptMeta) {
+        // Check if we have a temporaryDownloadUrl
+        if (!transcriptMeta.temporaryDownloadUrl) {
+            throw new Error('No download URL found in transcript metadata');
+        }
+
+        console.log('[StreamApiClient] Found temporaryDownloadUrl, fetching actual transcript content');
+
+        // Add format=json parameter to the URL
+        const contentUrl = new URL(transcriptMeta.temporaryDownloadUrl);
+        contentUrl.searchParams.set('format', 'json');
+        contentUrl.searchParams.set('applyhighlights', 'false');
+        contentUrl.searchParams.set('applymediaedits', 'false');
+
+        console.log('[StreamApiClient] Fetching transcript content from:', contentUrl.toString());
+
+        try {
+            // Fetch the actual transcript content
+            const contentResponse = await this.makeApiRequest(contentUrl.toString());
+            console.log('[StreamApiClient] Transcript content response:', contentResponse);
+            return contentResponse;
+        } catch (error) {
+            console.error('[StreamApiClient] Failed to fetch transcript content:', error);
+            throw new Error('Failed to fetch transcript content from download URL');
+        }
+    }
+
+    /**
+     * Parse downloaded transcript content into the extension's transcript object
+     * @param {Object|string} transcript - Transcript content (JSON entries, WebVTT or text)
+     * @param {Object} meetingInfo - Original meeting metadata
+     * @returns {Promise<Object>} Parsed transcript object
+     */
+    async parseTranscriptContent(transcript, meetingInfo) {
+        if (!transcript) {
+            throw new Error('Empty transcript response received');
+        }
+
         // Check if the response is a string (WebVTT or plain text)
         if (typeof transcript === 'string') {
             console.log('[StreamApiClient] Transcript is a string, creating simple structure');
@@ -411,7 +745,7 @@ class StreamApiClient {
             
             // If we can't find a standard format, create a simple transcript with raw data
             return {
-                raw: transcriptData,
+                raw: transcript,
                 meetingInfo: {
                     title: meetingInfo.title || 'Untitled Meeting',
                     url: meetingInfo.url,
@@ -437,62 +771,24 @@ class StreamApiClient {
             throw new Error('Transcript is empty: no entries found');
         }
 
-        // Extract metadata from transcript
-        const participants = [...new Set(
-            transcript.entries
-                .map(entry => entry.speakerDisplayName)
-                .filter(name => name && name.trim())
-        )];
-
-        const duration = this.calculateTranscriptDuration(transcript.entries);
-        const language = transcript.entries[0]?.spokenLanguageTag || 'unknown';
-
-        // Format the transcript for consumption
         const formattedTranscript = {
             // Original data
             raw: transcript,
-            
-            // Meeting metadata
-            meetingInfo: {
-                title: meetingInfo.title || 'Untitled Meeting',
-                url: meetingInfo.url,
-                siteUrl: meetingInfo.siteUrl,
-                extractedAt: new Date().toISOString()
-            },
-            
-            // Transcript metadata
-            metadata: {
-                version: transcript.version || '1.0',
-                type: transcript.type || 'Transcript',
-                participants: participants,
-                duration: duration,
-                language: language,
-                entryCount: transcript.entries.length,
-                hasEvents: transcript.events && transcript.events.length > 0
-            },
-            
-            // Processed entries
-            entries: transcript.entries.map(entry => ({
-                id: entry.id,
-                text: entry.text || '',
-                speaker: entry.speakerDisplayName || 'Unknown Speaker',
-                speakerId: entry.speakerId,
-                startTime: entry.startOffset,
-                endTime: entry.endOffset,
-                confidence: entry.confidence || 0,
-                language: entry.spokenLanguageTag || language,
-                isEdited: entry.hasBeenEdited || false
-            })),
-            
-            // Events (if available)
-            events: transcript.events || []
+            ...this.normalizeTranscript({
+                entries: transcript.entries,
+                events: transcript.events || [],
+                metadata: {
+                    version: transcript.version || '1.0',
+                    type: transcript.type || 'Transcript'
+                }
+            }, meetingInfo)
         };
 
         console.log('[StreamApiClient] Transcript parsed successfully:', {
             entryCount: formattedTranscript.entries.length,
-            participants: participants.length,
-            duration: duration,
-            language: language
+            participants: formattedTranscript.metadata.participants.length,
+            duration: formattedTranscript.metadata.duration,
+            language: formattedTranscript.metadata.language
         });
 
         return formattedTranscript;
@@ -508,107 +804,64 @@ class StreamApiClient {
         console.log('[StreamApiClient] Creating simple transcript from text content');
         
         // Try to parse WebVTT format if present
-        const entries = [];
+        let entries = [];
         if (textContent.includes('WEBVTT') || textContent.includes('-->')) {
             console.log('[StreamApiClient] Detected WebVTT format');
-            const lines = textContent.split('\n');
-            let currentEntry = null;
-            
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i].trim();
-                
-                // Skip empty lines and WEBVTT header
-                if (!line || line === 'WEBVTT') continue;
-                
-                // Check for timestamp line (e.g., "00:00:00.000 --> 00:00:05.000")
-                if (line.includes('-->')) {
-                    const [start, end] = line.split('-->').map(t => t.trim());
-                    currentEntry = {
-                        startTime: start,
-                        endTime: end,
-                        text: '',
-                        speaker: 'Unknown Speaker'
-                    };
-                } else if (currentEntry && line) {
-                    // This is caption text
-                    // Check if line contains speaker info (e.g., "John Doe: Hello")
-                    const speakerMatch = line.match(/^([^:]+):\s*(.+)$/);
-                    if (speakerMatch) {
-                        currentEntry.speaker = speakerMatch[1].trim();
-                        currentEntry.text = speakerMatch[2].trim();
-                    } else {
-                        currentEntry.text += (currentEntry.text ? ' ' : '') + line;
-                    }
-                    
-                    // If next line is empty or timestamp, save current entry
-                    if (i + 1 >= lines.length || !lines[i + 1].trim() || lines[i + 1].includes('-->')) {
-                        entries.push({
-                            id: entries.length + 1,
-                            text: currentEntry.text,
-                            speaker: currentEntry.speaker,
-                            speakerId: currentEntry.speaker.toLowerCase().replace(/\s+/g, '_'),
-                            startTime: currentEntry.startTime,
-                            endTime: currentEntry.endTime,
-                            confidence: 1,
-                            language: 'unknown',
-                            isEdited: false
-                        });
-                        currentEntry = null;
-                    }
-                }
+            const { cues, errors } = getWebVTTParser().parse(textContent);
+
+            if (errors.length > 0) {
+                console.warn('[StreamApiClient] WebVTT parse issues:', errors);
             }
+
+            entries = cues
+                .filter(cue => cue.text)
+                .map((cue, index) => {
+                    let speaker = cue.speaker;
+                    let text = cue.text.replace(/\n/g, ' ');
+
+                    // Captions without voice spans may still carry "Name: text"
+                    if (!speaker) {
+                        const speakerMatch = text.match(/^([^:]+):\s*(.+)$/);
+                        if (speakerMatch) {
+                            speaker = speakerMatch[1].trim();
+                            text = speakerMatch[2].trim();
+                        }
+                    }
+                    speaker = speaker || 'Unknown Speaker';
+
+                    return {
+                        id: cue.id || index + 1,
+                        text: text,
+                        speaker: speaker,
+                        speakerId: speaker.toLowerCase().replace(/\s+/g, '_'),
+                        startTime: cue.startTime,
+                        endTime: cue.endTime,
+                        confidence: 1,
+                        language: 'unknown',
+                        isEdited: false
+                    };
+                });
         }
         
         return {
             raw: textContent,
-            meetingInfo: {
-                title: meetingInfo.title || 'Untitled Meeting',
-                url: meetingInfo.url,
-                siteUrl: meetingInfo.siteUrl,
-                extractedAt: new Date().toISOString()
-            },
-            metadata: {
-                version: '1.0',
-                type: 'WebVTT',
-                participants: [...new Set(entries.map(e => e.speaker))],
-                duration: entries.length > 0 ? entries[entries.length - 1].endTime : '00:00:00',
-                language: 'unknown',
-                entryCount: entries.length,
-                hasEvents: false
-            },
-            entries: entries,
-            events: [],
-            rawText: textContent
+            ...this.normalizeTranscript({
+                entries: entries,
+                events: [],
+                metadata: { version: '1.0', type: 'WebVTT' },
+                rawText: textContent
+            }, meetingInfo)
         };
     }
 
     /**
      * Calculate total duration from transcript entries
-     * @param {Array} entries - Transcript entries
-     * @returns {string} Duration in HH:MM:SS format
+     * @param {Array} entries - Transcript entries (any order)
+     * @returns {string} Span from the first to the last entry in HH:MM:SS format
      */
     calculateTranscriptDuration(entries) {
-        if (!entries || entries.length === 0) {
-            return '00:00:00';
-        }
-
-        try {
-            // Get the last entry's end time
-            const lastEntry = entries[entries.length - 1];
-            const endTime = lastEntry.endOffset || lastEntry.startOffset;
-            
-            if (!endTime) {
-                return '00:00:00';
-            }
-
-            // Parse time format "HH:MM:SS.fffffff" or "HH:MM:SS"
-            const timeParts = endTime.split('.')[0]; // Remove fractional seconds
-            return timeParts;
-            
-        } catch (error) {
-            console.warn('[StreamApiClient] Could not calculate duration:', error);
-            return '00:00:00';
-        }
+        const time = getStreamTime();
+        return time.formatDuration(time.measure(entries).spanMs);
     }
 
     /**
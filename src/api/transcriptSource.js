@@ -0,0 +1,188 @@
+/**
+ * Transcript Source interface for Teams Transcript Chrome Extension
+ * Common base class for transcript fetch backends (SharePoint Stream, Microsoft Graph)
+ * and a factory that picks the backend selected in settings
+ */
+
+// Available transcript backends
+const TRANSCRIPT_SOURCES = {
+    STREAM: 'stream',
+    GRAPH: 'graph'
+};
+
+const DEFAULT_TRANSCRIPT_SOURCE = TRANSCRIPT_SOURCES.STREAM;
+
+/**
+ * Resolve the shared transcript normalizer (a manifest-loaded global in the content script)
+ * @returns {Object} TranscriptNormalizer instance
+ */
+function getSourceNormalizer() {
+    if (typeof window !== 'undefined' && window.transcriptNormalizer) {
+        return window.transcriptNormalizer;
+    }
+    return require('../utils/transcriptNormalizer.js').transcriptNormalizer;
+}
+
+/**
+ * Resolve the shared time utilities (a manifest-loaded global in the content script)
+ * @returns {Object} TimeUtils instance
+ */
+function getSourceTime() {
+    if (typeof window !== 'undefined' && window.timeUtils) {
+        return window.timeUtils;
+    }
+    return require('../utils/timeUtils.js').timeUtils;
+}
+
+/**
+ * Transcript Source base class.
+ * Implementations return normalized transcripts (see TranscriptNormalizer):
+ * { raw, meetingInfo, metadata, entries, events }
+ */
+class TranscriptSource {
+    /**
+     * @param {string} sourceType - One of TRANSCRIPT_SOURCES
+     */
+    constructor(sourceType) {
+        this.sourceType = sourceType;
+    }
+
+    /**
+     * List transcripts available for a meeting
+     * @param {Object} meetingInfo - Meeting metadata
+     * @returns {Promise<Array<Object>>} Descriptors ({ id, displayName, language, createdDateTime, size })
+     */
+    async listTranscripts(meetingInfo) {
+        throw new Error(`${this.constructor.name} does not implement listTranscripts`);
+    }
+
+    /**
+     * Fetch the default (or meetingInfo.transcriptId) transcript of a meeting
+     * @param {Object} meetingInfo - Meeting metadata
+     * @returns {Promise<Object>} Transcript object
+     */
+    async fetchTranscript(meetingInfo) {
+        throw new Error(`${this.constructor.name} does not implement fetchTranscript`);
+    }
+
+    /**
+     * Fetch several transcripts and merge them into one timeline
+     * @param {Object} meetingInfo - Meeting metadata
+     * @param {Array<string>} transcriptIds - IDs from listTranscripts()
+     * @returns {Promise<Object>} Transcript object
+     */
+    async fetchTranscripts(meetingInfo, transcriptIds) {
+        throw new Error(`${this.constructor.name} does not implement fetchTranscripts`);
+    }
+
+    /**
+     * Merge several parsed transcripts into one timeline ordered by start offset
+     * @param {Array<Object>} transcripts - Parsed transcripts (optionally with transcriptInfo)
+     * @param {Object} meetingInfo - Meeting metadata
+     * @returns {Object} Merged transcript object
+     */
+    mergeTranscripts(transcripts, meetingInfo) {
+        const entries = transcripts
+            .flatMap((transcript, index) => {
+                const sourceId = transcript.transcriptInfo?.id || `transcript-${index + 1}`;
+                return (transcript.entries || []).map(entry => ({
+                    ...entry,
+                    id: `${sourceId}:${entry.id}`,
+                    transcriptId: sourceId
+                }));
+            })
+            .sort((a, b) => this.offsetToMilliseconds(a.startTime) - this.offsetToMilliseconds(b.startTime));
+
+        const events = transcripts
+            .flatMap(transcript => transcript.events || [])
+            .sort((a, b) => this.offsetToMilliseconds(a.startOffset) - this.offsetToMilliseconds(b.startOffset));
+
+        const languages = [...new Set(
+            transcripts.map(transcript => transcript.metadata?.language).filter(lang => lang && lang !== 'unknown')
+        )];
+
+        // The earliest transcript anchors the shared offsets to the wall clock
+        const startTimes = transcripts
+            .map(transcript => transcript.meetingInfo?.transcriptStartedAt)
+            .filter(Boolean)
+            .sort((a, b) => new Date(a) - new Date(b));
+
+        const merged = this.normalizeTranscript({
+            entries: entries,
+            events: events,
+            metadata: {
+                version: '1.0',
+                type: 'MergedTranscript',
+                language: languages.length === 1 ? languages[0] : (languages.length > 1 ? 'multi' : 'unknown'),
+                languages: languages,
+                sourceTranscripts: transcripts.map(transcript => transcript.transcriptInfo).filter(Boolean)
+            }
+        }, {
+            title: meetingInfo.title,
+            url: meetingInfo.url,
+            siteUrl: meetingInfo.siteUrl,
+            transcriptStartedAt: startTimes[0] || null
+        });
+
+        return { raw: transcripts.map(transcript => transcript.raw), ...merged };
+    }
+
+    /**
+     * Build a normalized transcript; every source returns transcripts through here
+     * @param {Object} transcript - { entries, events, metadata, rawText } in either entry naming
+     * @param {Object} meetingInfo - Meeting metadata for the result
+     * @returns {Object} Normalized transcript
+     */
+    normalizeTranscript(transcript, meetingInfo = {}) {
+        return getSourceNormalizer().normalize(transcript, {
+            title: meetingInfo.title || 'Untitled Meeting',
+            url: meetingInfo.url || null,
+            siteUrl: meetingInfo.siteUrl || null,
+            transcriptStartedAt: meetingInfo.transcriptStartedAt || null,
+            extractedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Convert a Stream offset ("HH:MM:SS.fffffff") to milliseconds
+     * @param {string} offset - Offset string
+     * @returns {number} Milliseconds (0 when unparseable)
+     */
+    offsetToMilliseconds(offset) {
+        return getSourceTime().toMilliseconds(offset);
+    }
+}
+
+/**
+ * Create the transcript source selected in settings
+ * @param {string} type - One of TRANSCRIPT_SOURCES (defaults to Stream)
+ * @param {Object} options - Backend-specific options
+ * @returns {TranscriptSource} Transcript source instance
+ */
+function createTranscriptSource(type, options = {}) {
+    switch (type || DEFAULT_TRANSCRIPT_SOURCE) {
+        case TRANSCRIPT_SOURCES.STREAM: {
+            const Client = typeof window !== 'undefined' && window.StreamApiClient
+                ? window.StreamApiClient
+                : require('./streamApiClient.js');
+            return new Client(options);
+        }
+        case TRANSCRIPT_SOURCES.GRAPH: {
+            const Client = typeof window !== 'undefined' && window.GraphTranscriptClient
+                ? window.GraphTranscriptClient
+                : require('./graphTranscriptClient.js').GraphTranscriptClient;
+            return new Client(options);
+        }
+        default:
+            throw new Error(`Unknown transcript source: ${type}`);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TranscriptSource, createTranscriptSource, TRANSCRIPT_SOURCES, DEFAULT_TRANSCRIPT_SOURCE };
+} else {
+    window.TranscriptSource = TranscriptSource;
+    window.createTranscriptSource = createTranscriptSource;
+    window.TRANSCRIPT_SOURCES = TRANSCRIPT_SOURCES;
+}
@@ -13,6 +13,28 @@ const backgroundLog = {
   }
 };
 
+const { mediaRegistry } = require('../utils/mediaRegistry.js');
+const { BatchProcessor } = require('../utils/batchProcessor.js');
+const { transcriptNormalizer } = require('../utils/transcriptNormalizer.js');
+const { speakerMapper } = require('../utils/speakerMapper.js');
+const { transcriptRedactor } = require('../utils/transcriptRedactor.js');
+const { cleanTranscript } = require('../utils/transcriptFormatter');
+const { storageManager } = require('../storage/storageManager.js');
+const { chunkingStrategy } = require('../utils/chunkingStrategy.js');
+const { tokenCounter } = require('../utils/tokenCounter.js');
+const CacheManager = require('../cacheManager.js');
+const { providerRegistry } = require('../api/providerRegistry.js');
+const { SummaryJobQueue } = require('../utils/summaryJobQueue.js');
+
+const BATCH_JOB_STORAGE_KEY = 'batch_job';
+const SUMMARY_JOBS_STORAGE_KEY = 'summary_jobs';
+const SUMMARY_JOB_TRANSCRIPT_PREFIX = 'summary_job_transcript_'; // + job ID
+const BATCH_CONTEXT_STORAGE_KEY = 'batch_context'; // Tab and settings (without the API key) a batch resumes with
+const KEEP_ALIVE_INTERVAL = 20000; // 20 seconds, under the service worker's idle timeout
+const SUMMARY_MAX_TOKENS = 4096;
+// Port the popup opens to receive a summary as it is written
+const SUMMARY_STREAM_PORT = 'summary-stream';
+
 interface MeetingInfo {
   url: string;
   title: string;
@@ -30,9 +52,32 @@ interface SessionData {
   timestamp: number;
 }
 
+interface GraphSession {
+  accessToken: string;
+  timestamp: number;
+}
+
+// Cancel signal of a summary job, and where its text and section progress go while it runs:
+// onDelta(text) and onProgress(completedChunks, totalChunks)
+interface SummaryStream {
+  signal: AbortSignal;
+  onDelta: Function | null;
+  onProgress?: Function;
+}
+
 class BackgroundService {
   private sessionData: SessionData | null = null;
+  private graphSession: GraphSession | null = null;
   private isProcessing = false;
+  private summaryQueue: any = null;
+  private summaryQueueReady: Promise<void> = Promise.resolve();
+  // Stream ports of the popups following each job
+  private summaryWatchers = new Map<string, Set<chrome.runtime.Port>>();
+  private keepAliveTimer: ReturnType<typeof setInterval> | null = null;
+  private batchProcessor: any = null;
+  private batchTabId: number | null = null;
+  private batchSettings: any = null;
+  private chunkCache: any = null;
 
   constructor() {
     this.initialize();
@@ -43,12 +88,25 @@ class BackgroundService {
     
     // Setup message listeners
     chrome.runtime.onMessage.addListener(this.handleMessage.bind(this));
+
+    // Streamed summaries use a long-lived port instead of a single response
+    chrome.runtime.onConnect.addListener((port) => {
+      if (port.name === SUMMARY_STREAM_PORT) {
+        this.handleSummaryStream(port);
+      }
+    });
     
     // Setup webRequest listeners for session management
     this.setupWebRequestListeners();
     
     // Clean up old session data periodically
     this.startSessionCleanup();
+
+    // Summary jobs are saved as they run and resumed after a restart
+    this.setupSummaryQueue();
+
+    // Batch jobs fetch through a SharePoint tab and summarize through the summary queue
+    this.setupBatchProcessor();
     
     backgroundLog.info('Background service initialized');
   }
@@ -57,6 +115,11 @@ class BackgroundService {
     // Listen for SharePoint API calls to capture authentication
     chrome.webRequest.onBeforeSendHeaders.addListener(
       (details) => {
+        // Remember which recording each tab is playing from its transcripts API calls
+        mediaRegistry.recordRequest(details.tabId, details.url, details.type).catch((error: unknown) => {
+          backgroundLog.error('Error recording media request:', error);
+        });
+
         if (details.url.includes('sharepoint.com') && details.requestHeaders) {
           const authHeader = details.requestHeaders.find(h => 
             h.name.toLowerCase() === 'authorization'
@@ -70,6 +133,30 @@ class BackgroundService {
       { urls: ['https://*.sharepoint.com/*'] },
       ['requestHeaders']
     );
+
+    // Teams on the web calls Microsoft Graph; keep its token for the Graph transcript source
+    chrome.webRequest.onBeforeSendHeaders.addListener(
+      (details) => {
+        const authHeader = details.requestHeaders?.find(h =>
+          h.name.toLowerCase() === 'authorization'
+        );
+
+        if (authHeader && authHeader.value?.startsWith('Bearer ')) {
+          this.graphSession = {
+            accessToken: authHeader.value.substring('Bearer '.length),
+            timestamp: Date.now()
+          };
+        }
+      },
+      { urls: ['https://graph.microsoft.com/*'] },
+      ['requestHeaders']
+    );
+
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      mediaRegistry.clearTab(tabId).catch((error: unknown) => {
+        backgroundLog.error('Error clearing media registry:', error);
+      });
+    });
   }
 
   async captureSession(authToken: string) {
@@ -94,7 +181,7 @@ class BackgroundService {
     }
   }
 
-  handleMessage(request: any, _sender: any, sendResponse: any) {
+  handleMessage(request: any, sender: any, sendResponse: any) {
     backgroundLog.info('Received message:', request.action);
     
     // Create a flag to track if response was sent
@@ -127,9 +214,48 @@ class BackgroundService {
             backgroundLog.info('Processing generateSummary request');
             await this.generateSummary(request.transcript, request.settings, safeResponse);
             break;
+          case 'retryFailedSections':
+            // Sections summarized earlier come from the chunk cache; only failed ones are re-sent
+            await this.generateSummary(request.transcript, { ...request.settings, retryFailedSections: true }, safeResponse);
+            break;
+          case 'cancelSummary':
+            await this.summaryQueueReady;
+            safeResponse({ cancelled: this.summaryQueue.cancel(request.jobId) });
+            break;
+          case 'getSummaryJob': {
+            // The given job, or the latest one for a popup that has just opened
+            await this.summaryQueueReady;
+            const job = request.jobId ? this.summaryQueue.getJob(request.jobId) : this.summaryQueue.getLatestJob();
+            safeResponse({ job: this.summaryQueue.toView(job) });
+            break;
+          }
+          case 'previewSummaryRequest':
+            safeResponse({ preview: this.previewSummaryRequest(request.transcript, request.settings) });
+            break;
+          case 'listModels':
+            safeResponse({ models: await providerRegistry.createConfiguredClient(request.settings).listModels() });
+            break;
           case 'getSessionData':
             safeResponse({ sessionData: this.sessionData });
             break;
+          case 'getGraphToken':
+            safeResponse({ token: this.isGraphSessionExpired() ? null : this.graphSession!.accessToken });
+            break;
+          case 'startBatch':
+            this.startBatch(request, safeResponse);
+            break;
+          case 'cancelBatch':
+            safeResponse({ cancelled: this.batchProcessor.cancel(), job: this.batchProcessor.getJob() });
+            break;
+          case 'getBatchStatus':
+            safeResponse({ job: this.batchProcessor.getJob() });
+            break;
+          case 'getMediaInfo': {
+            // Content scripts ask for their own tab; the popup passes the active tab ID
+            const tabId = typeof request.tabId === 'number' ? request.tabId : sender?.tab?.id;
+            safeResponse({ media: typeof tabId === 'number' ? await mediaRegistry.getMedia(tabId) : null });
+            break;
+          }
           default:
             safeResponse({ error: 'Unknown action' });
         }
@@ -142,6 +268,331 @@ class BackgroundService {
     return true; // Keep message channel open for async response
   }
 
+  handleSummaryStream(port: chrome.runtime.Port) {
+    // Closing the popup leaves the job running; a popup opened later watches it again
+    let jobId: string | null = null;
+
+    port.onDisconnect.addListener(() => {
+      if (jobId) {
+        this.summaryWatchers.get(jobId)?.delete(port);
+      }
+    });
+
+    port.onMessage.addListener((request: any) => {
+      switch (request.action) {
+        case 'stop':
+          backgroundLog.info('Summary stream stopped by the popup');
+          if (jobId) {
+            this.summaryQueue.cancel(jobId, true);
+          }
+          break;
+        case 'watch':
+          jobId = request.jobId;
+          this.summaryQueueReady.then(() => this.watchSummaryJob(request.jobId, port));
+          break;
+        case 'generateSummary':
+        case 'retryFailedSections': {
+          const settings = request.action === 'retryFailedSections'
+            ? { ...request.settings, retryFailedSections: true }
+            : request.settings;
+          const job = this.enqueueSummary(request.transcript, settings, (response: any) => {
+            port.postMessage({ type: 'error', error: response.error });
+          });
+          if (job) {
+            jobId = job.id;
+            this.watchSummaryJob(job.id, port);
+          }
+          break;
+        }
+        default:
+          port.postMessage({ type: 'error', error: 'Unknown action' });
+      }
+    });
+  }
+
+  setupSummaryQueue() {
+    this.summaryQueue = new SummaryJobQueue({
+      summarize: async (job: any, stream: SummaryStream) => {
+        return await this.summarizeTranscript(job.transcript, job.settings, stream);
+      },
+      save: (jobs: any[]) => chrome.storage.local.set({ [SUMMARY_JOBS_STORAGE_KEY]: jobs }),
+      saveInput: (job: any) => this.saveSummaryJobInput(job),
+      loadInput: (job: any) => this.loadSummaryJobInput(job),
+      removeInput: (jobId: string) => chrome.storage.local.remove(SUMMARY_JOB_TRANSCRIPT_PREFIX + jobId),
+      onUpdate: (job: any) => this.publishSummaryJob(job),
+      onDelta: (job: any, text: string) => this.postToWatchers(job.id, { type: 'delta', text })
+    });
+
+    // Jobs a stopped service worker left queued or running start again
+    this.summaryQueueReady = chrome.storage.local.get([SUMMARY_JOBS_STORAGE_KEY]).then((result) => {
+      this.summaryQueue.restore(result[SUMMARY_JOBS_STORAGE_KEY] || []);
+    }).catch((error: unknown) => {
+      backgroundLog.error('Error restoring summary jobs:', error);
+    });
+  }
+
+  enqueueSummary(transcript: any, settings: any, sendResponse: any) {
+    backgroundLog.info('generateSummary called with settings:', {
+      provider: settings.provider,
+      hasApiKey: !!settings.apiKey,
+      apiKeyLength: settings.apiKey?.length,
+      language: settings.language,
+      promptTemplate: settings.promptTemplate
+    });
+
+    // Validate settings
+    if (this.requiresApiKey(settings) && !settings.apiKey) {
+      backgroundLog.error('No API key provided');
+      sendResponse({ error: 'API key not configured. Please check your settings.' });
+      return null;
+    }
+
+    const job = this.summaryQueue.enqueue(transcript, settings);
+    backgroundLog.info(`Queued summary job ${job.id}`);
+    return job;
+  }
+
+  async saveSummaryJobInput(job: any) {
+    // The transcript is stored once, without the source's raw payload
+    const transcript = { ...job.transcript };
+    delete transcript.raw;
+    await chrome.storage.local.set({ [SUMMARY_JOB_TRANSCRIPT_PREFIX + job.id]: transcript });
+    await this.storeApiKey(job.settings);
+  }
+
+  async loadSummaryJobInput(job: any) {
+    const key = SUMMARY_JOB_TRANSCRIPT_PREFIX + job.id;
+    const result = await chrome.storage.local.get([key]);
+    if (!result[key]) {
+      throw new Error('The transcript of this summary was not found, so it could not resume');
+    }
+    return { transcript: result[key], settings: await this.withStoredApiKey(job.settings) };
+  }
+
+  async storeApiKey(settings: any) {
+    // Saved job settings leave the key out; the storage manager keeps it encrypted for resuming
+    if (!this.requiresApiKey(settings) || !settings.apiKey) return;
+    if (await storageManager.getApiKey(settings.provider) !== settings.apiKey) {
+      await storageManager.saveApiKey(settings.provider, settings.apiKey);
+    }
+  }
+
+  async withStoredApiKey(settings: any) {
+    if (!this.requiresApiKey(settings)) return settings;
+    const apiKey = await storageManager.getApiKey(settings.provider);
+    if (!apiKey) {
+      throw new Error('API key not configured. Please check your settings.');
+    }
+    return { ...settings, apiKey };
+  }
+
+  watchSummaryJob(jobId: string, port: chrome.runtime.Port) {
+    const job = this.summaryQueue.getJob(jobId);
+    if (!job) {
+      port.postMessage({ type: 'error', error: 'Summary job not found' });
+      return;
+    }
+
+    const view = this.summaryQueue.toView(job);
+    if (this.summaryQueue.isFinished(job)) {
+      port.postMessage(this.getSummaryJobOutcome(view));
+      return;
+    }
+
+    // The job view carries the text written so far, for popups joining late
+    port.postMessage({ type: 'started', job: view });
+    if (!this.summaryWatchers.has(jobId)) {
+      this.summaryWatchers.set(jobId, new Set());
+    }
+    this.summaryWatchers.get(jobId)!.add(port);
+  }
+
+  publishSummaryJob(job: any) {
+    const view = this.summaryQueue.toView(job);
+    if (this.summaryQueue.isFinished(job)) {
+      this.postToWatchers(job.id, this.getSummaryJobOutcome(view));
+      this.summaryWatchers.delete(job.id);
+    } else {
+      this.postToWatchers(job.id, { type: 'progress', job: view });
+    }
+    this.updateKeepAlive();
+  }
+
+  postToWatchers(jobId: string, message: any) {
+    this.summaryWatchers.get(jobId)?.forEach((port) => {
+      try {
+        port.postMessage(message);
+      } catch (error) {
+        // The popup closed between its disconnect and this message
+        this.summaryWatchers.get(jobId)?.delete(port);
+      }
+    });
+  }
+
+  getSummaryJobOutcome(view: any) {
+    switch (view.status) {
+      case 'complete':
+        return { type: 'done', jobId: view.id, summary: view.summary };
+      case 'cancelled':
+        return { type: 'cancelled', jobId: view.id };
+      default:
+        return { type: 'error', jobId: view.id, error: this.getErrorMessage({ message: view.error }) };
+    }
+  }
+
+  updateKeepAlive() {
+    // Extension API calls keep the service worker from being stopped while jobs are left
+    const busy = this.summaryQueue.isBusy() || !!this.batchProcessor?.isRunning();
+    if (busy && !this.keepAliveTimer) {
+      this.keepAliveTimer = setInterval(() => {
+        chrome.runtime.getPlatformInfo().catch(() => {});
+      }, KEEP_ALIVE_INTERVAL);
+    } else if (!busy && this.keepAliveTimer) {
+      clearInterval(this.keepAliveTimer);
+      this.keepAliveTimer = null;
+    }
+  }
+
+  setupBatchProcessor() {
+    this.batchProcessor = new BatchProcessor({
+      listRecordings: async (sources: string[]) => {
+        const response = await this.sendBatchTabMessage({ action: 'listRecordings', sources });
+        return { recordings: response.recordings || [], errors: response.errors || [] };
+      },
+      fetchTranscript: async (recording: any) => {
+        const response = await this.sendBatchTabMessage({ action: 'fetchRecordingTranscript', recording });
+        return await this.applySpeakerMappings(response.transcript, recording.url);
+      },
+      queueSummary: async (transcript: any) => {
+        await this.summaryQueueReady;
+        return this.summaryQueue.enqueue(transcript, this.batchSettings).id;
+      },
+      awaitSummary: (jobId: string, { signal }: { signal: AbortSignal }) => this.awaitBatchSummary(jobId, signal),
+      onUpdate: (job: any) => {
+        chrome.storage.local.set({ [BATCH_JOB_STORAGE_KEY]: job }).catch((error: unknown) => {
+          backgroundLog.error('Error saving batch job:', error);
+        });
+        if (!this.batchProcessor.isRunning()) {
+          chrome.storage.local.remove(BATCH_CONTEXT_STORAGE_KEY).catch(() => {});
+        }
+        this.updateKeepAlive();
+      }
+    });
+
+    // A job a previous service worker left running carries on in the same tab
+    chrome.storage.local.get([BATCH_JOB_STORAGE_KEY, BATCH_CONTEXT_STORAGE_KEY]).then(async (result) => {
+      const context = result[BATCH_CONTEXT_STORAGE_KEY];
+      if (!result[BATCH_JOB_STORAGE_KEY] || this.batchProcessor.getJob()) {
+        return;
+      }
+
+      // Without its tab and settings the job is marked interrupted instead
+      const settings = context
+        ? await this.withStoredApiKey(context.settings).catch((error: unknown) => {
+          backgroundLog.warn('Batch cannot resume:', error);
+          return null;
+        })
+        : null;
+      if (this.batchProcessor.getJob()) {
+        return;
+      }
+
+      if (settings) {
+        this.batchTabId = context.tabId;
+        this.batchSettings = settings;
+      }
+      this.batchProcessor.restore(result[BATCH_JOB_STORAGE_KEY], !!settings)?.catch((error: unknown) => {
+        backgroundLog.error('Batch job error:', error);
+      });
+    }).catch((error: unknown) => {
+      backgroundLog.error('Error restoring batch job:', error);
+    });
+  }
+
+  async awaitBatchSummary(jobId: string, signal: AbortSignal) {
+    await this.summaryQueueReady;
+
+    // Cancelling the batch cancels its summary, queued or running
+    const cancel = () => this.summaryQueue.cancel(jobId);
+    signal.addEventListener('abort', cancel);
+    if (signal.aborted) cancel();
+    try {
+      const job = await this.summaryQueue.waitFor(jobId);
+      if (!job) {
+        throw new Error('The summary job was not found');
+      }
+      if (job.status === 'complete') {
+        return job.summary;
+      }
+      throw new Error(job.status === 'cancelled' ? 'The summary was cancelled' : this.getErrorMessage({ message: job.error }));
+    } finally {
+      signal.removeEventListener('abort', cancel);
+    }
+  }
+
+  async applySpeakerMappings(transcript: any, recordingUrl: string) {
+    // Same per-tenant aliases the popup applies before summarizing a single meeting
+    const tenant = speakerMapper.getTenantKey({ siteUrl: transcript?.meetingInfo?.siteUrl, url: recordingUrl });
+    const mapping = await storageManager.loadSpeakerMappings(tenant);
+    return speakerMapper.applyMapping(transcript, mapping);
+  }
+
+  startBatch(request: any, sendResponse: any) {
+    if (this.requiresApiKey(request.settings) && !request.settings?.apiKey) {
+      sendResponse({ error: 'API key not configured. Please check your settings.' });
+      return;
+    }
+    if (typeof request.tabId !== 'number') {
+      sendResponse({ error: 'Open a SharePoint Stream or Teams page to run a batch' });
+      return;
+    }
+    if (!Array.isArray(request.sources) || request.sources.length === 0) {
+      sendResponse({ error: 'No folder or recording URLs provided' });
+      return;
+    }
+    if (this.batchProcessor.isRunning()) {
+      sendResponse({ error: 'A batch job is already running' });
+      return;
+    }
+
+    this.batchTabId = request.tabId;
+    this.batchSettings = request.settings;
+    this.saveBatchContext(request.tabId, request.settings);
+
+    // The job runs on after responding; the popup polls getBatchStatus
+    this.batchProcessor.start(request.sources, { timestampStyle: request.settings.timestampStyle }).catch((error: unknown) => {
+      backgroundLog.error('Batch job error:', error);
+    });
+    sendResponse({ job: this.batchProcessor.getJob() });
+  }
+
+  async saveBatchContext(tabId: number, settings: any) {
+    try {
+      // The key goes through the storage manager, which keeps it encrypted
+      await this.storeApiKey(settings);
+      const stored = { ...settings };
+      delete stored.apiKey;
+      await chrome.storage.local.set({ [BATCH_CONTEXT_STORAGE_KEY]: { tabId, settings: stored } });
+    } catch (error) {
+      // The batch still runs; it is marked interrupted rather than resumed after a restart
+      backgroundLog.error('Error saving batch context:', error);
+    }
+  }
+
+  async sendBatchTabMessage(message: any) {
+    let response;
+    try {
+      response = await chrome.tabs.sendMessage(this.batchTabId!, message);
+    } catch (error) {
+      throw new Error('The SharePoint tab running the batch was closed or reloaded');
+    }
+
+    if (!response || response.error) {
+      throw new Error(response?.error || 'No response from the SharePoint tab');
+    }
+    return response;
+  }
+
   async extractTranscript(meetingInfo: MeetingInfo, sendResponse: any) {
     if (this.isProcessing) {
       sendResponse({ error: 'Already processing a request' });
@@ -201,272 +652,198 @@ class BackgroundService {
   }
 
   validateTranscript(transcript: any) {
-    if (!transcript || !transcript.entries || !Array.isArray(transcript.entries)) {
-      throw new Error('Invalid transcript format received');
-    }
-
-    if (transcript.entries.length === 0) {
-      throw new Error('No transcript entries found');
-    }
-
-    return transcript;
+    return transcriptNormalizer.normalize(transcript);
   }
 
   async generateSummary(transcript: any, settings: any, sendResponse: any) {
-    backgroundLog.info('generateSummary called with settings:', {
-      provider: settings.provider,
-      hasApiKey: !!settings.apiKey,
-      apiKeyLength: settings.apiKey?.length,
-      language: settings.language,
-      promptTemplate: settings.promptTemplate
-    });
-
-    // Validate settings
-    if (!settings.apiKey) {
-      backgroundLog.error('No API key provided');
-      sendResponse({ error: 'API key not configured. Please check your settings.' });
-      return;
-    }
-
-    if (this.isProcessing) {
-      sendResponse({ error: 'Already processing a request' });
+    const job = this.enqueueSummary(transcript, settings, sendResponse);
+    if (!job) {
       return;
     }
 
-    this.isProcessing = true;
-
-    try {
-      backgroundLog.info('Formatting transcript for AI...');
-      const formattedTranscript = this.formatTranscriptForAI(transcript);
-      backgroundLog.info('Formatted transcript metadata:', formattedTranscript.metadata);
-      
-      backgroundLog.info('Calling AI provider...');
-      const summary = await this.callAIProvider(formattedTranscript, settings);
-      
+    // Answers when the job ends; popups following it as it runs use the stream port
+    const outcome = this.getSummaryJobOutcome(this.summaryQueue.toView(await this.summaryQueue.waitFor(job.id)));
+    if (outcome.type === 'done') {
       backgroundLog.info('Summary generated successfully');
-      sendResponse({ summary });
-
-    } catch (error) {
-      backgroundLog.error('Error generating summary:', error);
-      const errorMessage = this.getErrorMessage(error);
-      backgroundLog.error('Sending error response:', errorMessage);
-      sendResponse({ error: errorMessage });
-    } finally {
-      this.isProcessing = false;
+      sendResponse({ summary: outcome.summary, jobId: job.id });
+    } else if (outcome.type === 'cancelled') {
+      sendResponse({ error: 'Summary cancelled', cancelled: true, jobId: job.id });
+    } else {
+      backgroundLog.error('Sending error response:', outcome.error);
+      sendResponse({ error: outcome.error, jobId: job.id });
     }
   }
 
   formatTranscriptForAI(transcript: any) {
-    const entries = transcript.entries || [];
-    
-    // Group by speaker for better context - kept for future reference
-    // const _speakerGroups = entries.reduce((groups: any, entry: any) => {
-    //   const speaker = entry.speakerDisplayName || 'Unknown Speaker';
-    //   if (!groups[speaker]) {
-    //     groups[speaker] = [];
-    //   }
-    //   groups[speaker].push(entry);
-    //   return groups;
-    // }, {});
-
-    // Format entries with timestamps
-    const formattedEntries = entries.map((entry: any) => {
-      const time = entry.startOffset?.split('.')[0] || '00:00:00';
-      return `[${time}] ${entry.speakerDisplayName || 'Speaker'}: ${entry.text}`;
-    });
+    // Same formatting as the popup and transcriptFormatter, whatever produced the transcript
+    return transcriptNormalizer.formatForAI(transcript);
+  }
+
+  prepareForProvider(transcript: any, settings: any) {
+    // Cleanup runs before formatting; redaction runs on the formatted text,
+    // so the preview matches what leaves the browser
+    const cleanup = settings.transcriptCleanup ? cleanTranscript(transcript) : null;
+    const formattedTranscript = this.formatTranscriptForAI(cleanup ? cleanup.transcript : transcript);
+    const redaction = settings.redactPii === false
+      ? { transcript: formattedTranscript, replacements: {}, counts: {} }
+      : transcriptRedactor.redact(formattedTranscript, { terms: settings.redactionTerms || [] });
+    return { ...redaction, cleanup: cleanup ? cleanup.stats : null };
+  }
 
-    // Extract metadata
-    const participants = [...new Set(entries.map((e: any) => e.speakerDisplayName).filter(Boolean))];
-    const duration = this.calculateDuration(entries);
-    const language = entries[0]?.spokenLanguageTag || 'zh-tw';
+  async summarizeTranscript(transcript: any, settings: any, stream: SummaryStream | null = null) {
+    const prepared = this.prepareForProvider(transcript, settings);
+    backgroundLog.info('Formatted transcript metadata:', prepared.transcript.metadata, 'redactions:', prepared.counts, 'cleanup:', prepared.cleanup);
+
+    // Streamed text is restored on the way out, so the popup never shows placeholders
+    const restorer = stream?.onDelta ? transcriptRedactor.createStreamRestorer(prepared.replacements, stream.onDelta) : null;
+    const providerStream = stream ? { signal: stream.signal, onDelta: restorer ? (text: string) => restorer.push(text) : null } : null;
+
+    // One client per job, so every chunk request shares its rate-limit budget
+    const client = this.createProviderClient(settings);
+    const model = this.getSummaryModel(settings);
+    // OpenAI transcripts are counted exactly once the bundled BPE vocabulary is loaded
+    await tokenCounter.loadBundledEncodings();
+    const summary = chunkingStrategy.analyzeChunkingNeeds(prepared.transcript, settings.provider, model).needsChunking
+      ? await this.summarizeInChunks(prepared.transcript, settings, providerStream, client)
+      : await this.callAIProvider(prepared.transcript, settings, this.getPrompt(settings), providerStream, client);
+    restorer?.flush();
+    return transcriptRedactor.restore(summary, prepared.replacements);
+  }
 
-    return {
-      metadata: {
-        participants,
-        duration,
-        language,
-        totalEntries: entries.length
-      },
-      content: formattedEntries.join('\n')
+  async summarizeInChunks(formattedTranscript: any, settings: any, stream: SummaryStream | null = null, client: any = this.createProviderClient(settings)) {
+    const options = {
+      provider: settings.provider,
+      model: this.getSummaryModel(settings),
+      language: settings.language,
+      // e.g. 'topic_segments' to cut at agenda items; unset keeps the hybrid default
+      strategy: settings.chunkingStrategy,
+      concurrency: providerRegistry.getConcurrency(settings),
+      prompt: this.getPrompt(settings),
+      cacheManager: this.getChunkCache(),
+      // Cancelling the job starts no further chunks
+      signal: stream?.signal
+    };
+
+    const summarizePart = async (transcript: any, partOptions: any) => {
+      const intermediate = partOptions.isChunk || partOptions.reduceLevel;
+      // Only the final combine streams; section summaries are not the answer
+      const partStream = stream && intermediate ? { signal: stream.signal, onDelta: null } : stream;
+      const summary = await this.callAIProvider(transcript, settings, this.getChunkPrompt(settings, partOptions), partStream, client);
+      // Section and intermediate summaries feed the next combine; the final combine is the summary
+      return intermediate ? { summary: summary.fullSummary } : summary;
     };
+    const logProgress = (update: any) => {
+      backgroundLog.info(`[Chunks] ${update.stage}: ${update.message}`);
+      // Updates for finished sections carry their outcome
+      if (update.stage === 'chunking' && 'failed' in update && stream?.onProgress) {
+        stream.onProgress(update.current, update.total);
+      }
+    };
+
+    return settings.retryFailedSections
+      ? await chunkingStrategy.retryFailedChunks(formattedTranscript, summarizePart, options, logProgress)
+      : await chunkingStrategy.processLargeTranscript(formattedTranscript, summarizePart, options, logProgress);
   }
 
-  calculateDuration(entries: any[]): string {
-    if (!entries || entries.length === 0) return '00:00:00';
-    
-    const startTimes = entries.map(e => e.startOffset || '00:00:00');
-    const endTimes = entries.map(e => e.endOffset || '00:00:00');
-    
-    // Find first and last timestamps
-    const firstTime = startTimes[0];
-    const lastTime = endTimes[endTimes.length - 1];
-    
-    // Calculate duration (simplified - would need proper time parsing)
-    return this.parseDuration(firstTime, lastTime);
+  getSummaryModel(settings: any) {
+    return providerRegistry.getSummaryModel(settings);
   }
 
-  parseDuration(_start: string, end: string): string {
-    // Simplified duration calculation
-    return end || '01:00:00';
+  requiresApiKey(settings: any) {
+    // Unknown providers fail later with 'Unsupported AI provider'
+    return !providerRegistry.has(settings?.provider) || providerRegistry.get(settings.provider).requiresApiKey;
   }
 
-  async callAIProvider(formattedTranscript: any, settings: any) {
-    const { provider, apiKey, language, promptTemplate, customPrompt } = settings;
-    
-    backgroundLog.info('callAIProvider - provider:', provider);
-    
-    if (!apiKey) {
-      throw new Error('API key not configured');
+  getChunkPrompt(settings: any, partOptions: any) {
+    if (partOptions.isChunk) {
+      return `This is part ${partOptions.chunkIndex + 1} of ${partOptions.totalChunks} of a longer meeting transcript. ` +
+        `Summarize only this part in ${settings.language}: main discussion points, decisions, and action items with owners.`;
     }
-
-    const prompt = customPrompt || this.getDefaultPrompt(promptTemplate, language);
-    backgroundLog.info('Using prompt template:', promptTemplate);
-    
-    switch (provider) {
-      case 'openai':
-        backgroundLog.info('Calling OpenAI API...');
-        return await this.callOpenAI(apiKey, prompt, formattedTranscript, language);
-      case 'anthropic':
-        backgroundLog.info('Calling Anthropic API...');
-        return await this.callAnthropic(apiKey, prompt, formattedTranscript, language);
-      default:
-        throw new Error(`Unsupported AI provider: ${provider}`);
+    if (partOptions.isCombinung) {
+      return `The transcript below consists of summaries of consecutive parts of one meeting, in order. ` +
+        `Combine them into one summary of the whole meeting without repeating points. ` +
+        `Where a section header names its topic keywords, use them as headings.\n\n${this.getPrompt(settings)}`;
     }
+    return this.getPrompt(settings);
   }
 
-  async callOpenAI(apiKey: string, prompt: string, transcript: any, language: string) {
-    backgroundLog.info('[OpenAI] Starting API call...');
-    
-    const messages = [
-      {
-        role: 'system',
-        content: `${prompt}\nOutput language: ${language}`
-      },
-      {
-        role: 'user',
-        content: `Meeting transcript:\n${transcript.content}\n\nParticipants: ${transcript.metadata.participants.join(', ')}`
-      }
-    ];
+  getChunkCache() {
+    if (!this.chunkCache) {
+      this.chunkCache = new CacheManager();
+    }
+    return this.chunkCache;
+  }
 
-    const requestBody = {
-      model: 'gpt-4.1',  // Use gpt-4.1 which should have larger context window
-      messages,
-      temperature: 0.3,
-      max_tokens: 4096
+  previewSummaryRequest(transcript: any, settings: any) {
+    const prepared = this.prepareForProvider(transcript, settings);
+    return {
+      provider: settings.provider,
+      messages: this.buildProviderMessages(settings.provider, this.getPrompt(settings), prepared.transcript, settings.language),
+      redactions: prepared.counts,
+      cleanup: prepared.cleanup
     };
+  }
 
-    backgroundLog.info('[OpenAI] Request configuration:', {
-      model: requestBody.model,
-      temperature: requestBody.temperature,
-      messageCount: messages.length,
-      transcriptLength: transcript.content.length,
-      apiKeyPrefix: apiKey.substring(0, 8) + '...'
-    });
-
-    try {
-      backgroundLog.info('[OpenAI] Sending request to API...');
-      const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-      });
-
-      backgroundLog.info('[OpenAI] Response received - Status:', response.status);
-      backgroundLog.info('[OpenAI] Response headers:', {
-        contentType: response.headers.get('content-type'),
-        rateLimitRemaining: response.headers.get('x-ratelimit-remaining'),
-        rateLimitReset: response.headers.get('x-ratelimit-reset')
-      });
+  getPrompt(settings: any) {
+    return settings.customPrompt || this.getDefaultPrompt(settings.promptTemplate, settings.language);
+  }
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        backgroundLog.error('[OpenAI] API error response:', errorText);
-        
-        // Parse error for better messaging
-        try {
-          const errorData = JSON.parse(errorText);
-          if (errorData.error?.message) {
-            throw new Error(`OpenAI API Error: ${errorData.error.message}`);
-          }
-        } catch (e) {
-          // If parsing fails, use raw error
-        }
-        
-        throw new Error(`OpenAI API Error: ${response.status} - ${errorText}`);
-      }
+  buildProviderMessages(provider: string, prompt: string, transcript: any, language: string) {
+    const meetingText = `Meeting transcript:\n${transcript.content}\n\n${this.describeMeeting(transcript.metadata)}`;
+    // Each provider puts the instructions where its API expects them
+    return providerRegistry.createClient(provider).buildMessages(`${prompt}\nOutput language: ${language}`, meetingText);
+  }
 
-      backgroundLog.info('[OpenAI] Parsing response JSON...');
-      const data = await response.json();
-      
-      backgroundLog.info('[OpenAI] Response data received:', {
-        hasChoices: !!data.choices,
-        choicesCount: data.choices?.length,
-        hasContent: !!data.choices?.[0]?.message?.content,
-        contentLength: data.choices?.[0]?.message?.content?.length,
-        usage: data.usage
-      });
-      
-      if (!data.choices?.[0]?.message?.content) {
-        throw new Error('OpenAI returned empty response');
-      }
-      
-      backgroundLog.info('[OpenAI] Formatting summary...');
-      return this.formatSummary(data.choices[0].message.content);
-      
-    } catch (error) {
-      backgroundLog.error('[OpenAI] Error during API call:', error);
-      throw error;
+  createProviderClient(settings: any) {
+    if (this.requiresApiKey(settings) && !settings.apiKey) {
+      throw new Error('API key not configured');
     }
+    return providerRegistry.createConfiguredClient(settings);
   }
 
-  async callAnthropic(apiKey: string, prompt: string, transcript: any, language: string) {
-    const requestBody = {
-      model: 'claude-3-sonnet-20240229',  // Fixed model name
-      max_tokens: 4096,
-      temperature: 0.3,
-      messages: [{
-        role: 'user',
-        content: `${prompt}\nOutput language: ${language}\n\nMeeting transcript:\n${transcript.content}\n\nParticipants: ${transcript.metadata.participants.join(', ')}`
-      }]
-    };
-
-    backgroundLog.info('Anthropic request body:', { model: requestBody.model, temperature: requestBody.temperature });
-
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-        'content-type': 'application/json'
-      },
-      body: JSON.stringify(requestBody)
-    });
+  async callAIProvider(formattedTranscript: any, settings: any, prompt: string = this.getPrompt(settings), stream: SummaryStream | null = null, client: any = this.createProviderClient(settings)) {
+    const { provider, language, promptTemplate } = settings;
+    
+    backgroundLog.info('callAIProvider - provider:', provider);
+    backgroundLog.info('Using prompt template:', promptTemplate);
 
-    backgroundLog.info('Anthropic response status:', response.status);
+    const model = await client.resolveModel();
+    backgroundLog.info(`Calling ${client.displayName} (${model})...`);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      backgroundLog.error('Anthropic API error response:', errorText);
-      throw new Error(`Anthropic API Error: ${response.status} - ${errorText}`);
-    }
+    const messages = this.buildProviderMessages(provider, prompt, formattedTranscript, language);
+    const options = {
+      model,
+      temperature: 0.3,
+      // Local servers keep a smaller output budget of their own
+      maxTokens: Math.min(SUMMARY_MAX_TOKENS, client.maxOutputTokens)
+    };
+    const result = stream?.onDelta
+      ? await client.stream(messages, { ...options, signal: stream.signal }, stream.onDelta)
+      : await client.complete(messages, { ...options, signal: stream?.signal });
+
+    backgroundLog.info('Response received:', { model: result.model, usage: result.usage, contentLength: result.text.length, stopped: !!result.stopped });
+    const summary = this.formatSummary(result.text, formattedTranscript.metadata);
+    // A stopped summary holds the text written before the stop
+    return result.stopped ? { ...summary, stopped: true } : summary;
+  }
 
-    const data = await response.json();
-    backgroundLog.info('Anthropic response received, formatting summary...');
-    return this.formatSummary(data.content[0]?.text || '');
+  describeMeeting(metadata: any) {
+    // Durations come from the normalizer: first-to-last entry span, speech counted once
+    const timing = metadata.speakingTime
+      ? ` (speaking ${metadata.speakingTime}, silence ${metadata.silence})`
+      : '';
+    return `Participants: ${metadata.participants.join(', ')}\nDuration: ${metadata.duration}${timing}`;
   }
 
-  formatSummary(content: string) {
+  formatSummary(content: string, metadata?: any) {
     // Parse the AI response into structured format
     const sections = this.parseSummarySections(content);
     
     return {
       title: sections.title || 'Meeting Summary',
       date: new Date().toISOString().split('T')[0],
-      duration: '--',
-      participants: [],
+      duration: metadata?.duration || '--',
+      participants: metadata?.participants || [],
       keyPoints: sections.keyPoints || [],
       actionItems: sections.actionItems || [],
       decisions: sections.decisions || [],
@@ -547,6 +924,14 @@ ${sections.decisions.map((d: string) => d).join('\n')}
     return Date.now() - this.sessionData.timestamp > oneHour;
   }
 
+  isGraphSessionExpired(): boolean {
+    if (!this.graphSession) return true;
+
+    // Graph access tokens are valid for about an hour
+    const oneHour = 60 * 60 * 1000;
+    return Date.now() - this.graphSession.timestamp > oneHour;
+  }
+
   startSessionCleanup() {
     // Clean up expired session data every 30 minutes
     setInterval(() => {
@@ -554,6 +939,9 @@ ${sections.decisions.map((d: string) => d).join('\n')}
         this.sessionData = null;
         backgroundLog.info('Expired session data cleaned up');
       }
+      if (this.graphSession && this.isGraphSessionExpired()) {
+        this.graphSession = null;
+      }
     }, 30 * 60 * 1000);
   }
 
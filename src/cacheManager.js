@@ -11,6 +11,7 @@ class CacheManager {
     this.CACHE_KEYS = {
       TRANSCRIPTS: 'cached_transcripts',
       SUMMARIES: 'cached_summaries',
+      CHUNKS: 'cached_chunk_summaries',
       METADATA: 'cache_metadata',
       PERFORMANCE: 'performance_metrics'
     };
@@ -23,6 +24,9 @@ class CacheManager {
       maxEntries: 100,
       cleanupInterval: 60 * 60 * 1000 // 1 hour
     };
+
+    // Last queued change to the chunk cache; see withChunkCacheLock
+    this.chunkCacheLock = Promise.resolve();
     
     this.initializeCache();
   }
@@ -181,6 +185,74 @@ class CacheManager {
     }
   }
 
+  /**
+   * Get a cached chunk summary from a large-transcript run
+   */
+  async getCachedChunkResult(transcriptHash, chunkIndex, promptHash) {
+    try {
+      const chunkCache = await this.getStorageItem(this.CACHE_KEYS.CHUNKS) || {};
+      const cacheKey = `${transcriptHash}_${chunkIndex}_${promptHash}`;
+      const cached = chunkCache[cacheKey];
+      
+      if (!cached) {
+        return null;
+      }
+      
+      // Check if expired
+      if (Date.now() - cached.timestamp > this.config.summaryTTL) {
+        await this.withChunkCacheLock(async () => {
+          const latest = await this.getStorageItem(this.CACHE_KEYS.CHUNKS) || {};
+          delete latest[cacheKey];
+          await this.setStorageItem(this.CACHE_KEYS.CHUNKS, latest);
+        });
+        return null;
+      }
+      
+      console.log(`Cache hit for chunk: ${cacheKey}`);
+      return cached.data;
+    } catch (error) {
+      console.error('Failed to get cached chunk result:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Cache one chunk summary so a retry only re-runs the chunks that failed
+   */
+  async cacheChunkResult(transcriptHash, chunkIndex, promptHash, result) {
+    try {
+      await this.withChunkCacheLock(async () => {
+        // Check cache size limits
+        await this.enforceStorageLimits(this.CACHE_KEYS.CHUNKS);
+        
+        const chunkCache = await this.getStorageItem(this.CACHE_KEYS.CHUNKS) || {};
+        const cacheKey = `${transcriptHash}_${chunkIndex}_${promptHash}`;
+        
+        chunkCache[cacheKey] = {
+          data: result,
+          timestamp: Date.now(),
+          lastAccessed: Date.now(),
+          size: this.calculateDataSize(result),
+          version: this.CACHE_VERSION
+        };
+        await this.setStorageItem(this.CACHE_KEYS.CHUNKS, chunkCache);
+      });
+    } catch (error) {
+      console.error('Failed to cache chunk result:', error);
+    }
+  }
+
+  /**
+   * Run a read-modify-write of the chunk cache after the ones already queued.
+   * Chunks summarized in parallel finish together; unqueued, the last write
+   * would drop the results the others just stored.
+   */
+  async withChunkCacheLock(task) {
+    const run = this.chunkCacheLock.then(task);
+    this.chunkCacheLock = run.catch(() => {});
+    return run;
+  }
+
   /**
    * Generate hash for transcript to use as cache key
    */
@@ -240,6 +312,24 @@ class CacheManager {
         console.log(`Cleaned up ${cleanedSummaries} expired summaries`);
       }
       
+      // Cleanup chunk summaries
+      await this.withChunkCacheLock(async () => {
+        const chunkCache = await this.getStorageItem(this.CACHE_KEYS.CHUNKS) || {};
+        let cleanedChunks = 0;
+        
+        for (const [key, entry] of Object.entries(chunkCache)) {
+          if (Date.now() - entry.timestamp > this.config.summaryTTL) {
+            delete chunkCache[key];
+            cleanedChunks++;
+          }
+        }
+        
+        if (cleanedChunks > 0) {
+          await this.setStorageItem(this.CACHE_KEYS.CHUNKS, chunkCache);
+          console.log(`Cleaned up ${cleanedChunks} expired chunk summaries`);
+        }
+      });
+      
       // Update statistics
       await this.updateCacheStats('cleanup_completed', {
         transcriptsRemoved: cleanedTranscripts,
@@ -339,7 +429,8 @@ class CacheManager {
     try {
       await Promise.all([
         this.removeStorageItem(this.CACHE_KEYS.TRANSCRIPTS),
-        this.removeStorageItem(this.CACHE_KEYS.SUMMARIES)
+        this.removeStorageItem(this.CACHE_KEYS.SUMMARIES),
+        this.withChunkCacheLock(() => this.removeStorageItem(this.CACHE_KEYS.CHUNKS))
       ]);
       
       await this.updateCacheStats('cache_cleared');
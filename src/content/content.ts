@@ -1,4 +1,5 @@
-// Content script for detecting SharePoint Stream pages and extracting meeting metadata
+// Content script for detecting SharePoint Stream pages (and meeting recaps in Teams on the web)
+// and extracting meeting metadata
 
 // Production-safe logging helper
 const contentLog = {
@@ -24,11 +25,14 @@ interface MeetingInfo {
   itemId: string;
   transcriptId: string;
   meetingPath: string;
+  joinWebUrl?: string;
 }
 
 class StreamPageDetector {
   private isStreamPage: boolean = false;
+  private isTeamsPage: boolean = false;
   private meetingInfo: MeetingInfo | null = null;
+  private captionCapture: any = null;
 
   constructor() {
     this.initialize();
@@ -38,7 +42,70 @@ class StreamPageDetector {
     if (this.isSharePointStreamPage()) {
       this.isStreamPage = true;
       this.extractMeetingInfo();
+      this.applyMediaRegistry();
       this.setupMessageListener();
+    } else if (this.isTeamsWebPage()) {
+      // Teams is a single-page app: the recap is resolved when the popup asks for it
+      this.isTeamsPage = true;
+      this.setupMessageListener();
+    }
+  }
+
+  // Bring meeting info up to date before answering the popup
+  async refreshMeetingInfo(): Promise<void> {
+    if (this.isTeamsPage) {
+      await this.detectTeamsRecap();
+    } else {
+      await this.applyMediaRegistry();
+    }
+  }
+
+  isTeamsWebPage(): boolean {
+    const recapDetector = (window as any).teamsRecapDetector;
+    return !!recapDetector && recapDetector.isTeamsPage(window.location.href);
+  }
+
+  // Resolve the recording behind the recap currently shown in Teams
+  async detectTeamsRecap(): Promise<void> {
+    let media = null;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getMediaInfo' });
+      media = response?.media || null;
+    } catch (error) {
+      contentLog.warn('Media registry unavailable:', error);
+    }
+
+    const resourceUrls = window.performance
+      ? performance.getEntriesByType('resource').map(entry => entry.name)
+      : [];
+
+    this.meetingInfo = (window as any).teamsRecapDetector.detect(document, { media, resourceUrls });
+    contentLog.info('Teams recap meeting info:', this.meetingInfo);
+  }
+
+  // Prefer the IDs the background saw in this tab's transcripts API calls over scraped ones
+  async applyMediaRegistry(): Promise<void> {
+    if (!this.meetingInfo) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getMediaInfo' });
+      const media = response?.media;
+      if (!media?.driveId || !media?.itemId) {
+        contentLog.info('No media recorded for this tab yet, keeping scraped IDs');
+        return;
+      }
+
+      const sameItem = media.driveId === this.meetingInfo.driveId && media.itemId === this.meetingInfo.itemId;
+      this.meetingInfo = {
+        ...this.meetingInfo,
+        siteUrl: media.siteUrl,
+        driveId: media.driveId,
+        itemId: media.itemId,
+        transcriptId: media.transcriptId || (sameItem ? this.meetingInfo.transcriptId : '')
+      };
+      contentLog.info('Meeting info updated from media registry:', this.meetingInfo);
+    } catch (error) {
+      contentLog.warn('Media registry unavailable:', error);
     }
   }
 
@@ -284,11 +351,39 @@ class StreamPageDetector {
         contentLog.info('Content script received message:', request);
         
         if (request.action === 'getMeetingInfo') {
-          contentLog.info('Returning meeting info:', this.meetingInfo);
-          sendResponse({ meetingInfo: this.meetingInfo });
+          this.refreshMeetingInfo().then(() => {
+            contentLog.info('Returning meeting info:', this.meetingInfo);
+            sendResponse({ meetingInfo: this.meetingInfo });
+          }).catch((error: any) => {
+            // An unexpected Teams DOM must not leave the popup waiting on a closed channel
+            contentLog.error('Error refreshing meeting info:', error);
+            sendResponse({ meetingInfo: null, error: error instanceof Error ? error.message : String(error) });
+          });
+          return true; // Keep message channel open for async response
+        } else if (request.action === 'listTranscripts') {
+          contentLog.info('Transcript list requested');
+          this.handleListTranscripts(sendResponse);
+          return true; // Keep message channel open for async response
         } else if (request.action === 'extractTranscript') {
-          contentLog.info('Extract transcript requested');
-          this.handleExtractTranscript(sendResponse);
+          contentLog.info('Extract transcript requested', request.transcriptIds);
+          this.handleExtractTranscript(sendResponse, request.transcriptIds);
+          return true; // Keep message channel open for async response
+        } else if (request.action === 'startCaptionCapture') {
+          this.handleStartCaptionCapture(sendResponse);
+          return true;
+        } else if (request.action === 'stopCaptionCapture') {
+          this.handleStopCaptionCapture(sendResponse);
+          return true; // Keep message channel open for async response
+        } else if (request.action === 'getCaptionStatus') {
+          sendResponse({ status: this.captionCapture ? this.captionCapture.getStatus() : null });
+          return true;
+        } else if (request.action === 'listRecordings') {
+          contentLog.info('Batch recording list requested', request.sources);
+          this.handleListRecordings(sendResponse, request.sources);
+          return true; // Keep message channel open for async response
+        } else if (request.action === 'fetchRecordingTranscript') {
+          contentLog.info('Batch transcript requested', request.recording);
+          this.handleFetchRecordingTranscript(sendResponse, request.recording);
           return true; // Keep message channel open for async response
         }
       } catch (error) {
@@ -299,9 +394,48 @@ class StreamPageDetector {
     });
   }
 
-  async handleExtractTranscript(sendResponse: (response: any) => void) {
+  // Meeting info in the shape StreamApiClient expects
+  buildApiMeetingInfo(meetingInfo: MeetingInfo) {
+    return {
+      url: meetingInfo.url,
+      siteUrl: meetingInfo.siteUrl,
+      driveId: meetingInfo.driveId,
+      itemId: meetingInfo.itemId,
+      transcriptId: meetingInfo.transcriptId,
+      isValid: true // Required by the API
+    };
+  }
+
+  async handleListTranscripts(sendResponse: (response: any) => void) {
+    try {
+      await this.refreshMeetingInfo();
+
+      if (!this.meetingInfo) {
+        sendResponse({ error: 'No meeting information available' });
+        return;
+      }
+
+      const streamApiClient = (window as any).StreamApiClient;
+      if (typeof streamApiClient === 'undefined') {
+        sendResponse({ error: 'StreamApiClient not available' });
+        return;
+      }
+
+      const streamApi = new streamApiClient();
+      const transcripts = await streamApi.listTranscripts(this.buildApiMeetingInfo(this.meetingInfo));
+
+      contentLog.info('Available transcripts:', transcripts);
+      sendResponse({ success: true, transcripts });
+    } catch (error) {
+      contentLog.error('Error listing transcripts:', error);
+      sendResponse({ error: error instanceof Error ? error.message : String(error) });
+    }
+  }
+
+  async handleExtractTranscript(sendResponse: (response: any) => void, transcriptIds?: string[]) {
     try {
       contentLog.info('Starting transcript extraction...');
+      await this.refreshMeetingInfo();
       
       if (!this.meetingInfo) {
         contentLog.warn('No meeting info available for transcript extraction');
@@ -332,15 +466,8 @@ class StreamPageDetector {
               const streamApi = new retryClient();
               contentLog.info('StreamApiClient initialized after retry');
               
-              // Extract transcript using the meeting info - use fetchTranscript method
-              streamApi.fetchTranscript({
-                url: this.meetingInfo!.url,
-                siteUrl: this.meetingInfo!.siteUrl,
-                driveId: this.meetingInfo!.driveId,
-                itemId: this.meetingInfo!.itemId,
-                transcriptId: this.meetingInfo!.transcriptId,
-                isValid: true // Required by the API
-              }).then((transcriptResult: any) => {
+              // Extract the selected transcripts (falls back to the default one when none are selected)
+              streamApi.fetchTranscripts(this.buildApiMeetingInfo(this.meetingInfo!), transcriptIds).then((transcriptResult: any) => {
                 contentLog.info('Transcript extraction result:', transcriptResult);
                 sendResponse({ success: true, transcript: transcriptResult });
               }).catch((error: any) => {
@@ -359,15 +486,11 @@ class StreamPageDetector {
       const streamApi = new (window as any).StreamApiClient();
       contentLog.info('StreamApiClient initialized');
 
-      // Extract transcript using the meeting info - use fetchTranscript method
-      const transcriptResult = await streamApi.fetchTranscript({
-        url: this.meetingInfo.url,
-        siteUrl: this.meetingInfo.siteUrl,
-        driveId: this.meetingInfo.driveId,
-        itemId: this.meetingInfo.itemId,
-        transcriptId: this.meetingInfo.transcriptId,
-        isValid: true // Required by the API
-      });
+      // Extract the selected transcripts (falls back to the default one when none are selected)
+      const transcriptResult = await streamApi.fetchTranscripts(
+        this.buildApiMeetingInfo(this.meetingInfo),
+        transcriptIds
+      );
 
       contentLog.info('Transcript extraction result:', transcriptResult);
       sendResponse({ success: true, transcript: transcriptResult });
@@ -378,6 +501,82 @@ class StreamPageDetector {
     }
   }
 
+  // Live captions: for meetings that are never recorded, read the captions Teams shows during the call
+  handleStartCaptionCapture(sendResponse: (response: any) => void) {
+    try {
+      if (!this.isTeamsPage) {
+        sendResponse({ error: 'Live captions can only be captured in Teams on the web' });
+        return;
+      }
+
+      const LiveCaptionCapture = (window as any).LiveCaptionCapture;
+      this.captionCapture = new LiveCaptionCapture();
+      this.captionCapture.start(document, {
+        onMeetingEnded: () => contentLog.info('Meeting ended, caption capture stopped')
+      });
+      sendResponse({ success: true, status: this.captionCapture.getStatus() });
+    } catch (error) {
+      contentLog.error('Error starting caption capture:', error);
+      sendResponse({ error: error instanceof Error ? error.message : String(error) });
+    }
+  }
+
+  async handleStopCaptionCapture(sendResponse: (response: any) => void) {
+    try {
+      if (!this.captionCapture) {
+        sendResponse({ error: 'Live caption capture was not started' });
+        return;
+      }
+
+      this.captionCapture.stop();
+      const status = this.captionCapture.getStatus();
+      if (status.entryCount === 0) {
+        sendResponse({ error: 'No captions were captured. Turn on live captions in the Teams meeting.', status });
+        return;
+      }
+
+      // Parse like a Stream transcript so the popup and summary pipeline treat it the same
+      const title = (window as any).teamsRecapDetector?.extractTitle(document) || 'Teams Meeting';
+      const streamApi = new (window as any).StreamApiClient();
+      const transcript = await streamApi.parseTranscriptContent(
+        this.captionCapture.recorder.toStreamTranscript(),
+        {
+          title,
+          url: window.location.href,
+          siteUrl: '',
+          transcriptStartedAt: new Date(status.startedAt).toISOString()
+        }
+      );
+      sendResponse({ success: true, transcript, status });
+    } catch (error) {
+      contentLog.error('Error stopping caption capture:', error);
+      sendResponse({ error: error instanceof Error ? error.message : String(error) });
+    }
+  }
+
+  // Batch mode: the background drives these calls so they run with this page's SharePoint session
+  async handleListRecordings(sendResponse: (response: any) => void, sources: string[]) {
+    try {
+      const streamApi = new (window as any).StreamApiClient();
+      const result = await streamApi.listRecordings(sources || []);
+      sendResponse({ success: true, ...result });
+    } catch (error) {
+      contentLog.error('Error listing batch recordings:', error);
+      sendResponse({ error: error instanceof Error ? error.message : String(error) });
+    }
+  }
+
+  async handleFetchRecordingTranscript(sendResponse: (response: any) => void, recording: any) {
+    try {
+      const streamApi = new (window as any).StreamApiClient();
+      const transcript = await streamApi.fetchTranscript({ ...recording, isValid: true });
+      sendResponse({ success: true, transcript });
+    } catch (error) {
+      contentLog.error('Error fetching batch transcript:', error);
+      sendResponse({ error: error instanceof Error ? error.message : String(error) });
+    }
+  }
+
   // Monitor for dynamic content changes
   monitorPageChanges() {
     if (!this.isStreamPage) return;
@@ -24,6 +24,22 @@ const MIME_TYPES = {
     [EXPORT_FORMATS.TEXT]: 'text/plain'
 };
 
+// Batch export bundle (ZIP archive)
+const BUNDLE_MIME_TYPE = 'application/zip';
+
+// CRC-32 lookup table for ZIP entries
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
 /**
  * Export Manager class
  */
@@ -468,6 +484,161 @@ class ExportManager {
         return `${baseFilename}${dateString}${timeString}${extension}`;
     }
 
+    /**
+     * Collect a finished batch job into one ZIP bundle: index.md plus a
+     * summary.md and transcript.txt folder per recording
+     * @param {Object} job - Batch job (see BatchProcessor)
+     * @returns {Object} Export result with binary content
+     */
+    createBatchBundle(job) {
+        if (!job || !Array.isArray(job.items)) {
+            throw new Error('Invalid batch job: missing items');
+        }
+
+        const files = [];
+        const usedFolders = new Set();
+        let index = `# Batch Summary\n\n`;
+        index += `**Generated:** ${new Date().toISOString()}\n\n`;
+        index += `**Recordings:** ${job.items.length} (${job.progress.completed} summarized, ${job.progress.failed} failed)\n\n`;
+        index += '| # | Meeting | Status | Files |\n|---|---|---|---|\n';
+
+        job.items.forEach((item, position) => {
+            const number = String(position + 1).padStart(2, '0');
+            const title = item.recording.title || 'Untitled Meeting';
+            let folder = `${number}_${this.sanitizeFilename(title) || 'meeting'}`;
+            while (usedFolders.has(folder)) {
+                folder += '_';
+            }
+            usedFolders.add(folder);
+
+            const links = [];
+            if (item.summary) {
+                const summaryText = item.summary.fullSummary || item.summary.markdown || '';
+                files.push({
+                    name: `${folder}/summary.md`,
+                    content: `# ${title}\n\n**Recording:** ${item.recording.url}\n\n${this.formatMeetingTime(item)}${summaryText}\n`
+                });
+                links.push(`[summary](${folder}/summary.md)`);
+            }
+            if (item.transcriptText) {
+                files.push({ name: `${folder}/transcript.txt`, content: item.transcriptText });
+                links.push(`[transcript](${folder}/transcript.txt)`);
+            }
+
+            const status = item.error ? `${item.status}: ${item.error}` : item.status;
+            index += `| ${number} | [${title.replace(/\|/g, '\\|')}](${item.recording.url}) | ${status.replace(/\|/g, '\\|')} | ${links.join(' ')} |\n`;
+        });
+
+        if (job.sourceErrors && job.sourceErrors.length > 0) {
+            index += '\n## Skipped Sources\n\n';
+            job.sourceErrors.forEach(({ source, error }) => {
+                index += `- ${source}: ${error}\n`;
+            });
+        }
+
+        files.unshift({ name: 'index.md', content: index });
+
+        const content = this.createZipArchive(files);
+        const date = new Date(job.createdAt || Date.now());
+        const dateString = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+        return {
+            content,
+            contentType: BUNDLE_MIME_TYPE,
+            filename: `meeting-summaries_${dateString}.zip`,
+            size: content.length,
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Meeting time line for a batch item, when its transcript could be anchored to the clock
+     * @param {Object} item - Batch job item with meetingStart / meetingEnd ISO times
+     * @returns {string} Markdown line, or an empty string
+     */
+    formatMeetingTime(item) {
+        if (!item.meetingStart) {
+            return '';
+        }
+        const start = new Date(item.meetingStart).toLocaleString();
+        const end = item.meetingEnd ? new Date(item.meetingEnd).toLocaleTimeString() : '';
+        return `**Meeting Time:** ${start}${end ? ` - ${end}` : ''}\n\n`;
+    }
+
+    /**
+     * Build an uncompressed ZIP archive
+     * @param {Array<Object>} files - { name, content } entries with string content
+     * @returns {Uint8Array} ZIP file bytes
+     */
+    createZipArchive(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true); // Local file header signature
+            local.setUint16(4, 20, true); // Version needed
+            local.setUint16(6, 0x0800, true); // UTF-8 file names
+            local.setUint16(8, 0, true); // Stored (no compression)
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            localParts.push(new Uint8Array(local.buffer), name, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // Central directory signature
+            central.setUint16(4, 20, true); // Version made by
+            central.setUint16(6, 20, true); // Version needed
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true); // Local header offset
+            centralParts.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        }
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // End of central directory signature
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const archive = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        for (const part of parts) {
+            archive.set(part, position);
+            position += part.length;
+        }
+        return archive;
+    }
+
+    /**
+     * CRC-32 checksum of a byte array
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} Unsigned CRC-32
+     */
+    crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
     /**
      * Copy content to clipboard
      * @param {string} content - Content to copy
@@ -1,4 +1,27 @@
 import '../popup/popup.css';
+import { cleanTranscript } from '../utils/transcriptFormatter';
+
+const { transcriptImporter } = require('../utils/transcriptImporter.js');
+const { createTranscriptSource } = require('../api/transcriptSource.js');
+const { exportManager } = require('../export/exportManager.js');
+const { transcriptTimeline } = require('../utils/transcriptTimeline.js');
+const { transcriptNormalizer } = require('../utils/transcriptNormalizer.js');
+const { speakerMapper, DEFAULT_TENANT } = require('../utils/speakerMapper.js');
+const { storageManager } = require('../storage/storageManager.js');
+const { providerRegistry } = require('../api/providerRegistry.js');
+
+const BATCH_POLL_INTERVAL = 2000; // 2 seconds
+const CAPTION_POLL_INTERVAL = 2000; // 2 seconds
+const SUMMARY_STREAM_PORT = 'summary-stream'; // see background.ts
+
+const BATCH_ITEM_LABELS: Record<string, string> = {
+  pending: '等待中',
+  extracting: '提取逐字稿中',
+  summarizing: '產生摘要中',
+  done: '完成',
+  failed: '失敗',
+  cancelled: '已停止'
+};
 
 interface MeetingInfo {
   url: string;
@@ -8,21 +31,83 @@ interface MeetingInfo {
   driveId: string;
   itemId: string;
   transcriptId: string;
+  joinWebUrl?: string;
+}
+
+interface TranscriptOption {
+  id: string;
+  displayName: string;
+  language: string;
+  createdDateTime: string | null;
+  size: number | null;
+}
+
+interface CaptionCaptureStatus {
+  capturing: boolean;
+  entryCount: number;
+  speakers: string[];
+  startedAt: number | null;
+}
+
+// A registered provider's ID (see providerRegistry.js)
+type AIProvider = string;
+
+// Extra settings of a provider, e.g. Azure's endpoint and deployment
+type ProviderSettings = Record<string, string>;
+
+interface ProviderField {
+  key: string;
+  label: string;
+  type?: string;
+  placeholder?: string;
+  value?: string;
+  required?: boolean;
+  discover?: boolean;
+}
+
+interface ProviderAdapter {
+  id: AIProvider;
+  label: string;
+  requiresApiKey: boolean;
+  fields: ProviderField[];
+  hostField: string | null;
+  hint: string | null;
 }
 
 interface ExtensionSettings {
-  provider: 'openai' | 'anthropic';
+  provider: AIProvider;
   apiKey: string;
   language: string;
   promptTemplate: string;
   customPrompt?: string;
+  transcriptSource?: 'stream' | 'graph';
+  timestampStyle?: 'offset' | 'clock';
+  transcriptCleanup?: boolean;
+  redactPii?: boolean;
+  redactionTerms?: string[];
+  // Chunks summarized at once; 0 keeps the provider's default
+  chunkConcurrency?: number;
+  // How long meetings are cut into sections (see CHUNKING_STRATEGIES in chunkingStrategy.js)
+  chunkingStrategy?: string;
+  // Provider settings are stored under the provider's ID (settings.azure, settings.local)
+  [providerId: string]: ProviderSettings | string | string[] | number | boolean | undefined;
 }
 
 class PopupManager {
   // private _currentView: string = 'setup-view';
   private meetingInfo: MeetingInfo | null = null;
   private transcript: any = null;
+  private transcriptOptions: TranscriptOption[] = [];
+  private transcriptSource: 'stream' | 'graph' = 'stream';
+  private timestampStyle: 'offset' | 'clock' = 'offset';
+  private transcriptCleanup: boolean = false;
   private summary: any = null;
+  private speakerMapping: Record<string, string> = {};
+  private batchJob: any = null;
+  private batchPollTimer: ReturnType<typeof setTimeout> | null = null;
+  private captionPollTimer: ReturnType<typeof setTimeout> | null = null;
+  private summaryPort: chrome.runtime.Port | null = null;
+  private summaryJobId: string | null = null;
 
   constructor() {
     this.initializePopup();
@@ -30,10 +115,13 @@ class PopupManager {
 
   async initializePopup() {
     try {
+      this.renderProviders();
       await this.loadSettings();
       this.setupEventListeners();
       await this.restoreState();
       await this.checkCurrentTab();
+      await this.resumeSummaryJob();
+      await this.refreshBatchStatus();
     } catch (error) {
       console.error('[POPUP] Error during initialization:', error);
     }
@@ -43,20 +131,37 @@ class PopupManager {
     const result = await chrome.storage.local.get([
       'provider', 
       'apiKey', 
+      ...this.getProviderSettingKeys(),
       'language', 
       'promptTemplate', 
-      'customPrompt'
+      'customPrompt',
+      'transcriptSource',
+      'timestampStyle',
+      'transcriptCleanup',
+      'redactPii',
+      'redactionTerms',
+      'chunkConcurrency',
+      'chunkingStrategy'
     ]);
 
     const settings: ExtensionSettings = {
+      ...result,
       provider: result.provider || 'openai',
       apiKey: result.apiKey || '',
       language: result.language || 'zh-TW',
       promptTemplate: result.promptTemplate || 'default',
-      customPrompt: result.customPrompt
+      customPrompt: result.customPrompt,
+      transcriptSource: result.transcriptSource || 'stream',
+      timestampStyle: result.timestampStyle || 'offset',
+      transcriptCleanup: !!result.transcriptCleanup,
+      redactPii: result.redactPii !== false,
+      redactionTerms: result.redactionTerms || [],
+      chunkConcurrency: result.chunkConcurrency || 0,
+      chunkingStrategy: result.chunkingStrategy || 'hybrid'
     };
 
-    if (result.apiKey) {
+    // Some providers (local servers) need no key
+    if (result.apiKey || (result.provider && !this.getProvider(result.provider)?.requiresApiKey)) {
       this.showView('main-view');
       this.populateSettings(settings);
     } else {
@@ -70,12 +175,45 @@ class PopupManager {
     const settingsApiKey = document.getElementById('settings-api-key') as HTMLInputElement;
     const settingsLanguage = document.getElementById('settings-language') as HTMLSelectElement;
     const promptTemplate = document.getElementById('prompt-template') as HTMLSelectElement;
+    const transcriptSource = document.getElementById('settings-transcript-source') as HTMLSelectElement;
+    const timestampStyle = document.getElementById('settings-timestamp-style') as HTMLSelectElement;
+    const transcriptCleanup = document.getElementById('settings-transcript-cleanup') as HTMLInputElement;
+    const redactPii = document.getElementById('settings-redact-pii') as HTMLInputElement;
+    const redactionTerms = document.getElementById('settings-redaction-terms') as HTMLTextAreaElement;
+    const chunkConcurrency = document.getElementById('settings-chunk-concurrency') as HTMLSelectElement;
+    const chunkingStrategy = document.getElementById('settings-chunking-strategy') as HTMLSelectElement;
 
     if (providerSelect) providerSelect.value = settings.provider;
     if (settingsProvider) settingsProvider.value = settings.provider;
     if (settingsApiKey) settingsApiKey.value = settings.apiKey;
+    this.populateProviderFields('', settings);
+    this.populateProviderFields('settings-', settings);
+    this.toggleProviderFields();
     if (settingsLanguage) settingsLanguage.value = settings.language;
     if (promptTemplate) promptTemplate.value = settings.promptTemplate;
+    if (transcriptSource) transcriptSource.value = settings.transcriptSource || 'stream';
+    if (timestampStyle) timestampStyle.value = settings.timestampStyle || 'offset';
+    if (transcriptCleanup) transcriptCleanup.checked = !!settings.transcriptCleanup;
+    if (redactPii) redactPii.checked = settings.redactPii !== false;
+    if (redactionTerms) redactionTerms.value = (settings.redactionTerms || []).join('\n');
+    if (chunkConcurrency) chunkConcurrency.value = String(settings.chunkConcurrency || 0);
+    if (chunkingStrategy) chunkingStrategy.value = settings.chunkingStrategy || 'hybrid';
+
+    this.timestampStyle = settings.timestampStyle || 'offset';
+    this.transcriptCleanup = !!settings.transcriptCleanup;
+
+    this.applyTranscriptSource(settings.transcriptSource || 'stream');
+  }
+
+  applyTranscriptSource(source: 'stream' | 'graph') {
+    this.transcriptSource = source;
+
+    // Graph needs a Teams join link instead of a Stream page
+    const graphMeeting = document.getElementById('graph-meeting');
+    if (graphMeeting) graphMeeting.style.display = source === 'graph' ? 'block' : 'none';
+
+    const extractBtn = document.getElementById('extract-transcript') as HTMLButtonElement;
+    if (extractBtn) extractBtn.disabled = source === 'stream' && !this.meetingInfo;
   }
 
   setupEventListeners() {
@@ -84,8 +222,31 @@ class PopupManager {
     
     // Main view
     document.getElementById('extract-transcript')?.addEventListener('click', this.extractTranscript.bind(this));
-    document.getElementById('generate-summary')?.addEventListener('click', this.generateSummary.bind(this));
+    document.getElementById('generate-summary')?.addEventListener('click', () => this.generateSummary());
+    document.getElementById('retry-failed-sections')?.addEventListener('click', () => this.generateSummary('retryFailedSections'));
+    document.getElementById('stop-summary')?.addEventListener('click', this.stopSummary.bind(this));
+    document.getElementById('cancel-summary')?.addEventListener('click', this.cancelSummary.bind(this));
     document.getElementById('download-transcript')?.addEventListener('click', this.downloadTranscript.bind(this));
+    document.getElementById('preview-outgoing')?.addEventListener('click', this.previewOutgoingRequest.bind(this));
+
+    // Local file import
+    document.getElementById('import-transcript')?.addEventListener('click', () => {
+      document.getElementById('import-file')?.click();
+    });
+    document.getElementById('import-file')?.addEventListener('change', this.importTranscript.bind(this));
+
+    // Live caption capture
+    document.getElementById('start-caption-capture')?.addEventListener('click', this.startCaptionCapture.bind(this));
+    document.getElementById('stop-caption-capture')?.addEventListener('click', this.stopCaptionCapture.bind(this));
+
+    // Speaker names
+    document.getElementById('save-speaker-mapping')?.addEventListener('click', this.saveSpeakerMapping.bind(this));
+    document.getElementById('reset-speaker-mapping')?.addEventListener('click', this.resetSpeakerMapping.bind(this));
+
+    // Batch summaries
+    document.getElementById('start-batch')?.addEventListener('click', this.startBatch.bind(this));
+    document.getElementById('cancel-batch')?.addEventListener('click', this.cancelBatch.bind(this));
+    document.getElementById('download-batch-bundle')?.addEventListener('click', this.downloadBatchBundle.bind(this));
     
     // Settings button - this was missing!
     document.getElementById('settings-btn')?.addEventListener('click', () => this.showView('settings-view'));
@@ -108,15 +269,17 @@ class PopupManager {
     });
 
     // Settings toggle
+    document.getElementById('provider-select')?.addEventListener('change', () => this.toggleProviderFields());
+    document.getElementById('settings-provider')?.addEventListener('change', () => this.toggleProviderFields());
     document.getElementById('settings-provider')?.addEventListener('change', this.toggleCustomPrompt.bind(this));
     document.getElementById('prompt-template')?.addEventListener('change', this.toggleCustomPrompt.bind(this));
   }
 
   async saveSettings() {
-    const provider = (document.getElementById('provider-select') as HTMLSelectElement).value as 'openai' | 'anthropic';
+    const provider = (document.getElementById('provider-select') as HTMLSelectElement).value as AIProvider;
     const apiKey = (document.getElementById('api-key') as HTMLInputElement).value;
     
-    if (!apiKey.trim()) {
+    if (!apiKey.trim() && this.getProvider(provider)?.requiresApiKey !== false) {
       this.showError('Please enter an API key');
       return;
     }
@@ -128,6 +291,8 @@ class PopupManager {
       promptTemplate: 'default'
     };
 
+    if (!await this.applyProviderFields('', settings)) return;
+
     await chrome.storage.local.set(settings);
     this.showView('main-view');
     this.populateSettings(settings);
@@ -135,14 +300,30 @@ class PopupManager {
 
   async saveUpdatedSettings() {
     const settings: ExtensionSettings = {
-      provider: (document.getElementById('settings-provider') as HTMLSelectElement).value as 'openai' | 'anthropic',
+      provider: (document.getElementById('settings-provider') as HTMLSelectElement).value as AIProvider,
       apiKey: (document.getElementById('settings-api-key') as HTMLInputElement).value,
       language: (document.getElementById('settings-language') as HTMLSelectElement).value,
       promptTemplate: (document.getElementById('prompt-template') as HTMLSelectElement).value,
-      customPrompt: (document.getElementById('custom-prompt') as HTMLTextAreaElement).value
+      customPrompt: (document.getElementById('custom-prompt') as HTMLTextAreaElement).value,
+      transcriptSource: (document.getElementById('settings-transcript-source') as HTMLSelectElement).value as 'stream' | 'graph',
+      timestampStyle: (document.getElementById('settings-timestamp-style') as HTMLSelectElement).value as 'offset' | 'clock',
+      transcriptCleanup: (document.getElementById('settings-transcript-cleanup') as HTMLInputElement).checked,
+      redactPii: (document.getElementById('settings-redact-pii') as HTMLInputElement).checked,
+      redactionTerms: (document.getElementById('settings-redaction-terms') as HTMLTextAreaElement).value
+        .split('\n').map(term => term.trim()).filter(Boolean),
+      chunkConcurrency: parseInt((document.getElementById('settings-chunk-concurrency') as HTMLSelectElement).value, 10) || 0,
+      chunkingStrategy: (document.getElementById('settings-chunking-strategy') as HTMLSelectElement).value
     };
 
+    if (!await this.applyProviderFields('settings-', settings)) return;
+
     await chrome.storage.local.set(settings);
+    this.applyTranscriptSource(settings.transcriptSource || 'stream');
+    this.timestampStyle = settings.timestampStyle || 'offset';
+    this.transcriptCleanup = !!settings.transcriptCleanup;
+    if (this.transcript) {
+      this.showTranscriptPreview();
+    }
     this.showView('main-view');
   }
 
@@ -151,28 +332,108 @@ class PopupManager {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       if (!tab?.url) return;
 
-      if (this.isSharePointStreamPage(tab.url)) {
+      if (this.isSharePointStreamPage(tab.url) || this.isTeamsPage(tab.url)) {
         // Wrap sendMessage in try-catch to handle connection errors
         try {
           const response = await chrome.tabs.sendMessage(tab.id!, { action: 'getMeetingInfo' });
           if (response?.meetingInfo) {
             this.meetingInfo = response.meetingInfo;
             this.updateMeetingInfo();
+            await this.loadTranscriptOptions(tab.id!);
           }
         } catch (error) {
           console.log('[POPUP] Content script not ready or not available:', error);
           // This is expected if content script hasn't loaded yet
         }
       }
+
+      if (this.isTeamsPage(tab.url)) {
+        await this.refreshCaptionStatus(tab.id!);
+      }
     } catch (error) {
       console.error('[POPUP] Error checking current tab:', error);
     }
   }
 
+  async loadTranscriptOptions(tabId: number) {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, { action: 'listTranscripts' });
+      if (response?.transcripts) {
+        this.transcriptOptions = response.transcripts;
+        this.renderTranscriptPicker();
+      }
+    } catch (error) {
+      // Listing is optional - extraction falls back to the default transcript
+      console.log('[POPUP] Could not list transcripts:', error);
+    }
+  }
+
+  renderTranscriptPicker() {
+    const picker = document.getElementById('transcript-picker');
+    const container = document.getElementById('transcript-options');
+    const countEl = document.getElementById('transcript-option-count');
+    if (!picker || !container) return;
+
+    // Only worth asking when the recording has more than one transcript
+    if (this.transcriptOptions.length <= 1) {
+      picker.style.display = 'none';
+      return;
+    }
+
+    container.innerHTML = '';
+    this.transcriptOptions.forEach((option, index) => {
+      const label = document.createElement('label');
+      label.className = 'transcript-option';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = option.id;
+      checkbox.checked = index === 0;
+
+      const text = document.createElement('span');
+      text.textContent = option.displayName;
+
+      const meta = document.createElement('span');
+      meta.className = 'option-meta';
+      meta.textContent = this.describeTranscriptOption(option);
+      text.appendChild(meta);
+
+      label.appendChild(checkbox);
+      label.appendChild(text);
+      container.appendChild(label);
+    });
+
+    if (countEl) countEl.textContent = `${this.transcriptOptions.length} 份`;
+    picker.style.display = 'block';
+  }
+
+  describeTranscriptOption(option: TranscriptOption): string {
+    const parts: string[] = [];
+    parts.push(option.language && option.language !== 'unknown' ? option.language : '未知語言');
+    if (option.createdDateTime) {
+      parts.push(new Date(option.createdDateTime).toLocaleString('zh-TW'));
+    }
+    if (typeof option.size === 'number') {
+      parts.push(option.size >= 1024 * 1024
+        ? `${(option.size / (1024 * 1024)).toFixed(1)} MB`
+        : `${Math.max(1, Math.round(option.size / 1024))} KB`);
+    }
+    return parts.join(' · ');
+  }
+
+  getSelectedTranscriptIds(): string[] {
+    const checked = document.querySelectorAll('#transcript-options input[type="checkbox"]:checked');
+    return Array.from(checked).map(input => (input as HTMLInputElement).value);
+  }
+
   isSharePointStreamPage(url: string): boolean {
     return url.includes('_layouts/15/stream.aspx') || url.includes('/stream.aspx');
   }
 
+  isTeamsPage(url: string): boolean {
+    return url.startsWith('https://teams.microsoft.com/') || url.startsWith('https://teams.cloud.microsoft/');
+  }
+
   updateMeetingInfo() {
     if (!this.meetingInfo) return;
     
@@ -181,6 +442,12 @@ class PopupManager {
     const extractBtn = document.getElementById('extract-transcript') as HTMLButtonElement;
     
     if (titleEl) titleEl.textContent = this.meetingInfo.title || 'Untitled Meeting';
+
+    // A recap opened in Teams knows its join link, which the Graph source needs
+    const joinUrlInput = document.getElementById('graph-join-url') as HTMLInputElement | null;
+    if (joinUrlInput && !joinUrlInput.value && this.meetingInfo.joinWebUrl) {
+      joinUrlInput.value = this.meetingInfo.joinWebUrl;
+    }
     
     // Only show duration if it's available
     if (durationEl) {
@@ -200,10 +467,22 @@ class PopupManager {
   }
 
   async extractTranscript() {
+    if (this.transcriptSource === 'graph') {
+      await this.extractTranscriptFromGraph();
+      return;
+    }
+
     if (!this.meetingInfo) {
       return;
     }
 
+    // An empty selection means "use the default transcript" unless the picker is shown
+    const transcriptIds = this.transcriptOptions.length > 1 ? this.getSelectedTranscriptIds() : [];
+    if (this.transcriptOptions.length > 1 && transcriptIds.length === 0) {
+      this.showError('請至少選擇一份逐字稿');
+      return;
+    }
+
     this.showLoading('Extracting transcript...');
     
     try {
@@ -218,13 +497,15 @@ class PopupManager {
       // Send message to content script, not background script
       const response = await chrome.tabs.sendMessage(tab.id, {
         action: 'extractTranscript',
-        meetingInfo: this.meetingInfo
+        meetingInfo: this.meetingInfo,
+        transcriptIds
       });
 
       if (response.error) {
         this.showError(response.error);
       } else {
         this.transcript = response.transcript;
+        await this.loadSpeakerMapping();
         this.showTranscriptPreview();
         
         // Save state after successful transcript extraction
@@ -244,131 +525,525 @@ class PopupManager {
     }
   }
 
-  async generateSummary() {
-    if (!this.transcript) return;
+  async extractTranscriptFromGraph() {
+    const joinWebUrl = (document.getElementById('graph-join-url') as HTMLInputElement)?.value.trim();
+    if (!joinWebUrl) {
+      this.showError('請輸入 Teams 會議連結');
+      return;
+    }
 
-    console.log('[SUMMARY DEBUG] Starting summary generation...');
-    console.log('[SUMMARY DEBUG] Transcript available:', this.transcript);
+    this.showLoading('正在透過 Microsoft Graph 取得逐字稿...');
 
-    // Show loading with specific message for summary generation
-    this.showLoading('正在產生摘要，請稍候...');
-    
-    // Disable the generate summary button to prevent multiple clicks
-    const generateBtn = document.getElementById('generate-summary') as HTMLButtonElement;
-    if (generateBtn) {
-      generateBtn.disabled = true;
-      generateBtn.textContent = '⏳ 產生中...';
+    try {
+      const source = createTranscriptSource('graph');
+      this.transcript = await source.fetchTranscript({
+        joinWebUrl,
+        title: this.meetingInfo?.title
+      });
+      this.summary = null;
+
+      await this.loadSpeakerMapping();
+      this.showTranscriptPreview();
+      await this.saveState();
+    } catch (error) {
+      this.showError('Failed to extract transcript: ' + (error as Error).message);
+    } finally {
+      this.hideLoading();
     }
-    
+  }
+
+  async importTranscript(event: Event) {
+    const input = event.target as HTMLInputElement;
+    const file = input.files?.[0];
+    if (!file) return;
+
+    this.showLoading('正在匯入逐字稿...');
+
     try {
+      this.transcript = await transcriptImporter.importFile(file);
+      this.summary = null;
+
+      const titleEl = document.getElementById('meeting-title');
+      if (titleEl) titleEl.textContent = this.transcript.meetingInfo.title;
+
+      await this.loadSpeakerMapping();
+      this.showTranscriptPreview();
+      await this.saveState();
+    } catch (error) {
+      this.showError('匯入逐字稿失敗: ' + (error as Error).message);
+    } finally {
+      this.hideLoading();
+      // Allow importing the same file again
+      input.value = '';
+    }
+  }
+
+  async startCaptionCapture() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab?.id) return;
+
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'startCaptionCapture' });
+      if (response?.error) {
+        this.showError(response.error);
+        return;
+      }
+
+      this.renderCaptionStatus(response.status);
+      this.scheduleCaptionPoll(tab.id);
+    } catch (error) {
+      this.showError(`無法開始擷取字幕：${(error as Error).message}`);
+    }
+  }
+
+  async stopCaptionCapture() {
+    this.showLoading('正在整理擷取的字幕...');
+
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab?.id) return;
+
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'stopCaptionCapture' });
+      this.renderCaptionStatus(response?.status || null);
+
+      if (response?.error) {
+        this.showError(response.error);
+        return;
+      }
+
+      this.transcript = response.transcript;
+      this.summary = null;
+
+      const titleEl = document.getElementById('meeting-title');
+      if (titleEl) titleEl.textContent = this.transcript.meetingInfo.title;
+
+      await this.loadSpeakerMapping();
+      this.showTranscriptPreview();
+      await this.saveState();
+    } catch (error) {
+      this.showError(`無法取得擷取的字幕：${(error as Error).message}`);
+    } finally {
+      this.hideLoading();
+    }
+  }
+
+  async refreshCaptionStatus(tabId: number) {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, { action: 'getCaptionStatus' });
+      this.renderCaptionStatus(response?.status || null);
+      if (response?.status?.capturing) {
+        this.scheduleCaptionPoll(tabId);
+      }
+    } catch (error) {
+      // Content script not loaded in this Teams tab yet
+      this.renderCaptionStatus(null);
+    }
+  }
+
+  scheduleCaptionPoll(tabId: number) {
+    if (this.captionPollTimer) clearTimeout(this.captionPollTimer);
+    this.captionPollTimer = setTimeout(() => {
+      this.captionPollTimer = null;
+      this.refreshCaptionStatus(tabId);
+    }, CAPTION_POLL_INTERVAL);
+  }
+
+  renderCaptionStatus(status: CaptionCaptureStatus | null) {
+    const section = document.getElementById('live-captions');
+    const countEl = document.getElementById('caption-count');
+    const startBtn = document.getElementById('start-caption-capture');
+    const stopBtn = document.getElementById('stop-caption-capture');
+    if (!section || !startBtn || !stopBtn) return;
+
+    const capturing = !!status?.capturing;
+    // Captions left over from a meeting that ended can still be turned into a transcript
+    const hasCaptions = !!status && status.entryCount > 0;
+
+    if (countEl) {
+      countEl.textContent = status
+        ? `${status.entryCount} 段 · ${status.speakers.length} 位發言者${capturing ? ' · 擷取中' : ''}`
+        : '';
+    }
+    startBtn.style.display = capturing ? 'none' : 'block';
+    stopBtn.style.display = capturing || hasCaptions ? 'block' : 'none';
+    stopBtn.textContent = capturing ? '⏹️ 停止並產生逐字稿' : '📝 使用已擷取的字幕';
+    section.style.display = 'block';
+  }
+
+  async startBatch() {
+    const sources = (document.getElementById('batch-sources') as HTMLTextAreaElement).value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+    if (sources.length === 0) {
+      this.showError('請輸入至少一個 SharePoint 資料夾或錄影連結');
+      return;
+    }
+
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab?.id || !tab.url || !(this.isSharePointStreamPage(tab.url) || this.isTeamsPage(tab.url))) {
+        this.showError('請在 SharePoint Stream 或 Teams 頁面中執行批次摘要');
+        return;
+      }
+
       const settings = await chrome.storage.local.get([
-        'provider', 'apiKey', 'language', 'promptTemplate', 'customPrompt'
+        'provider', 'apiKey', ...this.getProviderSettingKeys(), 'language', 'promptTemplate', 'customPrompt', 'timestampStyle', 'transcriptCleanup', 'redactPii', 'redactionTerms', 'chunkConcurrency', 'chunkingStrategy'
       ]);
 
-      console.log('[SUMMARY DEBUG] Settings loaded:', {
-        provider: settings.provider,
-        hasApiKey: !!settings.apiKey,
-        language: settings.language,
-        promptTemplate: settings.promptTemplate,
-        hasCustomPrompt: !!settings.customPrompt
+      const response = await chrome.runtime.sendMessage({
+        action: 'startBatch',
+        sources,
+        tabId: tab.id,
+        settings
       });
 
+      if (response?.error) {
+        this.showError(response.error);
+        return;
+      }
+
+      this.renderBatchJob(response.job);
+      this.scheduleBatchPoll();
+    } catch (error) {
+      console.error('[POPUP] Error starting batch:', error);
+      this.showError(`無法開始批次摘要：${(error as Error).message}`);
+    }
+  }
+
+  async refreshBatchStatus() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getBatchStatus' });
+      this.renderBatchJob(response?.job || null);
+
+      if (response?.job && (response.job.status === 'listing' || response.job.status === 'running')) {
+        this.scheduleBatchPoll();
+      }
+    } catch (error) {
+      console.log('[POPUP] Could not get batch status:', error);
+    }
+  }
+
+  scheduleBatchPoll() {
+    if (this.batchPollTimer) clearTimeout(this.batchPollTimer);
+    this.batchPollTimer = setTimeout(() => {
+      this.batchPollTimer = null;
+      this.refreshBatchStatus();
+    }, BATCH_POLL_INTERVAL);
+  }
+
+  renderBatchJob(job: any) {
+    this.batchJob = job;
+
+    const progressEl = document.getElementById('batch-progress');
+    const statusEl = document.getElementById('batch-status');
+    const itemsEl = document.getElementById('batch-items');
+    const countEl = document.getElementById('batch-count');
+    const startBtn = document.getElementById('start-batch') as HTMLButtonElement;
+    const cancelBtn = document.getElementById('cancel-batch') as HTMLButtonElement;
+    const downloadBtn = document.getElementById('download-batch-bundle');
+    if (!progressEl || !statusEl || !itemsEl) return;
+
+    if (!job) {
+      progressEl.style.display = 'none';
+      return;
+    }
+
+    const running = job.status === 'listing' || job.status === 'running';
+    const { total, completed, failed } = job.progress;
+
+    if (job.status === 'listing') {
+      statusEl.textContent = '正在搜尋有逐字稿的錄影...';
+    } else if (running) {
+      statusEl.textContent = `處理中：${completed + failed} / ${total}`;
+    } else if (job.status === 'completed') {
+      statusEl.textContent = `批次完成：成功 ${completed}，失敗 ${failed}`;
+    } else if (job.status === 'cancelled') {
+      statusEl.textContent = `批次已停止：成功 ${completed}，失敗 ${failed}`;
+    } else {
+      statusEl.textContent = `批次失敗：${job.error}`;
+    }
+
+    itemsEl.innerHTML = '';
+    job.items.forEach((item: any) => {
+      const li = document.createElement('li');
+
+      const title = document.createElement('span');
+      title.textContent = item.recording.title;
+
+      const status = document.createElement('span');
+      status.className = `item-status ${item.status}`;
+      status.textContent = BATCH_ITEM_LABELS[item.status] || item.status;
+      if (item.error) status.title = item.error;
+
+      li.appendChild(title);
+      li.appendChild(status);
+      itemsEl.appendChild(li);
+    });
+
+    if (countEl) countEl.textContent = total > 0 ? `${total} 場會議` : '';
+    if (startBtn) startBtn.disabled = running;
+    if (cancelBtn) {
+      cancelBtn.style.display = running ? 'block' : 'none';
+      if (!running) cancelBtn.disabled = false;
+    }
+    if (downloadBtn) downloadBtn.style.display = !running && completed > 0 ? 'block' : 'none';
+    progressEl.style.display = 'block';
+  }
+
+  async cancelBatch() {
+    // The summary in flight is aborted; recordings not started yet are left undone
+    const cancelBtn = document.getElementById('cancel-batch') as HTMLButtonElement;
+    if (cancelBtn) cancelBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'cancelBatch' });
+      this.renderBatchJob(response?.job || null);
+    } catch (error) {
+      console.error('[POPUP] Error cancelling batch:', error);
+      if (cancelBtn) cancelBtn.disabled = false;
+    }
+  }
+
+  downloadBatchBundle() {
+    if (!this.batchJob) return;
+
+    try {
+      const bundle = exportManager.createBatchBundle(this.batchJob);
+      exportManager.downloadFile(bundle.content, bundle.filename, bundle.contentType);
+    } catch (error) {
+      console.error('[POPUP] Error creating batch bundle:', error);
+      this.showError(`無法建立摘要包：${(error as Error).message}`);
+    }
+  }
+
+  async generateSummary(action: 'generateSummary' | 'retryFailedSections' = 'generateSummary') {
+    if (!this.transcript) return;
+
+    this.beginSummaryProgress(action === 'retryFailedSections' ? '正在重試失敗的段落，請稍候...' : '正在產生摘要，請稍候...');
+    
+    try {
+      const settings = await chrome.storage.local.get([
+        'provider', 'apiKey', ...this.getProviderSettingKeys(), 'language', 'promptTemplate', 'customPrompt', 'transcriptCleanup', 'redactPii', 'redactionTerms', 'chunkConcurrency', 'chunkingStrategy'
+      ]);
+
       // Check if we have runtime available
-      if (!chrome.runtime || !chrome.runtime.sendMessage) {
+      if (!chrome.runtime || !chrome.runtime.connect) {
         throw new Error('Chrome runtime not available');
       }
 
       // First, ping the background script to ensure it's alive
-      console.log('[SUMMARY DEBUG] Pinging background script...');
       try {
         await this.pingBackgroundScript();
-        console.log('[SUMMARY DEBUG] Background script is responsive');
-      } catch (pingError) {
-        console.error('[SUMMARY DEBUG] Background script not responding to ping:', pingError);
+      } catch {
         throw new Error('Background service is not responding. Please reload the extension.');
       }
 
-      console.log('[SUMMARY DEBUG] Sending generateSummary message to background...');
-      
-      // Use Promise with timeout to handle port closing issues
-      const response = await new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          reject(new Error('Request timeout - background script may not be responding'));
-        }, 60000); // 60 second timeout for AI calls
+      // retryFailedSections re-sends only the sections missing from the last summary;
+      // speaker aliases are applied before the background formats the transcript for AI
+      await this.followSummary({ action, transcript: this.getMappedTranscript(), settings });
+    } catch (error) {
+      this.showSummaryFailure(error as Error);
+      this.endSummaryProgress();
+    }
+  }
 
-        try {
-          chrome.runtime.sendMessage({
-            action: 'generateSummary',
-            transcript: this.transcript,
-            settings
-          }, (response) => {
-            clearTimeout(timeout);
-            
-            if (chrome.runtime.lastError) {
-              console.error('[SUMMARY DEBUG] Chrome runtime error:', chrome.runtime.lastError);
-              // Check for specific error messages
-              if (chrome.runtime.lastError.message?.includes('message port closed')) {
-                reject(new Error('Connection lost. Please try again.'));
-              } else if (chrome.runtime.lastError.message?.includes('Receiving end does not exist')) {
-                reject(new Error('Background service not available. Please reload the extension.'));
-              } else {
-                reject(new Error(chrome.runtime.lastError.message));
-              }
-            } else if (!response) {
-              reject(new Error('No response from background script'));
-            } else {
-              resolve(response);
-            }
-          });
-        } catch (sendError) {
-          clearTimeout(timeout);
-          console.error('[SUMMARY DEBUG] Error sending message:', sendError);
-          reject(sendError);
-        }
-      });
+  async resumeSummaryJob() {
+    // A job started before this popup was closed keeps running in the background
+    if (!this.summaryJobId) return;
 
-      console.log('[SUMMARY DEBUG] Response received:', response);
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getSummaryJob', jobId: this.summaryJobId });
+      const job = response?.job;
+      if (!job) {
+        this.summaryJobId = null;
+        await this.saveState();
+        return;
+      }
+
+      this.beginSummaryProgress(this.describeSummaryJob(job));
+      await this.followSummary({ action: 'watch', jobId: job.id });
+    } catch {
+      // No job left to follow; leave the popup ready for a new summary
+      this.endSummaryProgress();
+    }
+  }
 
-      if (response && (response as any).error) {
-        console.log('[SUMMARY DEBUG] Error in response:', (response as any).error);
+  beginSummaryProgress(loadingText: string) {
+    // Show loading with specific message for summary generation
+    this.showLoading(loadingText);
+    
+    // Disable the generate summary button to prevent multiple clicks
+    const generateBtn = document.getElementById('generate-summary') as HTMLButtonElement;
+    if (generateBtn) {
+      generateBtn.disabled = true;
+      generateBtn.textContent = '⏳ 產生中...';
+    }
+    ['stop-summary', 'cancel-summary'].forEach(id => {
+      const button = document.getElementById(id) as HTMLButtonElement;
+      if (button) {
+        button.disabled = false;
+        button.style.display = 'block';
+      }
+    });
+  }
+
+  endSummaryProgress() {
+    this.hideLoading();
+    ['stop-summary', 'cancel-summary'].forEach(id => {
+      const button = document.getElementById(id) as HTMLButtonElement;
+      if (button) button.style.display = 'none';
+    });
+    
+    // Reset the generate summary button text and state
+    const generateBtn = document.getElementById('generate-summary') as HTMLButtonElement;
+    if (generateBtn) {
+      generateBtn.disabled = false;
+      generateBtn.textContent = '✨ 產生摘要';
+    }
+  }
+
+  async followSummary(request: any) {
+    try {
+      const response = await this.streamSummary(request);
+
+      if (response && (response as any).cancelled) {
+        // Nothing was kept; show the previous summary, if any, again
+        if (this.summary) {
+          this.showSummary();
+        } else {
+          const summaryView = document.getElementById('summary-view');
+          if (summaryView) summaryView.style.display = 'none';
+        }
+        this.showMessage('已取消產生摘要');
+      } else if (response && (response as any).error) {
         this.showError((response as any).error);
       } else if (response && (response as any).summary) {
-        console.log('[SUMMARY DEBUG] Summary received successfully');
         this.summary = (response as any).summary;
         this.showSummary();
-        
-        // Save state after successful summary generation
-        await this.saveState();
+        if (this.summary.stopped) {
+          this.showMessage('已停止產生，保留目前已產生的內容');
+        }
       } else {
-        console.log('[SUMMARY DEBUG] No valid response received:', response);
         this.showError('Invalid response from summary generation');
       }
+
+      // Save state after the job ends, so a reopened popup does not follow it again
+      await this.saveState();
     } catch (error) {
-      console.error('[SUMMARY DEBUG] Exception caught:', error);
-      console.error('[SUMMARY DEBUG] Error stack:', (error as Error).stack);
-      
-      // Provide more user-friendly error messages
-      let errorMessage = 'Failed to generate summary: ';
-      if ((error as Error).message.includes('Connection lost')) {
-        errorMessage += 'Connection to background service lost. Please close and reopen the extension.';
-      } else if ((error as Error).message.includes('timeout')) {
-        errorMessage += 'Request timed out. The AI service may be slow or unavailable.';
-      } else if ((error as Error).message.includes('not responding')) {
-        errorMessage += (error as Error).message;
-      } else {
-        errorMessage += (error as Error).message;
-      }
-      
-      this.showError(errorMessage);
+      this.showSummaryFailure(error as Error);
     } finally {
-      this.hideLoading();
-      
-      // Reset the generate summary button text and state
-      const generateBtn = document.getElementById('generate-summary') as HTMLButtonElement;
-      if (generateBtn) {
-        generateBtn.disabled = false;
-        generateBtn.textContent = '✨ 產生摘要';
-      }
+      this.endSummaryProgress();
+    }
+  }
+
+  showSummaryFailure(error: Error) {
+    // Provide more user-friendly error messages
+    let errorMessage = 'Failed to generate summary: ';
+    if (error.message.includes('Connection lost')) {
+      errorMessage += 'Connection to background service lost. Please close and reopen the extension.';
+    } else if (error.message.includes('timeout')) {
+      errorMessage += 'Request timed out. The AI service may be slow or unavailable.';
+    } else if (error.message.includes('not responding')) {
+      errorMessage += error.message;
+    } else {
+      errorMessage += error.message;
+    }
+    
+    this.showError(errorMessage);
+  }
+
+  describeSummaryJob(job: any): string {
+    switch (job.status) {
+      case 'queued':
+        return job.resumed ? '背景服務已重新啟動，正在繼續產生摘要...' : '排隊中，前一份摘要完成後開始...';
+      case 'chunk_done':
+        return `已完成 ${job.progress.completedChunks}/${job.progress.totalChunks} 個段落...`;
+      default:
+        return '正在產生摘要，請稍候...';
+    }
+  }
+
+  streamSummary(request: any): Promise<any> {
+    // Deltas render as they arrive; the promise settles with { summary }, { error } or { cancelled }
+    return new Promise((resolve, reject) => {
+      const port = chrome.runtime.connect({ name: SUMMARY_STREAM_PORT });
+      this.summaryPort = port;
+      let streamed = '';
+      let settled = false;
+
+      const settle = (response: any) => {
+        settled = true;
+        this.summaryPort = null;
+        this.summaryJobId = null;
+        port.disconnect();
+        resolve(response);
+      };
+
+      port.onMessage.addListener((message: any) => {
+        switch (message.type) {
+          case 'started':
+            // Remembered with the popup state, so a reopened popup picks the job up again
+            this.summaryJobId = message.job.id;
+            this.saveState();
+            if (message.job.partialText) {
+              streamed = message.job.partialText;
+              this.hideLoading();
+              this.showStreamingSummary(streamed);
+            } else {
+              this.showLoading(this.describeSummaryJob(message.job));
+            }
+            break;
+          case 'progress':
+            if (!streamed) {
+              this.showLoading(this.describeSummaryJob(message.job));
+            }
+            break;
+          case 'delta':
+            streamed += message.text;
+            this.hideLoading();
+            this.showStreamingSummary(streamed);
+            break;
+          case 'done':
+            settle({ summary: message.summary });
+            break;
+          case 'error':
+            settle({ error: message.error });
+            break;
+          case 'cancelled':
+            settle({ cancelled: true });
+            break;
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        this.summaryPort = null;
+        if (!settled) {
+          reject(new Error('Connection lost. Please try again.'));
+        }
+      });
+
+      port.postMessage(request);
+    });
+  }
+
+  stopSummary() {
+    // The background answers with the text written so far
+    this.summaryPort?.postMessage({ action: 'stop' });
+    const stopBtn = document.getElementById('stop-summary') as HTMLButtonElement;
+    if (stopBtn) stopBtn.disabled = true;
+  }
+
+  async cancelSummary() {
+    if (!this.summaryJobId) return;
+
+    // Aborts the job's requests at once; the stream port then reports it cancelled
+    const cancelBtn = document.getElementById('cancel-summary') as HTMLButtonElement;
+    if (cancelBtn) cancelBtn.disabled = true;
+    try {
+      await chrome.runtime.sendMessage({ action: 'cancelSummary', jobId: this.summaryJobId });
+    } catch (error) {
+      console.error('[POPUP] Error cancelling summary:', error);
+      if (cancelBtn) cancelBtn.disabled = false;
     }
   }
 
@@ -396,6 +1071,10 @@ class PopupManager {
     const generateBtn = document.getElementById('generate-summary');
     
     if (preview && content && this.transcript) {
+      // An earlier outgoing preview no longer matches the transcript or settings
+      const outgoing = document.getElementById('outgoing-preview');
+      if (outgoing) outgoing.style.display = 'none';
+
       // Update duration if available from transcript metadata
       const duration = this.transcript.duration || this.transcript.metadata?.duration;
       if (duration) {
@@ -411,16 +1090,17 @@ class PopupManager {
         }
       }
       
-      const entries = this.transcript.entries || [];
+      const transcript = this.getMappedTranscript();
+      const entries = transcript.entries || [];
+      const timeline = transcriptTimeline.build(transcript);
+      this.renderTranscriptTimeline(timeline);
+      this.renderSpeakerMapping();
       let previewText = '';
       
       if (entries.length > 0) {
-        // Handle different entry formats
         previewText = entries.slice(0, 5).map((entry: any) => {
-          const time = entry.startTime || entry.startOffset || '00:00';
-          const speaker = entry.speaker || entry.speakerDisplayName || 'Unknown Speaker';
-          const text = entry.text || '';
-          return `[${time}] ${speaker}: ${text}`;
+          const time = transcriptTimeline.formatTime(entry.startTime, timeline, this.timestampStyle);
+          return `[${time}] ${entry.speaker}: ${entry.text}`;
         }).join('\n\n');
         
         if (entries.length > 5) {
@@ -446,38 +1126,223 @@ class PopupManager {
     }
   }
 
+  renderTranscriptTimeline(timeline: any) {
+    const timelineEl = document.getElementById('transcript-timeline');
+    if (!timelineEl) return;
+
+    const lines: string[] = [];
+    if (timeline.meetingStart) {
+      const start = transcriptTimeline.formatClockTime(timeline.meetingStart, { includeDate: true });
+      const end = transcriptTimeline.formatClockTime(timeline.meetingEnd);
+      lines.push(`🕒 會議時間：${start} – ${end}`);
+    }
+    timeline.gaps.forEach((gap: any) => {
+      const from = transcriptTimeline.formatTime(gap.startMs, timeline, this.timestampStyle);
+      const to = transcriptTimeline.formatTime(gap.endMs, timeline, this.timestampStyle);
+      lines.push(`<span class="gap">⏸️ 逐字稿中斷 ${from} – ${to}（${transcriptTimeline.formatDuration(gap.durationMs)}）</span>`);
+    });
+
+    timelineEl.innerHTML = lines.join('<br>');
+    timelineEl.style.display = lines.length > 0 ? 'block' : 'none';
+  }
+
+  async previewOutgoingRequest() {
+    if (!this.transcript) return;
+
+    const outgoing = document.getElementById('outgoing-preview');
+    const redactionsEl = document.getElementById('outgoing-redactions');
+    const content = document.getElementById('outgoing-content');
+    if (!outgoing || !redactionsEl || !content) return;
+
+    try {
+      const settings = await chrome.storage.local.get([
+        'provider', 'language', 'promptTemplate', 'customPrompt', 'transcriptCleanup', 'redactPii', 'redactionTerms'
+      ]);
+      const response = await chrome.runtime.sendMessage({
+        action: 'previewSummaryRequest',
+        transcript: this.getMappedTranscript(),
+        settings
+      });
+
+      if (response?.error) {
+        this.showError(response.error);
+        return;
+      }
+
+      const { messages, redactions, cleanup } = response.preview;
+      const labels: Record<string, string> = { EMAIL: '電子郵件', PHONE: '電話', CARD: '信用卡號', TERM: '機密詞彙' };
+      const counts = Object.keys(labels)
+        .filter(type => redactions[type])
+        .map(type => `${labels[type]} ${redactions[type]}`);
+
+      redactionsEl.textContent = settings.redactPii === false
+        ? '⚠️ 未啟用個人資料遮蔽，以下內容將原樣送出'
+        : `已遮蔽：${counts.length > 0 ? counts.join('、') : '無'}`;
+      if (cleanup) {
+        redactionsEl.textContent += `｜贅字清理：移除 ${cleanup.fillersRemoved} 個贅字、${cleanup.repeatsRemoved} 個重複，合併 ${cleanup.entriesMerged} 段，約省 ${cleanup.tokensSaved} tokens`;
+      }
+      content.textContent = messages.map((message: any) => `── ${message.role} ──\n${message.content}`).join('\n\n');
+      outgoing.style.display = 'block';
+    } catch (error) {
+      console.error('[POPUP] Error previewing outgoing request:', error);
+      this.showError(`無法預覽送出內容：${(error as Error).message}`);
+    }
+  }
+
+  getMappedTranscript() {
+    return speakerMapper.applyMapping(this.transcript, this.speakerMapping);
+  }
+
+  getExportTranscript() {
+    const transcript = this.getMappedTranscript();
+    if (!this.transcriptCleanup || (transcript.entries || []).length === 0) {
+      return transcript;
+    }
+
+    return cleanTranscript(transcript).transcript;
+  }
+
+  getSpeakerTenant(): string {
+    // Imported and Graph transcripts carry no SharePoint URL; fall back to the open page
+    const tenant = speakerMapper.getTenantKey(this.transcript?.meetingInfo);
+    return tenant !== DEFAULT_TENANT ? tenant : speakerMapper.getTenantKey(this.meetingInfo);
+  }
+
+  async loadSpeakerMapping() {
+    try {
+      this.speakerMapping = await storageManager.loadSpeakerMappings(this.getSpeakerTenant());
+    } catch (error) {
+      console.error('[POPUP] Error loading speaker mapping:', error);
+      this.speakerMapping = {};
+    }
+  }
+
+  renderSpeakerMapping() {
+    const section = document.getElementById('speaker-mapping');
+    const list = document.getElementById('speaker-mapping-list');
+    if (!section || !list || !this.transcript) return;
+
+    const speakers = speakerMapper.listSpeakers(this.transcript, this.speakerMapping);
+    list.innerHTML = '';
+    speakers.forEach((speaker: any) => {
+      const row = document.createElement('div');
+      row.className = 'speaker-mapping-row';
+
+      const name = document.createElement('span');
+      name.className = 'speaker-name';
+      name.textContent = `${speaker.name}（${speaker.entryCount}）`;
+      name.title = speaker.speakerId ? `${speaker.name} · ${speaker.speakerId}` : speaker.name;
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.dataset['speakerKey'] = speaker.key;
+      input.value = speaker.alias;
+      input.placeholder = speaker.suggestion || '顯示名稱';
+
+      row.append(name, input);
+      list.appendChild(row);
+    });
+
+    section.style.display = speakers.length > 0 ? 'block' : 'none';
+  }
+
+  async saveSpeakerMapping() {
+    if (!this.transcript) return;
+
+    const mapping: Record<string, string> = {};
+    document.querySelectorAll<HTMLInputElement>('#speaker-mapping-list input').forEach(input => {
+      const alias = input.value.trim();
+      if (alias) {
+        mapping[input.dataset['speakerKey'] as string] = alias;
+      }
+    });
+
+    try {
+      // "Unknown Speaker" differs per meeting; its alias stays with this transcript only
+      const tenant = this.getSpeakerTenant();
+      const stored = await storageManager.loadSpeakerMappings(tenant);
+      const speakerKeys = speakerMapper.listSpeakers(this.transcript).map((speaker: any) => speaker.key);
+      speakerKeys.forEach((key: string) => delete stored[key]);
+      await storageManager.saveSpeakerMappings(tenant, { ...stored, ...speakerMapper.getPersistableMapping(mapping) });
+
+      this.speakerMapping = mapping;
+      this.showTranscriptPreview();
+      await this.saveState();
+      this.showMessage(this.summary ? '已儲存名稱對應，請重新產生摘要以套用' : '已儲存名稱對應');
+    } catch (error) {
+      this.showError('儲存名稱對應失敗: ' + (error as Error).message);
+    }
+  }
+
+  async resetSpeakerMapping() {
+    document.querySelectorAll<HTMLInputElement>('#speaker-mapping-list input').forEach(input => {
+      input.value = '';
+    });
+    await this.saveSpeakerMapping();
+  }
+
   showSummary() {
     const summaryView = document.getElementById('summary-view');
     const content = document.getElementById('summary-content');
     
     if (summaryView && content && this.summary) {
-      // Use innerHTML to render markdown as HTML for better formatting
-      const markdownContent = this.summary.markdown || this.summary.fullSummary || '';
-      
-      // Simple markdown to HTML conversion for basic formatting
-      let htmlContent = markdownContent
-        .replace(/^### (.*$)/gim, '<h3>$1</h3>')
-        .replace(/^## (.*$)/gim, '<h2>$1</h2>')
-        .replace(/^# (.*$)/gim, '<h1>$1</h1>')
-        .replace(/^\* (.*$)/gim, '<li>$1</li>')
-        .replace(/^\- (.*$)/gim, '<li>$1</li>')
-        .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-        .replace(/\*(.*?)\*/g, '<em>$1</em>')
-        .replace(/`(.*?)`/g, '<code>$1</code>')
-        .replace(/\n\n/g, '</p><p>')
-        .replace(/\n/g, '<br>');
-      
-      // Wrap list items in ul tags
-      htmlContent = htmlContent.replace(/(<li>.*<\/li>)/gs, '<ul>$1</ul>');
+      // A stopped summary shows the text as written; its sections were parsed from a fragment
+      const markdownContent = (this.summary.stopped ? this.summary.fullSummary : this.summary.markdown) || this.summary.fullSummary || '';
       
-      // Wrap content in paragraphs if not already wrapped
-      if (!htmlContent.startsWith('<h') && !htmlContent.startsWith('<ul')) {
-        htmlContent = '<p>' + htmlContent + '</p>';
-      }
-      
-      content.innerHTML = htmlContent;
+      // Use innerHTML to render markdown as HTML for better formatting
+      content.innerHTML = this.renderMarkdown(markdownContent);
       summaryView.style.display = 'block';
     }
+    this.renderFailedSections();
+  }
+
+  showStreamingSummary(markdown: string) {
+    const summaryView = document.getElementById('summary-view');
+    const content = document.getElementById('summary-content');
+    if (!summaryView || !content) return;
+
+    content.innerHTML = this.renderMarkdown(markdown);
+    summaryView.style.display = 'block';
+    content.scrollTop = content.scrollHeight;
+  }
+
+  renderMarkdown(markdownContent: string) {
+    // Simple markdown to HTML conversion for basic formatting
+    let htmlContent = markdownContent
+      .replace(/^### (.*$)/gim, '<h3>$1</h3>')
+      .replace(/^## (.*$)/gim, '<h2>$1</h2>')
+      .replace(/^# (.*$)/gim, '<h1>$1</h1>')
+      .replace(/^\* (.*$)/gim, '<li>$1</li>')
+      .replace(/^\- (.*$)/gim, '<li>$1</li>')
+      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
+      .replace(/\*(.*?)\*/g, '<em>$1</em>')
+      .replace(/`(.*?)`/g, '<code>$1</code>')
+      .replace(/\n\n/g, '</p><p>')
+      .replace(/\n/g, '<br>');
+    
+    // Wrap list items in ul tags
+    htmlContent = htmlContent.replace(/(<li>.*<\/li>)/gs, '<ul>$1</ul>');
+    
+    // Wrap content in paragraphs if not already wrapped
+    if (!htmlContent.startsWith('<h') && !htmlContent.startsWith('<ul')) {
+      htmlContent = '<p>' + htmlContent + '</p>';
+    }
+    return htmlContent;
+  }
+
+  renderFailedSections() {
+    const container = document.getElementById('failed-sections');
+    const list = document.getElementById('failed-sections-list');
+    if (!container || !list) return;
+
+    const failed = this.summary?.failedSections || [];
+    list.innerHTML = '';
+    failed.forEach((section: any) => {
+      const item = document.createElement('li');
+      item.textContent = `${section.timeRange.start} - ${section.timeRange.end}（${section.speakers.join(', ')}）：${section.error}`;
+      list.appendChild(item);
+    });
+    container.style.display = failed.length > 0 ? 'block' : 'none';
   }
 
   switchTab(format: string) {
@@ -507,7 +1372,7 @@ class PopupManager {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `${this.meetingInfo?.title || 'meeting'}_summary.md`;
+    a.download = `${this.meetingInfo?.title || this.transcript?.meetingInfo?.title || 'meeting'}_summary.md`;
     a.click();
     URL.revokeObjectURL(url);
   }
@@ -523,6 +1388,200 @@ class PopupManager {
     }
   }
 
+  getProvider(id: AIProvider): ProviderAdapter | null {
+    return providerRegistry.has(id) ? providerRegistry.get(id) : null;
+  }
+
+  getProviderSettingKeys(): string[] {
+    return providerRegistry.list()
+      .filter((adapter: ProviderAdapter) => adapter.fields.length > 0)
+      .map((adapter: ProviderAdapter) => adapter.id);
+  }
+
+  getProviderFieldId(prefix: string, adapter: ProviderAdapter, field: ProviderField) {
+    // e.g. settings-azure-api-version
+    return `${prefix}${adapter.id}-${field.key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+  }
+
+  renderProviders() {
+    const adapters: ProviderAdapter[] = providerRegistry.list();
+    const views: Array<[string, string, string]> = [
+      ['', 'provider-select', 'provider-fields'],
+      ['settings-', 'settings-provider', 'settings-provider-fields']
+    ];
+
+    views.forEach(([prefix, selectId, containerId]) => {
+      const select = document.getElementById(selectId) as HTMLSelectElement;
+      if (select) {
+        select.innerHTML = '';
+        adapters.forEach(adapter => {
+          const option = document.createElement('option');
+          option.value = adapter.id;
+          option.textContent = adapter.label;
+          select.appendChild(option);
+        });
+      }
+
+      const container = document.getElementById(containerId);
+      if (!container) return;
+      container.innerHTML = '';
+      adapters.filter(adapter => adapter.fields.length > 0).forEach(adapter => {
+        container.appendChild(this.renderProviderFields(prefix, adapter));
+      });
+    });
+  }
+
+  renderProviderFields(prefix: string, adapter: ProviderAdapter): HTMLElement {
+    const section = document.createElement('div');
+    section.id = `${prefix}${adapter.id}-fields`;
+    section.className = 'form-group';
+    section.style.display = 'none';
+
+    adapter.fields.forEach(field => {
+      const id = this.getProviderFieldId(prefix, adapter, field);
+      const label = document.createElement('label');
+      label.htmlFor = id;
+      label.textContent = field.label;
+
+      const input = document.createElement('input');
+      input.id = id;
+      input.type = field.type || 'text';
+      input.value = field.value || '';
+      if (field.placeholder) input.placeholder = field.placeholder;
+      section.append(label, input);
+
+      if (field.discover) {
+        const options = document.createElement('datalist');
+        options.id = `${id}-options`;
+        input.setAttribute('list', options.id);
+
+        const discover = document.createElement('button');
+        discover.className = 'btn secondary';
+        discover.textContent = '🔍 偵測模型';
+        discover.addEventListener('click', () => this.discoverModels(prefix, adapter, field));
+        section.append(options, discover);
+      }
+    });
+
+    if (adapter.hint) {
+      const hint = document.createElement('small');
+      hint.className = 'picker-hint';
+      hint.textContent = adapter.hint;
+      section.appendChild(hint);
+    }
+    return section;
+  }
+
+  populateProviderFields(prefix: string, settings: ExtensionSettings) {
+    providerRegistry.list().forEach((adapter: ProviderAdapter) => {
+      const values = settings[adapter.id] as ProviderSettings | undefined;
+      if (!values) return;
+      adapter.fields.forEach(field => {
+        const input = document.getElementById(this.getProviderFieldId(prefix, adapter, field)) as HTMLInputElement;
+        if (input && values[field.key] !== undefined) input.value = values[field.key];
+      });
+    });
+  }
+
+  readProviderFields(prefix: string, adapter: ProviderAdapter): ProviderSettings {
+    const values: ProviderSettings = {};
+    adapter.fields.forEach(field => {
+      const input = document.getElementById(this.getProviderFieldId(prefix, adapter, field)) as HTMLInputElement;
+      values[field.key] = (input?.value || '').trim() || field.value || '';
+    });
+    return values;
+  }
+
+  async applyProviderFields(prefix: string, settings: ExtensionSettings): Promise<boolean> {
+    const adapter = this.getProvider(settings.provider);
+    if (!adapter || adapter.fields.length === 0) return true;
+
+    const values = this.readProviderFields(prefix, adapter);
+    const missing = adapter.fields.find(field => field.required && !values[field.key]);
+    if (missing) {
+      this.showError(`請輸入${missing.label}`);
+      return false;
+    }
+
+    settings[adapter.id] = values;
+    return !adapter.hostField || await this.requestHostAccess(values[adapter.hostField]);
+  }
+
+  async requestHostAccess(endpoint: string): Promise<boolean> {
+    let origin: string;
+    try {
+      origin = new URL(endpoint).origin;
+    } catch {
+      this.showError('請輸入有效的端點網址');
+      return false;
+    }
+
+    // Host access is optional and granted per server; this has to run inside the click handler
+    try {
+      if (await chrome.permissions.request({ origins: [`${origin}/*`] })) return true;
+      this.showError('未取得此端點的存取權限');
+    } catch (error) {
+      this.showError(`無法存取此端點：${(error as Error).message}`);
+    }
+    return false;
+  }
+
+  async discoverModels(prefix: string, adapter: ProviderAdapter, field: ProviderField) {
+    const values = this.readProviderFields(prefix, adapter);
+    if (adapter.hostField && !await this.requestHostAccess(values[adapter.hostField])) return;
+
+    try {
+      const apiKey = (document.getElementById(`${prefix}api-key`) as HTMLInputElement)?.value || '';
+      const response = await chrome.runtime.sendMessage({
+        action: 'listModels',
+        settings: { provider: adapter.id, apiKey, [adapter.id]: values }
+      });
+      if (response?.error) {
+        this.showError(`無法取得模型清單：${response.error}`);
+        return;
+      }
+
+      const models: string[] = response?.models || [];
+      const fieldId = this.getProviderFieldId(prefix, adapter, field);
+      const options = document.getElementById(`${fieldId}-options`);
+      if (options) {
+        options.innerHTML = '';
+        models.forEach(id => {
+          const option = document.createElement('option');
+          option.value = id;
+          options.appendChild(option);
+        });
+      }
+
+      const modelInput = document.getElementById(fieldId) as HTMLInputElement;
+      if (modelInput && !modelInput.value && models.length > 0) {
+        modelInput.value = models[0];
+      }
+      if (models.length === 0) {
+        this.showError('伺服器上沒有可用的模型');
+      }
+    } catch (error) {
+      this.showError(`無法取得模型清單：${(error as Error).message}`);
+    }
+  }
+
+  toggleProviderFields() {
+    const views: Array<[string, string]> = [
+      ['', 'provider-select'],
+      ['settings-', 'settings-provider']
+    ];
+    views.forEach(([prefix, selectId]) => {
+      const select = document.getElementById(selectId) as HTMLSelectElement;
+      if (!select) return;
+      providerRegistry.list().forEach((adapter: ProviderAdapter) => {
+        const section = document.getElementById(`${prefix}${adapter.id}-fields`);
+        if (section) {
+          section.style.display = select.value === adapter.id ? 'block' : 'none';
+        }
+      });
+    });
+  }
+
   toggleCustomPrompt() {
     const template = (document.getElementById('prompt-template') as HTMLSelectElement)?.value;
     const section = document.getElementById('custom-prompt-section');
@@ -575,7 +1634,9 @@ class PopupManager {
       const state = {
         meetingInfo: this.meetingInfo,
         transcript: this.transcript,
+        speakerMapping: this.speakerMapping,
         summary: this.summary,
+        summaryJobId: this.summaryJobId,
         timestamp: Date.now()
       };
 
@@ -599,8 +1660,11 @@ class PopupManager {
         const oneHour = 60 * 60 * 1000;
         if (Date.now() - state.timestamp < oneHour) {
           this.meetingInfo = state.meetingInfo;
-          this.transcript = state.transcript;
+          // States saved by older versions may hold raw Stream entries
+          this.transcript = state.transcript ? transcriptNormalizer.normalize(state.transcript) : null;
+          this.speakerMapping = state.speakerMapping || {};
           this.summary = state.summary;
+          this.summaryJobId = state.summaryJobId || null;
 
           // Restore UI state
           if (this.meetingInfo) {
@@ -624,25 +1688,37 @@ class PopupManager {
     if (!this.transcript) return;
 
     let content = '';
-    const entries = this.transcript.entries || [];
+    const transcript = this.getExportTranscript();
+    const entries = transcript.entries || [];
     
     if (entries.length > 0) {
       // Format as readable transcript
-      content = `# ${this.meetingInfo?.title || '會議逐字稿'}\n\n`;
-      content += `**時間**: ${new Date().toLocaleString('zh-TW')}\n`;
+      const timeline = transcriptTimeline.build(transcript);
+      content = `# ${this.meetingInfo?.title || this.transcript?.meetingInfo?.title || '會議逐字稿'}\n\n`;
+      if (timeline.meetingStart) {
+        content += `**會議時間**: ${transcriptTimeline.formatClockTime(timeline.meetingStart, { includeDate: true })} – ${transcriptTimeline.formatClockTime(timeline.meetingEnd)}\n`;
+      } else {
+        content += `**時間**: ${new Date().toLocaleString('zh-TW')}\n`;
+      }
       if (this.transcript.metadata?.duration) {
         content += `**時長**: ${this.transcript.metadata.duration}\n`;
       }
-      if (this.transcript.metadata?.participants?.length > 0) {
-        content += `**參與者**: ${this.transcript.metadata.participants.join(', ')}\n`;
+      if (transcript.metadata?.participants?.length > 0) {
+        content += `**參與者**: ${transcript.metadata.participants.join(', ')}\n`;
       }
       content += '\n---\n\n';
 
+      const gaps = [...timeline.gaps];
       entries.forEach((entry: any) => {
-        const time = entry.startTime || entry.startOffset || '00:00';
-        const speaker = entry.speaker || entry.speakerDisplayName || 'Unknown Speaker';
-        const text = entry.text || '';
-        content += `**[${time}] ${speaker}**: ${text}\n\n`;
+        const offset = entry.startTime;
+        // Mark where transcription was stopped before this entry
+        while (gaps.length > 0 && gaps[0].endMs <= transcriptTimeline.offsetToMilliseconds(offset)) {
+          const gap = gaps.shift();
+          content += `> ⏸️ 逐字稿中斷 ${transcriptTimeline.formatTime(gap.startMs, timeline, this.timestampStyle)} – ${transcriptTimeline.formatTime(gap.endMs, timeline, this.timestampStyle)}\n\n`;
+        }
+
+        const time = transcriptTimeline.formatTime(offset, timeline, this.timestampStyle);
+        content += `**[${time}] ${entry.speaker}**: ${entry.text}\n\n`;
       });
     } else if (this.transcript.rawText) {
       content = this.transcript.rawText;
@@ -9,6 +9,7 @@ const STORAGE_KEYS = {
     API_KEYS: 'api_keys',
     PROMPT_TEMPLATES: 'prompt_templates',
     USER_PREFERENCES: 'user_preferences',
+    SPEAKER_MAPPINGS: 'speaker_mappings',
     MIGRATION_VERSION: 'migration_version'
 };
 
@@ -335,6 +336,54 @@ class StorageManager {
         }
     }
 
+    /**
+     * Save the speaker mapping of a tenant (an empty mapping removes it)
+     * @param {string} tenant - Tenant key (see SpeakerMapper.getTenantKey)
+     * @param {Object} mapping - { [speakerKey]: alias }
+     */
+    async saveSpeakerMappings(tenant, mapping) {
+        if (!this.initialized) await this.initialize();
+        
+        try {
+            const result = await chrome.storage.local.get([STORAGE_KEYS.SPEAKER_MAPPINGS]);
+            const mappings = result[STORAGE_KEYS.SPEAKER_MAPPINGS] || {};
+            
+            if (mapping && Object.keys(mapping).length > 0) {
+                mappings[tenant] = mapping;
+            } else {
+                delete mappings[tenant];
+            }
+            
+            await chrome.storage.local.set({
+                [STORAGE_KEYS.SPEAKER_MAPPINGS]: mappings
+            });
+            
+            console.log(`[StorageManager] Speaker mappings saved for tenant: ${tenant}`);
+            return true;
+        } catch (error) {
+            console.error('[StorageManager] Failed to save speaker mappings:', error);
+            throw new Error('Failed to save speaker mappings');
+        }
+    }
+
+    /**
+     * Load the speaker mapping of a tenant
+     * @param {string} tenant - Tenant key (see SpeakerMapper.getTenantKey)
+     * @returns {Promise<Object>} { [speakerKey]: alias }
+     */
+    async loadSpeakerMappings(tenant) {
+        if (!this.initialized) await this.initialize();
+        
+        try {
+            const result = await chrome.storage.local.get([STORAGE_KEYS.SPEAKER_MAPPINGS]);
+            const mappings = result[STORAGE_KEYS.SPEAKER_MAPPINGS] || {};
+            return mappings[tenant] || {};
+        } catch (error) {
+            console.error('[StorageManager] Failed to load speaker mappings:', error);
+            return {};
+        }
+    }
+
     /**
      * Export all data (for backup/migration)
      */
@@ -344,11 +393,13 @@ class StorageManager {
         try {
             const settings = await this.loadSettings();
             const promptTemplates = await this.loadPromptTemplates();
+            const speakerResult = await chrome.storage.local.get([STORAGE_KEYS.SPEAKER_MAPPINGS]);
             
             // Note: API keys are not included in export for security
             return {
                 settings,
                 promptTemplates,
+                speakerMappings: speakerResult[STORAGE_KEYS.SPEAKER_MAPPINGS] || {},
                 exportDate: new Date().toISOString(),
                 version: CURRENT_VERSION
             };
@@ -375,6 +426,12 @@ class StorageManager {
                 });
             }
             
+            if (data.speakerMappings) {
+                await chrome.storage.local.set({
+                    [STORAGE_KEYS.SPEAKER_MAPPINGS]: data.speakerMappings
+                });
+            }
+            
             console.log('[StorageManager] Data imported successfully');
             return true;
         } catch (error) {
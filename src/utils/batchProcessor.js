@@ -0,0 +1,334 @@
+/**
+ * Batch Processor for Teams Transcript Chrome Extension
+ * Runs a batch job over many recordings: lists the recordings behind a set of
+ * SharePoint folder / stream.aspx URLs, then extracts and summarizes each one
+ * in turn, reporting progress after every step. A saved job can carry on
+ * after a service-worker restart; summaries already queued are awaited, not
+ * requested again.
+ */
+
+const { transcriptTimeline } = require('./transcriptTimeline.js');
+const { transcriptNormalizer } = require('./transcriptNormalizer.js');
+
+// Job states
+const BATCH_STATUS = {
+    LISTING: 'listing',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+// Per-recording states
+const BATCH_ITEM_STATUS = {
+    PENDING: 'pending',
+    EXTRACTING: 'extracting',
+    SUMMARIZING: 'summarizing',
+    DONE: 'done',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+/**
+ * Batch Processor class
+ */
+class BatchProcessor {
+    /**
+     * @param {Object} handlers - Environment-specific steps
+     * @param {Function} handlers.listRecordings - async (sources) => { recordings, errors }
+     * @param {Function} handlers.fetchTranscript - async (recording) => transcript
+     * @param {Function} handlers.queueSummary - async (transcript) => summary job ID
+     * @param {Function} handlers.awaitSummary - async (jobId, { signal }) => summary; signal aborts when the job is cancelled
+     * @param {Function} handlers.onUpdate - (job) => void, called after every state change
+     */
+    constructor(handlers) {
+        this.handlers = handlers;
+        this.job = null;
+        this.controller = null;
+    }
+
+    /**
+     * Whether a job is in progress
+     * @returns {boolean} True while listing or running
+     */
+    isRunning() {
+        return !!this.job && (this.job.status === BATCH_STATUS.LISTING || this.job.status === BATCH_STATUS.RUNNING);
+    }
+
+    /**
+     * Current (or last) job
+     * @returns {Object|null} Job
+     */
+    getJob() {
+        return this.job;
+    }
+
+    /**
+     * Start a batch job; the job is available from getJob() as soon as this is called
+     * @param {Array<string>} sources - SharePoint folder or recording URLs
+     * @param {Object} options - Job options
+     * @param {string} options.timestampStyle - 'offset' (default) or 'clock' for exported transcripts
+     * @returns {Promise<Object>} Finished job
+     */
+    async start(sources, options = {}) {
+        if (this.isRunning()) {
+            throw new Error('A batch job is already running');
+        }
+
+        const cleanSources = [...new Set((sources || []).map(source => String(source).trim()).filter(Boolean))];
+        if (cleanSources.length === 0) {
+            throw new Error('No folder or recording URLs provided');
+        }
+
+        this.job = this.createJob(cleanSources);
+        this.job.timestampStyle = options.timestampStyle || 'offset';
+        this.notify();
+
+        return this.run();
+    }
+
+    /**
+     * List the job's recordings if that is still to do, then process every recording left
+     * @returns {Promise<Object>} Finished job
+     */
+    async run() {
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+
+        try {
+            if (this.job.status === BATCH_STATUS.LISTING) {
+                await this.listItems(signal);
+            }
+
+            for (const item of this.job.items) {
+                if (signal.aborted) {
+                    break;
+                }
+                if (item.status === BATCH_ITEM_STATUS.DONE || item.status === BATCH_ITEM_STATUS.FAILED) {
+                    continue;
+                }
+                await this.processItem(item, signal);
+            }
+
+            this.job.status = signal.aborted ? BATCH_STATUS.CANCELLED : BATCH_STATUS.COMPLETED;
+        } catch (error) {
+            if (signal.aborted) {
+                this.job.status = BATCH_STATUS.CANCELLED;
+            } else {
+                console.error('[BatchProcessor] Batch job failed:', error);
+                this.job.status = BATCH_STATUS.FAILED;
+                this.job.error = error.message;
+            }
+        }
+
+        // Recordings the cancel reached before they started are left undone
+        if (this.job.status === BATCH_STATUS.CANCELLED) {
+            this.job.items
+                .filter(item => item.status === BATCH_ITEM_STATUS.PENDING)
+                .forEach(item => {
+                    item.status = BATCH_ITEM_STATUS.CANCELLED;
+                });
+        }
+
+        this.controller = null;
+        this.job.finishedAt = new Date().toISOString();
+        this.updateProgress();
+        return this.job;
+    }
+
+    /**
+     * Find the recordings behind the job's sources
+     * @param {AbortSignal} signal - Aborts when the job is cancelled
+     */
+    async listItems(signal) {
+        const { recordings, errors } = await this.handlers.listRecordings(this.job.sources);
+        if (signal.aborted) {
+            throw new Error('The batch was cancelled');
+        }
+        this.job.sourceErrors = errors || [];
+        this.job.items = recordings.map(recording => ({
+            recording,
+            status: BATCH_ITEM_STATUS.PENDING,
+            error: null,
+            summary: null,
+            summaryJobId: null,
+            transcriptText: null,
+            meetingStart: null,
+            meetingEnd: null
+        }));
+        this.job.status = BATCH_STATUS.RUNNING;
+        this.updateProgress();
+    }
+
+    /**
+     * Stop the running job: the summary in flight is aborted and no further recording starts
+     * @returns {boolean} False when no job is running
+     */
+    cancel() {
+        if (!this.isRunning() || !this.controller) {
+            return false;
+        }
+
+        this.controller.abort();
+        return true;
+    }
+
+    /**
+     * Create an empty job
+     * @param {Array<string>} sources - Source URLs
+     * @returns {Object} Job
+     */
+    createJob(sources) {
+        return {
+            id: `batch-${Date.now()}`,
+            status: BATCH_STATUS.LISTING,
+            sources: sources,
+            sourceErrors: [],
+            items: [],
+            progress: { total: 0, completed: 0, failed: 0 },
+            error: null,
+            createdAt: new Date().toISOString(),
+            finishedAt: null
+        };
+    }
+
+    /**
+     * Extract and summarize one recording; failures are recorded on the item
+     * @param {Object} item - Job item
+     * @param {AbortSignal} signal - Aborts when the job is cancelled
+     */
+    async processItem(item, signal) {
+        try {
+            // A summary queued before a restart is still in the summary queue
+            if (item.status === BATCH_ITEM_STATUS.SUMMARIZING && item.summaryJobId) {
+                item.summary = await this.handlers.awaitSummary(item.summaryJobId, { signal });
+                item.status = BATCH_ITEM_STATUS.DONE;
+                this.updateProgress();
+                return;
+            }
+
+            item.status = BATCH_ITEM_STATUS.EXTRACTING;
+            this.notify();
+            const transcript = transcriptNormalizer.normalize(await this.handlers.fetchTranscript(item.recording));
+            const timeline = transcriptTimeline.build(transcript);
+            item.meetingStart = timeline.meetingStart;
+            item.meetingEnd = timeline.meetingEnd;
+            item.transcriptText = this.formatTranscriptText(transcript, timeline, this.job.timestampStyle);
+            if (signal.aborted) {
+                throw new Error('The batch was cancelled');
+            }
+
+            item.summaryJobId = await this.handlers.queueSummary(transcript);
+            item.status = BATCH_ITEM_STATUS.SUMMARIZING;
+            this.notify();
+            item.summary = await this.handlers.awaitSummary(item.summaryJobId, { signal });
+
+            item.status = BATCH_ITEM_STATUS.DONE;
+        } catch (error) {
+            if (signal.aborted) {
+                item.status = BATCH_ITEM_STATUS.CANCELLED;
+                this.updateProgress();
+                return;
+            }
+            console.warn('[BatchProcessor] Recording failed:', item.recording.url, error);
+            item.status = BATCH_ITEM_STATUS.FAILED;
+            item.error = error.message;
+        }
+
+        this.updateProgress();
+    }
+
+    /**
+     * Plain-text transcript kept for the export bundle
+     * @param {Object} transcript - Parsed transcript
+     * @param {Object} timeline - Timeline from TranscriptTimeline.build(), for clock times and gaps
+     * @param {string} timestampStyle - 'offset' or 'clock'
+     * @returns {string} One "[HH:MM:SS] Speaker: text" line per entry, with a line per transcription gap
+     */
+    formatTranscriptText(transcript, timeline = null, timestampStyle = 'offset') {
+        const gaps = timeline ? [...timeline.gaps] : [];
+        const lines = [];
+
+        (transcript.entries || []).forEach(entry => {
+            const startMs = transcriptTimeline.offsetToMilliseconds(entry.startTime);
+            while (gaps.length > 0 && gaps[0].endMs <= startMs) {
+                const gap = gaps.shift();
+                lines.push(`[${transcriptTimeline.formatTime(gap.startMs, timeline, timestampStyle)}] -- Transcription stopped for ${transcriptTimeline.formatDuration(gap.durationMs)} --`);
+            }
+
+            const time = transcriptTimeline.formatTime(entry.startTime || '00:00:00', timeline, timestampStyle);
+            lines.push(`[${time}] ${entry.speaker || 'Unknown Speaker'}: ${entry.text}`);
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Recount progress and notify listeners
+     */
+    updateProgress() {
+        const items = this.job.items;
+        this.job.progress = {
+            total: items.length,
+            completed: items.filter(item => item.status === BATCH_ITEM_STATUS.DONE).length,
+            failed: items.filter(item => item.status === BATCH_ITEM_STATUS.FAILED).length
+        };
+        this.notify();
+    }
+
+    /**
+     * Report the job's state
+     */
+    notify() {
+        if (this.handlers.onUpdate) {
+            try {
+                this.handlers.onUpdate(this.job);
+            } catch (error) {
+                console.error('[BatchProcessor] Update listener failed:', error);
+            }
+        }
+    }
+
+    /**
+     * Adopt a job saved before the service worker stopped; an unfinished job carries on
+     * where it stopped, or is marked interrupted when it cannot
+     * @param {Object} job - Persisted job
+     * @param {boolean} resume - False when the job's tab or settings are gone
+     * @returns {Promise<Object>|null} The resumed run, settling with the finished job
+     */
+    restore(job, resume = true) {
+        if (!job) {
+            return null;
+        }
+
+        this.job = job;
+        if (!this.isRunning()) {
+            return null;
+        }
+        if (resume) {
+            console.log(`[BatchProcessor] Resuming batch ${job.id} after a restart`);
+            return this.run();
+        }
+
+        job.items
+            .filter(item => item.status !== BATCH_ITEM_STATUS.DONE && item.status !== BATCH_ITEM_STATUS.FAILED)
+            .forEach(item => {
+                item.status = BATCH_ITEM_STATUS.FAILED;
+                item.error = 'Interrupted';
+            });
+        job.status = BATCH_STATUS.FAILED;
+        job.error = 'The batch was interrupted before it finished';
+        job.finishedAt = new Date().toISOString();
+        this.updateProgress();
+        return null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BatchProcessor, BATCH_STATUS, BATCH_ITEM_STATUS };
+} else {
+    window.BatchProcessor = BatchProcessor;
+    window.BATCH_STATUS = BATCH_STATUS;
+    window.BATCH_ITEM_STATUS = BATCH_ITEM_STATUS;
+}
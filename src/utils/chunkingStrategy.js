@@ -4,17 +4,27 @@
  * Handles intelligent chunking of large transcripts that exceed AI model context limits.
  * Features:
  * - Smart chunking by speaker turns and semantic breaks
+ * - Topic segmentation by lexical cohesion, with keyword labels as section headers
  * - Context-aware overlap to maintain conversation flow
- * - Section-based summarization and combination
+ * - Section-based summarization and combination, reduced level by level when
+ *   the section summaries do not fit one combine prompt
  * - Progress tracking for multi-chunk processing
+ * - Concurrent chunk summarization with a bounded worker pool
+ * - Per-chunk results cached through CacheManager, so a retry re-runs only failed chunks
  * - Optimized for both GPT 4.1 (1M+ tokens) and Claude Sonnet 4 (200k tokens)
  */
 
+const { timeUtils } = require('./timeUtils.js');
+const { tokenCounter } = require('./tokenCounter.js');
+const { WorkerPool } = require('./workerPool.js');
+const { topicSegmenter } = require('./topicSegmenter.js');
+const { providerRegistry } = require('../api/providerRegistry.js');
+
 // Import transcript formatter functions (try different approaches for compatibility)
 let chunkTranscript, formatTranscriptForAI;
 try {
-    // Try CommonJS require first
-    const transcriptFormatter = require('./transcriptFormatter.js');
+    // Try CommonJS require first (resolves the .ts source when bundled)
+    const transcriptFormatter = require('./transcriptFormatter');
     chunkTranscript = transcriptFormatter.chunkTranscript;
     formatTranscriptForAI = transcriptFormatter.formatTranscriptForAI;
 } catch (error) {
@@ -35,37 +45,29 @@ try {
     }
 }
 
-// Token limits for different providers (conservative estimates)
-const PROVIDER_LIMITS = {
-    'openai': {
-        'gpt-4.1': 1000000,      // 1M+ context window, use 900k for safety
-        'gpt-4': 120000,         // 128k context, use 110k for safety
-        'gpt-3.5-turbo': 15000   // 16k context, use 15k for safety
-    },
-    'anthropic': {
-        'claude-3-5-sonnet-20241022': 180000,  // 200k context, use 180k for safety
-        'claude-3-opus-20240229': 180000,      // 200k context, use 180k for safety
-        'claude-3-haiku-20240307': 180000      // 200k context, use 180k for safety
-    }
-};
-
 // Chunking strategies
 const CHUNKING_STRATEGIES = {
     SPEAKER_TURNS: 'speaker_turns',
     TIME_BASED: 'time_based',
     SEMANTIC_BREAKS: 'semantic_breaks',
+    TOPIC_SEGMENTS: 'topic_segments',
     HYBRID: 'hybrid'
 };
 
 // Overlap percentage for context preservation
 const CONTEXT_OVERLAP_PERCENTAGE = 0.15; // 15% overlap between chunks
 
+// Share of the context window one combine prompt may fill (the rest is instructions and output)
+const COMBINE_CONTEXT_SHARE = 0.5;
+
 /**
  * Advanced Chunking Strategy class
  */
 class ChunkingStrategy {
     constructor() {
         this.defaultStrategy = CHUNKING_STRATEGIES.HYBRID;
+        // Provider and model token counts default to while chunking (set by chunkTranscript)
+        this.tokenTarget = { provider: 'openai', model: 'gpt-4.1' };
     }
 
     /**
@@ -77,7 +79,7 @@ class ChunkingStrategy {
      * @returns {Object} Chunking analysis result
      */
     analyzeChunkingNeeds(formattedTranscript, provider, model, options = {}) {
-        const tokenCount = this.estimateTokenCount(formattedTranscript.content);
+        const tokenCount = this.estimateTokenCount(formattedTranscript.content, provider, model);
         const contextLimit = this.getContextLimit(provider, model);
         const safeLimit = Math.floor(contextLimit * 0.8); // 80% safety margin
         
@@ -122,31 +124,42 @@ class ChunkingStrategy {
         // Determine max tokens per chunk
         const maxTokens = maxTokensPerChunk || this.getOptimalChunkSize(provider, model);
 
-        // Apply selected chunking strategy
+        // Count chunk sizes with the target model's tokenizer
+        const previousTarget = this.tokenTarget;
+        this.tokenTarget = { provider, model };
+
         let chunks = [];
-        switch (strategy) {
-            case CHUNKING_STRATEGIES.SPEAKER_TURNS:
-                chunks = this.chunkBySpeakerTurns(formattedTranscript, maxTokens);
-                break;
-            case CHUNKING_STRATEGIES.TIME_BASED:
-                chunks = this.chunkByTimeIntervals(formattedTranscript, maxTokens);
-                break;
-            case CHUNKING_STRATEGIES.SEMANTIC_BREAKS:
-                chunks = this.chunkBySemanticBreaks(formattedTranscript, maxTokens);
-                break;
-            case CHUNKING_STRATEGIES.HYBRID:
-            default:
-                chunks = this.chunkWithHybridStrategy(formattedTranscript, maxTokens);
-                break;
-        }
+        try {
+            // Apply selected chunking strategy
+            switch (strategy) {
+                case CHUNKING_STRATEGIES.SPEAKER_TURNS:
+                    chunks = this.chunkBySpeakerTurns(formattedTranscript, maxTokens);
+                    break;
+                case CHUNKING_STRATEGIES.TIME_BASED:
+                    chunks = this.chunkByTimeIntervals(formattedTranscript, maxTokens);
+                    break;
+                case CHUNKING_STRATEGIES.SEMANTIC_BREAKS:
+                    chunks = this.chunkBySemanticBreaks(formattedTranscript, maxTokens);
+                    break;
+                case CHUNKING_STRATEGIES.TOPIC_SEGMENTS:
+                    chunks = this.chunkByTopics(formattedTranscript, maxTokens);
+                    break;
+                case CHUNKING_STRATEGIES.HYBRID:
+                default:
+                    chunks = this.chunkWithHybridStrategy(formattedTranscript, maxTokens);
+                    break;
+            }
 
-        // Add context overlap if requested
-        if (preserveContext && chunks.length > 1) {
-            chunks = this.addContextOverlap(chunks, formattedTranscript);
-        }
+            // Add context overlap if requested
+            if (preserveContext && chunks.length > 1) {
+                chunks = this.addContextOverlap(chunks, formattedTranscript);
+            }
 
-        // Add chunk metadata
-        chunks = this.enrichChunkMetadata(chunks, formattedTranscript, strategy);
+            // Add chunk metadata
+            chunks = this.enrichChunkMetadata(chunks, formattedTranscript, strategy);
+        } finally {
+            this.tokenTarget = previousTarget;
+        }
 
         console.log(`[ChunkingStrategy] Created ${chunks.length} chunks with strategy: ${strategy}`);
         return chunks;
@@ -221,7 +234,8 @@ class ChunkingStrategy {
 
         const chunks = [];
         let currentChunk = [];
-        let currentIntervalStart = 0;
+        // Trimmed recordings start past zero; intervals run from the first section
+        let currentIntervalStart = sections.length > 0 ? this.parseTimestampToMs(sections[0].startTime) : 0;
 
         for (const section of sections) {
             const sectionStartMs = this.parseTimestampToMs(section.startTime);
@@ -286,6 +300,52 @@ class ChunkingStrategy {
         return chunks;
     }
 
+    /**
+     * Chunk by topic (agenda items found by TextTiling), labelling each chunk with keywords
+     */
+    chunkByTopics(formattedTranscript, maxTokens) {
+        const sections = formattedTranscript.sections;
+        const groups = [];
+        let currentGroup = [];
+        let currentTokens = 0;
+
+        // Whole topics are packed together, so chunk boundaries always fall on topic boundaries
+        for (const segment of topicSegmenter.segment(sections)) {
+            const segmentSections = sections.slice(segment.start, segment.end);
+            const segmentTokens = segmentSections.reduce((sum, section) => sum + this.estimateTokenCount(section.text), 0);
+
+            if (currentTokens + segmentTokens > maxTokens && currentGroup.length > 0) {
+                groups.push(currentGroup);
+                currentGroup = [];
+                currentTokens = 0;
+            }
+
+            // A topic longer than one chunk is split at speaker turns
+            if (segmentTokens > maxTokens) {
+                const topicTranscript = { ...formattedTranscript, sections: segmentSections };
+                groups.push(...this.chunkBySpeakerTurns(topicTranscript, maxTokens).map(chunk => chunk.sections));
+                continue;
+            }
+
+            currentGroup.push(...segmentSections);
+            currentTokens += segmentTokens;
+        }
+
+        // Add final chunk
+        if (currentGroup.length > 0) {
+            groups.push(currentGroup);
+        }
+
+        const keywords = topicSegmenter.extractKeywords(groups.map(group => group.map(section => section.text).join('\n')));
+        return groups.map((group, index) => {
+            const chunk = this.createChunk(group, formattedTranscript.metadata);
+            return {
+                ...chunk,
+                metadata: { ...chunk.metadata, topicLabel: keywords[index].join(' / ') }
+            };
+        });
+    }
+
     /**
      * Hybrid strategy combining multiple approaches
      */
@@ -392,7 +452,12 @@ class ChunkingStrategy {
      * Process large transcript with progress tracking
      * @param {Object} formattedTranscript - Formatted transcript
      * @param {Function} aiSummaryFunction - Function to generate summaries
-     * @param {Object} options - Processing options
+     * @param {Object} options - Processing options; options.concurrency sets how many
+     *   chunks are summarized at once (default 1, one at a time); with options.cacheManager
+     *   (a CacheManager) chunk summaries are cached and reused, keyed by transcript hash,
+     *   chunk index and prompt hash (options.prompt, language, provider, model, strategy);
+     *   aborting options.signal (an AbortSignal, also passed on to aiSummaryFunction) starts
+     *   no further chunks and rejects with an AbortError; finished chunks stay cached
      * @param {Function} progressCallback - Progress tracking callback
      * @returns {Object} Combined summary result
      */
@@ -406,67 +471,87 @@ class ChunkingStrategy {
 
         // Create chunks
         const chunks = this.chunkTranscript(formattedTranscript, options);
-        console.log(`[ChunkingStrategy] Processing ${chunks.length} chunks with ${analysis.complexity} complexity`);
+        const pool = new WorkerPool(options.concurrency);
+        console.log(`[ChunkingStrategy] Processing ${chunks.length} chunks with ${analysis.complexity} complexity, ${pool.concurrency} at a time`);
 
-        const chunkSummaries = [];
+        const cacheKeys = this.getChunkCacheKeys(formattedTranscript, options);
         const totalChunks = chunks.length;
+        let completed = 0;
+        let inProgress = 0;
 
-        // Process each chunk
-        for (let i = 0; i < chunks.length; i++) {
-            const chunk = chunks[i];
-            
-            // Update progress
+        // Chunks may finish out of order; current always counts finished chunks
+        const chunkSummaries = await pool.run(chunks, async (chunk, i) => {
+            options.signal?.throwIfAborted();
+            inProgress++;
             if (progressCallback) {
                 progressCallback({
                     stage: 'chunking',
-                    current: i + 1,
+                    current: completed,
                     total: totalChunks,
+                    inProgress,
+                    chunkIndex: i,
                     message: `Processing chunk ${i + 1} of ${totalChunks}`,
                     chunkInfo: {
                         timeRange: chunk.metadata.timeRange,
                         speakers: chunk.metadata.speakers,
+                        topicLabel: chunk.metadata.topicLabel,
                         tokenCount: chunk.metadata.tokenCount
                     }
                 });
             }
 
+            let summary = cacheKeys
+                ? await options.cacheManager.getCachedChunkResult(cacheKeys.transcriptHash, i, cacheKeys.promptHash)
+                : null;
+            const cached = !!summary;
             try {
-                console.log(`[ChunkingStrategy] Processing chunk ${i + 1}/${totalChunks}`);
-                
-                // Adjust options for section processing
-                const chunkOptions = {
-                    ...options,
-                    promptType: 'section', // Use section-specific prompts
-                    isChunk: true,
-                    chunkIndex: i,
-                    totalChunks
-                };
-
-                const chunkSummary = await aiSummaryFunction(chunk, chunkOptions);
-                
-                chunkSummaries.push({
-                    chunkIndex: i,
-                    timeRange: chunk.metadata.timeRange,
-                    speakers: chunk.metadata.speakers,
-                    summary: chunkSummary,
-                    tokenCount: chunk.metadata.tokenCount
-                });
-
+                if (cached) {
+                    console.log(`[ChunkingStrategy] Using cached summary for chunk ${i + 1}/${totalChunks}`);
+                } else {
+                    summary = await this.summarizeChunk(chunk, i, totalChunks, aiSummaryFunction, options);
+                    if (cacheKeys && summary && !summary.error) {
+                        await options.cacheManager.cacheChunkResult(cacheKeys.transcriptHash, i, cacheKeys.promptHash, summary);
+                    }
+                }
             } catch (error) {
+                // A cancelled run ends here rather than flagging every remaining chunk as failed
+                if (options.signal?.aborted) {
+                    throw error;
+                }
                 console.error(`[ChunkingStrategy] Error processing chunk ${i + 1}:`, error);
                 
-                // Add error placeholder to maintain sequence
-                chunkSummaries.push({
+                // Add error placeholder to maintain sequence; failures are not cached
+                summary = { error: error.message };
+            }
+
+            inProgress--;
+            completed++;
+            if (progressCallback) {
+                progressCallback({
+                    stage: 'chunking',
+                    current: completed,
+                    total: totalChunks,
+                    inProgress,
                     chunkIndex: i,
-                    timeRange: chunk.metadata.timeRange,
-                    speakers: chunk.metadata.speakers,
-                    summary: { error: error.message },
-                    tokenCount: chunk.metadata.tokenCount
+                    message: `Finished chunk ${i + 1} of ${totalChunks} (${completed}/${totalChunks} done)`,
+                    failed: !!(summary && summary.error),
+                    cached
                 });
             }
-        }
+
+            return {
+                chunkIndex: i,
+                timeRange: chunk.metadata.timeRange,
+                speakers: chunk.metadata.speakers,
+                topicLabel: chunk.metadata.topicLabel,
+                summary,
+                tokenCount: chunk.metadata.tokenCount,
+                cached
+            };
+        });
 
         // Combine summaries
+        options.signal?.throwIfAborted();
         if (progressCallback) {
             progressCallback({
                 stage: 'combining',
@@ -480,7 +565,8 @@ class ChunkingStrategy {
             chunkSummaries,
             formattedTranscript.metadata,
             aiSummaryFunction,
-            options
+            options,
+            progressCallback
         );
 
         // Final progress update
@@ -497,10 +583,71 @@ class ChunkingStrategy {
         return combinedSummary;
     }
 
+    /**
+     * Re-run only the chunks that have no cached summary, then combine again
+     * @param {Object} formattedTranscript - The same formatted transcript as the earlier run
+     * @param {Function} aiSummaryFunction - Function to generate summaries
+     * @param {Object} options - The earlier run's options; options.cacheManager is required
+     * @param {Function} progressCallback - Progress tracking callback
+     * @returns {Object} Combined summary result
+     */
+    async retryFailedChunks(formattedTranscript, aiSummaryFunction, options = {}, progressCallback = null) {
+        if (!options.cacheManager) {
+            throw new Error('Retrying failed chunks needs options.cacheManager holding the earlier chunk results');
+        }
+        return await this.processLargeTranscript(formattedTranscript, aiSummaryFunction, options, progressCallback);
+    }
+
+    /**
+     * Summarize one chunk with the section prompt
+     */
+    async summarizeChunk(chunk, index, totalChunks, aiSummaryFunction, options) {
+        console.log(`[ChunkingStrategy] Processing chunk ${index + 1}/${totalChunks}`);
+
+        // Adjust options for section processing
+        const chunkOptions = {
+            ...options,
+            promptType: 'section', // Use section-specific prompts
+            isChunk: true,
+            chunkIndex: index,
+            totalChunks
+        };
+
+        return await aiSummaryFunction(chunk, chunkOptions);
+    }
+
+    /**
+     * Cache keys for a run's chunk summaries
+     * @param {Object} formattedTranscript - Formatted transcript
+     * @param {Object} options - Processing options
+     * @returns {Object|null} { transcriptHash, promptHash }, or null without options.cacheManager
+     */
+    getChunkCacheKeys(formattedTranscript, options) {
+        const cache = options.cacheManager;
+        if (!cache) {
+            return null;
+        }
+
+        // Chunk boundaries depend on provider, model and strategy, so they are part of the prompt hash
+        return {
+            transcriptHash: cache.generateTranscriptHash(formattedTranscript.content),
+            promptHash: cache.generatePromptHash(options.prompt || 'section', options.language, {
+                provider: options.provider,
+                model: options.model,
+                strategy: options.strategy || this.defaultStrategy,
+                maxTokensPerChunk: options.maxTokensPerChunk || null
+            })
+        };
+    }
+
     /**
      * Combine section summaries into cohesive final summary
+     *
+     * When the summaries do not fit one combine prompt (options.maxCombineTokens, by default
+     * half the model's context), consecutive summaries are combined in groups first, level by
+     * level, until the rest fits. Each level is reported through progressCallback ('reducing').
      */
-    async combineSectionSummaries(chunkSummaries, originalMetadata, aiSummaryFunction, options) {
+    async combineSectionSummaries(chunkSummaries, originalMetadata, aiSummaryFunction, options, progressCallback = null) {
         // Filter out error summaries
         const validSummaries = chunkSummaries.filter(cs => cs.summary && !cs.summary.error);
         
@@ -508,12 +655,28 @@ class ChunkingStrategy {
             throw new Error('All chunk processing failed - cannot generate combined summary');
         }
 
+        let parts = validSummaries.map(cs => ({
+            timeRange: cs.timeRange,
+            speakers: cs.speakers,
+            label: cs.topicLabel,
+            text: cs.summary.summary || cs.summary
+        }));
+
+        // Reduce tree: stop when everything fits, or when no group holds more than one summary
+        const maxCombineTokens = options.maxCombineTokens || this.getCombineBudget(options.provider, options.model);
+        let reduceLevels = 0;
+        let groups = this.groupForCombine(parts, maxCombineTokens, options);
+        while (groups.length > 1 && groups.length < parts.length) {
+            reduceLevels++;
+            parts = await this.reduceLevel(groups, reduceLevels, originalMetadata, aiSummaryFunction, options, progressCallback);
+            groups = this.groupForCombine(parts, maxCombineTokens, options);
+        }
+        if (groups.length > 1) {
+            console.warn(`[ChunkingStrategy] Section summaries exceed ${maxCombineTokens} tokens even one per group; combining anyway`);
+        }
+
         // Create combined content for final summarization
-        const sectionContents = validSummaries.map((cs, index) => {
-            const timeInfo = `${cs.timeRange.start} - ${cs.timeRange.end}`;
-            const speakerInfo = cs.speakers.join(', ');
-            return `## Section ${index + 1} (${timeInfo}, Speakers: ${speakerInfo})\n${cs.summary.summary || cs.summary}`;
-        }).join('\n\n');
+        const sectionContents = this.formatCombineContent(parts);
 
         // Create meta-transcript for combining
         const combiningTranscript = {
@@ -531,7 +694,7 @@ class ChunkingStrategy {
             ...options,
             promptType: 'combine',
             isCombinung: true,
-            totalSections: validSummaries.length
+            totalSections: parts.length
         };
 
         const finalSummary = await aiSummaryFunction(combiningTranscript, finalSummaryOptions);
@@ -547,32 +710,173 @@ class ChunkingStrategy {
                 chunkingSummary: {
                     strategy: options.strategy || this.defaultStrategy,
                     totalTokens: chunkSummaries.reduce((sum, cs) => sum + cs.tokenCount, 0),
-                    avgChunkSize: Math.round(chunkSummaries.reduce((sum, cs) => sum + cs.tokenCount, 0) / chunkSummaries.length)
+                    avgChunkSize: Math.round(chunkSummaries.reduce((sum, cs) => sum + cs.tokenCount, 0) / chunkSummaries.length),
+                    reduceLevels
                 }
             },
             chunkDetails: chunkSummaries.map(cs => ({
                 index: cs.chunkIndex,
                 timeRange: cs.timeRange,
                 speakers: cs.speakers,
+                topicLabel: cs.topicLabel,
                 tokenCount: cs.tokenCount,
-                success: !(cs.summary && cs.summary.error)
-            }))
+                success: !(cs.summary && cs.summary.error),
+                cached: !!cs.cached
+            })),
+            // Sections missing from the summary, for the UI to flag and retry
+            failedSections: chunkSummaries
+                .filter(cs => !cs.summary || cs.summary.error)
+                .map(cs => ({
+                    index: cs.chunkIndex,
+                    timeRange: cs.timeRange,
+                    speakers: cs.speakers,
+                    topicLabel: cs.topicLabel,
+                    error: cs.summary ? cs.summary.error : 'No summary returned'
+                }))
         };
     }
 
+    /**
+     * Combine one level of the reduce tree
+     * @param {Array<Array<Object>>} groups - Consecutive summary parts to combine together
+     * @param {number} level - Level number, starting at 1
+     * @param {Object} originalMetadata - Metadata of the whole transcript
+     * @param {Function} aiSummaryFunction - Function to generate summaries
+     * @param {Object} options - Processing options (options.concurrency applies here too)
+     * @param {Function} progressCallback - Progress tracking callback
+     * @returns {Array<Object>} One part per group, in order
+     */
+    async reduceLevel(groups, level, originalMetadata, aiSummaryFunction, options, progressCallback = null) {
+        const partCount = groups.reduce((sum, group) => sum + group.length, 0);
+        let completed = 0;
+
+        console.log(`[ChunkingStrategy] Reduce level ${level}: ${partCount} summaries in ${groups.length} groups`);
+        if (progressCallback) {
+            progressCallback({
+                stage: 'reducing',
+                level,
+                current: 0,
+                total: groups.length,
+                message: `Combining level ${level}: ${partCount} summaries in ${groups.length} groups`
+            });
+        }
+
+        return await new WorkerPool(options.concurrency).run(groups, async (group, index) => {
+            // A group of one has nothing to combine; its summary moves up a level as is
+            const part = group.length === 1 ? group[0] : await this.combineGroup(group, level, originalMetadata, aiSummaryFunction, options);
+
+            completed++;
+            if (progressCallback) {
+                progressCallback({
+                    stage: 'reducing',
+                    level,
+                    current: completed,
+                    total: groups.length,
+                    message: `Combined group ${index + 1} of ${groups.length} at level ${level}`
+                });
+            }
+            return part;
+        });
+    }
+
+    /**
+     * Combine one group of summary parts into a single part
+     * @param {Array<Object>} group - Consecutive summary parts
+     * @param {number} level - Reduce level
+     * @param {Object} originalMetadata - Metadata of the whole transcript
+     * @param {Function} aiSummaryFunction - Function to generate summaries
+     * @param {Object} options - Processing options
+     * @returns {Object} { timeRange, speakers, label, text } covering the whole group
+     */
+    async combineGroup(group, level, originalMetadata, aiSummaryFunction, options) {
+        options.signal?.throwIfAborted();
+        const groupTranscript = {
+            metadata: {
+                ...originalMetadata,
+                chunkCount: group.length,
+                processingMethod: 'chunked_combination',
+                reduceLevel: level
+            },
+            content: this.formatCombineContent(group),
+            sections: []
+        };
+
+        const summary = await aiSummaryFunction(groupTranscript, {
+            ...options,
+            promptType: 'combine',
+            isCombinung: true,
+            totalSections: group.length,
+            reduceLevel: level
+        });
+
+        return {
+            timeRange: { start: group[0].timeRange.start, end: group[group.length - 1].timeRange.end },
+            speakers: [...new Set(group.flatMap(part => part.speakers))],
+            label: group.map(part => part.label).filter(Boolean).join('; ') || undefined,
+            text: (summary && summary.summary) || summary
+        };
+    }
+
+    /**
+     * Split summary parts into consecutive groups that each fit a combine prompt
+     * @param {Array<Object>} parts - { timeRange, speakers, label, text }
+     * @param {number} maxTokens - Token budget per combine prompt
+     * @param {Object} options - { provider, model } to count tokens for
+     * @returns {Array<Array<Object>>} Groups in order; a part larger than the budget gets its own group
+     */
+    groupForCombine(parts, maxTokens, options = {}) {
+        const groups = [];
+        let current = [];
+        let currentTokens = 0;
+
+        parts.forEach(part => {
+            const tokens = this.estimateTokenCount(this.formatCombineContent([part]), options.provider, options.model);
+            if (current.length > 0 && currentTokens + tokens > maxTokens) {
+                groups.push(current);
+                current = [];
+                currentTokens = 0;
+            }
+            current.push(part);
+            currentTokens += tokens;
+        });
+
+        if (current.length > 0) {
+            groups.push(current);
+        }
+        return groups;
+    }
+
+    /**
+     * Format summary parts as combine prompt content
+     * @param {Array<Object>} parts - { timeRange, speakers, label, text }
+     * @returns {string} Numbered sections with topic label, time range and speakers
+     */
+    formatCombineContent(parts) {
+        return parts.map((part, index) => {
+            const timeInfo = `${part.timeRange.start} - ${part.timeRange.end}`;
+            const speakerInfo = part.speakers.join(', ');
+            const labelInfo = part.label ? `: ${part.label}` : '';
+            return `## Section ${index + 1}${labelInfo} (${timeInfo}, Speakers: ${speakerInfo})\n${part.text}`;
+        }).join('\n\n');
+    }
+
     // Helper methods
 
-    estimateTokenCount(text) {
-        // More sophisticated token counting
-        // Account for different languages and formatting
-        const avgCharsPerToken = text.match(/[\u4e00-\u9fff]/) ? 2.5 : 3.5; // Adjust for Chinese
-        return Math.ceil(text.length / avgCharsPerToken);
+    estimateTokenCount(text, provider = this.tokenTarget.provider, model = this.tokenTarget.model) {
+        // Shared tokenizer: exact BPE for OpenAI when its vocabulary is loaded, calibrated estimate otherwise
+        return tokenCounter.count(text, { provider, model });
     }
 
     getContextLimit(provider, model) {
-        return PROVIDER_LIMITS[provider]?.[model] || 
-               PROVIDER_LIMITS[provider]?.['gpt-4'] || 
-               PROVIDER_LIMITS['openai']['gpt-4'];
+        const limits = providerRegistry.getContextLimits(provider) || {};
+        return limits[model] ||
+               limits['default'] ||
+               limits['gpt-4'] ||
+               providerRegistry.getContextLimits('openai')['gpt-4'];
+    }
+
+    getCombineBudget(provider, model) {
+        return Math.floor(this.getContextLimit(provider, model) * COMBINE_CONTEXT_SHARE);
     }
 
     getOptimalChunkSize(provider, model) {
@@ -705,26 +1009,19 @@ class ChunkingStrategy {
     }
 
     parseTimestampToMs(timestamp) {
-        const parts = timestamp.split(':');
-        return (parseInt(parts[0]) * 3600 + parseInt(parts[1]) * 60 + parseFloat(parts[2])) * 1000;
+        // "HH:MM:SS", Stream offsets and "MM:SS" all occur in section times
+        return timeUtils.toMilliseconds(timestamp);
     }
 
     parseDurationToMs(duration) {
-        return this.parseTimestampToMs(duration);
+        // Also accepts ISO-8601 durations ("PT1H30M") from Graph metadata
+        return timeUtils.toMilliseconds(duration);
     }
 
     calculateChunkDuration(sections) {
         if (sections.length === 0) return '00:00:00';
-        
-        const startMs = this.parseTimestampToMs(sections[0].startTime);
-        const endMs = this.parseTimestampToMs(sections[sections.length - 1].endTime);
-        const durationMs = endMs - startMs;
-        
-        const hours = Math.floor(durationMs / 3600000);
-        const minutes = Math.floor((durationMs % 3600000) / 60000);
-        const seconds = Math.floor((durationMs % 60000) / 1000);
-        
-        return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+
+        return timeUtils.formatDuration(timeUtils.measure(sections).spanMs);
     }
 
     generateTranscriptId(transcript) {
@@ -760,8 +1057,7 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = { 
         ChunkingStrategy, 
         chunkingStrategy, 
-        CHUNKING_STRATEGIES,
-        PROVIDER_LIMITS
+        CHUNKING_STRATEGIES
     };
 } else {
     // Browser environment - attach to window
@@ -0,0 +1,446 @@
+/**
+ * Live Caption Capture for Teams Transcript Chrome Extension
+ * Records Teams live captions while a meeting runs (for meetings that are
+ * never recorded) and turns them into a Stream-style transcript.
+ * Teams revises a caption in place as speech recognition refines it, and
+ * re-renders caption rows as they scroll, so updates are de-duplicated.
+ */
+
+// Constants
+const RECENT_CAPTION_COUNT = 5;
+const DUPLICATE_WINDOW_MS = 10000; // Re-rendered captions reappear within seconds
+const SCAN_DELAY_MS = 200; // Coalesces a burst of DOM mutations into one scan
+
+// Live captions region (new and classic Teams)
+const CAPTION_CONTAINER_SELECTORS = [
+    '[data-tid="closed-caption-v2-window-wrapper"]',
+    '[data-tid="closed-captions-renderer"]',
+    '[data-tid="closed-caption-renderer-wrapper"]'
+];
+
+const CAPTION_ITEM_SELECTORS = [
+    '.fui-ChatMessageCompact',
+    '[data-tid="closed-caption-message"]',
+    '.ui-chat__item'
+];
+
+const CAPTION_SPEAKER_SELECTORS = [
+    '[data-tid="author"]',
+    '.ui-chat__message__author'
+];
+
+const CAPTION_TEXT_SELECTORS = [
+    '[data-tid="closed-caption-text"]',
+    '.ui-chat__message__content'
+];
+
+// The hang-up button is only present while in a call
+const IN_CALL_SELECTORS = [
+    '#hangup-button',
+    '[data-tid="hangup-main-btn"]',
+    '[data-tid="call-hangup"]'
+];
+
+/**
+ * Resolve the shared WebVTT parser (formats Stream offsets)
+ * @returns {Object} WebVTTParser instance
+ */
+function getCaptionOffsetFormatter() {
+    if (typeof window !== 'undefined' && window.webvttParser) {
+        return window.webvttParser;
+    }
+    return require('./webvttParser.js').webvttParser;
+}
+
+/**
+ * Live Caption Recorder class - turns caption updates into transcript entries
+ */
+class LiveCaptionRecorder {
+    /**
+     * @param {Object} options - Recorder options
+     * @param {Function} options.now - Clock returning milliseconds (defaults to Date.now)
+     * @param {string} options.language - Spoken language tag for the entries
+     */
+    constructor(options = {}) {
+        this.now = options.now || (() => Date.now());
+        this.language = options.language || 'unknown';
+        this.reset();
+    }
+
+    /**
+     * Drop all captured captions
+     */
+    reset() {
+        this.entries = [];
+        this.captionKeys = new WeakMap();
+        this.startedAt = null;
+        this.stoppedAt = null;
+    }
+
+    /**
+     * Start a new recording; offsets are relative to this moment
+     */
+    start() {
+        this.reset();
+        this.startedAt = this.now();
+    }
+
+    /**
+     * Stop recording; captured entries are kept
+     */
+    stop() {
+        if (this.startedAt !== null && this.stoppedAt === null) {
+            this.stoppedAt = this.now();
+        }
+    }
+
+    /**
+     * Whether captions are being recorded
+     * @returns {boolean} True between start() and stop()
+     */
+    isRecording() {
+        return this.startedAt !== null && this.stoppedAt === null;
+    }
+
+    /**
+     * Record the current state of one caption row
+     * @param {Object} key - Identity of the caption row (its DOM element)
+     * @param {string} speaker - Speaker display name
+     * @param {string} text - Caption text as currently shown
+     * @returns {Object|null} The entry the caption belongs to
+     */
+    recordCaption(key, speaker, text) {
+        const cleanText = (text || '').replace(/\s+/g, ' ').trim();
+        if (!this.isRecording() || !cleanText) {
+            return null;
+        }
+
+        const offset = this.now() - this.startedAt;
+        const cleanSpeaker = (speaker || '').trim() || 'Unknown Speaker';
+
+        // Same row again: Teams revised the caption in place
+        const known = this.captionKeys.get(key);
+        if (known) {
+            this.reviseEntry(known, cleanText, offset);
+            return known;
+        }
+
+        // A re-rendered row for a caption we already have
+        const existing = this.findExistingCaption(cleanSpeaker, cleanText, offset);
+        if (existing) {
+            this.captionKeys.set(key, existing);
+            this.reviseEntry(existing, cleanText, offset);
+            return existing;
+        }
+
+        const last = this.entries[this.entries.length - 1];
+        if (last) {
+            last.endMs = Math.max(last.endMs, offset);
+        }
+
+        const entry = {
+            id: `caption-${this.entries.length + 1}`,
+            speaker: cleanSpeaker,
+            text: cleanText,
+            startMs: offset,
+            endMs: offset,
+            revisions: 0
+        };
+        this.entries.push(entry);
+        this.captionKeys.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Find a recent entry that a newly seen row duplicates or extends
+     * @param {string} speaker - Speaker display name
+     * @param {string} text - Caption text
+     * @param {number} offset - Current offset in milliseconds
+     * @returns {Object|null} Matching entry
+     */
+    findExistingCaption(speaker, text, offset) {
+        const last = this.entries[this.entries.length - 1];
+        if (last && last.speaker === speaker && (text.startsWith(last.text) || last.text.startsWith(text))) {
+            return last;
+        }
+
+        return this.entries
+            .slice(-RECENT_CAPTION_COUNT)
+            .find(entry => entry.speaker === speaker && entry.text === text && offset - entry.endMs <= DUPLICATE_WINDOW_MS) || null;
+    }
+
+    /**
+     * Apply a revised caption text
+     * @param {Object} entry - Entry to update
+     * @param {string} text - Revised text
+     * @param {number} offset - Current offset in milliseconds
+     */
+    reviseEntry(entry, text, offset) {
+        // A shorter prefix is a stale re-render of text we already have
+        if (text === entry.text || entry.text.startsWith(text)) {
+            return;
+        }
+        entry.text = text;
+        entry.endMs = Math.max(entry.endMs, offset);
+        entry.revisions++;
+    }
+
+    /**
+     * Captured captions as Stream transcript entries
+     * @returns {Array<Object>} TranscriptEntry objects
+     */
+    getEntries() {
+        const formatter = getCaptionOffsetFormatter();
+
+        return this.entries.map(entry => ({
+            id: entry.id,
+            speechServiceResultId: '',
+            text: entry.text,
+            speakerId: '',
+            speakerDisplayName: entry.speaker,
+            confidence: 1,
+            startOffset: formatter.formatOffset(entry.startMs),
+            endOffset: formatter.formatOffset(entry.endMs),
+            hasBeenEdited: false,
+            roomId: null,
+            spokenLanguageTag: this.language
+        }));
+    }
+
+    /**
+     * Captured captions as a Stream transcript response
+     * @returns {Object} StreamTranscript
+     */
+    toStreamTranscript() {
+        const formatter = getCaptionOffsetFormatter();
+        const events = [];
+
+        if (this.startedAt !== null) {
+            events.push({ id: 'capture-start', eventType: 'TranscriptStarted', userId: '', userDisplayName: '', startOffset: formatter.formatOffset(0) });
+        }
+        if (this.stoppedAt !== null) {
+            events.push({ id: 'capture-stop', eventType: 'TranscriptStopped', userId: '', userDisplayName: '', startOffset: formatter.formatOffset(this.stoppedAt - this.startedAt) });
+        }
+
+        return {
+            $schema: '',
+            version: '1.0',
+            type: 'Transcript',
+            entries: this.getEntries(),
+            events: events
+        };
+    }
+}
+
+/**
+ * Live Caption Capture class - watches the Teams captions region
+ */
+class LiveCaptionCapture {
+    /**
+     * @param {LiveCaptionRecorder} recorder - Recorder receiving caption updates
+     */
+    constructor(recorder) {
+        this.recorder = recorder || new LiveCaptionRecorder();
+        this.captionObserver = null;
+        this.pageObserver = null;
+        this.container = null;
+        this.timers = { scan: null, page: null };
+        this.doc = null;
+        this.sawCall = false;
+        this.onMeetingEnded = null;
+    }
+
+    /**
+     * Start watching captions (live captions must be turned on in Teams)
+     * @param {Document} doc - Meeting page document
+     * @param {Object} options - Capture options
+     * @param {Function} options.onMeetingEnded - Called once when the call ends
+     */
+    start(doc, options = {}) {
+        if (this.isCapturing()) {
+            throw new Error('Live caption capture is already running');
+        }
+
+        this.doc = doc;
+        this.sawCall = false;
+        this.onMeetingEnded = options.onMeetingEnded || null;
+        this.recorder.start();
+        this.scan();
+
+        if (typeof MutationObserver !== 'undefined') {
+            // Caption edits are only watched inside the captions region; the page observer
+            // (no characterData) just notices the region appear or go and the call ending,
+            // so video tiles, chat and presence updates do not each trigger a full scan
+            this.captionObserver = new MutationObserver(() => this.schedule('scan', () => this.scan()));
+            this.pageObserver = new MutationObserver(() => this.schedule('page', () => this.checkPage()));
+            this.pageObserver.observe(doc.body, { childList: true, subtree: true });
+            this.watchContainer();
+        }
+        console.log('[LiveCaptionCapture] Caption capture started');
+    }
+
+    /**
+     * Stop watching captions
+     */
+    stop() {
+        [this.captionObserver, this.pageObserver].forEach(observer => observer && observer.disconnect());
+        this.captionObserver = null;
+        this.pageObserver = null;
+        this.container = null;
+
+        // Keep the caption revisions still waiting for their scan
+        const captionsPending = this.timers.scan !== null;
+        Object.keys(this.timers).forEach(name => {
+            clearTimeout(this.timers[name]);
+            this.timers[name] = null;
+        });
+        if (captionsPending) {
+            this.scanCaptions();
+        }
+        this.recorder.stop();
+        console.log('[LiveCaptionCapture] Caption capture stopped');
+    }
+
+    /**
+     * Whether captions are being captured
+     * @returns {boolean} True while capturing
+     */
+    isCapturing() {
+        return this.recorder.isRecording();
+    }
+
+    /**
+     * Run a task once after SCAN_DELAY_MS, however many mutations ask for it meanwhile
+     * @param {string} name - Timer slot ('scan' or 'page')
+     * @param {Function} task - Work to run
+     */
+    schedule(name, task) {
+        if (this.timers[name] === null) {
+            this.timers[name] = setTimeout(() => {
+                this.timers[name] = null;
+                task();
+            }, SCAN_DELAY_MS);
+        }
+    }
+
+    /**
+     * Move the caption observer to the captions region once it appears or is replaced
+     * @returns {boolean} True when the observed region changed
+     */
+    watchContainer() {
+        const container = this.findFirst(this.doc, CAPTION_CONTAINER_SELECTORS);
+        if (container === this.container) {
+            return false;
+        }
+
+        this.container = container;
+        this.captionObserver.disconnect();
+        if (container) {
+            this.captionObserver.observe(container, { childList: true, subtree: true, characterData: true });
+        }
+        return true;
+    }
+
+    /**
+     * Handle page changes outside the captions region
+     */
+    checkPage() {
+        if (!this.isCapturing()) {
+            return;
+        }
+
+        // A new captions region may already hold captions
+        if (this.watchContainer()) {
+            this.scanCaptions();
+        }
+        this.checkMeetingEnded();
+    }
+
+    /**
+     * Read every caption row currently on screen, then check whether the call ended
+     */
+    scan() {
+        if (!this.isCapturing()) {
+            return;
+        }
+
+        this.scanCaptions();
+        this.checkMeetingEnded();
+    }
+
+    /**
+     * Record every caption row currently on screen
+     */
+    scanCaptions() {
+        const container = this.findFirst(this.doc, CAPTION_CONTAINER_SELECTORS);
+        if (container) {
+            let speaker = '';
+            for (const item of Array.from(container.querySelectorAll(CAPTION_ITEM_SELECTORS.join(', ')))) {
+                const speakerEl = this.findFirst(item, CAPTION_SPEAKER_SELECTORS);
+                const textEl = this.findFirst(item, CAPTION_TEXT_SELECTORS);
+                // Consecutive captions from one speaker may omit the name
+                speaker = (speakerEl && speakerEl.textContent.trim()) || speaker;
+                if (textEl) {
+                    this.recorder.recordCaption(item, speaker, textEl.textContent);
+                }
+            }
+        }
+    }
+
+    /**
+     * Stop automatically once the call controls disappear
+     */
+    checkMeetingEnded() {
+        const inCall = !!this.findFirst(this.doc, IN_CALL_SELECTORS);
+        if (inCall) {
+            this.sawCall = true;
+            return;
+        }
+
+        if (this.sawCall) {
+            console.log('[LiveCaptionCapture] Meeting ended');
+            this.stop();
+            if (this.onMeetingEnded) {
+                this.onMeetingEnded();
+            }
+        }
+    }
+
+    /**
+     * Capture progress for the popup
+     * @returns {Object} { capturing, entryCount, speakers, startedAt }
+     */
+    getStatus() {
+        const entries = this.recorder.entries;
+        return {
+            capturing: this.isCapturing(),
+            entryCount: entries.length,
+            speakers: [...new Set(entries.map(entry => entry.speaker))],
+            startedAt: this.recorder.startedAt
+        };
+    }
+
+    /**
+     * First element matching any selector
+     * @param {Object} root - Document or element
+     * @param {Array<string>} selectors - Selectors in priority order
+     * @returns {Object|null} Element
+     */
+    findFirst(root, selectors) {
+        for (const selector of selectors) {
+            const element = root.querySelector(selector);
+            if (element) {
+                return element;
+            }
+        }
+        return null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LiveCaptionRecorder, LiveCaptionCapture };
+} else {
+    window.LiveCaptionRecorder = LiveCaptionRecorder;
+    window.LiveCaptionCapture = LiveCaptionCapture;
+}
@@ -0,0 +1,183 @@
+/**
+ * Media Registry for Teams Transcript Chrome Extension
+ * Records the SharePoint media/transcripts requests each tab makes (as seen by
+ * the background webRequest listener) so driveId/itemId/transcriptId can be
+ * looked up per tab instead of being scraped from the page.
+ */
+
+// Constants
+const MEDIA_REGISTRY_STORAGE_KEY = 'media_registry';
+const MAX_MEDIA_PER_TAB = 10;
+
+// {siteUrl}/_api/v2.1/drives/{driveId}/items/{itemId}/media/transcripts[/{transcriptId}]
+const TRANSCRIPTS_URL_PATTERN = /^(https:\/\/[^/?#]+(?:\/[^?#]*?)?)\/_api\/v2\.1\/drives\/([^/?#]+)\/items\/([^/?#]+)\/media\/transcripts(?:\/([^/?#]+))?/i;
+
+/**
+ * Media Registry class
+ */
+class MediaRegistry {
+    /**
+     * @param {Object} storageArea - chrome.storage area used to survive service worker restarts
+     */
+    constructor(storageArea) {
+        this.storageArea = storageArea || this.getDefaultStorageArea();
+        this.tabs = {};
+        this.loadPromise = null;
+    }
+
+    /**
+     * Session storage outlives the service worker but not the browser session
+     * @returns {Object|null} Storage area or null when unavailable
+     */
+    getDefaultStorageArea() {
+        if (typeof chrome !== 'undefined' && chrome.storage) {
+            return chrome.storage.session || chrome.storage.local || null;
+        }
+        return null;
+    }
+
+    /**
+     * Parse a SharePoint transcripts API URL
+     * @param {string} url - Request URL
+     * @returns {Object|null} Media descriptor or null when the URL is not a transcripts call
+     */
+    parseMediaUrl(url) {
+        const match = typeof url === 'string' && url.match(TRANSCRIPTS_URL_PATTERN);
+        if (!match) {
+            return null;
+        }
+
+        const [, siteUrl, driveId, itemId, transcriptId] = match;
+
+        return {
+            siteUrl: siteUrl,
+            driveId: decodeURIComponent(driveId),
+            itemId: decodeURIComponent(itemId),
+            transcriptId: transcriptId ? decodeURIComponent(transcriptId) : null,
+            transcriptsUrl: `${siteUrl}/_api/v2.1/drives/${driveId}/items/${itemId}/media/transcripts`
+        };
+    }
+
+    /**
+     * Record a request seen by webRequest.onBeforeSendHeaders
+     * @param {number} tabId - Tab that issued the request (-1 for non-tab requests)
+     * @param {string} url - Request URL
+     * @param {string} type - webRequest resource type
+     * @returns {Promise<Object|null>} Recorded media descriptor, if any
+     */
+    async recordRequest(tabId, url, type) {
+        if (typeof tabId !== 'number' || tabId < 0) {
+            return null;
+        }
+
+        await this.load();
+
+        // A full page load means the tab is showing a different recording
+        if (type === 'main_frame') {
+            if (this.tabs[tabId]) {
+                delete this.tabs[tabId];
+                await this.persist();
+            }
+            return null;
+        }
+
+        const media = this.parseMediaUrl(url);
+        if (!media) {
+            return null;
+        }
+
+        const existing = this.tabs[tabId] || [];
+        const previous = existing.find(item => item.driveId === media.driveId && item.itemId === media.itemId);
+        const entry = {
+            ...media,
+            // The transcript list request carries no ID; keep one seen earlier
+            transcriptId: media.transcriptId || (previous && previous.transcriptId) || null,
+            capturedAt: Date.now()
+        };
+
+        this.tabs[tabId] = [entry]
+            .concat(existing.filter(item => item !== previous))
+            .slice(0, MAX_MEDIA_PER_TAB);
+
+        console.log('[MediaRegistry] Recorded media for tab', tabId, entry);
+        await this.persist();
+        return entry;
+    }
+
+    /**
+     * Most recently seen media for a tab
+     * @param {number} tabId - Tab ID
+     * @returns {Promise<Object|null>} Media descriptor or null
+     */
+    async getMedia(tabId) {
+        const media = await this.getAllMedia(tabId);
+        return media[0] || null;
+    }
+
+    /**
+     * All media seen for a tab, most recent first
+     * @param {number} tabId - Tab ID
+     * @returns {Promise<Array<Object>>} Media descriptors
+     */
+    async getAllMedia(tabId) {
+        await this.load();
+        return (this.tabs[tabId] || []).slice();
+    }
+
+    /**
+     * Forget everything recorded for a tab
+     * @param {number} tabId - Tab ID
+     */
+    async clearTab(tabId) {
+        await this.load();
+        if (this.tabs[tabId]) {
+            delete this.tabs[tabId];
+            await this.persist();
+        }
+    }
+
+    /**
+     * Load persisted registry once per service worker lifetime
+     */
+    async load() {
+        if (!this.loadPromise) {
+            this.loadPromise = (async () => {
+                if (!this.storageArea) {
+                    return;
+                }
+                try {
+                    const result = await this.storageArea.get([MEDIA_REGISTRY_STORAGE_KEY]);
+                    this.tabs = result[MEDIA_REGISTRY_STORAGE_KEY] || {};
+                } catch (error) {
+                    console.error('[MediaRegistry] Failed to load registry:', error);
+                }
+            })();
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Persist the registry
+     */
+    async persist() {
+        if (!this.storageArea) {
+            return;
+        }
+        try {
+            await this.storageArea.set({ [MEDIA_REGISTRY_STORAGE_KEY]: this.tabs });
+        } catch (error) {
+            console.error('[MediaRegistry] Failed to persist registry:', error);
+        }
+    }
+}
+
+// Create singleton instance
+const mediaRegistry = new MediaRegistry();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MediaRegistry, mediaRegistry, MEDIA_REGISTRY_STORAGE_KEY };
+} else {
+    window.MediaRegistry = MediaRegistry;
+    window.mediaRegistry = mediaRegistry;
+}
@@ -0,0 +1,160 @@
+/**
+ * Rate Limit Tracker for Teams Transcript Chrome Extension
+ * Keeps the request and token budget a provider reports in its response
+ * headers (OpenAI x-ratelimit-*, Anthropic anthropic-ratelimit-*) so that
+ * concurrent chunk requests wait for capacity instead of running into 429s.
+ *
+ * Each request reserves one request and its estimated input tokens; the next
+ * response's headers replace the local bookkeeping with the provider's numbers.
+ */
+
+// Header names per limit, first present wins (OpenAI, then Anthropic)
+const RATE_LIMIT_HEADERS = {
+    requestsRemaining: ['x-ratelimit-remaining-requests', 'anthropic-ratelimit-requests-remaining'],
+    requestsReset: ['x-ratelimit-reset-requests', 'anthropic-ratelimit-requests-reset'],
+    tokensRemaining: [
+        'x-ratelimit-remaining-tokens',
+        'anthropic-ratelimit-input-tokens-remaining',
+        'anthropic-ratelimit-tokens-remaining'
+    ],
+    tokensReset: [
+        'x-ratelimit-reset-tokens',
+        'anthropic-ratelimit-input-tokens-reset',
+        'anthropic-ratelimit-tokens-reset'
+    ],
+    retryAfter: ['retry-after']
+};
+
+// OpenAI reset durations: "20ms", "1s", "6m0s", "1h2m3.5s"
+const DURATION_PATTERN = /^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+(?:\.\d+)?)ms)?$/;
+
+/**
+ * Rate Limit Tracker class
+ */
+class RateLimitTracker {
+    constructor() {
+        this.requests = { remaining: null, resetAt: 0 };
+        this.tokens = { remaining: null, resetAt: 0 };
+        this.blockedUntil = 0;
+    }
+
+    /**
+     * Record the limits reported by a response
+     * @param {Headers|Object} headers - Response headers (anything with get(name))
+     * @param {number} now - Current time in ms
+     */
+    update(headers, now = Date.now()) {
+        if (!headers || typeof headers.get !== 'function') {
+            return;
+        }
+
+        const read = names => names.map(name => headers.get(name)).find(value => value !== null && value !== undefined);
+
+        const requestsRemaining = parseInt(read(RATE_LIMIT_HEADERS.requestsRemaining), 10);
+        if (!isNaN(requestsRemaining)) {
+            this.requests = { remaining: requestsRemaining, resetAt: this.parseReset(read(RATE_LIMIT_HEADERS.requestsReset), now) };
+        }
+
+        const tokensRemaining = parseInt(read(RATE_LIMIT_HEADERS.tokensRemaining), 10);
+        if (!isNaN(tokensRemaining)) {
+            this.tokens = { remaining: tokensRemaining, resetAt: this.parseReset(read(RATE_LIMIT_HEADERS.tokensReset), now) };
+        }
+
+        const retryAfter = parseFloat(read(RATE_LIMIT_HEADERS.retryAfter));
+        if (!isNaN(retryAfter)) {
+            this.blockUntil(now + retryAfter * 1000);
+        }
+    }
+
+    /**
+     * Hold all requests until a point in time (e.g. after a 429)
+     * @param {number} time - Time in ms
+     */
+    blockUntil(time) {
+        this.blockedUntil = Math.max(this.blockedUntil, time);
+    }
+
+    /**
+     * How long a request must wait before it fits the known budget
+     * @param {number} tokens - Estimated input tokens of the request
+     * @param {number} now - Current time in ms
+     * @returns {number} Wait in ms (0 when it can start now)
+     */
+    getWaitTime(tokens = 0, now = Date.now()) {
+        const bucketWait = (bucket, needed) => {
+            if (bucket.remaining === null || bucket.resetAt <= now) {
+                return 0;
+            }
+            return bucket.remaining < needed ? bucket.resetAt - now : 0;
+        };
+
+        return Math.max(
+            this.blockedUntil - now,
+            bucketWait(this.requests, 1),
+            bucketWait(this.tokens, tokens),
+            0
+        );
+    }
+
+    /**
+     * Wait for capacity, then reserve it for one request
+     * @param {number} tokens - Estimated input tokens of the request
+     * @param {Function} sleep - async (ms) => void
+     * @returns {Promise<number>} Total time waited in ms
+     */
+    async acquire(tokens = 0, sleep = ms => new Promise(resolve => setTimeout(resolve, ms))) {
+        let waited = 0;
+        let wait = this.getWaitTime(tokens);
+
+        while (wait > 0) {
+            await sleep(wait);
+            waited += wait;
+            wait = this.getWaitTime(tokens);
+        }
+
+        const now = Date.now();
+        [[this.requests, 1], [this.tokens, tokens]].forEach(([bucket, amount]) => {
+            if (bucket.remaining !== null && bucket.resetAt <= now) {
+                // Window has reset; unknown until the next response reports it
+                bucket.remaining = null;
+            } else if (bucket.remaining !== null) {
+                bucket.remaining = Math.max(0, bucket.remaining - amount);
+            }
+        });
+
+        return waited;
+    }
+
+    /**
+     * Parse a reset header into a timestamp
+     * @param {string} value - Duration ("6m0s", "20ms"), seconds ("30") or RFC 3339 time
+     * @param {number} now - Current time in ms
+     * @returns {number} Reset time in ms (0 when unknown)
+     */
+    parseReset(value, now = Date.now()) {
+        if (value === null || value === undefined || value === '') {
+            return 0;
+        }
+
+        const text = String(value).trim();
+        if (/^\d+(\.\d+)?$/.test(text)) {
+            return now + parseFloat(text) * 1000;
+        }
+
+        const duration = text.match(DURATION_PATTERN);
+        if (duration) {
+            const [, hours = 0, minutes = 0, seconds = 0, millis = 0] = duration.map(part => parseFloat(part) || 0);
+            return now + ((hours * 60 + minutes) * 60 + seconds) * 1000 + millis;
+        }
+
+        const time = Date.parse(text);
+        return isNaN(time) ? 0 : time;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RateLimitTracker, RATE_LIMIT_HEADERS };
+} else {
+    window.RateLimitTracker = RateLimitTracker;
+}
@@ -0,0 +1,195 @@
+/**
+ * Speaker Mapper for Teams Transcript Chrome Extension
+ * Renames and merges transcript speakers before AI formatting, so summaries
+ * and action-item assignees use the names the team actually uses instead of
+ * "Unknown Speaker", guest labels or AAD names like "Chen, Wei (Contractor)".
+ *
+ * A mapping is { [speakerKey]: alias }. Speakers are keyed by speakerId
+ * ("id:<speakerId>") and, for sources without IDs (WebVTT, imports, live
+ * captions), by display name ("name:<speaker>"). Giving several speakers the
+ * same alias merges them. Mappings are stored per tenant by StorageManager.
+ */
+
+const { transcriptNormalizer, UNKNOWN_SPEAKER } = require('./transcriptNormalizer.js');
+
+const SPEAKER_KEY_PREFIXES = {
+    ID: 'id:',
+    NAME: 'name:'
+};
+
+const DEFAULT_TENANT = 'default';
+
+// "contoso.sharepoint.com" and "contoso-my.sharepoint.com" both belong to tenant "contoso"
+const SHAREPOINT_HOST_PATTERN = /^([a-z0-9-]+?)(?:-my)?\.sharepoint\.com$/i;
+
+// Teams join links carry the tenant ID in their context parameter
+const JOIN_LINK_TENANT_PATTERN = /"Tid"\s*:\s*"([0-9a-f-]{36})"/i;
+
+/**
+ * Speaker Mapper class
+ */
+class SpeakerMapper {
+    /**
+     * Key identifying the speaker of an entry
+     * @param {Object} entry - Normalized entry
+     * @returns {string} "id:<speakerId>", or "name:<speaker>" without a speakerId
+     */
+    getSpeakerKey(entry) {
+        return entry.speakerId
+            ? SPEAKER_KEY_PREFIXES.ID + entry.speakerId
+            : SPEAKER_KEY_PREFIXES.NAME + entry.speaker;
+    }
+
+    /**
+     * Speakers of a transcript for the mapping editor
+     * @param {Object} transcript - Transcript of any supported shape
+     * @param {Object} mapping - Current mapping
+     * @returns {Array<Object>} { key, speakerId, name, alias, suggestion, entryCount } in order of appearance
+     */
+    listSpeakers(transcript, mapping = {}) {
+        const speakers = new Map();
+
+        this.normalize(transcript).entries.forEach(entry => {
+            const key = this.getSpeakerKey(entry);
+            if (!speakers.has(key)) {
+                speakers.set(key, {
+                    key,
+                    speakerId: entry.speakerId,
+                    name: entry.speaker,
+                    alias: this.cleanAlias(mapping[key]),
+                    suggestion: this.suggestAlias(entry.speaker),
+                    entryCount: 0
+                });
+            }
+            speakers.get(key).entryCount++;
+        });
+
+        return [...speakers.values()];
+    }
+
+    /**
+     * Apply a mapping to a transcript
+     * @param {Object} transcript - Transcript of any supported shape
+     * @param {Object} mapping - { [speakerKey]: alias }
+     * @returns {Object} Normalized transcript with renamed speakers and rebuilt participants
+     */
+    applyMapping(transcript, mapping = {}) {
+        const normalized = this.normalize(transcript);
+        if (!mapping || Object.keys(mapping).length === 0) {
+            return normalized;
+        }
+
+        const entries = normalized.entries.map(entry => {
+            const alias = this.cleanAlias(mapping[this.getSpeakerKey(entry)]);
+            return alias ? { ...entry, speaker: alias } : entry;
+        });
+
+        return this.normalize({ ...normalized, entries });
+    }
+
+    /**
+     * Mapping entries worth keeping for later meetings of the tenant
+     * @param {Object} mapping - { [speakerKey]: alias }
+     * @returns {Object} Mapping without empty aliases or "Unknown Speaker" (which differs per meeting)
+     */
+    getPersistableMapping(mapping = {}) {
+        const unknownKey = SPEAKER_KEY_PREFIXES.NAME + UNKNOWN_SPEAKER;
+        const persistable = {};
+
+        Object.keys(mapping).forEach(key => {
+            const alias = this.cleanAlias(mapping[key]);
+            if (alias && key !== unknownKey) {
+                persistable[key] = alias;
+            }
+        });
+
+        return persistable;
+    }
+
+    /**
+     * Suggest the name a team would use for an AAD or guest display name
+     * @param {string} name - Display name, e.g. "Chen, Wei (Contractor)"
+     * @returns {string} Suggested alias ("Wei Chen"), or '' when the name is fine as is
+     */
+    suggestAlias(name) {
+        const original = String(name || '').trim();
+        if (!original || original === UNKNOWN_SPEAKER) {
+            return '';
+        }
+
+        // Drop "(Contractor)", "(Guest)", "[External]" and similar qualifiers
+        let suggestion = original.replace(/\s*[([][^)\]]*[)\]]\s*/g, ' ').trim();
+
+        // "Last, First" -> "First Last"
+        const parts = suggestion.split(',').map(part => part.trim()).filter(Boolean);
+        if (parts.length === 2) {
+            suggestion = `${parts[1]} ${parts[0]}`;
+        }
+
+        return suggestion && suggestion !== original ? suggestion : '';
+    }
+
+    /**
+     * Tenant a meeting belongs to, used to scope stored mappings
+     * @param {Object} meetingInfo - Meeting metadata (siteUrl, url or joinWebUrl)
+     * @returns {string} SharePoint tenant name, Teams tenant ID or 'default'
+     */
+    getTenantKey(meetingInfo) {
+        const info = meetingInfo || {};
+
+        for (const url of [info.siteUrl, info.url]) {
+            try {
+                const match = url && new URL(url).hostname.match(SHAREPOINT_HOST_PATTERN);
+                if (match) {
+                    return match[1].toLowerCase();
+                }
+            } catch (error) {
+                // Not a URL; try the next one
+            }
+        }
+
+        if (info.joinWebUrl) {
+            let joinUrl = info.joinWebUrl;
+            try {
+                joinUrl = decodeURIComponent(joinUrl);
+            } catch (error) {
+                // Keep the encoded link
+            }
+            const match = joinUrl.match(JOIN_LINK_TENANT_PATTERN);
+            if (match) {
+                return match[1].toLowerCase();
+            }
+        }
+
+        return DEFAULT_TENANT;
+    }
+
+    /**
+     * Trimmed alias
+     * @param {*} alias - Alias from a mapping
+     * @returns {string} Alias, or '' when blank
+     */
+    cleanAlias(alias) {
+        return typeof alias === 'string' ? alias.replace(/\s+/g, ' ').trim() : '';
+    }
+
+    /**
+     * Normalize through the shared normalizer
+     * @param {Object} transcript - Transcript of any supported shape
+     * @returns {Object} Normalized transcript
+     */
+    normalize(transcript) {
+        return transcriptNormalizer.normalize(transcript);
+    }
+}
+
+// Create singleton instance
+const speakerMapper = new SpeakerMapper();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpeakerMapper, speakerMapper, DEFAULT_TENANT };
+} else {
+    window.SpeakerMapper = SpeakerMapper;
+    window.speakerMapper = speakerMapper;
+}
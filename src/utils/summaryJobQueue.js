@@ -0,0 +1,403 @@
+/**
+ * Summary Job Queue for Teams Transcript Chrome Extension
+ * Runs summary requests one at a time and saves every job's state, so work
+ * outlives the popup and the service worker: jobs found queued or running when
+ * the worker starts again are run again (sections summarized before the stop
+ * come from the chunk cache), and any popup can look a job up by its ID.
+ * Saved job records are small: a job's transcript and API key are stored once,
+ * apart from them, and read back only when the job resumes.
+ */
+
+// Job states
+const SUMMARY_JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    CHUNK_DONE: 'chunk_done',
+    COMPLETE: 'complete',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATUSES = [SUMMARY_JOB_STATUS.COMPLETE, SUMMARY_JOB_STATUS.FAILED, SUMMARY_JOB_STATUS.CANCELLED];
+
+const MAX_FINISHED_JOBS = 5; // Kept for popups opened after a job ends
+const MAX_ATTEMPTS = 3; // Worker restarts a job may survive before it is given up
+
+/**
+ * Summary Job Queue class
+ */
+class SummaryJobQueue {
+    /**
+     * @param {Object} handlers - Environment-specific steps
+     * @param {Function} handlers.summarize - async (job, { signal, onDelta, onProgress }) => summary;
+     *   onDelta(text) passes on streamed text, onProgress(completedChunks, totalChunks) reports sections
+     * @param {Function} handlers.save - async (records) => void, persists the job records (see toRecord) after every state change
+     * @param {Function} handlers.saveInput - async (job) => void, stores the job's transcript and API key once, when it is queued
+     * @param {Function} handlers.loadInput - async (record) => { transcript, settings }, what a job restored after a restart runs with
+     * @param {Function} handlers.removeInput - async (jobId) => void, drops the stored input once the job has finished
+     * @param {Function} handlers.onUpdate - (job) => void, called after every state change
+     * @param {Function} handlers.onDelta - (job, text) => void, called with streamed text
+     */
+    constructor(handlers) {
+        this.handlers = handlers;
+        this.jobs = [];
+        this.controllers = new Map();
+        this.waiters = new Map();
+        this.draining = null;
+    }
+
+    /**
+     * Add a job; it runs once the jobs ahead of it have finished
+     * @param {Object} transcript - Transcript to summarize
+     * @param {Object} settings - Extension settings the job runs with
+     * @returns {Object} Job
+     */
+    enqueue(transcript, settings) {
+        const job = {
+            id: `summary-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            status: SUMMARY_JOB_STATUS.QUEUED,
+            title: transcript?.meetingInfo?.title || null,
+            transcript,
+            settings,
+            resumable: true,
+            progress: { completedChunks: 0, totalChunks: 0 },
+            partialText: '',
+            summary: null,
+            error: null,
+            attempts: 0,
+            resumed: false,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null
+        };
+
+        this.jobs.push(job);
+        this.saveInput(job);
+        this.notify(job);
+        this.drain();
+        return job;
+    }
+
+    /**
+     * @param {string} jobId - Job ID
+     * @returns {Object|null} Job
+     */
+    getJob(jobId) {
+        return this.jobs.find(job => job.id === jobId) || null;
+    }
+
+    /**
+     * Most recently created job
+     * @returns {Object|null} Job
+     */
+    getLatestJob() {
+        return this.jobs[this.jobs.length - 1] || null;
+    }
+
+    /**
+     * Whether a job is queued or running
+     * @returns {boolean} True while there is work left
+     */
+    isBusy() {
+        return this.jobs.some(job => !this.isFinished(job));
+    }
+
+    /**
+     * @param {Object} job - Job
+     * @returns {boolean} True once the job is complete, failed or cancelled
+     */
+    isFinished(job) {
+        return FINISHED_STATUSES.includes(job.status);
+    }
+
+    /**
+     * What popups see of a job: no transcript and no settings (those hold the API key)
+     * @param {Object} job - Job
+     * @returns {Object|null} Job view
+     */
+    toView(job) {
+        if (!job) {
+            return null;
+        }
+
+        const view = { ...job };
+        delete view.transcript;
+        delete view.settings;
+        return view;
+    }
+
+    /**
+     * What is saved of a job: its state and settings, without the transcript or the API key
+     * @param {Object} job - Job
+     * @returns {Object} Job record
+     */
+    toRecord(job) {
+        const record = this.toView(job);
+        if (job.settings) {
+            record.settings = { ...job.settings };
+            delete record.settings.apiKey;
+        }
+        return record;
+    }
+
+    /**
+     * Resolve once a job has finished
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object>} Finished job
+     */
+    waitFor(jobId) {
+        const job = this.getJob(jobId);
+        if (!job || this.isFinished(job)) {
+            return Promise.resolve(job);
+        }
+
+        return new Promise(resolve => {
+            this.waiters.set(jobId, [...(this.waiters.get(jobId) || []), resolve]);
+        });
+    }
+
+    /**
+     * Cancel a queued or running job
+     * @param {string} jobId - Job ID
+     * @param {boolean} keepPartial - Stop a running job but keep the text streamed so far
+     * @returns {boolean} False when there is no such unfinished job
+     */
+    cancel(jobId, keepPartial = false) {
+        const job = this.getJob(jobId);
+        if (!job || this.isFinished(job)) {
+            return false;
+        }
+
+        const controller = this.controllers.get(jobId);
+        if (!keepPartial || !controller) {
+            this.finish(job, SUMMARY_JOB_STATUS.CANCELLED);
+        }
+        // The aborted calls unwind on their own; runJob leaves a cancelled job as it is
+        if (controller) {
+            controller.abort();
+        }
+        return true;
+    }
+
+    /**
+     * Adopt jobs saved before the service worker stopped; unfinished ones run again
+     * @param {Array<Object>} jobs - Persisted jobs
+     */
+    restore(jobs) {
+        const restored = (jobs || []).filter(job => job && !this.getJob(job.id));
+        if (restored.length === 0) {
+            return;
+        }
+
+        restored.forEach(job => {
+            if (this.isFinished(job) || job.status === SUMMARY_JOB_STATUS.QUEUED) {
+                return;
+            }
+            // A job that keeps taking the worker down with it is not tried forever
+            if (job.attempts >= MAX_ATTEMPTS) {
+                this.abandon(job, 'The summary was interrupted too many times');
+                return;
+            }
+            if (job.resumable === false) {
+                this.abandon(job, 'The transcript could not be saved, so the summary could not resume after a restart');
+                return;
+            }
+            console.log(`[SummaryJobQueue] Resuming job ${job.id} after a restart`);
+            job.status = SUMMARY_JOB_STATUS.QUEUED;
+            job.resumed = true;
+        });
+
+        // Saved jobs were created first, so they run first
+        this.jobs = [...restored, ...this.jobs];
+        this.save();
+        this.drain();
+    }
+
+    /**
+     * Fail a restored job without running it
+     * @param {Object} job - Restored job
+     * @param {string} error - Why it cannot run
+     */
+    abandon(job, error) {
+        job.status = SUMMARY_JOB_STATUS.FAILED;
+        job.error = error;
+        job.finishedAt = new Date().toISOString();
+        delete job.settings;
+        this.removeInput(job);
+    }
+
+    /**
+     * Run queued jobs in order until none is left
+     * @returns {Promise<void>} Settles when the queue is idle
+     */
+    drain() {
+        if (!this.draining) {
+            this.draining = (async () => {
+                let job;
+                while ((job = this.jobs.find(candidate => candidate.status === SUMMARY_JOB_STATUS.QUEUED))) {
+                    await this.runJob(job);
+                }
+            })().finally(() => {
+                this.draining = null;
+            });
+        }
+        return this.draining;
+    }
+
+    /**
+     * Run one job; the outcome is recorded on the job
+     * @param {Object} job - Queued job
+     */
+    async runJob(job) {
+        const controller = new AbortController();
+        this.controllers.set(job.id, controller);
+
+        job.status = SUMMARY_JOB_STATUS.RUNNING;
+        job.attempts++;
+        job.startedAt = new Date().toISOString();
+        // A resumed job streams its final text again from the start
+        job.partialText = '';
+        this.notify(job);
+
+        try {
+            // A job restored after a restart has only its record; the rest was stored apart
+            if (!job.transcript) {
+                Object.assign(job, await this.handlers.loadInput(job));
+            }
+
+            const summary = await this.handlers.summarize(job, {
+                signal: controller.signal,
+                onDelta: (text) => {
+                    job.partialText += text;
+                    if (this.handlers.onDelta) {
+                        this.handlers.onDelta(job, text);
+                    }
+                },
+                onProgress: (completedChunks, totalChunks) => {
+                    if (this.isFinished(job)) {
+                        return;
+                    }
+                    job.status = SUMMARY_JOB_STATUS.CHUNK_DONE;
+                    job.progress = { completedChunks, totalChunks };
+                    // Not saved: a resumed job counts its sections again
+                    this.publish(job);
+                }
+            });
+
+            if (!this.isFinished(job)) {
+                job.summary = summary;
+                this.finish(job, SUMMARY_JOB_STATUS.COMPLETE);
+            }
+        } catch (error) {
+            if (!this.isFinished(job)) {
+                // Stopped before any text was written counts as cancelled
+                if (controller.signal.aborted) {
+                    this.finish(job, SUMMARY_JOB_STATUS.CANCELLED);
+                } else {
+                    console.error(`[SummaryJobQueue] Job ${job.id} failed:`, error);
+                    job.error = error.message;
+                    this.finish(job, SUMMARY_JOB_STATUS.FAILED);
+                }
+            }
+        } finally {
+            this.controllers.delete(job.id);
+        }
+    }
+
+    /**
+     * Record a job's outcome, drop what it no longer needs and wake anyone waiting
+     * @param {Object} job - Job
+     * @param {string} status - Finished status
+     */
+    finish(job, status) {
+        job.status = status;
+        job.finishedAt = new Date().toISOString();
+        delete job.transcript;
+        delete job.settings;
+        this.removeInput(job);
+
+        const finished = this.jobs.filter(candidate => this.isFinished(candidate));
+        const dropped = finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS));
+        this.jobs = this.jobs.filter(candidate => !dropped.includes(candidate));
+
+        this.notify(job);
+        (this.waiters.get(job.id) || []).forEach(resolve => resolve(job));
+        this.waiters.delete(job.id);
+    }
+
+    /**
+     * Save the queue and report a job's state
+     * @param {Object} job - Changed job
+     */
+    notify(job) {
+        this.save();
+        this.publish(job);
+    }
+
+    /**
+     * Report a job's state without saving it
+     * @param {Object} job - Changed job
+     */
+    publish(job) {
+        if (this.handlers.onUpdate) {
+            try {
+                this.handlers.onUpdate(job);
+            } catch (error) {
+                console.error('[SummaryJobQueue] Update listener failed:', error);
+            }
+        }
+    }
+
+    /**
+     * Persist every job's record
+     */
+    save() {
+        if (!this.handlers.save) {
+            return;
+        }
+        // A failed save is made good by the next state change's save
+        Promise.resolve()
+            .then(() => this.handlers.save(this.jobs.map(job => this.toRecord(job))))
+            .catch(error => console.error('[SummaryJobQueue] Error saving jobs:', error));
+    }
+
+    /**
+     * Store a new job's input; a job whose input cannot be stored (e.g. the storage
+     * quota is used up) still runs, but fails instead of resuming after a restart
+     * @param {Object} job - Queued job
+     */
+    saveInput(job) {
+        if (!this.handlers.saveInput) {
+            return;
+        }
+        const { id, transcript, settings } = job;
+        Promise.resolve()
+            .then(() => this.handlers.saveInput({ id, transcript, settings }))
+            .catch(error => {
+                console.error(`[SummaryJobQueue] Error saving the input of job ${job.id}:`, error);
+                job.resumable = false;
+                this.notify(job);
+            });
+    }
+
+    /**
+     * Drop a finished job's stored input
+     * @param {Object} job - Finished job
+     */
+    removeInput(job) {
+        if (!this.handlers.removeInput) {
+            return;
+        }
+        Promise.resolve()
+            .then(() => this.handlers.removeInput(job.id))
+            .catch(error => console.error(`[SummaryJobQueue] Error removing the input of job ${job.id}:`, error));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SummaryJobQueue, SUMMARY_JOB_STATUS };
+} else {
+    window.SummaryJobQueue = SummaryJobQueue;
+    window.SUMMARY_JOB_STATUS = SUMMARY_JOB_STATUS;
+}
@@ -0,0 +1,246 @@
+/**
+ * Teams Recap Detector for Teams Transcript Chrome Extension
+ * Recognizes the meeting recap / Transcript tab in Teams on the web
+ * (teams.microsoft.com or teams.cloud.microsoft) and resolves the SharePoint
+ * recording behind it, producing the same MeetingInfo the SharePoint Stream
+ * page detector does.
+ */
+
+// Constants
+// Content scripts and host permissions in manifest.json must cover every host
+const TEAMS_HOSTNAMES = ['teams.microsoft.com', 'teams.cloud.microsoft'];
+
+// Containers Teams renders for a meeting recap
+const RECAP_CONTAINER_SELECTORS = [
+    '[data-tid="meeting-recap"]',
+    '[data-tid="recap-container"]',
+    '[data-tid="intelligent-recap"]',
+    '[data-tid="meeting-recap-tab"]'
+];
+
+// Recap tab labels (English and the Traditional/Simplified Chinese UI)
+const RECAP_TAB_LABELS = /^(recap|transcript|回顧|摘要|文字記錄|逐字稿|回顾|文字记录|转录)$/i;
+
+const TEAMS_TITLE_SELECTORS = [
+    '[data-tid="meeting-recap-title"]',
+    '[data-tid="recap-meeting-title"]',
+    '[data-tid="chat-title"]',
+    '[data-tid="chat-header-title"]'
+];
+
+const TEAMS_DURATION_SELECTORS = [
+    '[data-tid="recap-recording-duration"]',
+    '[data-tid="meeting-recording-duration"]',
+    '[data-tid="recording-duration"]'
+];
+
+// Elements that may point at the recording (Stream player iframe, recording links, video)
+const RECORDING_SOURCE_SELECTORS = [
+    'iframe[src*=".sharepoint.com/"]',
+    'a[href*=".sharepoint.com/"]',
+    'video[src*=".sharepoint.com/"]'
+];
+
+/**
+ * Resolve the SharePoint transcripts URL parser
+ * @returns {Object} MediaRegistry instance
+ */
+function getTeamsMediaParser() {
+    if (typeof window !== 'undefined' && window.mediaRegistry) {
+        return window.mediaRegistry;
+    }
+    return require('./mediaRegistry.js').mediaRegistry;
+}
+
+/**
+ * Teams Recap Detector class
+ */
+class TeamsRecapDetector {
+    /**
+     * Whether a URL belongs to Teams on the web
+     * @param {string} url - Page URL
+     * @returns {boolean} True for Teams on the web pages (both hosts)
+     */
+    isTeamsPage(url) {
+        try {
+            return TEAMS_HOSTNAMES.includes(new URL(url).hostname);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Whether the meeting recap (or its Transcript tab) is on screen
+     * @param {Document} doc - Page document
+     * @returns {boolean} True when a recap is shown
+     */
+    isRecapView(doc) {
+        if (RECAP_CONTAINER_SELECTORS.some(selector => doc.querySelector(selector))) {
+            return true;
+        }
+
+        const tabs = doc.querySelectorAll('[role="tab"]');
+        for (const tab of Array.from(tabs)) {
+            if (RECAP_TAB_LABELS.test((tab.textContent || '').trim())) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Detect the recording shown in the recap
+     * @param {Document} doc - Page document
+     * @param {Object} options - Extra sources
+     * @param {Array<string>} options.resourceUrls - URLs of resources the page has loaded
+     * @param {Object} options.media - Media recorded for this tab by the background (MediaRegistry)
+     * @returns {Object|null} MeetingInfo or null when no recap is shown
+     */
+    detect(doc, options = {}) {
+        // Teams is a single-page app: the tab's recorded media outlives the recap once
+        // the user moves on to chat or calendar, so it only counts while a recap is shown
+        if (!this.isRecapView(doc)) {
+            return null;
+        }
+
+        const media = options.media && options.media.driveId && options.media.itemId ? options.media : null;
+        const recording = this.resolveRecording(doc, options.resourceUrls || []);
+        const ids = media || recording;
+        const meetingInfo = {
+            url: doc.location ? doc.location.href : '',
+            title: this.extractTitle(doc) || 'Untitled Meeting',
+            duration: this.extractDuration(doc) || '--',
+            siteUrl: ids.siteUrl || recording.siteUrl || '',
+            driveId: ids.driveId || '',
+            itemId: ids.itemId || '',
+            transcriptId: ids.transcriptId || '',
+            meetingPath: recording.meetingPath || '',
+            joinWebUrl: this.extractJoinWebUrl(doc) || ''
+        };
+
+        console.log('[TeamsRecapDetector] Detected recap:', meetingInfo);
+        return meetingInfo;
+    }
+
+    /**
+     * Resolve the recording from transcripts API calls and Stream links on the page
+     * @param {Document} doc - Page document
+     * @param {Array<string>} resourceUrls - URLs of resources the page has loaded
+     * @returns {Object} { siteUrl, driveId, itemId, transcriptId, meetingPath } (fields may be missing)
+     */
+    resolveRecording(doc, resourceUrls) {
+        const result = {};
+        const parser = getTeamsMediaParser();
+
+        // The recap's own transcripts requests carry the drive and item IDs; the latest wins
+        for (let i = resourceUrls.length - 1; i >= 0; i--) {
+            const media = parser.parseMediaUrl(resourceUrls[i]);
+            if (media) {
+                Object.assign(result, {
+                    siteUrl: media.siteUrl,
+                    driveId: media.driveId,
+                    itemId: media.itemId,
+                    transcriptId: media.transcriptId || ''
+                });
+                break;
+            }
+        }
+
+        for (const element of Array.from(doc.querySelectorAll(RECORDING_SOURCE_SELECTORS.join(', ')))) {
+            const source = this.parseStreamUrl(element.getAttribute('src') || element.getAttribute('href'));
+            if (source) {
+                result.siteUrl = result.siteUrl || source.siteUrl;
+                result.meetingPath = source.meetingPath;
+                break;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse a Stream player URL (stream.aspx?id=/personal/.../Recordings/x.mp4)
+     * @param {string} url - Link or iframe URL
+     * @returns {Object|null} { siteUrl, meetingPath } or null when not a Stream recording link
+     */
+    parseStreamUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return null;
+        }
+
+        if (!parsed.hostname.endsWith('.sharepoint.com') || !/\/(stream|embed)\.aspx$/i.test(parsed.pathname)) {
+            return null;
+        }
+
+        const meetingPath = parsed.searchParams.get('id') || '';
+        // Recordings live in the organizer's OneDrive (/personal/{user}) or a site (/sites/{name})
+        const siteMatch = (meetingPath || parsed.pathname).match(/^\/(?:personal|sites|teams)\/[^/]+/i);
+
+        return {
+            siteUrl: parsed.origin + (siteMatch ? siteMatch[0] : ''),
+            meetingPath: meetingPath
+        };
+    }
+
+    /**
+     * Extract the meeting title from the recap or chat header
+     * @param {Document} doc - Page document
+     * @returns {string|null} Meeting title
+     */
+    extractTitle(doc) {
+        for (const selector of TEAMS_TITLE_SELECTORS) {
+            const element = doc.querySelector(selector);
+            if (element && element.textContent && element.textContent.trim()) {
+                return element.textContent.trim();
+            }
+        }
+
+        // Fallback: "Weekly Sync | Microsoft Teams"
+        const docTitle = (doc.title || '').replace(/\s*[|-]\s*Microsoft Teams\s*$/i, '').trim();
+        return docTitle && !/^(microsoft )?teams$/i.test(docTitle) ? docTitle : null;
+    }
+
+    /**
+     * Extract the recording duration shown in the recap
+     * @param {Document} doc - Page document
+     * @returns {string|null} Duration text
+     */
+    extractDuration(doc) {
+        for (const selector of TEAMS_DURATION_SELECTORS) {
+            const element = doc.querySelector(selector);
+            if (element && element.textContent && element.textContent.trim()) {
+                return element.textContent.trim();
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Extract the Teams join link, which the Microsoft Graph source resolves to an online meeting
+     * @param {Document} doc - Page document
+     * @returns {string|null} Join link
+     */
+    extractJoinWebUrl(doc) {
+        const href = doc.location ? doc.location.href : '';
+        if (href.includes('/l/meetup-join/')) {
+            return href;
+        }
+
+        const link = doc.querySelector('a[href*="/l/meetup-join/"]');
+        return link ? link.getAttribute('href') : null;
+    }
+}
+
+// Create singleton instance
+const teamsRecapDetector = new TeamsRecapDetector();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TeamsRecapDetector, teamsRecapDetector, TEAMS_HOSTNAMES };
+} else {
+    window.TeamsRecapDetector = TeamsRecapDetector;
+    window.teamsRecapDetector = teamsRecapDetector;
+}
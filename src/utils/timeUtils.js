@@ -0,0 +1,170 @@
+/**
+ * Time Utilities for Teams Transcript Chrome Extension
+ * Parses transcript offsets and durations and measures how long a meeting
+ * actually ran. Accepted inputs:
+ *   - Stream offsets "HH:MM:SS.fffffff" (.NET TimeSpan, optionally "d.HH:MM:SS")
+ *   - Shorter "MM:SS(.fff)" timestamps from imports and formatted sections
+ *   - ISO-8601 durations ("PT1H2M3.5S") used by Microsoft Graph
+ *   - Plain milliseconds
+ * Entries are not assumed to be sorted or non-overlapping.
+ */
+
+// "[d.]HH:MM:SS(.f+)" or "MM:SS(.f+)"
+const STREAM_OFFSET_PATTERN = /^(?:(?:(\d+)\.)?(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/;
+
+// "P[nD]T[nH][nM][nS]" (weeks, months and years do not occur in meeting durations)
+const ISO_DURATION_PATTERN = /^(-)?P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/;
+
+/**
+ * Time Utilities class
+ */
+class TimeUtils {
+    /**
+     * Parse an offset, timestamp or duration
+     * @param {string|number} value - Stream offset, "MM:SS.fff", ISO-8601 duration or milliseconds
+     * @returns {number|null} Milliseconds, or null when unparseable
+     */
+    parse(value) {
+        if (typeof value === 'number') {
+            return isFinite(value) ? Math.round(value) : null;
+        }
+        if (typeof value !== 'string') {
+            return null;
+        }
+
+        const text = value.trim();
+        const offset = text.match(STREAM_OFFSET_PATTERN);
+        if (offset) {
+            const days = parseInt(offset[1] || '0', 10);
+            const hours = parseInt(offset[2] || '0', 10);
+            const minutes = parseInt(offset[3], 10);
+            const seconds = parseFloat(offset[4]);
+            return Math.round((((days * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000);
+        }
+
+        const iso = text.match(ISO_DURATION_PATTERN);
+        if (iso && text !== 'P' && !text.endsWith('T')) {
+            const [, negative, days, hours, minutes, seconds] = iso;
+            const ms = Math.round(((
+                (parseFloat(days || '0') * 24 + parseFloat(hours || '0')) * 60 + parseFloat(minutes || '0')
+            ) * 60 + parseFloat(seconds || '0')) * 1000);
+            return negative ? -ms : ms;
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse an offset, treating unparseable values as zero
+     * @param {string|number} value - Anything parse() accepts
+     * @returns {number} Milliseconds (0 when unparseable)
+     */
+    toMilliseconds(value) {
+        const ms = this.parse(value);
+        return ms === null ? 0 : ms;
+    }
+
+    /**
+     * Format milliseconds as a Stream offset ("HH:MM:SS.fffffff")
+     * @param {number} ms - Milliseconds
+     * @returns {string} Offset string
+     */
+    formatOffset(ms) {
+        const rounded = Math.max(0, Math.round(ms || 0));
+        const fraction = (rounded % 1000).toString().padStart(3, '0').padEnd(7, '0');
+        return `${this.formatDuration(rounded)}.${fraction}`;
+    }
+
+    /**
+     * Format milliseconds as "HH:MM:SS" (partial seconds are dropped)
+     * @param {number} ms - Milliseconds
+     * @returns {string} Duration string
+     */
+    formatDuration(ms) {
+        const totalSeconds = Math.floor(Math.max(0, ms || 0) / 1000);
+        const hours = Math.floor(totalSeconds / 3600).toString().padStart(2, '0');
+        const minutes = Math.floor((totalSeconds % 3600) / 60).toString().padStart(2, '0');
+        const seconds = (totalSeconds % 60).toString().padStart(2, '0');
+        return `${hours}:${minutes}:${seconds}`;
+    }
+
+    /**
+     * Start and end of each entry in milliseconds
+     * @param {Array<Object>} entries - Entries with startTime/endTime or startOffset/endOffset
+     * @returns {Array<Object>} { startMs, endMs } sorted by start; entries without a start are skipped
+     */
+    getIntervals(entries) {
+        return (entries || [])
+            .map(entry => {
+                const startMs = this.parse(entry && (entry.startTime || entry.startOffset));
+                const endMs = this.parse(entry && (entry.endTime || entry.endOffset));
+                return startMs === null ? null : { startMs, endMs: Math.max(startMs, endMs === null ? startMs : endMs) };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.startMs - b.startMs || a.endMs - b.endMs);
+    }
+
+    /**
+     * Measure a transcript's timing
+     * @param {Array<Object>} entries - Transcript entries in any order
+     * @returns {Object} { startMs, endMs, spanMs, speakingMs, silenceMs } - span runs from the
+     *   first start to the last end (trimmed recordings do not start at zero); speaking time
+     *   counts overlapping speech once; silence is the rest of the span
+     */
+    measure(entries) {
+        const intervals = this.getIntervals(entries);
+        if (intervals.length === 0) {
+            return { startMs: 0, endMs: 0, spanMs: 0, speakingMs: 0, silenceMs: 0 };
+        }
+
+        let speakingMs = 0;
+        let runStart = intervals[0].startMs;
+        let runEnd = intervals[0].endMs;
+        for (const interval of intervals.slice(1)) {
+            if (interval.startMs > runEnd) {
+                speakingMs += runEnd - runStart;
+                runStart = interval.startMs;
+            }
+            runEnd = Math.max(runEnd, interval.endMs);
+        }
+        speakingMs += runEnd - runStart;
+
+        const startMs = intervals[0].startMs;
+        const endMs = Math.max(...intervals.map(interval => interval.endMs));
+        const spanMs = endMs - startMs;
+
+        return { startMs, endMs, spanMs, speakingMs, silenceMs: spanMs - speakingMs };
+    }
+
+    /**
+     * Speaking time per speaker
+     * @param {Array<Object>} entries - Entries or sections with a speaker (or speakerDisplayName)
+     * @returns {Object} Speaker name -> milliseconds
+     */
+    speakingTimeBySpeaker(entries) {
+        const bySpeaker = {};
+        (entries || []).forEach(entry => {
+            const speaker = entry.speaker || entry.speakerDisplayName;
+            if (speaker) {
+                (bySpeaker[speaker] = bySpeaker[speaker] || []).push(entry);
+            }
+        });
+
+        const result = {};
+        Object.keys(bySpeaker).forEach(speaker => {
+            result[speaker] = this.measure(bySpeaker[speaker]).speakingMs;
+        });
+        return result;
+    }
+}
+
+// Create singleton instance
+const timeUtils = new TimeUtils();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TimeUtils, timeUtils };
+} else {
+    window.TimeUtils = TimeUtils;
+    window.timeUtils = timeUtils;
+}
@@ -0,0 +1,294 @@
+/**
+ * Token Counter for Teams Transcript Chrome Extension
+ * Shared offline token counting for chunking and context-limit checks.
+ *
+ * OpenAI models are counted exactly with byte-level BPE once their tiktoken
+ * vocabulary (o200k_base for GPT-4o/4.1, cl100k_base for GPT-4/3.5) has been
+ * registered with registerEncoding(), loadEncoding() or, for the files bundled
+ * under assets/vocab/, loadBundledEncodings(). Until then, and for
+ * Claude, whose vocabulary is not public, counts come from estimators
+ * calibrated per script: Han and kana characters cost roughly a token each
+ * (more for Claude and cl100k), Latin words about one token per short word,
+ * digits one token per group of three.
+ */
+
+const ENCODINGS = {
+    O200K: 'o200k_base',
+    CL100K: 'cl100k_base',
+    CLAUDE: 'claude'
+};
+
+// Vocabulary files bundled with the extension (copied with assets/)
+const VOCABULARY_PATHS = {
+    [ENCODINGS.O200K]: 'assets/vocab/o200k_base.tiktoken',
+    [ENCODINGS.CL100K]: 'assets/vocab/cl100k_base.tiktoken'
+};
+
+// First match wins; unknown OpenAI models use the newest encoding
+const OPENAI_MODEL_ENCODINGS = [
+    { pattern: /^(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|chatgpt-4o|o\d)/, encoding: ENCODINGS.O200K },
+    { pattern: /^(gpt-4|gpt-3\.5)/, encoding: ENCODINGS.CL100K }
+];
+
+// Case-insensitive English contractions ("'s", "'LL", ...) without (?i:) groups
+const CONTRACTIONS = "'(?:[sSdDmMtT]|[lL][lL]|[vV][eE]|[rR][eE])";
+
+// tiktoken pre-tokenization patterns
+const PRETOKENIZE_PATTERNS = {
+    [ENCODINGS.CL100K]: new RegExp(
+        `${CONTRACTIONS}|[^\\r\\n\\p{L}\\p{N}]?\\p{L}+|\\p{N}{1,3}| ?[^\\s\\p{L}\\p{N}]+[\\r\\n]*|\\s*[\\r\\n]+|\\s+(?!\\S)|\\s+`,
+        'gu'
+    ),
+    [ENCODINGS.O200K]: new RegExp([
+        `[^\\r\\n\\p{L}\\p{N}]?[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]*[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]+(?:${CONTRACTIONS})?`,
+        `[^\\r\\n\\p{L}\\p{N}]?[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]+[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]*(?:${CONTRACTIONS})?`,
+        '\\p{N}{1,3}',
+        ' ?[^\\s\\p{L}\\p{N}]+[\\r\\n/]*',
+        '\\s*[\\r\\n]+',
+        '\\s+(?!\\S)',
+        '\\s+'
+    ].join('|'), 'gu')
+};
+
+// Tokens per character (han, kana, hangul) and Latin word sizing, calibrated per encoding
+const ESTIMATOR_PROFILES = {
+    [ENCODINGS.O200K]: { han: 0.75, kana: 0.9, hangul: 0.9, wordChars: 7, charsPerToken: 4, digitsPerToken: 3 },
+    [ENCODINGS.CL100K]: { han: 1.25, kana: 1.1, hangul: 1.5, wordChars: 7, charsPerToken: 4, digitsPerToken: 3 },
+    [ENCODINGS.CLAUDE]: { han: 1.2, kana: 1.1, hangul: 1.4, wordChars: 6, charsPerToken: 3.5, digitsPerToken: 3 }
+};
+
+// Runs of one kind of text for the estimator
+const ESTIMATOR_PATTERN = new RegExp([
+    '(\\p{Script=Han}+)',
+    '([\\p{Script=Hiragana}\\p{Script=Katakana}ー]+)',
+    '(\\p{Script=Hangul}+)',
+    '(\\p{N}+)',
+    "((?:(?![\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}])[\\p{L}\\p{M}'’])+)",
+    '(\\r?\\n\\s*)',
+    '(\\s+)',
+    '([^\\s\\p{L}\\p{N}])'
+].join('|'), 'gu');
+
+/**
+ * Token Counter class
+ */
+class TokenCounter {
+    constructor() {
+        this.ranks = {};
+        this.textEncoder = new TextEncoder();
+        this.bundledLoad = null;
+    }
+
+    /**
+     * Count tokens for a provider and model
+     * @param {string} text - Text to count
+     * @param {Object} target - { provider: 'openai' | 'anthropic', model }
+     * @returns {number} Token count (exact when the model's BPE vocabulary is registered)
+     */
+    count(text, target = {}) {
+        const value = String(text || '');
+        if (!value) {
+            return 0;
+        }
+
+        const encoding = this.getEncoding(target.provider, target.model);
+        return this.hasEncoding(encoding) ? this.countBpe(value, encoding) : this.estimate(value, encoding);
+    }
+
+    /**
+     * Encoding used by a provider and model
+     * @param {string} provider - 'openai' (default) or 'anthropic'
+     * @param {string} model - Model name
+     * @returns {string} One of ENCODINGS
+     */
+    getEncoding(provider = 'openai', model = '') {
+        if (provider === 'anthropic') {
+            return ENCODINGS.CLAUDE;
+        }
+
+        const match = OPENAI_MODEL_ENCODINGS.find(entry => entry.pattern.test(String(model || '').toLowerCase()));
+        return match ? match.encoding : ENCODINGS.O200K;
+    }
+
+    /**
+     * Register a BPE vocabulary in tiktoken format ("<base64 token> <rank>" per line)
+     * @param {string} encoding - ENCODINGS.O200K or ENCODINGS.CL100K
+     * @param {string} tiktokenText - Vocabulary file contents
+     * @returns {number} Number of tokens registered
+     */
+    registerEncoding(encoding, tiktokenText) {
+        if (!PRETOKENIZE_PATTERNS[encoding]) {
+            throw new Error(`Unsupported encoding: ${encoding}`);
+        }
+
+        const ranks = new Map();
+        String(tiktokenText || '').split('\n').forEach(line => {
+            const [token, rank] = line.trim().split(/\s+/);
+            if (token && rank !== undefined) {
+                // Tokens are kept as binary strings (one char per byte)
+                ranks.set(atob(token), parseInt(rank, 10));
+            }
+        });
+
+        if (ranks.size === 0) {
+            throw new Error(`Empty vocabulary for ${encoding}`);
+        }
+        this.ranks[encoding] = ranks;
+        return ranks.size;
+    }
+
+    /**
+     * Fetch and register a vocabulary file
+     * @param {string} encoding - ENCODINGS.O200K or ENCODINGS.CL100K
+     * @param {string} url - URL of the .tiktoken file (e.g. chrome.runtime.getURL(...))
+     * @returns {Promise<boolean>} True when registered; false when the file is unavailable
+     */
+    async loadEncoding(encoding, url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.registerEncoding(encoding, await response.text());
+            return true;
+        } catch (error) {
+            console.warn(`[TokenCounter] ${encoding} vocabulary unavailable, using estimates:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Load the vocabularies bundled with the extension, once
+     * @returns {Promise<boolean>} True when every bundled vocabulary is registered
+     */
+    loadBundledEncodings() {
+        if (!this.bundledLoad) {
+            const canFetch = typeof chrome !== 'undefined' && chrome.runtime && typeof chrome.runtime.getURL === 'function'
+                && typeof fetch === 'function';
+            this.bundledLoad = canFetch
+                ? Promise.all(Object.keys(VOCABULARY_PATHS).map(encoding =>
+                    this.loadEncoding(encoding, chrome.runtime.getURL(VOCABULARY_PATHS[encoding]))
+                )).then(results => results.every(Boolean))
+                : Promise.resolve(false);
+        }
+        return this.bundledLoad;
+    }
+
+    /**
+     * Whether exact counting is available for an encoding
+     * @param {string} encoding - One of ENCODINGS
+     * @returns {boolean} True when a vocabulary is registered
+     */
+    hasEncoding(encoding) {
+        return !!this.ranks[encoding];
+    }
+
+    /**
+     * Exact BPE token count
+     * @param {string} text - Text to count
+     * @param {string} encoding - Registered encoding
+     * @returns {number} Token count
+     */
+    countBpe(text, encoding) {
+        const ranks = this.ranks[encoding];
+        let total = 0;
+
+        for (const match of text.matchAll(PRETOKENIZE_PATTERNS[encoding])) {
+            const piece = this.toBinaryString(match[0]);
+            total += ranks.has(piece) ? 1 : this.bytePairMerge(piece, ranks);
+        }
+        return total;
+    }
+
+    /**
+     * Merge the bytes of a piece by rank until no ranked pair is left
+     * @param {string} piece - Binary string (one char per byte)
+     * @param {Map<string, number>} ranks - Token ranks
+     * @returns {number} Number of tokens the piece encodes to
+     */
+    bytePairMerge(piece, ranks) {
+        // Boundaries of the current parts; parts[i]..parts[i + 1] is one token
+        const parts = Array.from({ length: piece.length + 1 }, (_, index) => index);
+        const rankOf = index => index + 2 < parts.length
+            ? ranks.get(piece.slice(parts[index], parts[index + 2]))
+            : undefined;
+
+        while (parts.length > 2) {
+            let bestIndex = -1;
+            let bestRank = Infinity;
+            for (let i = 0; i < parts.length - 2; i++) {
+                const rank = rankOf(i);
+                if (rank !== undefined && rank < bestRank) {
+                    bestRank = rank;
+                    bestIndex = i;
+                }
+            }
+            if (bestIndex === -1) {
+                break;
+            }
+            parts.splice(bestIndex + 1, 1);
+        }
+
+        return parts.length - 1;
+    }
+
+    /**
+     * Calibrated estimate for when no vocabulary is available
+     * @param {string} text - Text to count
+     * @param {string} encoding - One of ENCODINGS
+     * @returns {number} Estimated token count
+     */
+    estimate(text, encoding = ENCODINGS.O200K) {
+        const profile = ESTIMATOR_PROFILES[encoding] || ESTIMATOR_PROFILES[ENCODINGS.O200K];
+        let total = 0;
+
+        for (const [, han, kana, hangul, digits, word, newline, , symbol] of text.matchAll(ESTIMATOR_PATTERN)) {
+            if (han) {
+                total += han.length * profile.han;
+            } else if (kana) {
+                total += kana.length * profile.kana;
+            } else if (hangul) {
+                total += hangul.length * profile.hangul;
+            } else if (digits) {
+                total += Math.ceil(digits.length / profile.digitsPerToken);
+            } else if (word) {
+                // Common words are one token; long words and unbroken strings split every few characters
+                total += word.length <= profile.wordChars
+                    ? 1
+                    : 1 + Math.ceil((word.length - profile.wordChars) / profile.charsPerToken);
+            } else if (newline || symbol) {
+                total += 1;
+            }
+            // Spaces before words are part of the word's token
+        }
+
+        return Math.ceil(total);
+    }
+
+    /**
+     * UTF-8 bytes of a string as a binary string
+     * @param {string} text - Text
+     * @returns {string} One char per byte
+     */
+    toBinaryString(text) {
+        const bytes = this.textEncoder.encode(text);
+        let binary = '';
+        // Convert in slices; spreading very long pieces would overflow the call stack
+        for (let i = 0; i < bytes.length; i += 8192) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 8192));
+        }
+        return binary;
+    }
+}
+
+// Create singleton instance
+const tokenCounter = new TokenCounter();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TokenCounter, tokenCounter, ENCODINGS };
+} else {
+    window.TokenCounter = TokenCounter;
+    window.tokenCounter = tokenCounter;
+    window.TOKEN_ENCODINGS = ENCODINGS;
+}
@@ -0,0 +1,240 @@
+/**
+ * Topic Segmenter for Teams Transcript Chrome Extension
+ * Finds topic boundaries in a transcript by lexical cohesion (TextTiling):
+ * the words of the sections before and after every gap are compared, and
+ * gaps where the vocabulary changes most sharply become boundaries.
+ *
+ * Tokenization is CJK-aware: Latin and Hangul text is split into words,
+ * Han text into overlapping character bigrams (there are no spaces to split
+ * on), Katakana runs are kept whole and Hiragana, mostly grammar, is skipped.
+ */
+
+const DEFAULT_SEGMENT_OPTIONS = {
+    blockSize: 3, // Sections compared on each side of a gap
+    minSegmentSections: 2 // No boundary closer than this to another boundary or the edges
+};
+
+// Words carrying no topic: function words and common meeting chatter
+const ENGLISH_STOPWORDS = new Set(`
+a about above after again all also am an and any are as at be because been before being below between both
+but by can could did do does doing done down during each few for from further get got had has have having he
+her here hers him his how i if in into is it its itself just let me more most my no nor not now of off on once
+only or other our ours out over own same she should so some such than that the their them then there these they
+this those through to too under until up very was we were what when where which while who whom why will with would
+you your yours yeah yes okay ok um uh hmm like know think going really right well actually maybe sure thing things
+want need see say said go one two also lot kind sort mean guess gonna just still even much many something anything
+`.trim().split(/\s+/));
+
+// Han characters that are grammar rather than content; bigrams containing them are skipped
+const CJK_STOP_CHARS = new Set('的了是在我你他她它們们這这那就也都和與与及嗎吗呢吧啊嗯呃個个一不有要會会說说到對对把被讓让給给很還还再又著着過过得地之其而或但所以為为因如果可能已經经然現现在'.split(''));
+
+// Han runs, Katakana runs, Hiragana runs, Hangul words, other words (letters and digits)
+const TOPIC_TOKEN_PATTERN = new RegExp([
+    '(\\p{Script=Han}+)',
+    '([\\p{Script=Katakana}ー]+)',
+    '(\\p{Script=Hiragana}+)',
+    '(\\p{Script=Hangul}+)',
+    "((?:(?![\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}])[\\p{L}\\p{N}])+(?:['’][\\p{L}]+)?)"
+].join('|'), 'gu');
+
+/**
+ * Topic Segmenter class
+ */
+class TopicSegmenter {
+    /**
+     * Split sections into topic segments
+     * @param {Array<Object>} sections - Transcript sections ({ text, ... }) in order
+     * @param {Object} options - Overrides for DEFAULT_SEGMENT_OPTIONS
+     * @returns {Array<Object>} Segments { start, end, depth } covering all sections; end is exclusive,
+     *   depth is the boundary strength at start (0 for the first segment)
+     */
+    segment(sections, options = {}) {
+        const settings = { ...DEFAULT_SEGMENT_OPTIONS, ...options };
+        const count = sections.length;
+        if (count < settings.minSegmentSections * 2) {
+            return count > 0 ? [{ start: 0, end: count, depth: 0 }] : [];
+        }
+
+        const vectors = sections.map(section => this.countTerms(this.tokenize(section.text)));
+        const depths = this.scoreGaps(vectors, settings);
+        const boundaries = this.pickBoundaries(depths, count, settings.minSegmentSections);
+
+        const starts = [0, ...boundaries];
+        return starts.map((start, index) => ({
+            start,
+            end: index + 1 < starts.length ? starts[index + 1] : count,
+            depth: start === 0 ? 0 : depths[start]
+        }));
+    }
+
+    /**
+     * Depth score of every gap (gap i lies between sections i - 1 and i)
+     * @param {Array<Map>} vectors - Term counts per section
+     * @param {Object} settings - Segment options
+     * @returns {Array<number>} Depth per gap index (index 0 unused)
+     */
+    scoreGaps(vectors, settings) {
+        const count = vectors.length;
+        const similarities = new Array(count).fill(0);
+
+        for (let gap = 1; gap < count; gap++) {
+            const left = this.mergeCounts(vectors.slice(Math.max(0, gap - settings.blockSize), gap));
+            const right = this.mergeCounts(vectors.slice(gap, gap + settings.blockSize));
+            similarities[gap] = this.cosineSimilarity(left, right);
+        }
+
+        // Depth: how far a valley dips below the nearest peaks on both sides; slopes score 0
+        // (No smoothing: sections are whole speaker turns, already coarser than TextTiling's sentences)
+        return similarities.map((score, gap) => {
+            const isValley = (gap === 1 || similarities[gap - 1] >= score) && (gap + 1 === count || similarities[gap + 1] >= score);
+            if (gap === 0 || !isValley) {
+                return 0;
+            }
+            let leftPeak = score;
+            for (let i = gap - 1; i >= 1 && similarities[i] >= leftPeak; i--) {
+                leftPeak = similarities[i];
+            }
+            let rightPeak = score;
+            for (let i = gap + 1; i < count && similarities[i] >= rightPeak; i++) {
+                rightPeak = similarities[i];
+            }
+            return (leftPeak - score) + (rightPeak - score);
+        });
+    }
+
+    /**
+     * Choose boundaries: deepest gaps above the mean - sd / 2 cutoff, kept apart by minSegmentSections
+     * @param {Array<number>} depths - Depth per gap
+     * @param {number} count - Number of sections
+     * @param {number} minSegmentSections - Minimum sections per segment
+     * @returns {Array<number>} Boundary gap indices, ascending
+     */
+    pickBoundaries(depths, count, minSegmentSections) {
+        const gaps = depths.slice(1);
+        const mean = gaps.reduce((sum, depth) => sum + depth, 0) / gaps.length;
+        const deviation = Math.sqrt(gaps.reduce((sum, depth) => sum + (depth - mean) ** 2, 0) / gaps.length);
+        const cutoff = mean - deviation / 2;
+
+        const accepted = [];
+        depths
+            .map((depth, gap) => ({ depth, gap }))
+            .filter(({ depth, gap }) => gap > 0 && depth > 0 && depth > cutoff)
+            .sort((a, b) => b.depth - a.depth)
+            .forEach(({ gap }) => {
+                const farFromEdges = gap >= minSegmentSections && count - gap >= minSegmentSections;
+                const farFromOthers = accepted.every(other => Math.abs(other - gap) >= minSegmentSections);
+                if (farFromEdges && farFromOthers) {
+                    accepted.push(gap);
+                }
+            });
+
+        return accepted.sort((a, b) => a - b);
+    }
+
+    /**
+     * Keyword labels for a set of texts (e.g. chunks), by TF-IDF across the texts
+     * @param {Array<string>} texts - One text per segment
+     * @param {number} count - Keywords per text
+     * @returns {Array<Array<string>>} Keywords per text, most distinctive first
+     */
+    extractKeywords(texts, count = 3) {
+        const termCounts = texts.map(text => this.countTerms(this.tokenize(text)));
+        const documentFrequency = new Map();
+        termCounts.forEach(counts => counts.forEach((_, term) => {
+            documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }));
+
+        return termCounts.map(counts => [...counts.entries()]
+            .map(([term, frequency]) => ({
+                term,
+                score: frequency * Math.log((texts.length + 1) / documentFrequency.get(term))
+            }))
+            // Ties go to the longer term, then the earlier one
+            .sort((a, b) => b.score - a.score || b.term.length - a.term.length)
+            .slice(0, count)
+            .map(({ term }) => term));
+    }
+
+    /**
+     * Topic-bearing tokens of a text
+     * @param {string} text - Text
+     * @returns {Array<string>} Lowercased words, Han bigrams and Katakana runs
+     */
+    tokenize(text) {
+        const tokens = [];
+
+        for (const [, han, katakana, , hangul, word] of String(text || '').matchAll(TOPIC_TOKEN_PATTERN)) {
+            if (han) {
+                const chars = [...han];
+                if (chars.length === 1 && !CJK_STOP_CHARS.has(chars[0])) {
+                    tokens.push(chars[0]);
+                }
+                for (let i = 0; i + 1 < chars.length; i++) {
+                    if (!CJK_STOP_CHARS.has(chars[i]) && !CJK_STOP_CHARS.has(chars[i + 1])) {
+                        tokens.push(chars[i] + chars[i + 1]);
+                    }
+                }
+            } else if (katakana) {
+                if ([...katakana].length > 1) {
+                    tokens.push(katakana);
+                }
+            } else if (hangul) {
+                tokens.push(hangul);
+            } else if (word) {
+                const normalized = this.normalizeWord(word);
+                if (normalized) {
+                    tokens.push(normalized);
+                }
+            }
+            // Hiragana runs are particles and inflections
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Lowercase a word, drop stopwords and numbers, strip plural "s"
+     * @param {string} word - Word
+     * @returns {string|null} Normalized word, or null when it carries no topic
+     */
+    normalizeWord(word) {
+        const lower = word.toLowerCase().replace(/['’].*$/, '');
+        if (lower.length < 3 || /^\d+$/.test(lower) || ENGLISH_STOPWORDS.has(lower)) {
+            return null;
+        }
+        return lower.length > 4 && lower.endsWith('s') && !lower.endsWith('ss') ? lower.slice(0, -1) : lower;
+    }
+
+    countTerms(tokens) {
+        const counts = new Map();
+        tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+        return counts;
+    }
+
+    mergeCounts(vectors) {
+        const merged = new Map();
+        vectors.forEach(counts => counts.forEach((value, term) => merged.set(term, (merged.get(term) || 0) + value)));
+        return merged;
+    }
+
+    cosineSimilarity(left, right) {
+        let dot = 0;
+        left.forEach((value, term) => {
+            dot += value * (right.get(term) || 0);
+        });
+        const norm = counts => Math.sqrt([...counts.values()].reduce((sum, value) => sum + value * value, 0));
+        const denominator = norm(left) * norm(right);
+        return denominator === 0 ? 0 : dot / denominator;
+    }
+}
+
+// Create singleton instance
+const topicSegmenter = new TopicSegmenter();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TopicSegmenter, topicSegmenter, DEFAULT_SEGMENT_OPTIONS };
+} else {
+    window.TopicSegmenter = TopicSegmenter;
+    window.topicSegmenter = topicSegmenter;
+}
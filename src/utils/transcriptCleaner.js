@@ -0,0 +1,264 @@
+/**
+ * Transcript Cleaner for Teams Transcript Chrome Extension
+ * Removes filler words ("um", "you know", "那個", "えっと"), stuttered repeats
+ * ("the the", "我我我") and merges consecutive short entries from the same
+ * speaker, so AI input and exported transcripts carry fewer wasted tokens.
+ *
+ * Hesitations ("um", "嗯") are removed wherever they stand alone. Discourse
+ * fillers that are also ordinary words ("you know", "那個", "あの") are only
+ * removed when set off by punctuation or at the start of an entry, so
+ * "那個問題" and "do you know" survive.
+ */
+
+const { transcriptNormalizer } = require('./transcriptNormalizer.js');
+const { timeUtils } = require('./timeUtils.js');
+const { tokenCounter } = require('./tokenCounter.js');
+
+const DEFAULT_CLEANUP_OPTIONS = {
+    removeFillers: true,
+    collapseRepeats: true,
+    mergeShortEntries: true,
+    shortEntryChars: 40, // Entries shorter than this are merged into their neighbour
+    maxMergeGapMs: 5000, // Same gap as MemoryOptimizer.compressConsecutiveEntries
+    language: null // Overrides each entry's language when set
+};
+
+const FILLER_WORDS = {
+    'en': {
+        hesitations: ['um', 'umm', 'uh', 'uhh', 'uhm', 'erm', 'er', 'ah', 'hmm', 'mm'],
+        phrases: ['you know', 'I mean', 'like', 'sort of', 'kind of', 'basically']
+    },
+    'zh-TW': {
+        hesitations: ['嗯', '呃', '欸', '啊', '喔', '哦'],
+        phrases: ['那個', '就是說', '就是', '然後呢', '這個']
+    },
+    'zh-CN': {
+        hesitations: ['嗯', '呃', '诶', '啊', '哦'],
+        phrases: ['那个', '就是说', '就是', '然后呢', '这个']
+    },
+    'ja': {
+        hesitations: ['えー', 'えーと', 'えっと', 'あー', 'うーん', 'んー'],
+        phrases: ['あのー', 'あの', 'そのー', 'まあ', 'なんか']
+    }
+};
+
+// Filler boundaries: start/end of text, whitespace or punctuation (Latin and CJK)
+const BOUNDARY = '[\\s,.!?;:，。、！？；：…]';
+
+/**
+ * Escape text for use in a RegExp
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Transcript Cleaner class
+ */
+class TranscriptCleaner {
+    constructor() {
+        this.patterns = {};
+        Object.keys(FILLER_WORDS).forEach(language => {
+            this.patterns[language] = this.buildPatterns(FILLER_WORDS[language], language === 'en');
+        });
+    }
+
+    /**
+     * Clean a transcript
+     * @param {Object} transcript - Transcript of any supported shape
+     * @param {Object} options - Overrides for DEFAULT_CLEANUP_OPTIONS
+     * @returns {Object} { transcript, stats } - normalized cleaned transcript and
+     *   { fillersRemoved, repeatsRemoved, entriesMerged, tokensBefore, tokensAfter, tokensSaved }
+     */
+    clean(transcript, options = {}) {
+        const settings = { ...DEFAULT_CLEANUP_OPTIONS, ...options };
+        const normalized = transcriptNormalizer.normalize(transcript);
+        const stats = { fillersRemoved: 0, repeatsRemoved: 0, entriesMerged: 0 };
+
+        let entries = normalized.entries
+            .map(entry => {
+                const result = this.cleanText(entry.text, settings.language || entry.language, settings);
+                stats.fillersRemoved += result.fillersRemoved;
+                stats.repeatsRemoved += result.repeatsRemoved;
+                return result.text === entry.text ? entry : { ...entry, text: result.text };
+            })
+            .filter(entry => entry.text);
+
+        if (settings.mergeShortEntries) {
+            const merged = this.mergeShortEntries(entries, settings);
+            stats.entriesMerged = entries.length - merged.length;
+            entries = merged;
+        }
+
+        const cleaned = transcriptNormalizer.normalize({ ...normalized, entries });
+        const tokensBefore = this.estimateTokens(transcriptNormalizer.formatForAI(normalized).content);
+        const tokensAfter = this.estimateTokens(transcriptNormalizer.formatForAI(cleaned).content);
+
+        return {
+            transcript: cleaned,
+            stats: { ...stats, tokensBefore, tokensAfter, tokensSaved: tokensBefore - tokensAfter }
+        };
+    }
+
+    /**
+     * Clean one entry's text
+     * @param {string} text - Entry text
+     * @param {string} language - Entry language ("en-us", "zh-tw", ...); detected from the script when unknown
+     * @param {Object} options - Cleanup options
+     * @returns {Object} { text, fillersRemoved, repeatsRemoved }
+     */
+    cleanText(text, language, options = DEFAULT_CLEANUP_OPTIONS) {
+        let result = String(text || '');
+        let fillersRemoved = 0;
+        let repeatsRemoved = 0;
+
+        if (options.removeFillers) {
+            const patterns = this.patterns[this.resolveLanguage(language, result)];
+            [patterns.hesitations, patterns.phrases].forEach(pattern => {
+                result = result.replace(pattern, (match, before) => {
+                    fillersRemoved++;
+                    return before;
+                });
+            });
+        }
+
+        if (options.collapseRepeats) {
+            // "the the" -> "the"; "我們，我們" -> "我們"; "我我我" -> "我"
+            result = result
+                .replace(/\b([A-Za-z']+)(?:[\s,]+\1\b)+/gi, (match, word) => {
+                    repeatsRemoved += match.split(/[\s,]+/).length - 1;
+                    return word;
+                })
+                .replace(/([\u4e00-\u9fff]{2,4})(?:[，、,\s]?\1)+/g, (match, word) => {
+                    repeatsRemoved += match.replace(/[，、,\s]/g, '').length / word.length - 1;
+                    return word;
+                })
+                .replace(/([\u4e00-\u9fff])\1{2,}/g, (match, char) => {
+                    repeatsRemoved += match.length - 1;
+                    return char;
+                });
+        }
+
+        return { text: this.tidy(result), fillersRemoved, repeatsRemoved };
+    }
+
+    /**
+     * Merge consecutive short entries from the same speaker
+     * (like MemoryOptimizer.compressConsecutiveEntries, but only for short entries)
+     * @param {Array<Object>} entries - Normalized entries in order
+     * @param {Object} options - Cleanup options (shortEntryChars, maxMergeGapMs)
+     * @returns {Array<Object>} Merged entries
+     */
+    mergeShortEntries(entries, options = DEFAULT_CLEANUP_OPTIONS) {
+        const merged = [];
+
+        entries.forEach(entry => {
+            const previous = merged[merged.length - 1];
+            const gap = previous ? timeUtils.toMilliseconds(entry.startTime) - timeUtils.toMilliseconds(previous.endTime) : Infinity;
+            const isShort = previous && (previous.text.length < options.shortEntryChars || entry.text.length < options.shortEntryChars);
+
+            if (previous && isShort && previous.speaker === entry.speaker && gap < options.maxMergeGapMs) {
+                const confidences = [previous.confidence, entry.confidence].filter(value => value !== null);
+                merged[merged.length - 1] = {
+                    ...previous,
+                    text: this.joinText(previous.text, entry.text),
+                    endTime: entry.endTime,
+                    confidence: confidences.length > 0 ? Math.min(...confidences) : null
+                };
+            } else {
+                merged.push(entry);
+            }
+        });
+
+        return merged;
+    }
+
+    /**
+     * Map an entry language to a filler list
+     * @param {string} language - Language tag ("en-us", "zh-TW", "ja-jp", "unknown", ...)
+     * @param {string} text - Entry text, used to detect the language when the tag is unknown
+     * @returns {string} Key of FILLER_WORDS
+     */
+    resolveLanguage(language, text = '') {
+        const tag = String(language || '').toLowerCase();
+        if (/^(zh-cn|zh-sg|zh-hans)/.test(tag)) {
+            return 'zh-CN';
+        }
+        if (/^(en|ja|zh)/.test(tag)) {
+            return tag.startsWith('zh') ? 'zh-TW' : tag.slice(0, 2);
+        }
+
+        // Kana means Japanese; other Han text gets the Traditional Chinese list
+        if (/[\u3040-\u30ff]/.test(text)) {
+            return 'ja';
+        }
+        return /[\u4e00-\u9fff]/.test(text) ? 'zh-TW' : 'en';
+    }
+
+    /**
+     * Token count for reporting savings
+     * @param {string} text - Text
+     * @returns {number} Tokens with the shared token counter's default encoding
+     */
+    estimateTokens(text) {
+        return tokenCounter.count(text);
+    }
+
+    /**
+     * Build filler patterns for a language
+     * @param {Object} fillers - { hesitations, phrases }
+     * @param {boolean} caseInsensitive - Latin-script languages
+     * @returns {Object} { hesitations, phrases } RegExps; group 1 is the boundary to keep
+     */
+    buildPatterns(fillers, caseInsensitive) {
+        const alternatives = words => [...words]
+            .sort((a, b) => b.length - a.length)
+            .map(word => escapeRegExp(word).replace(/ /g, '\\s+'))
+            .join('|');
+        const flags = caseInsensitive ? 'gi' : 'g';
+
+        // Hesitations may stand between spaces; phrases need punctuation (or the start) before and after
+        return {
+            hesitations: new RegExp(`(^|${BOUNDARY})(?:${alternatives(fillers.hesitations)})+[,，、…]*(?=${BOUNDARY}|$)`, flags),
+            phrases: new RegExp(`(^\\s*|[,，、。.!?！？…]\\s*)(?:${alternatives(fillers.phrases)})[,，、…]+\\s*`, flags)
+        };
+    }
+
+    /**
+     * Join two entry texts
+     * @param {string} first - Earlier text
+     * @param {string} second - Later text
+     * @returns {string} Joined text (no space between CJK texts)
+     */
+    joinText(first, second) {
+        const cjk = /[\u3000-\u30ff\u4e00-\u9fff\uff00-\uffef]/;
+        return cjk.test(first.slice(-1)) && cjk.test(second.charAt(0)) ? first + second : `${first} ${second}`;
+    }
+
+    /**
+     * Tidy whitespace and punctuation left behind by removals
+     * @param {string} text - Text
+     * @returns {string} Tidied text
+     */
+    tidy(text) {
+        return text
+            .replace(/\s+/g, ' ')
+            .replace(/\s+([,.!?;:，。、！？；：])/g, '$1')
+            .replace(/([,，、])(?:\s*[,，、])+/g, '$1')
+            .replace(/^[\s,，、.。…]+/, '')
+            .trim();
+    }
+}
+
+// Create singleton instance
+const transcriptCleaner = new TranscriptCleaner();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TranscriptCleaner, transcriptCleaner, DEFAULT_CLEANUP_OPTIONS, FILLER_WORDS };
+} else {
+    window.TranscriptCleaner = TranscriptCleaner;
+    window.transcriptCleaner = transcriptCleaner;
+}
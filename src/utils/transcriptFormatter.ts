@@ -1,191 +1,71 @@
 /**
  * Transcript Formatter Module (TypeScript)
  * 
- * Transforms Microsoft Stream API transcript responses into AI-ready format.
+ * Transforms transcripts into AI-ready format.
+ * Normalization and AI formatting live in transcriptNormalizer.js so the popup,
+ * background and this module produce identical input for the AI providers.
  * Features:
  * - Speaker grouping for better context
- * - Timestamp conversion to readable format
- * - Participant extraction and duration calculation
- * - Multi-language support (especially Chinese zh-tw)
+ * - Optional filler-word and disfluency cleanup (see transcriptCleaner.js)
+ * - Preview, statistics and token-based chunking
  * - Confidence score preservation
  */
 
-import { StreamTranscript, TranscriptEntry, FormattedTranscript, TranscriptSection } from './types';
+import { StreamTranscript, FormattedTranscript, TranscriptSection } from './types';
 
-/**
- * Format a Stream API transcript for AI processing
- * @param transcript - Raw transcript from Stream API
- * @returns AI-ready transcript with metadata
- */
-export function formatTranscriptForAI(transcript: StreamTranscript): FormattedTranscript {
-  if (!transcript || !transcript.entries || transcript.entries.length === 0) {
-    throw new Error('Invalid transcript: no entries found');
-  }
-
-  // Extract unique participants
-  const participants = extractParticipants(transcript.entries);
-  
-  // Calculate meeting duration
-  const duration = calculateDuration(transcript.entries);
-  
-  // Get start and end times
-  const startTime = formatTimestamp(transcript.entries[0].startOffset);
-  const endTime = formatTimestamp(transcript.entries[transcript.entries.length - 1].endOffset);
-  
-  // Get primary language
-  const language = transcript.entries[0]?.spokenLanguageTag || 'zh-tw';
-  
-  // Group entries by speaker for better context
-  const sections = groupBySpeaker(transcript.entries);
-  
-  // Create formatted content for AI
-  const content = generateFormattedContent(sections);
-  
-  return {
-    metadata: {
-      participants,
-      duration,
-      language,
-      totalEntries: transcript.entries.length,
-      startTime,
-      endTime
-    },
-    content,
-    sections
-  };
-}
-
-/**
- * Extract unique participants from transcript entries
- * @param entries - Transcript entries
- * @returns Array of unique speaker names
- */
-function extractParticipants(entries: TranscriptEntry[]): string[] {
-  const speakerNames = new Set<string>();
-  
-  entries.forEach(entry => {
-    if (entry.speakerDisplayName && entry.speakerDisplayName.trim()) {
-      speakerNames.add(entry.speakerDisplayName.trim());
-    }
-  });
-  
-  return Array.from(speakerNames).sort();
-}
-
-/**
- * Calculate meeting duration from first to last entry
- * @param entries - Transcript entries
- * @returns Duration in HH:MM:SS format
- */
-function calculateDuration(entries: TranscriptEntry[]): string {
-  if (entries.length === 0) return '00:00:00';
-  
-  const startOffset = entries[0].startOffset;
-  const endOffset = entries[entries.length - 1].endOffset;
-  
-  const startSeconds = parseTimestampToSeconds(startOffset);
-  const endSeconds = parseTimestampToSeconds(endOffset);
-  
-  const durationSeconds = endSeconds - startSeconds;
-  
-  return formatSecondsToTimestamp(durationSeconds);
-}
-
-/**
- * Parse timestamp string to total seconds
- * @param timestamp - Format: "HH:MM:SS.fffffff"
- * @returns Total seconds
- */
-function parseTimestampToSeconds(timestamp: string): number {
-  const parts = timestamp.split(':');
-  if (parts.length !== 3) return 0;
-  
-  const hours = parseInt(parts[0], 10) || 0;
-  const minutes = parseInt(parts[1], 10) || 0;
-  const seconds = parseFloat(parts[2]) || 0;
-  
-  return hours * 3600 + minutes * 60 + seconds;
-}
+// Shared canonical model; see transcriptNormalizer.js
+const { transcriptNormalizer } = require('./transcriptNormalizer.js');
+const { timeUtils } = require('./timeUtils.js');
+const { transcriptCleaner } = require('./transcriptCleaner.js');
+const { tokenCounter } = require('./tokenCounter.js');
 
 /**
- * Format seconds back to timestamp string
- * @param totalSeconds - Total seconds
- * @returns Formatted timestamp HH:MM:SS
+ * Cleanup options; anything omitted uses DEFAULT_CLEANUP_OPTIONS
  */
-function formatSecondsToTimestamp(totalSeconds: number): string {
-  const hours = Math.floor(totalSeconds / 3600);
-  const minutes = Math.floor((totalSeconds % 3600) / 60);
-  const seconds = Math.floor(totalSeconds % 60);
-  
-  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+export interface CleanupOptions {
+  removeFillers?: boolean;
+  collapseRepeats?: boolean;
+  mergeShortEntries?: boolean;
+  shortEntryChars?: number;
+  maxMergeGapMs?: number;
+  language?: 'en' | 'zh-TW' | 'zh-CN' | 'ja' | null;
 }
 
 /**
- * Format timestamp for display (remove milliseconds)
- * @param timestamp - Format: "HH:MM:SS.fffffff"
- * @returns Clean timestamp "HH:MM:SS"
+ * What a cleanup removed and the tokens it saved
  */
-function formatTimestamp(timestamp: string): string {
-  return timestamp.split('.')[0];
+export interface CleanupStats {
+  fillersRemoved: number;
+  repeatsRemoved: number;
+  entriesMerged: number;
+  tokensBefore: number;
+  tokensAfter: number;
+  tokensSaved: number;
 }
 
 /**
- * Group consecutive entries by speaker
- * @param entries - Transcript entries
- * @returns Grouped sections
+ * Format a transcript for AI processing
+ * @param transcript - Raw Stream API transcript or a parsed transcript object
+ * @param cleanup - Remove fillers and merge short entries first (off when omitted)
+ * @returns AI-ready transcript with metadata
  */
-function groupBySpeaker(entries: TranscriptEntry[]): TranscriptSection[] {
-  const sections: TranscriptSection[] = [];
-  let currentSection: TranscriptSection | null = null;
-  
-  entries.forEach(entry => {
-    const speaker = entry.speakerDisplayName || 'Unknown';
-    const startTime = formatTimestamp(entry.startOffset);
-    const endTime = formatTimestamp(entry.endOffset);
-    
-    // If same speaker continues, merge text
-    if (currentSection && currentSection.speaker === speaker) {
-      currentSection.text += ' ' + entry.text;
-      currentSection.endTime = endTime;
-      
-      // Update confidence to average of entries
-      currentSection.confidence = (currentSection.confidence + entry.confidence) / 2;
-    } else {
-      // New speaker, create new section
-      if (currentSection) {
-        sections.push(currentSection);
-      }
-      
-      currentSection = {
-        speaker,
-        startTime,
-        endTime,
-        text: entry.text,
-        confidence: entry.confidence
-      };
-    }
-  });
-  
-  // Add the last section
-  if (currentSection) {
-    sections.push(currentSection);
+export function formatTranscriptForAI(transcript: StreamTranscript | any, cleanup?: CleanupOptions): FormattedTranscript {
+  if (!transcript || !transcript.entries || transcript.entries.length === 0) {
+    throw new Error('Invalid transcript: no entries found');
   }
-  
-  return sections;
+
+  const source = cleanup ? cleanTranscript(transcript, cleanup).transcript : transcript;
+  return transcriptNormalizer.formatForAI(source);
 }
 
 /**
- * Generate formatted content string for AI consumption
- * @param sections - Grouped transcript sections
- * @returns Formatted content for AI
+ * Remove filler words and stutters and merge short entries from the same speaker
+ * @param transcript - Raw Stream API transcript or a parsed transcript object
+ * @param options - Cleanup options
+ * @returns Cleaned normalized transcript and cleanup statistics
  */
-function generateFormattedContent(sections: TranscriptSection[]): string {
-  const lines = sections.map(section => {
-    // Format: [HH:MM:SS] Speaker Name: Text content
-    return `[${section.startTime}] ${section.speaker}: ${section.text}`;
-  });
-  
-  return lines.join('\n');
+export function cleanTranscript(transcript: StreamTranscript | any, options: CleanupOptions = {}): { transcript: any; stats: CleanupStats } {
+  return transcriptCleaner.clean(transcript, options);
 }
 
 /**
@@ -214,6 +94,8 @@ export interface TranscriptStats {
   wordCount: number;
   averageConfidence: number;
   speakingTime: Record<string, string>;
+  totalSpeakingTime: string;
+  silence: string;
   duration: string;
 }
 
@@ -226,28 +108,20 @@ export function getTranscriptStats(formattedTranscript: FormattedTranscript): Tr
   const sections = formattedTranscript.sections;
   const wordCount = formattedTranscript.content.split(/\s+/).length;
   
-  // Calculate speaking time per participant
-  const speakingTime: Record<string, number> = {};
-  sections.forEach(section => {
-    const startSeconds = parseTimestampToSeconds(section.startTime + '.0');
-    const endSeconds = parseTimestampToSeconds(section.endTime + '.0');
-    const duration = endSeconds - startSeconds;
-    
-    if (!speakingTime[section.speaker]) {
-      speakingTime[section.speaker] = 0;
-    }
-    speakingTime[section.speaker] += duration;
-  });
+  // Speaking time per participant; overlapping sections are counted once
+  const speakingTime: Record<string, number> = timeUtils.speakingTimeBySpeaker(sections);
+  const timing = timeUtils.measure(sections);
   
   // Convert back to readable format
   const formattedSpeakingTime: Record<string, string> = {};
   Object.keys(speakingTime).forEach(speaker => {
-    formattedSpeakingTime[speaker] = formatSecondsToTimestamp(speakingTime[speaker]);
+    formattedSpeakingTime[speaker] = timeUtils.formatDuration(speakingTime[speaker]);
   });
   
-  // Calculate average confidence
-  const totalConfidence = sections.reduce((sum, section) => sum + section.confidence, 0);
-  const averageConfidence = sections.length > 0 ? totalConfidence / sections.length : 0;
+  // Calculate average confidence (sources without confidence scores report null)
+  const scored = sections.filter(section => section.confidence !== null);
+  const totalConfidence = scored.reduce((sum, section) => sum + (section.confidence as number), 0);
+  const averageConfidence = scored.length > 0 ? totalConfidence / scored.length : 0;
   
   return {
     totalSections: sections.length,
@@ -255,6 +129,8 @@ export function getTranscriptStats(formattedTranscript: FormattedTranscript): Tr
     wordCount,
     averageConfidence: Math.round(averageConfidence * 100) / 100,
     speakingTime: formattedSpeakingTime,
+    totalSpeakingTime: timeUtils.formatDuration(timing.speakingMs),
+    silence: timeUtils.formatDuration(timing.silenceMs),
     duration: formattedTranscript.metadata.duration
   };
 }
@@ -270,65 +146,31 @@ export interface ValidationResult {
 
 /**
  * Validate transcript format
- * @param transcript - Raw transcript to validate
+ * @param transcript - Raw or parsed transcript to validate
  * @returns Validation result
  */
-export function validateTranscript(transcript: StreamTranscript | null): ValidationResult {
-  const errors: string[] = [];
-  const warnings: string[] = [];
-  
-  // Check basic structure
-  if (!transcript) {
-    errors.push('Transcript is null or undefined');
-    return { isValid: false, errors, warnings };
-  }
-  
-  if (!transcript.entries || !Array.isArray(transcript.entries)) {
-    errors.push('Missing or invalid entries array');
-  } else if (transcript.entries.length === 0) {
-    warnings.push('Transcript contains no entries');
-  }
-  
-  // Check entry structure
-  transcript.entries?.forEach((entry, index) => {
-    if (!entry.text || entry.text.trim() === '') {
-      warnings.push(`Entry ${index} has empty text`);
-    }
-    
-    if (!entry.speakerDisplayName) {
-      warnings.push(`Entry ${index} missing speaker name`);
-    }
-    
-    if (!entry.startOffset || !entry.endOffset) {
-      errors.push(`Entry ${index} missing timestamp information`);
-    }
-    
-    if (entry.confidence < 0.5) {
-      warnings.push(`Entry ${index} has low confidence (${entry.confidence})`);
-    }
-  });
-  
-  return {
-    isValid: errors.length === 0,
-    errors,
-    warnings
-  };
+export function validateTranscript(transcript: StreamTranscript | any | null): ValidationResult {
+  return transcriptNormalizer.validate(transcript);
 }
 
 /**
  * Split large transcripts into chunks for AI processing
  * @param formattedTranscript - Formatted transcript
- * @param maxTokens - Maximum tokens per chunk (approximate)
+ * @param maxTokens - Maximum tokens per chunk
+ * @param target - Provider and model whose tokenizer to count with
  * @returns Array of transcript chunks
  */
-export function chunkTranscript(formattedTranscript: FormattedTranscript, maxTokens: number = 4000): FormattedTranscript[] {
+export function chunkTranscript(
+  formattedTranscript: FormattedTranscript,
+  maxTokens: number = 4000,
+  target: { provider?: string; model?: string } = {}
+): FormattedTranscript[] {
   const sections = formattedTranscript.sections;
   const chunks: FormattedTranscript[] = [];
   let currentChunk: TranscriptSection[] = [];
   let currentTokens = 0;
   
-  // Rough estimation: 1 token ≈ 4 characters for Chinese text
-  const estimateTokens = (text: string): number => Math.ceil(text.length / 4);
+  const estimateTokens = (text: string): number => tokenCounter.count(text, target);
   
   sections.forEach(section => {
     const sectionTokens = estimateTokens(section.text);
@@ -359,7 +201,7 @@ export function chunkTranscript(formattedTranscript: FormattedTranscript, maxTok
  * @returns Chunk as formatted transcript
  */
 function createChunk(sections: TranscriptSection[], originalMetadata: FormattedTranscript['metadata']): FormattedTranscript {
-  const chunkContent = generateFormattedContent(sections);
+  const chunkContent = transcriptNormalizer.formatSections(sections);
   const chunkParticipants = [...new Set(sections.map(s => s.speaker))];
   
   return {
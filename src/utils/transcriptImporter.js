@@ -0,0 +1,404 @@
+/**
+ * Transcript Importer for Teams Transcript Chrome Extension
+ * Parses locally downloaded transcripts (WebVTT, Teams DOCX export, plain text)
+ * into the same structure StreamApiClient.parseTranscriptResponse produces
+ */
+
+const { webvttParser } = require('./webvttParser.js');
+const { timeUtils } = require('./timeUtils.js');
+const { transcriptNormalizer } = require('./transcriptNormalizer.js');
+
+// Supported import formats
+const IMPORT_FORMATS = {
+    VTT: 'vtt',
+    DOCX: 'docx',
+    TEXT: 'text'
+};
+
+// "Name  HH:MM:SS" speaker header used by Teams DOCX exports and plain text copies
+const SPEAKER_HEADER_PATTERN = /^(.+?)(?:\t+|\s{2,})(\d{1,2}:\d{2}(?::\d{2})?(?:\.\d+)?)\s*$/;
+
+// "0:0:0.0 --> 0:0:3.450" cue line used by older Teams DOCX exports
+const CUE_TIMING_PATTERN = /^(\d{1,2}:\d{1,2}(?::\d{1,2})?(?:\.\d+)?)\s*-->\s*(\d{1,2}:\d{1,2}(?::\d{1,2})?(?:\.\d+)?)/;
+
+// ZIP record signatures
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * Transcript Importer class
+ */
+class TranscriptImporter {
+    /**
+     * Import a transcript file selected by the user
+     * @param {File|Blob} file - File with a name property
+     * @returns {Promise<Object>} Transcript object
+     */
+    async importFile(file) {
+        if (!file) {
+            throw new Error('No file selected');
+        }
+
+        const fileName = file.name || 'transcript';
+        const format = this.detectFormat(fileName);
+        const meetingInfo = {
+            title: fileName.replace(/\.[^.]+$/, ''),
+            fileName: fileName
+        };
+
+        console.log('[TranscriptImporter] Importing', fileName, 'as', format);
+
+        if (format === IMPORT_FORMATS.DOCX) {
+            return this.parseDocx(await file.arrayBuffer(), meetingInfo);
+        }
+
+        const text = await file.text();
+        if (format === IMPORT_FORMATS.VTT || /^\uFEFF?WEBVTT/.test(text)) {
+            return this.parseVtt(text, meetingInfo);
+        }
+        return this.parsePlainText(text, meetingInfo);
+    }
+
+    /**
+     * Detect import format from the file extension
+     * @param {string} fileName - File name
+     * @returns {string} One of IMPORT_FORMATS
+     */
+    detectFormat(fileName) {
+        const extension = (fileName.split('.').pop() || '').toLowerCase();
+
+        switch (extension) {
+            case 'vtt':
+                return IMPORT_FORMATS.VTT;
+            case 'docx':
+                return IMPORT_FORMATS.DOCX;
+            case 'txt':
+            case 'text':
+                return IMPORT_FORMATS.TEXT;
+            default:
+                throw new Error(`Unsupported transcript file type: .${extension}`);
+        }
+    }
+
+    /**
+     * Parse a WebVTT transcript, reading speakers from <v Name> voice tags
+     * @param {string} text - WebVTT content
+     * @param {Object} meetingInfo - Meeting metadata (title, fileName)
+     * @returns {Object} Transcript object
+     */
+    parseVtt(text, meetingInfo = {}) {
+        const { cues } = webvttParser.parse(text);
+
+        const entries = cues
+            .filter(cue => cue.text)
+            .map((cue, index) => ({
+                id: cue.id || `cue-${index + 1}`,
+                text: cue.text.replace(/\n/g, ' '),
+                speaker: cue.speaker || 'Unknown Speaker',
+                startMs: cue.startMs,
+                endMs: cue.endMs
+            }));
+
+        return this.buildTranscript(entries, text, meetingInfo, IMPORT_FORMATS.VTT);
+    }
+
+    /**
+     * Parse a Teams DOCX transcript export
+     * @param {ArrayBuffer} buffer - DOCX file contents
+     * @param {Object} meetingInfo - Meeting metadata (title, fileName)
+     * @returns {Promise<Object>} Transcript object
+     */
+    async parseDocx(buffer, meetingInfo = {}) {
+        const documentXml = await this.readZipEntry(buffer, 'word/document.xml');
+        // Soft line breaks inside a paragraph separate lines just like paragraphs do
+        const paragraphs = this.extractDocxParagraphs(documentXml).flatMap(paragraph => paragraph.split('\n'));
+
+        if (paragraphs.some(line => CUE_TIMING_PATTERN.test(line))) {
+            return this.buildTranscript(
+                this.parseCueParagraphs(paragraphs),
+                paragraphs.join('\n'),
+                meetingInfo,
+                IMPORT_FORMATS.DOCX
+            );
+        }
+
+        return this.buildTranscript(
+            this.parseSpeakerHeaderLines(paragraphs),
+            paragraphs.join('\n'),
+            meetingInfo,
+            IMPORT_FORMATS.DOCX
+        );
+    }
+
+    /**
+     * Parse a plain-text transcript with "Name  HH:MM:SS" speaker headers
+     * @param {string} text - Transcript text
+     * @param {Object} meetingInfo - Meeting metadata (title, fileName)
+     * @returns {Object} Transcript object
+     */
+    parsePlainText(text, meetingInfo = {}) {
+        const lines = text.replace(/\r\n?/g, '\n').split('\n');
+        return this.buildTranscript(
+            this.parseSpeakerHeaderLines(lines),
+            text,
+            meetingInfo,
+            IMPORT_FORMATS.TEXT
+        );
+    }
+
+    /**
+     * Group lines into entries, each starting at a "Name  HH:MM:SS" header
+     * @param {Array<string>} lines - Text lines or DOCX paragraphs
+     * @returns {Array<Object>} Intermediate entries
+     */
+    parseSpeakerHeaderLines(lines) {
+        const entries = [];
+        let current = null;
+
+        for (const rawLine of lines) {
+            const line = rawLine.trim();
+            if (!line) {
+                continue;
+            }
+
+            const header = rawLine.replace(/\s+$/, '').match(SPEAKER_HEADER_PATTERN);
+            if (header) {
+                current = {
+                    id: `entry-${entries.length + 1}`,
+                    text: '',
+                    speaker: header[1].trim(),
+                    startMs: this.parseTimestamp(header[2]),
+                    endMs: null
+                };
+                entries.push(current);
+            } else if (current) {
+                current.text = current.text ? `${current.text} ${line}` : line;
+            }
+        }
+
+        return this.fillEndTimes(entries.filter(entry => entry.text));
+    }
+
+    /**
+     * Parse older DOCX exports laid out as timing line, speaker line, text lines
+     * @param {Array<string>} paragraphs - DOCX paragraphs
+     * @returns {Array<Object>} Intermediate entries
+     */
+    parseCueParagraphs(paragraphs) {
+        const entries = [];
+        let current = null;
+
+        for (const paragraph of paragraphs) {
+            const line = paragraph.trim();
+            if (!line) {
+                continue;
+            }
+
+            const timing = line.match(CUE_TIMING_PATTERN);
+            if (timing) {
+                current = {
+                    id: `entry-${entries.length + 1}`,
+                    text: '',
+                    speaker: null,
+                    startMs: this.parseTimestamp(timing[1]),
+                    endMs: this.parseTimestamp(timing[2])
+                };
+                entries.push(current);
+            } else if (current && current.speaker === null) {
+                current.speaker = line;
+            } else if (current) {
+                current.text = current.text ? `${current.text} ${line}` : line;
+            }
+        }
+
+        // A cue with a single line has text but no speaker
+        return entries
+            .map(entry => (entry.text ? entry : { ...entry, text: entry.speaker || '', speaker: 'Unknown Speaker' }))
+            .filter(entry => entry.text);
+    }
+
+    /**
+     * Use the next entry's start as the end time where the source has none
+     * @param {Array<Object>} entries - Intermediate entries
+     * @returns {Array<Object>} Entries with endMs set
+     */
+    fillEndTimes(entries) {
+        return entries.map((entry, index) => ({
+            ...entry,
+            endMs: entry.endMs !== null
+                ? entry.endMs
+                : (index + 1 < entries.length ? Math.max(entry.startMs, entries[index + 1].startMs) : entry.startMs)
+        }));
+    }
+
+    /**
+     * Build the normalized transcript object shared with every transcript source
+     * @param {Array<Object>} parsedEntries - Entries with id, text, speaker, startMs, endMs
+     * @param {string} raw - Original file content
+     * @param {Object} meetingInfo - Meeting metadata (title, fileName)
+     * @param {string} format - One of IMPORT_FORMATS
+     * @returns {Object} Transcript object
+     */
+    buildTranscript(parsedEntries, raw, meetingInfo, format) {
+        if (parsedEntries.length === 0) {
+            throw new Error('No transcript entries found in file');
+        }
+
+        return {
+            raw: raw,
+            ...transcriptNormalizer.normalize({
+                entries: parsedEntries.map(entry => ({
+                    id: entry.id,
+                    text: entry.text,
+                    speaker: entry.speaker,
+                    startTime: this.formatTimestamp(entry.startMs),
+                    endTime: this.formatTimestamp(entry.endMs)
+                })),
+                events: [],
+                metadata: { version: '1.0', type: 'ImportedTranscript', format: format }
+            }, {
+                title: meetingInfo.title || 'Imported Transcript',
+                url: null,
+                siteUrl: null,
+                fileName: meetingInfo.fileName || null,
+                extractedAt: new Date().toISOString()
+            })
+        };
+    }
+
+    /**
+     * Parse "H:MM:SS.fff", "MM:SS.fff" or "M:SS" to milliseconds
+     * @param {string} timestamp - Timestamp string
+     * @returns {number} Milliseconds
+     */
+    parseTimestamp(timestamp) {
+        return timeUtils.toMilliseconds(timestamp);
+    }
+
+    /**
+     * Format milliseconds as a Stream offset ("HH:MM:SS.fffffff")
+     * @param {number} ms - Milliseconds
+     * @returns {string} Offset string
+     */
+    formatTimestamp(ms) {
+        return timeUtils.formatOffset(ms);
+    }
+
+    /**
+     * Extract paragraph text from WordprocessingML
+     * @param {string} xml - word/document.xml content
+     * @returns {Array<string>} Paragraph texts (tabs preserved)
+     */
+    extractDocxParagraphs(xml) {
+        const paragraphs = xml.match(/<w:p[\s>][\s\S]*?<\/w:p>/g) || [];
+
+        return paragraphs.map(paragraph => {
+            const tokens = paragraph.match(/<w:t(?:\s[^>]*)?>[^<]*<\/w:t>|<w:tab\/>|<w:br\/>/g) || [];
+            return tokens.map(token => {
+                if (token === '<w:tab/>') return '\t';
+                if (token === '<w:br/>') return '\n';
+                return this.decodeXmlEntities(token.replace(/<[^>]+>/g, ''));
+            }).join('');
+        });
+    }
+
+    /**
+     * Decode the XML entities Word emits in text runs
+     * @param {string} text - Encoded text
+     * @returns {string} Decoded text
+     */
+    decodeXmlEntities(text) {
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, '\'')
+            .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+            .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Read a single file out of a ZIP archive (stored or deflated)
+     * @param {ArrayBuffer} buffer - ZIP archive
+     * @param {string} entryName - Path inside the archive
+     * @returns {Promise<string>} UTF-8 file content
+     */
+    async readZipEntry(buffer, entryName) {
+        const view = new DataView(buffer);
+
+        // End of central directory record is within the last 64KB + 22 bytes
+        let eocdOffset = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+            if (view.getUint32(i, true) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+                eocdOffset = i;
+                break;
+            }
+        }
+        if (eocdOffset === -1) {
+            throw new Error('File is not a valid DOCX document');
+        }
+
+        const entryCount = view.getUint16(eocdOffset + 10, true);
+        let offset = view.getUint32(eocdOffset + 16, true);
+        const decoder = new TextDecoder('utf-8');
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== ZIP_CENTRAL_DIRECTORY_ENTRY) {
+                break;
+            }
+
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+            if (name === entryName) {
+                if (view.getUint32(localOffset, true) !== ZIP_LOCAL_FILE_HEADER) {
+                    throw new Error('File is not a valid DOCX document');
+                }
+                const dataOffset = localOffset + 30 +
+                    view.getUint16(localOffset + 26, true) +
+                    view.getUint16(localOffset + 28, true);
+                const data = new Uint8Array(buffer, dataOffset, compressedSize);
+
+                if (method === 0) {
+                    return decoder.decode(data);
+                }
+                if (method === 8) {
+                    return decoder.decode(await this.inflateRaw(data));
+                }
+                throw new Error(`Unsupported DOCX compression method: ${method}`);
+            }
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        throw new Error(`DOCX document is missing ${entryName}`);
+    }
+
+    /**
+     * Inflate raw DEFLATE data with the browser's DecompressionStream
+     * @param {Uint8Array} data - Compressed bytes
+     * @returns {Promise<Uint8Array>} Decompressed bytes
+     */
+    async inflateRaw(data) {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
+
+// Create singleton instance
+const transcriptImporter = new TranscriptImporter();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TranscriptImporter, transcriptImporter, IMPORT_FORMATS };
+} else {
+    window.TranscriptImporter = TranscriptImporter;
+    window.transcriptImporter = transcriptImporter;
+}
@@ -0,0 +1,280 @@
+/**
+ * Transcript Normalizer for Teams Transcript Chrome Extension
+ * Canonical transcript model shared by every producer (Stream, Graph, importer,
+ * live captions) and consumer (popup, background, formatter, batch).
+ *
+ * Normalized transcript:
+ *   { meetingInfo, metadata, entries, events, ...source-specific extras (raw, rawText, availableTranscripts) }
+ * Normalized entry:
+ *   { id, text, speaker, speakerId, startTime, endTime, confidence, language, isEdited, transcriptId? }
+ *   with times as Stream offsets ("HH:MM:SS.fffffff"), confidence a number or null and
+ *   transcriptId naming the source transcript in merged timelines.
+ * Raw Stream entries (speakerDisplayName, startOffset, spokenLanguageTag, ...) are accepted too.
+ */
+
+// Canonical defaults
+const UNKNOWN_SPEAKER = 'Unknown Speaker';
+const UNKNOWN_LANGUAGE = 'unknown';
+const ZERO_OFFSET = '00:00:00.0000000';
+
+/**
+ * Resolve the shared time utilities (a manifest-loaded global in the content script)
+ * @returns {Object} TimeUtils instance
+ */
+function getNormalizerTime() {
+    if (typeof window !== 'undefined' && window.timeUtils) {
+        return window.timeUtils;
+    }
+    return require('./timeUtils.js').timeUtils;
+}
+
+/**
+ * Transcript Normalizer class
+ */
+class TranscriptNormalizer {
+    /**
+     * Normalize a transcript of any supported shape
+     * @param {Object} transcript - Raw Stream transcript or parsed transcript object
+     * @param {Object} meetingInfo - Meeting metadata used when the transcript has none
+     * @returns {Object} Normalized transcript
+     * @throws {Error} When the transcript fails validation
+     */
+    normalize(transcript, meetingInfo = {}) {
+        const { isValid, errors } = this.validate(transcript);
+        if (!isValid) {
+            throw new Error(`Invalid transcript: ${errors[0]}`);
+        }
+
+        const baseMetadata = transcript.metadata || {};
+        const fallbackLanguage = baseMetadata.language || UNKNOWN_LANGUAGE;
+        const entries = transcript.entries.map((entry, index) => this.normalizeEntry(entry, index, fallbackLanguage));
+        const events = Array.isArray(transcript.events) ? transcript.events : [];
+        const sourceInfo = transcript.meetingInfo || meetingInfo || {};
+
+        return {
+            ...transcript,
+            meetingInfo: {
+                ...sourceInfo,
+                title: sourceInfo.title || 'Untitled Meeting',
+                url: sourceInfo.url || null,
+                siteUrl: sourceInfo.siteUrl || null,
+                transcriptStartedAt: sourceInfo.transcriptStartedAt || null,
+                extractedAt: sourceInfo.extractedAt || new Date().toISOString()
+            },
+            metadata: this.buildMetadata(entries, events, {
+                ...baseMetadata,
+                version: baseMetadata.version || transcript.version || '1.0',
+                type: baseMetadata.type || transcript.type || 'Transcript'
+            }),
+            entries,
+            events
+        };
+    }
+
+    /**
+     * Check a transcript before normalizing it
+     * @param {Object} transcript - Transcript to check
+     * @returns {Object} { isValid, errors, warnings }
+     */
+    validate(transcript) {
+        const errors = [];
+        const warnings = [];
+
+        if (!transcript || typeof transcript !== 'object') {
+            errors.push('Transcript is null or undefined');
+            return { isValid: false, errors, warnings };
+        }
+
+        if (!Array.isArray(transcript.entries)) {
+            errors.push('Missing or invalid entries array');
+            return { isValid: false, errors, warnings };
+        }
+
+        // Plain-text transcripts carry their content in rawText instead of entries
+        if (transcript.entries.length === 0 && !transcript.rawText) {
+            errors.push('Transcript contains no entries');
+        }
+
+        transcript.entries.forEach((entry, index) => {
+            if (!entry || typeof entry !== 'object') {
+                errors.push(`Entry ${index} is not an object`);
+                return;
+            }
+            if (!entry.text || !String(entry.text).trim()) {
+                warnings.push(`Entry ${index} has empty text`);
+            }
+            if (!entry.speaker && !entry.speakerDisplayName) {
+                warnings.push(`Entry ${index} missing speaker name`);
+            }
+            if (!(entry.startTime || entry.startOffset)) {
+                warnings.push(`Entry ${index} missing timestamp information`);
+            }
+            if (typeof entry.confidence === 'number' && entry.confidence < 0.5) {
+                warnings.push(`Entry ${index} has low confidence (${entry.confidence})`);
+            }
+        });
+
+        return { isValid: errors.length === 0, errors, warnings };
+    }
+
+    /**
+     * Normalize one entry from either field naming
+     * @param {Object} entry - Raw Stream or parsed entry
+     * @param {number} index - Position, used when the entry has no ID
+     * @param {string} fallbackLanguage - Language when the entry has none
+     * @returns {Object} Normalized entry
+     */
+    normalizeEntry(entry, index, fallbackLanguage = UNKNOWN_LANGUAGE) {
+        const speaker = String(entry.speaker || entry.speakerDisplayName || '').trim() || UNKNOWN_SPEAKER;
+        const startTime = this.normalizeOffset(entry.startTime || entry.startOffset) || ZERO_OFFSET;
+        const endTime = this.normalizeOffset(entry.endTime || entry.endOffset) || startTime;
+
+        const normalized = {
+            id: entry.id !== undefined && entry.id !== null && entry.id !== '' ? entry.id : index + 1,
+            text: String(entry.text || '').replace(/\s+/g, ' ').trim(),
+            speaker: speaker,
+            speakerId: entry.speakerId || null,
+            startTime: startTime,
+            endTime: endTime,
+            confidence: typeof entry.confidence === 'number' ? entry.confidence : null,
+            language: entry.language || entry.spokenLanguageTag || fallbackLanguage,
+            isEdited: !!(entry.isEdited || entry.hasBeenEdited)
+        };
+        if (entry.transcriptId) {
+            normalized.transcriptId = entry.transcriptId;
+        }
+        return normalized;
+    }
+
+    /**
+     * Derive transcript metadata from normalized entries
+     * @param {Array<Object>} entries - Normalized entries
+     * @param {Array<Object>} events - Transcript events
+     * @param {Object} base - Existing metadata (version, type and source-specific keys are kept)
+     * @returns {Object} Metadata
+     */
+    buildMetadata(entries, events = [], base = {}) {
+        const time = getNormalizerTime();
+        const participants = [...new Set(
+            entries.map(entry => entry.speaker).filter(name => name && name !== UNKNOWN_SPEAKER)
+        )];
+        const knownLanguage = entries.map(entry => entry.language).find(language => language && language !== UNKNOWN_LANGUAGE);
+        const timing = time.measure(entries);
+
+        return {
+            ...base,
+            version: base.version || '1.0',
+            type: base.type || 'Transcript',
+            participants: participants,
+            // Duration is the span from the first to the last entry, not the last offset
+            duration: entries.length > 0 ? time.formatDuration(timing.spanMs) : (base.duration || '00:00:00'),
+            speakingTime: time.formatDuration(timing.speakingMs),
+            silence: time.formatDuration(timing.silenceMs),
+            // Merged transcripts in several languages keep their 'multi' language
+            language: Array.isArray(base.languages) && base.languages.length > 1
+                ? base.language
+                : (knownLanguage || base.language || UNKNOWN_LANGUAGE),
+            entryCount: entries.length,
+            hasEvents: events.length > 0
+        };
+    }
+
+    /**
+     * Format a transcript for the AI providers: consecutive entries from one speaker
+     * become one "[HH:MM:SS] Speaker: text" line
+     * @param {Object} transcript - Transcript of any supported shape
+     * @returns {Object} FormattedTranscript { metadata, content, sections }
+     */
+    formatForAI(transcript) {
+        const normalized = this.normalize(transcript);
+        const sections = this.groupBySpeaker(normalized.entries);
+
+        return {
+            metadata: {
+                participants: normalized.metadata.participants,
+                duration: normalized.metadata.duration,
+                speakingTime: normalized.metadata.speakingTime,
+                silence: normalized.metadata.silence,
+                language: normalized.metadata.language,
+                totalEntries: normalized.entries.length,
+                startTime: sections.length > 0 ? sections[0].startTime : '00:00:00',
+                endTime: sections.length > 0 ? sections[sections.length - 1].endTime : normalized.metadata.duration
+            },
+            content: sections.length > 0 ? this.formatSections(sections) : String(normalized.rawText || '').trim(),
+            sections
+        };
+    }
+
+    /**
+     * Group consecutive entries by speaker
+     * @param {Array<Object>} entries - Normalized entries
+     * @returns {Array<Object>} Sections { speaker, startTime, endTime, text, confidence } with HH:MM:SS times
+     */
+    groupBySpeaker(entries) {
+        const sections = [];
+        let current = null;
+        let confidences = [];
+
+        const closeSection = () => {
+            if (current) {
+                current.confidence = confidences.length > 0
+                    ? confidences.reduce((sum, value) => sum + value, 0) / confidences.length
+                    : null;
+                sections.push(current);
+            }
+        };
+
+        entries.filter(entry => entry.text).forEach(entry => {
+            const startTime = entry.startTime.split('.')[0];
+            const endTime = entry.endTime.split('.')[0];
+
+            if (current && current.speaker === entry.speaker) {
+                current.text += ' ' + entry.text;
+                current.endTime = endTime;
+            } else {
+                closeSection();
+                current = { speaker: entry.speaker, startTime, endTime, text: entry.text, confidence: null };
+                confidences = [];
+            }
+
+            if (entry.confidence !== null) {
+                confidences.push(entry.confidence);
+            }
+        });
+        closeSection();
+
+        return sections;
+    }
+
+    /**
+     * Render sections as AI input
+     * @param {Array<Object>} sections - Sections from groupBySpeaker()
+     * @returns {string} One "[HH:MM:SS] Speaker: text" line per section
+     */
+    formatSections(sections) {
+        return sections.map(section => `[${section.startTime}] ${section.speaker}: ${section.text}`).join('\n');
+    }
+
+    /**
+     * Normalize an offset to "HH:MM:SS.fffffff"
+     * @param {string} offset - Stream offset, "MM:SS(.f+)" timestamp or ISO-8601 duration
+     * @returns {string|null} Stream offset, or null when unparseable
+     */
+    normalizeOffset(offset) {
+        const time = getNormalizerTime();
+        const ms = time.parse(offset);
+        return ms === null ? null : time.formatOffset(ms);
+    }
+}
+
+// Create singleton instance
+const transcriptNormalizer = new TranscriptNormalizer();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TranscriptNormalizer, transcriptNormalizer, UNKNOWN_SPEAKER };
+} else {
+    window.TranscriptNormalizer = TranscriptNormalizer;
+    window.transcriptNormalizer = transcriptNormalizer;
+    window.UNKNOWN_SPEAKER = UNKNOWN_SPEAKER;
+}
@@ -0,0 +1,271 @@
+/**
+ * Transcript Redactor for Teams Transcript Chrome Extension
+ * Replaces personal data (emails, phone numbers, card numbers) and
+ * user-listed confidential terms (customer names, project codenames) with
+ * placeholders such as "[EMAIL_1]" before a transcript is sent to an AI
+ * provider, and puts the originals back into the returned summary locally.
+ * Placeholders are stable: the same value always gets the same placeholder
+ * within one transcript, so the model can still tell people and projects apart.
+ */
+
+const REDACTION_TYPES = {
+    TERM: 'TERM',
+    EMAIL: 'EMAIL',
+    CARD: 'CARD',
+    PHONE: 'PHONE'
+};
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+
+// 13-19 digits, optionally grouped by spaces or dashes; confirmed with the Luhn checksum
+const CARD_PATTERN = /(?<![\w+])\d(?:[ -]?\d){12,18}(?!\w)/g;
+
+// "+886 912 345 678", "(02) 2345-6789", "415.555.0100" or an unbroken "0912345678"
+const PHONE_PATTERN = /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?(?:\d{2,4}(?:[\s.-]\d{2,4}){1,4}|0\d{7,11})(?!\w)/g;
+
+const PHONE_DIGITS = { min: 8, max: 15 };
+
+// "2024-01-15" and "15.01.2024" look like phone numbers but are dates
+const DATE_PATTERN = /^(?:\d{4}[-./]\d{1,2}[-./]\d{1,2}|\d{1,2}[-./]\d{1,2}[-./]\d{4})$/;
+
+const PLACEHOLDER_PATTERN = /\[(TERM|EMAIL|CARD|PHONE)_\d+\]/g;
+
+// Text at the end of a streamed piece that may be the start of a placeholder
+const PARTIAL_PLACEHOLDER_PATTERN = /\[(?:[A-Z]+(?:_\d*)?)?$/;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+/**
+ * Transcript Redactor class
+ */
+class TranscriptRedactor {
+    /**
+     * Redact a formatted transcript (see TranscriptNormalizer.formatForAI)
+     * @param {Object} formattedTranscript - { metadata, content, sections }
+     * @param {Object} options - Redaction options
+     * @param {Array<string>} options.terms - Confidential terms to hide (case-insensitive)
+     * @returns {Object} { transcript, replacements, counts } - replacements maps each
+     *   placeholder to its original text; counts are occurrences in the content per REDACTION_TYPES
+     */
+    redact(formattedTranscript, options = {}) {
+        const state = this.createState(options.terms);
+        const redactText = text => this.redactText(text, state);
+        const metadata = formattedTranscript.metadata || {};
+
+        const transcript = {
+            ...formattedTranscript,
+            metadata: {
+                ...metadata,
+                participants: (metadata.participants || []).map(redactText)
+            },
+            content: redactText(formattedTranscript.content),
+            sections: (formattedTranscript.sections || []).map(section => ({
+                ...section,
+                speaker: redactText(section.speaker),
+                text: redactText(section.text)
+            }))
+        };
+
+        return { transcript, replacements: state.replacements, counts: this.countPlaceholders(transcript.content) };
+    }
+
+    /**
+     * Placeholders per type in a redacted text
+     * @param {string} text - Redacted text
+     * @returns {Object} REDACTION_TYPES -> occurrences
+     */
+    countPlaceholders(text) {
+        const counts = {};
+        Object.values(REDACTION_TYPES).forEach(type => {
+            counts[type] = 0;
+        });
+
+        for (const match of String(text || '').matchAll(PLACEHOLDER_PATTERN)) {
+            counts[match[1]]++;
+        }
+        return counts;
+    }
+
+    /**
+     * Redact one string
+     * @param {string} text - Text to redact
+     * @param {Object} state - State from createState(), shared across a transcript
+     * @returns {string} Text with placeholders
+     */
+    redactText(text, state) {
+        if (typeof text !== 'string' || !text) {
+            return text;
+        }
+
+        let result = text;
+        if (state.termPattern) {
+            result = result.replace(state.termPattern, match => this.placeholder(state, REDACTION_TYPES.TERM, match, match.toLowerCase()));
+        }
+
+        result = result.replace(EMAIL_PATTERN, match => this.placeholder(state, REDACTION_TYPES.EMAIL, match, match.toLowerCase()));
+
+        result = result.replace(CARD_PATTERN, match => {
+            const digits = match.replace(/\D/g, '');
+            return this.isLuhnValid(digits) ? this.placeholder(state, REDACTION_TYPES.CARD, match, digits) : match;
+        });
+
+        result = result.replace(PHONE_PATTERN, match => {
+            const digits = match.replace(/\D/g, '');
+            return digits.length >= PHONE_DIGITS.min && digits.length <= PHONE_DIGITS.max && !DATE_PATTERN.test(match)
+                ? this.placeholder(state, REDACTION_TYPES.PHONE, match, digits)
+                : match;
+        });
+
+        return result;
+    }
+
+    /**
+     * Put the originals back into a summary
+     * @param {*} value - Summary object, array or string returned by the provider
+     * @param {Object} replacements - Placeholder -> original text from redact()
+     * @param {boolean} escapeHtml - Escape restored text (used for "html" fields)
+     * @returns {*} Same shape with placeholders replaced
+     */
+    restore(value, replacements, escapeHtml = false) {
+        if (!replacements || Object.keys(replacements).length === 0) {
+            return value;
+        }
+
+        if (typeof value === 'string') {
+            return value.replace(PLACEHOLDER_PATTERN, placeholder => {
+                const original = replacements[placeholder];
+                if (original === undefined) {
+                    return placeholder;
+                }
+                return escapeHtml ? original.replace(/[&<>"']/g, char => HTML_ESCAPES[char]) : original;
+            });
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(item => this.restore(item, replacements, escapeHtml));
+        }
+
+        if (value && typeof value === 'object') {
+            const restored = {};
+            Object.keys(value).forEach(key => {
+                restored[key] = this.restore(value[key], replacements, escapeHtml || key === 'html');
+            });
+            return restored;
+        }
+
+        return value;
+    }
+
+    /**
+     * Restore streamed text piece by piece. A placeholder may be split across
+     * pieces, so text that could start one is held back until the next piece.
+     * @param {Object} replacements - Placeholder -> original text from redact()
+     * @param {Function} onText - Called with restored text
+     * @returns {Object} { push(text), flush() } - flush passes on whatever is held back
+     */
+    createStreamRestorer(replacements, onText) {
+        let pending = '';
+
+        return {
+            push: (text) => {
+                pending += text;
+                const partial = pending.match(PARTIAL_PLACEHOLDER_PATTERN);
+                const ready = partial ? pending.slice(0, partial.index) : pending;
+                pending = partial ? partial[0] : '';
+                if (ready) {
+                    onText(this.restore(ready, replacements));
+                }
+            },
+            flush: () => {
+                if (pending) {
+                    onText(this.restore(pending, replacements));
+                    pending = '';
+                }
+            }
+        };
+    }
+
+    /**
+     * Fresh placeholder state for one transcript
+     * @param {Array<string>} terms - Confidential terms
+     * @returns {Object} State
+     */
+    createState(terms = []) {
+        return {
+            termPattern: this.buildTermPattern(terms),
+            placeholders: {},
+            replacements: {},
+            nextIndex: {}
+        };
+    }
+
+    /**
+     * Placeholder for a value, reusing the one given to an equal value earlier
+     * @param {Object} state - Redaction state
+     * @param {string} type - One of REDACTION_TYPES
+     * @param {string} original - Matched text
+     * @param {string} canonical - Value used to recognise repeats (digits only, lower case)
+     * @returns {string} Placeholder such as "[EMAIL_1]"
+     */
+    placeholder(state, type, original, canonical) {
+        const key = `${type}:${canonical}`;
+        if (!state.placeholders[key]) {
+            state.nextIndex[type] = (state.nextIndex[type] || 0) + 1;
+            state.placeholders[key] = `[${type}_${state.nextIndex[type]}]`;
+            state.replacements[state.placeholders[key]] = original;
+        }
+        return state.placeholders[key];
+    }
+
+    /**
+     * Case-insensitive pattern matching any of the terms, longest first
+     * @param {Array<string>} terms - Confidential terms
+     * @returns {RegExp|null} Pattern, or null without terms
+     */
+    buildTermPattern(terms) {
+        const cleaned = [...new Set((terms || []).map(term => String(term).trim()).filter(Boolean))]
+            .sort((a, b) => b.length - a.length);
+        if (cleaned.length === 0) {
+            return null;
+        }
+
+        // Word boundaries only where the term starts or ends with a word character (not for CJK)
+        const alternatives = cleaned.map(term => {
+            const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return `${/^\w/.test(term) ? '\\b' : ''}${escaped}${/\w$/.test(term) ? '\\b' : ''}`;
+        });
+        return new RegExp(alternatives.join('|'), 'gi');
+    }
+
+    /**
+     * Luhn checksum used by payment card numbers
+     * @param {string} digits - Digits only
+     * @returns {boolean} True when the checksum holds
+     */
+    isLuhnValid(digits) {
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = parseInt(digits[digits.length - 1 - i], 10);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) {
+                    digit -= 9;
+                }
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
+}
+
+// Create singleton instance
+const transcriptRedactor = new TranscriptRedactor();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TranscriptRedactor, transcriptRedactor, REDACTION_TYPES };
+} else {
+    window.TranscriptRedactor = TranscriptRedactor;
+    window.transcriptRedactor = transcriptRedactor;
+    window.REDACTION_TYPES = REDACTION_TYPES;
+}
@@ -0,0 +1,213 @@
+/**
+ * Transcript Timeline for Teams Transcript Chrome Extension
+ * Turns transcript events (CallStarted, TranscriptStarted, TranscriptStopped)
+ * into wall-clock meeting times and transcription gaps.
+ * Offsets are relative to the recording; the clock anchor is
+ * meetingInfo.transcriptStartedAt, the wall-clock time transcription began.
+ */
+
+const { timeUtils } = require('./timeUtils.js');
+
+// Event types from the Stream transcript JSON
+const TRANSCRIPT_EVENT_TYPES = {
+    CALL_STARTED: 'CallStarted',
+    TRANSCRIPT_STARTED: 'TranscriptStarted',
+    TRANSCRIPT_STOPPED: 'TranscriptStopped'
+};
+
+const TIMESTAMP_STYLES = {
+    OFFSET: 'offset',
+    CLOCK: 'clock'
+};
+
+/**
+ * Transcript Timeline class
+ */
+class TranscriptTimeline {
+    /**
+     * Build the timeline of a parsed transcript
+     * @param {Object} transcript - Parsed transcript ({ meetingInfo, entries, events })
+     * @returns {Object} { originMs, meetingStart, meetingEnd, startMs, endMs, gaps } -
+     *   originMs is the epoch time of offset 0 (null without an anchor); gaps are
+     *   { startMs, endMs, durationMs, start, end } with ISO times when anchored
+     */
+    build(transcript) {
+        const entries = (transcript && transcript.entries) || [];
+        const events = this.getEvents(transcript);
+
+        const entryStarts = entries.map(entry => this.offsetToMilliseconds(entry.startTime || entry.startOffset));
+        const entryEnds = entries.map(entry => this.offsetToMilliseconds(entry.endTime || entry.endOffset || entry.startTime || entry.startOffset));
+
+        const callStarted = events.find(event => event.eventType === TRANSCRIPT_EVENT_TYPES.CALL_STARTED);
+        const transcriptStarted = events.find(event => event.eventType === TRANSCRIPT_EVENT_TYPES.TRANSCRIPT_STARTED);
+        const stops = events.filter(event => event.eventType === TRANSCRIPT_EVENT_TYPES.TRANSCRIPT_STOPPED);
+
+        let startMs = 0;
+        if (callStarted) {
+            startMs = callStarted.offsetMs;
+        } else if (transcriptStarted) {
+            startMs = transcriptStarted.offsetMs;
+        } else if (entryStarts.length > 0) {
+            startMs = Math.min(...entryStarts);
+        }
+
+        const endMs = Math.max(
+            startMs,
+            ...entryEnds,
+            ...(stops.length > 0 ? [stops[stops.length - 1].offsetMs] : [])
+        );
+
+        const originMs = this.resolveOrigin(transcript, transcriptStarted);
+        const gaps = this.findGaps(events).map(gap => ({
+            ...gap,
+            start: this.toIsoTime(originMs, gap.startMs),
+            end: this.toIsoTime(originMs, gap.endMs)
+        }));
+
+        return {
+            originMs,
+            meetingStart: this.toIsoTime(originMs, startMs),
+            meetingEnd: this.toIsoTime(originMs, endMs),
+            startMs,
+            endMs,
+            gaps
+        };
+    }
+
+    /**
+     * Events of a transcript ordered by offset
+     * @param {Object} transcript - Parsed transcript
+     * @returns {Array<Object>} Events with an added offsetMs
+     */
+    getEvents(transcript) {
+        const events = (transcript && Array.isArray(transcript.events)) ? transcript.events : [];
+        return events
+            .filter(event => event && event.eventType)
+            .map(event => ({ ...event, offsetMs: this.offsetToMilliseconds(event.startOffset) }))
+            .sort((a, b) => a.offsetMs - b.offsetMs);
+    }
+
+    /**
+     * Stretches where transcription was stopped and later restarted
+     * @param {Array<Object>} events - Ordered events from getEvents()
+     * @returns {Array<Object>} { startMs, endMs, durationMs }
+     */
+    findGaps(events) {
+        const gaps = [];
+        let stoppedAt = null;
+
+        for (const event of events) {
+            if (event.eventType === TRANSCRIPT_EVENT_TYPES.TRANSCRIPT_STOPPED) {
+                stoppedAt = event.offsetMs;
+            } else if (event.eventType === TRANSCRIPT_EVENT_TYPES.TRANSCRIPT_STARTED && stoppedAt !== null) {
+                if (event.offsetMs > stoppedAt) {
+                    gaps.push({ startMs: stoppedAt, endMs: event.offsetMs, durationMs: event.offsetMs - stoppedAt });
+                }
+                stoppedAt = null;
+            }
+        }
+
+        return gaps;
+    }
+
+    /**
+     * Epoch time of offset 0
+     * @param {Object} transcript - Parsed transcript
+     * @param {Object} transcriptStarted - First TranscriptStarted event, if any
+     * @returns {number|null} Epoch milliseconds, or null without a usable anchor
+     */
+    resolveOrigin(transcript, transcriptStarted) {
+        const anchor = transcript && transcript.meetingInfo && transcript.meetingInfo.transcriptStartedAt;
+        const anchorMs = anchor ? new Date(anchor).getTime() : NaN;
+        if (isNaN(anchorMs)) {
+            return null;
+        }
+
+        // The anchor marks the moment transcription started, which may be later than offset 0
+        return anchorMs - (transcriptStarted ? transcriptStarted.offsetMs : 0);
+    }
+
+    /**
+     * Format a transcript time in the requested style
+     * @param {string|number} offset - Stream offset ("HH:MM:SS.fffffff") or milliseconds
+     * @param {Object} timeline - Timeline from build()
+     * @param {string} style - One of TIMESTAMP_STYLES
+     * @param {Object} options - { timeZone } for clock times (defaults to the local zone)
+     * @returns {string} "HH:MM:SS" offset, or wall-clock time when requested and anchored
+     */
+    formatTime(offset, timeline, style = TIMESTAMP_STYLES.OFFSET, options = {}) {
+        const offsetMs = typeof offset === 'number' ? offset : this.offsetToMilliseconds(offset);
+        if (style === TIMESTAMP_STYLES.CLOCK && timeline && timeline.originMs !== null) {
+            return this.formatClockTime(timeline.originMs + offsetMs, options);
+        }
+        return typeof offset === 'number' ? this.formatDuration(offset) : (offset || '00:00:00').split('.')[0];
+    }
+
+    /**
+     * Format an epoch time as a wall-clock time
+     * @param {number|string} time - Epoch milliseconds or ISO string
+     * @param {Object} options - { timeZone, includeDate }
+     * @returns {string} "HH:MM:SS", or "YYYY-MM-DD HH:MM" with includeDate
+     */
+    formatClockTime(time, options = {}) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-GB', {
+            timeZone: options.timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }).formatToParts(new Date(time)).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        if (options.includeDate) {
+            return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+        }
+        return `${parts.hour}:${parts.minute}:${parts.second}`;
+    }
+
+    /**
+     * Format milliseconds as HH:MM:SS (gap lengths, offsets without an entry)
+     * @param {number} ms - Milliseconds
+     * @returns {string} HH:MM:SS
+     */
+    formatDuration(ms) {
+        return timeUtils.formatDuration(ms);
+    }
+
+    /**
+     * Convert a Stream offset ("HH:MM:SS.fffffff") to milliseconds
+     * @param {string} offset - Offset string
+     * @returns {number} Milliseconds (0 when unparseable)
+     */
+    offsetToMilliseconds(offset) {
+        return timeUtils.toMilliseconds(offset);
+    }
+
+    /**
+     * ISO time of an offset
+     * @param {number|null} originMs - Epoch time of offset 0
+     * @param {number} offsetMs - Offset in milliseconds
+     * @returns {string|null} ISO string, or null without an anchor
+     */
+    toIsoTime(originMs, offsetMs) {
+        return originMs === null ? null : new Date(originMs + offsetMs).toISOString();
+    }
+}
+
+// Create singleton instance
+const transcriptTimeline = new TranscriptTimeline();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TranscriptTimeline, transcriptTimeline, TIMESTAMP_STYLES, TRANSCRIPT_EVENT_TYPES };
+} else {
+    window.TranscriptTimeline = TranscriptTimeline;
+    window.transcriptTimeline = transcriptTimeline;
+    window.TIMESTAMP_STYLES = TIMESTAMP_STYLES;
+    window.TRANSCRIPT_EVENT_TYPES = TRANSCRIPT_EVENT_TYPES;
+}
@@ -41,6 +41,7 @@ export interface MeetingInfo {
   itemId: string;
   transcriptId: string;
   meetingPath: string;
+  joinWebUrl?: string; // Teams join link, when detected from a Teams meeting recap
 }
 
 export interface ExtensionSettings {
@@ -49,6 +50,11 @@ export interface ExtensionSettings {
   language: string;
   promptTemplate: string;
   customPrompt?: string;
+  transcriptSource?: 'stream' | 'graph';
+  timestampStyle?: 'offset' | 'clock'; // Relative offsets or wall-clock times in transcripts
+  transcriptCleanup?: boolean; // Remove filler words and merge short entries before summaries and downloads
+  redactPii?: boolean; // Replace emails, phone and card numbers before calling the provider (default on)
+  redactionTerms?: string[]; // Customer names, codenames and other terms to redact
 }
 
 export interface AIProviderSettings {
@@ -102,9 +108,71 @@ export interface AnthropicResponse {
 }
 
 // Chrome Extension Message Types
+export interface TranscriptListItem {
+  id: string;
+  displayName: string;
+  language: string;
+  createdDateTime: string | null;
+  size: number | null;
+  temporaryDownloadUrl: string | null;
+}
+
+export interface MediaRegistryEntry {
+  siteUrl: string;
+  driveId: string;
+  itemId: string;
+  transcriptId: string | null;
+  transcriptsUrl: string;
+  capturedAt: number;
+}
+
+// Batch Types
+export interface BatchRecording {
+  url: string;
+  title: string;
+  siteUrl: string;
+  driveId: string;
+  itemId: string;
+  createdDateTime: string | null;
+  transcriptCount: number;
+}
+
+export interface BatchJobItem {
+  recording: BatchRecording;
+  status: 'pending' | 'extracting' | 'summarizing' | 'done' | 'failed';
+  error: string | null;
+  summary: any;
+  transcriptText: string | null;
+}
+
+export interface BatchJob {
+  id: string;
+  status: 'listing' | 'running' | 'completed' | 'failed';
+  sources: string[];
+  sourceErrors: Array<{ source: string; error: string }>;
+  items: BatchJobItem[];
+  progress: { total: number; completed: number; failed: number };
+  error: string | null;
+  createdAt: string;
+  finishedAt: string | null;
+}
+
+export interface CaptionCaptureStatus {
+  capturing: boolean;
+  entryCount: number;
+  speakers: string[];
+  startedAt: number | null;
+}
+
 export interface ExtensionMessage {
-  action: 'getMeetingInfo' | 'extractTranscript' | 'generateSummary' | 'getSessionData';
+  action: 'getMeetingInfo' | 'listTranscripts' | 'extractTranscript' | 'generateSummary' | 'getSessionData' | 'getMediaInfo' | 'getGraphToken'
+    | 'startBatch' | 'getBatchStatus' | 'listRecordings' | 'fetchRecordingTranscript'
+    | 'startCaptionCapture' | 'stopCaptionCapture' | 'getCaptionStatus';
+  tabId?: number;
   meetingInfo?: MeetingInfo;
+  transcriptIds?: string[];
+  sources?: string[];
+  recording?: BatchRecording;
   transcript?: StreamTranscript;
   settings?: ExtensionSettings;
 }
@@ -140,6 +208,8 @@ export interface FormattedTranscript {
   metadata: {
     participants: string[];
     duration: string;
+    speakingTime?: string;
+    silence?: string;
     language: string;
     totalEntries: number;
     startTime: string;
@@ -154,7 +224,7 @@ export interface TranscriptSection {
   startTime: string;
   endTime: string;
   text: string;
-  confidence: number;
+  confidence: number | null; // null when the source has no confidence scores
 }
 
 // Utility Types
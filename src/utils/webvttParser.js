@@ -0,0 +1,260 @@
+/**
+ * WebVTT Parser for Teams Transcript Chrome Extension
+ * Standalone parser following the W3C WebVTT file structure: header, cue
+ * identifiers, cue settings, multi-line payloads, NOTE/STYLE/REGION blocks
+ * and <v Speaker> voice spans. Shared by StreamApiClient and the file importer.
+ */
+
+// Timestamps are "MM:SS.mmm" or "HH:MM:SS.mmm" (hours may exceed two digits)
+const TIMESTAMP_PATTERN = /^(?:(\d{2,}):)?([0-5]\d):([0-5]\d)\.(\d{3})$/;
+
+// "start --> end [settings]"
+const TIMING_LINE_PATTERN = /^(\S+)[ \t]+-->[ \t]+(\S+)(?:[ \t]+(.*))?$/;
+
+// <v Name> or <v.class1.class2 Name>
+const VOICE_SPAN_PATTERN = /<v(?:\.[^\s>]+)?[ \t]+([^>]*)>/g;
+
+// Cue settings defined by the spec
+const CUE_SETTING_NAMES = ['vertical', 'line', 'position', 'size', 'align', 'region'];
+
+// Character references that occur in cue text
+const HTML_ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&apos;': '\'',
+    '&nbsp;': '\u00A0',
+    '&lrm;': '\u200E',
+    '&rlm;': '\u200F'
+};
+
+/**
+ * WebVTT Parser class
+ */
+class WebVTTParser {
+    /**
+     * Parse a WebVTT document
+     * @param {string} text - WebVTT file content
+     * @param {Object} options - Parsing options
+     * @param {boolean} options.strict - Throw instead of recovering when the WEBVTT signature is missing
+     * @returns {Object} { header, cues, styles, regions, notes, errors }
+     */
+    parse(text, options = {}) {
+        if (typeof text !== 'string') {
+            throw new Error('WebVTT input must be a string');
+        }
+
+        const lines = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+        const result = { header: '', cues: [], styles: [], regions: [], notes: [], errors: [] };
+        let index = 0;
+
+        // Signature line: "WEBVTT" optionally followed by space/tab and free text
+        const signature = lines[0].match(/^WEBVTT(?:[ \t](.*))?$/);
+        if (signature) {
+            result.header = (signature[1] || '').trim();
+            // Header block runs until the first blank line
+            index = 1;
+            while (index < lines.length && lines[index].trim() !== '') {
+                index++;
+            }
+        } else if (options.strict) {
+            throw new Error('Missing WEBVTT signature');
+        } else {
+            result.errors.push({ line: 1, message: 'Missing WEBVTT signature' });
+        }
+
+        while (index < lines.length) {
+            // Skip blank lines between blocks
+            if (lines[index].trim() === '') {
+                index++;
+                continue;
+            }
+
+            const blockStart = index;
+            const block = [];
+            let hasTiming = false;
+
+            while (index < lines.length && lines[index].trim() !== '') {
+                // A second timing line starts a new block even without a blank line
+                if (hasTiming && lines[index].includes('-->')) {
+                    break;
+                }
+                if (lines[index].includes('-->')) {
+                    hasTiming = true;
+                }
+                block.push(lines[index]);
+                index++;
+            }
+
+            this.parseBlock(block, blockStart + 1, result);
+        }
+
+        return result;
+    }
+
+    /**
+     * Classify and parse one block of lines
+     * @param {Array<string>} block - Non-empty lines of the block
+     * @param {number} lineNumber - 1-based line number of the block start
+     * @param {Object} result - Parse result being built
+     */
+    parseBlock(block, lineNumber, result) {
+        const first = block[0];
+
+        if (/^NOTE(?:[ \t]|$)/.test(first)) {
+            result.notes.push(block.join('\n').replace(/^NOTE[ \t]?/, ''));
+            return;
+        }
+        if (/^STYLE[ \t]*$/.test(first)) {
+            result.styles.push(block.slice(1).join('\n'));
+            return;
+        }
+        if (/^REGION[ \t]*$/.test(first)) {
+            result.regions.push(this.parseSettings(block.slice(1).join(' '), null));
+            return;
+        }
+
+        const timingIndex = block.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1 || timingIndex > 1) {
+            result.errors.push({ line: lineNumber, message: 'Block is not a valid cue' });
+            return;
+        }
+
+        const timing = block[timingIndex].trim().match(TIMING_LINE_PATTERN);
+        const startMs = timing ? this.parseTimestamp(timing[1]) : null;
+        const endMs = timing ? this.parseTimestamp(timing[2]) : null;
+
+        if (startMs === null || endMs === null) {
+            result.errors.push({ line: lineNumber + timingIndex, message: 'Invalid cue timing' });
+            return;
+        }
+        if (endMs < startMs) {
+            result.errors.push({ line: lineNumber + timingIndex, message: 'Cue ends before it starts' });
+            return;
+        }
+
+        const rawText = block.slice(timingIndex + 1).join('\n');
+        const payload = this.parseCuePayload(rawText);
+
+        result.cues.push({
+            id: timingIndex === 1 ? block[0].trim() : null,
+            startMs: startMs,
+            endMs: endMs,
+            startTime: this.formatOffset(startMs),
+            endTime: this.formatOffset(endMs),
+            settings: this.parseSettings(timing[3] || '', CUE_SETTING_NAMES),
+            speaker: payload.voices[0] || null,
+            voices: payload.voices,
+            text: payload.text,
+            rawText: rawText
+        });
+    }
+
+    /**
+     * Parse "name:value" settings separated by whitespace
+     * @param {string} settingsText - Settings string
+     * @param {Array<string>|null} allowedNames - Accepted names (null accepts all)
+     * @returns {Object} Settings map
+     */
+    parseSettings(settingsText, allowedNames) {
+        const settings = {};
+
+        settingsText.split(/[ \t]+/).filter(Boolean).forEach(setting => {
+            const separator = setting.indexOf(':');
+            if (separator <= 0 || separator === setting.length - 1) {
+                return;
+            }
+
+            const name = setting.slice(0, separator);
+            if (!allowedNames || allowedNames.includes(name)) {
+                settings[name] = setting.slice(separator + 1);
+            }
+        });
+
+        return settings;
+    }
+
+    /**
+     * Extract voices and plain text from cue payload markup
+     * @param {string} rawText - Cue payload (may span several lines)
+     * @returns {Object} { text, voices }
+     */
+    parseCuePayload(rawText) {
+        const voices = [];
+        let match;
+
+        VOICE_SPAN_PATTERN.lastIndex = 0;
+        while ((match = VOICE_SPAN_PATTERN.exec(rawText)) !== null) {
+            const voice = this.decodeEntities(match[1]).trim();
+            if (voice && !voices.includes(voice)) {
+                voices.push(voice);
+            }
+        }
+
+        const text = this.decodeEntities(rawText.replace(/<[^>]*>/g, ''))
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .join('\n');
+
+        return { text, voices };
+    }
+
+    /**
+     * Parse a WebVTT timestamp
+     * @param {string} timestamp - "MM:SS.mmm" or "HH:MM:SS.mmm"
+     * @returns {number|null} Milliseconds, or null when malformed
+     */
+    parseTimestamp(timestamp) {
+        const match = typeof timestamp === 'string' && timestamp.match(TIMESTAMP_PATTERN);
+        if (!match) {
+            return null;
+        }
+
+        const hours = parseInt(match[1] || '0', 10);
+        const minutes = parseInt(match[2], 10);
+        const seconds = parseInt(match[3], 10);
+        const milliseconds = parseInt(match[4], 10);
+
+        return ((hours * 60 + minutes) * 60 + seconds) * 1000 + milliseconds;
+    }
+
+    /**
+     * Format milliseconds as a Stream offset ("HH:MM:SS.fffffff")
+     * @param {number} ms - Milliseconds
+     * @returns {string} Offset string matching the Stream transcript JSON
+     */
+    formatOffset(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600).toString().padStart(2, '0');
+        const minutes = Math.floor((totalSeconds % 3600) / 60).toString().padStart(2, '0');
+        const seconds = (totalSeconds % 60).toString().padStart(2, '0');
+        const fraction = (ms % 1000).toString().padStart(3, '0').padEnd(7, '0');
+
+        return `${hours}:${minutes}:${seconds}.${fraction}`;
+    }
+
+    /**
+     * Decode the character references allowed in cue text
+     * @param {string} text - Encoded text
+     * @returns {string} Decoded text
+     */
+    decodeEntities(text) {
+        return text
+            .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+            .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+            .replace(/&(?:amp|lt|gt|quot|apos|nbsp|lrm|rlm);/g, entity => HTML_ENTITIES[entity]);
+    }
+}
+
+// Create singleton instance
+const webvttParser = new WebVTTParser();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WebVTTParser, webvttParser };
+} else {
+    window.WebVTTParser = WebVTTParser;
+    window.webvttParser = webvttParser;
+}
@@ -0,0 +1,56 @@
+/**
+ * Worker Pool for Teams Transcript Chrome Extension
+ * Runs async tasks over a list with at most `concurrency` in flight and
+ * returns results in input order, whatever order the tasks finish in.
+ */
+
+const DEFAULT_CONCURRENCY = 1;
+const MAX_CONCURRENCY = 8; // Beyond this providers throttle harder than it saves
+
+/**
+ * Worker Pool class
+ */
+class WorkerPool {
+    /**
+     * @param {number} concurrency - Tasks in flight at once (clamped to 1..MAX_CONCURRENCY)
+     */
+    constructor(concurrency = DEFAULT_CONCURRENCY) {
+        const value = parseInt(concurrency, 10);
+        this.concurrency = Math.min(Math.max(isNaN(value) ? DEFAULT_CONCURRENCY : value, 1), MAX_CONCURRENCY);
+    }
+
+    /**
+     * Run a worker over every item
+     * @param {Array} items - Items to process
+     * @param {Function} worker - async (item, index) => result; a rejection stops new tasks and rejects run()
+     * @returns {Promise<Array>} Results in the order of items
+     */
+    async run(items, worker) {
+        const results = new Array(items.length);
+        let next = 0;
+        let failed = false;
+
+        const runWorker = async () => {
+            while (!failed && next < items.length) {
+                const index = next++;
+                try {
+                    results[index] = await worker(items[index], index);
+                } catch (error) {
+                    failed = true;
+                    throw error;
+                }
+            }
+        };
+
+        const workers = Array.from({ length: Math.min(this.concurrency, items.length) }, runWorker);
+        await Promise.all(workers);
+        return results;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WorkerPool, DEFAULT_CONCURRENCY, MAX_CONCURRENCY };
+} else {
+    window.WorkerPool = WorkerPool;
+}
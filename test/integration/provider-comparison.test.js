@@ -168,7 +168,7 @@ describe('Provider Comparison', () => {
     });
 
     describe('Token Estimation', () => {
-        test('should use same token estimation algorithm', () => {
+        test('should count tokens with each provider\'s tokenizer', () => {
             const testTexts = [
                 'Short text',
                 'Medium length text with more words',
@@ -176,11 +176,13 @@ describe('Provider Comparison', () => {
             ];
 
             testTexts.forEach(text => {
-                const openaiTokens = openaiClient.estimateTokenCount(text);
-                const anthropicTokens = anthropicClient.estimateTokenCount(text);
-
-                expect(openaiTokens).toBe(anthropicTokens);
+                expect(openaiClient.estimateTokenCount(text)).toBeGreaterThan(0);
+                expect(anthropicClient.estimateTokenCount(text)).toBeGreaterThan(0);
             });
+
+            // Claude's tokenizer needs more tokens than GPT-4.1's for Chinese
+            const chinese = '我們今天討論第三季的預算與人力規劃';
+            expect(anthropicClient.estimateTokenCount(chinese)).toBeGreaterThan(openaiClient.estimateTokenCount(chinese));
         });
     });
 
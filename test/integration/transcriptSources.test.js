@@ -0,0 +1,355 @@
+/**
+ * Transcript Source Integration Tests
+ * Runs the SharePoint Stream and Microsoft Graph transcript sources against a
+ * local mock HTTP server that mimics both APIs
+ */
+
+const http = require('http');
+
+const StreamApiClient = require('../../src/api/streamApiClient.js');
+const { GraphTranscriptClient } = require('../../src/api/graphTranscriptClient.js');
+const { TranscriptSource, createTranscriptSource, TRANSCRIPT_SOURCES } = require('../../src/api/transcriptSource.js');
+
+const STREAM_ENTRIES = {
+    't-en': [
+        { id: '1', text: 'Welcome everyone', speakerDisplayName: 'Alice', startOffset: '00:00:01.0000000', endOffset: '00:00:03.0000000', spokenLanguageTag: 'en-US' },
+        { id: '2', text: 'Let us start', speakerDisplayName: 'Alice', startOffset: '00:00:10.0000000', endOffset: '00:00:12.0000000', spokenLanguageTag: 'en-US' }
+    ],
+    't-zh': [
+        { id: '1', text: '大家好', speakerDisplayName: '王小明', startOffset: '00:00:05.0000000', endOffset: '00:00:07.0000000', spokenLanguageTag: 'zh-TW' }
+    ]
+};
+
+const GRAPH_VTT = [
+    'WEBVTT',
+    '',
+    '0/1-0',
+    '00:00:00.500 --> 00:00:04.000',
+    '<v Alice Chen>Good morning, team.</v>',
+    '',
+    '0/2-0',
+    '00:00:04.500 --> 00:00:09.250',
+    '<v Bob Lin>Morning! The release is on track.</v>'
+].join('\n');
+
+// Drive items in the mock recordings folder
+const RECORDING_ITEMS = [
+    { id: 'item1', name: 'Weekly Sync.mp4', file: { mimeType: 'video/mp4' }, parentReference: { driveId: 'drive1' }, createdDateTime: '2024-05-01T09:00:00Z' },
+    { id: 'notes', name: 'Notes.docx', file: { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' } },
+    { id: 'missing', name: 'No Transcript.mp4', file: { mimeType: 'video/mp4' } }
+];
+
+const JOIN_URL = 'https://teams.microsoft.com/l/meetup-join/19%3ameeting_abc%40thread.v2/0';
+
+/**
+ * Mock SharePoint + Graph server; behaviour can be adjusted per test through `state`
+ */
+function createMockServer(state) {
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        state.requests.push({ method: req.method, path: url.pathname, search: url.search, headers: req.headers });
+
+        const sendJson = (status, body, headers = {}) => {
+            res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+            res.end(JSON.stringify(body));
+        };
+
+        // SharePoint Stream
+        if (url.pathname === '/_api/v2.1/drives/drive1/items/item1/media/transcripts') {
+            sendJson(200, {
+                value: Object.keys(STREAM_ENTRIES).map(id => ({
+                    id,
+                    languageTag: id === 't-en' ? 'en-US' : 'zh-TW',
+                    createdDateTime: '2024-05-01T09:00:00Z',
+                    temporaryDownloadUrl: `${state.baseUrl}/download/${id}`
+                }))
+            });
+            return;
+        }
+        if (url.pathname === '/_api/v2.1/drives/drive1/items/missing/media/transcripts') {
+            sendJson(404, { error: { message: 'Item not found' } });
+            return;
+        }
+        const share = url.pathname.match(/^\/_api\/v2\.1\/shares\/u!([^/]+)\/driveItem$/);
+        if (share) {
+            const target = Buffer.from(share[1].replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+            if (target === `${state.baseUrl}/Shared%20Documents/Recordings`) {
+                sendJson(200, { id: 'folder1', name: 'Recordings', folder: { childCount: 3 }, parentReference: { driveId: 'drive1' } });
+            } else if (target === `${state.baseUrl}/Shared%20Documents/Recordings/Weekly%20Sync.mp4`) {
+                sendJson(200, RECORDING_ITEMS[0]);
+            } else {
+                sendJson(404, { error: { message: 'Item not found' } });
+            }
+            return;
+        }
+        if (url.pathname === '/_api/v2.1/drives/drive1/items/folder1/children') {
+            // Two pages to exercise @odata.nextLink
+            sendJson(200, url.searchParams.get('page') === '2'
+                ? { value: RECORDING_ITEMS.slice(2) }
+                : {
+                    value: RECORDING_ITEMS.slice(0, 2),
+                    '@odata.nextLink': `${state.baseUrl}/_api/v2.1/drives/drive1/items/folder1/children?page=2`
+                });
+            return;
+        }
+        const download = url.pathname.match(/^\/download\/(.+)$/);
+        if (download) {
+            sendJson(200, { version: '1.0', type: 'Transcript', entries: STREAM_ENTRIES[download[1]], events: [] });
+            return;
+        }
+
+        // Microsoft Graph
+        if (!url.pathname.startsWith('/graph/')) {
+            sendJson(404, { error: { message: 'Unknown route' } });
+            return;
+        }
+        if (req.headers.authorization !== 'Bearer graph-token') {
+            sendJson(401, { error: { code: 'InvalidAuthenticationToken', message: 'Access token is empty.' } });
+            return;
+        }
+        if (state.graphThrottleCount > 0) {
+            state.graphThrottleCount--;
+            sendJson(429, { error: { message: 'Too many requests' } }, { 'Retry-After': '0' });
+            return;
+        }
+
+        const graphPath = url.pathname.replace(/^\/graph/, '');
+        if (graphPath === '/me/onlineMeetings') {
+            const filter = url.searchParams.get('$filter');
+            sendJson(200, { value: filter === `JoinWebUrl eq '${JOIN_URL}'` ? [{ id: 'meeting-1', subject: 'Sync' }] : [] });
+        } else if (graphPath === '/me/onlineMeetings/meeting-1/transcripts') {
+            sendJson(200, {
+                value: [
+                    { id: 'tr-2', createdDateTime: '2024-05-01T10:00:00Z' },
+                    { id: 'tr-1', createdDateTime: '2024-05-01T09:00:00Z' }
+                ]
+            });
+        } else if (/^\/me\/onlineMeetings\/meeting-1\/transcripts\/tr-[12]\/content$/.test(graphPath)) {
+            res.writeHead(200, { 'Content-Type': 'text/vtt' });
+            res.end(GRAPH_VTT);
+        } else if (graphPath === '/me/onlineMeetings/forbidden/transcripts') {
+            sendJson(403, { error: { message: 'Application is not allowed to perform operations on the user' } });
+        } else {
+            sendJson(404, { error: { message: 'Not found' } });
+        }
+    });
+}
+
+describe('Transcript sources against a mock server', () => {
+    let server;
+    let state;
+
+    beforeAll(async () => {
+        state = { requests: [], graphThrottleCount: 0, baseUrl: '' };
+        server = createMockServer(state);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        state.baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        state.requests = [];
+        state.graphThrottleCount = 0;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('StreamApiClient', () => {
+        let client;
+
+        beforeEach(() => {
+            // Minimal page globals read by StreamApiClient.getAuthHeaders / buildApiUrl
+            global.window = { location: { href: `${state.baseUrl}/_layouts/15/stream.aspx?id=recording.mp4` } };
+            global.document = { querySelectorAll: () => [], getElementById: () => null };
+            global.localStorage = { getItem: () => null };
+            global.sessionStorage = { getItem: () => null };
+            client = new StreamApiClient();
+        });
+
+        afterEach(() => {
+            delete global.window;
+            delete global.document;
+            delete global.localStorage;
+            delete global.sessionStorage;
+        });
+
+        const meetingInfo = () => ({
+            isValid: true,
+            title: 'Weekly Sync',
+            url: `${state.baseUrl}/stream.aspx`,
+            siteUrl: state.baseUrl,
+            driveId: 'drive1',
+            itemId: 'item1'
+        });
+
+        test('should implement the transcript source interface', () => {
+            expect(client).toBeInstanceOf(TranscriptSource);
+            expect(client.sourceType).toBe(TRANSCRIPT_SOURCES.STREAM);
+        });
+
+        test('should fetch the default transcript through the download URL', async () => {
+            const transcript = await client.fetchTranscript(meetingInfo());
+
+            expect(transcript.metadata.entryCount).toBe(2);
+            expect(transcript.metadata.participants).toEqual(['Alice']);
+            expect(transcript.availableTranscripts.map(item => item.id)).toEqual(['t-en', 't-zh']);
+
+            const download = state.requests.find(request => request.path === '/download/t-en');
+            expect(download.search).toContain('format=json');
+        });
+
+        test('should list transcripts', async () => {
+            const transcripts = await client.listTranscripts(meetingInfo());
+
+            expect(transcripts.map(item => [item.id, item.language])).toEqual([['t-en', 'en-US'], ['t-zh', 'zh-TW']]);
+        });
+
+        test('should merge selected transcripts', async () => {
+            const transcript = await client.fetchTranscripts(meetingInfo(), ['t-en', 't-zh']);
+
+            expect(transcript.entries.map(entry => entry.speaker)).toEqual(['Alice', '王小明', 'Alice']);
+            expect(transcript.metadata.language).toBe('multi');
+        });
+
+        test('should list folder recordings that have transcripts', async () => {
+            // Recording webUrls point at the mock server so the transcript listing goes there too
+            RECORDING_ITEMS.forEach(item => {
+                item.webUrl = `${state.baseUrl}/Shared%20Documents/Recordings/${encodeURIComponent(item.name)}`;
+            });
+
+            const { recordings, errors } = await client.listRecordings([
+                `${state.baseUrl}/Shared%20Documents/Forms/AllItems.aspx?id=/Shared Documents/Recordings`,
+                `${state.baseUrl}/_layouts/15/stream.aspx?id=/Shared Documents/Recordings/Weekly Sync.mp4`,
+                `${state.baseUrl}/Shared%20Documents/Elsewhere`
+            ]);
+
+            expect(recordings).toEqual([{
+                url: `${state.baseUrl}/Shared%20Documents/Recordings/Weekly%20Sync.mp4`,
+                title: 'Weekly Sync',
+                siteUrl: state.baseUrl,
+                driveId: 'drive1',
+                itemId: 'item1',
+                createdDateTime: '2024-05-01T09:00:00Z',
+                transcriptCount: 2
+            }]);
+            expect(errors).toEqual([{
+                source: `${state.baseUrl}/Shared%20Documents/Elsewhere`,
+                error: expect.stringContaining('(404)')
+            }]);
+            expect(state.requests.some(request => request.search === '?page=2')).toBe(true);
+        });
+
+        test('should surface HTTP errors without retrying 404s', async () => {
+            await expect(client.fetchTranscript({ ...meetingInfo(), itemId: 'missing' })).rejects.toThrow(
+                'Transcript not found (404)'
+            );
+            expect(state.requests.filter(request => request.path.includes('/items/missing/'))).toHaveLength(1);
+        });
+    });
+
+    describe('GraphTranscriptClient', () => {
+        let client;
+
+        beforeEach(() => {
+            client = new GraphTranscriptClient({
+                baseUrl: `${state.baseUrl}/graph`,
+                getAccessToken: async () => 'graph-token'
+            });
+        });
+
+        test('should implement the transcript source interface', () => {
+            expect(client).toBeInstanceOf(TranscriptSource);
+            expect(client.sourceType).toBe(TRANSCRIPT_SOURCES.GRAPH);
+        });
+
+        test('should resolve a join link and fetch the latest transcript as VTT', async () => {
+            const transcript = await client.fetchTranscript({ joinWebUrl: JOIN_URL, title: 'Release Sync' });
+
+            expect(transcript.metadata.type).toBe('GraphTranscript');
+            expect(transcript.metadata.participants).toEqual(['Alice Chen', 'Bob Lin']);
+            expect(transcript.metadata.duration).toBe('00:00:08');
+            expect(transcript.entries[0]).toMatchObject({
+                id: '0/1-0',
+                speaker: 'Alice Chen',
+                text: 'Good morning, team.',
+                startTime: '00:00:00.5000000',
+                endTime: '00:00:04.0000000'
+            });
+            expect(transcript.meetingInfo.title).toBe('Release Sync');
+
+            const content = state.requests.find(request => request.path.endsWith('/content'));
+            expect(content.path).toBe('/graph/me/onlineMeetings/meeting-1/transcripts/tr-2/content');
+            expect(content.headers.accept).toBe('text/vtt');
+            expect(content.headers.authorization).toBe('Bearer graph-token');
+        });
+
+        test('should list transcripts oldest first', async () => {
+            const transcripts = await client.listTranscripts({ onlineMeetingId: 'meeting-1' });
+
+            expect(transcripts.map(item => item.id)).toEqual(['tr-1', 'tr-2']);
+        });
+
+        test('should merge several transcripts', async () => {
+            const transcript = await client.fetchTranscripts({ onlineMeetingId: 'meeting-1' }, ['tr-1', 'tr-2']);
+
+            expect(transcript.metadata.type).toBe('MergedTranscript');
+            expect(transcript.entries).toHaveLength(4);
+            expect(transcript.entries[0].transcriptId).toBe('tr-1');
+        });
+
+        test('should retry throttled requests using Retry-After', async () => {
+            state.graphThrottleCount = 1;
+
+            const transcripts = await client.listTranscripts({ onlineMeetingId: 'meeting-1' });
+
+            expect(transcripts).toHaveLength(2);
+            expect(state.requests.filter(request => request.path.endsWith('/transcripts'))).toHaveLength(2);
+        });
+
+        test('should report unknown join links', async () => {
+            await expect(client.listTranscripts({ joinWebUrl: 'https://teams.microsoft.com/l/other' })).rejects.toThrow(
+                'No online meeting found for this Teams join link'
+            );
+        });
+
+        test('should map Graph error responses', async () => {
+            await expect(client.listTranscripts({ onlineMeetingId: 'forbidden' })).rejects.toThrow(
+                'Access denied (403)'
+            );
+
+            const unauthenticated = new GraphTranscriptClient({
+                baseUrl: `${state.baseUrl}/graph`,
+                getAccessToken: async () => 'expired'
+            });
+            await expect(unauthenticated.listTranscripts({ onlineMeetingId: 'meeting-1' })).rejects.toThrow(
+                'Microsoft Graph authentication failed (401)'
+            );
+        });
+
+        test('should require a meeting reference', async () => {
+            await expect(client.listTranscripts({ title: 'No link' })).rejects.toThrow(
+                'Missing online meeting ID or Teams join link for Microsoft Graph'
+            );
+        });
+    });
+
+    describe('createTranscriptSource', () => {
+        test('should create the backend selected in settings', () => {
+            expect(createTranscriptSource('stream')).toBeInstanceOf(StreamApiClient);
+            expect(createTranscriptSource(undefined)).toBeInstanceOf(StreamApiClient);
+            expect(createTranscriptSource('graph', { getAccessToken: async () => 't' })).toBeInstanceOf(GraphTranscriptClient);
+        });
+
+        test('should reject unknown backends', () => {
+            expect(() => createTranscriptSource('dropbox')).toThrow('Unknown transcript source: dropbox');
+        });
+    });
+});
@@ -452,4 +452,59 @@ describe('Claude-specific Features', () => {
         expect(client.validateApiKey('sk-test123')).toBe(false); // OpenAI format
         expect(client.validateApiKey('invalid')).toBe(false);
     });
+
+    test('should complete with the instructions in the user turn', async () => {
+        const client = new AnthropicClient();
+        client.configure({ apiKey: 'sk-ant-REDACTED' });
+        fetch.mockResolvedValueOnce({
+            ok: true,
+            json: () => Promise.resolve({ content: [{ text: 'Summary text' }], model: 'claude-3-5-sonnet-20241022' })
+        });
+
+        const result = await client.complete(client.buildMessages('Summarize', 'Transcript'));
+
+        const [url, request] = fetch.mock.calls[fetch.mock.calls.length - 1];
+        expect(url).toBe('https://api.anthropic.com/v1/messages');
+        expect(request.headers['x-api-key']).toBe('sk-ant-REDACTED');
+        expect(JSON.parse(request.body).messages).toEqual([{ role: 'user', content: 'Summarize\n\nTranscript' }]);
+        expect(result.text).toBe('Summary text');
+        expect(client.capabilities()).toEqual({ streaming: true, modelDiscovery: false, requiresApiKey: true });
+    });
+
+    test('should stream text from the messages stream events', async () => {
+        const client = new AnthropicClient();
+        client.configure({ apiKey: 'sk-ant-REDACTED' });
+        const encoder = new TextEncoder();
+        const events = [
+            'event: message_start\ndata: {"type":"message_start","message":{"model":"claude-3-5-sonnet-20241022","usage":{"input_tokens":120,"output_tokens":1}}}\n\n',
+            'event: ping\ndata: {"type":"ping"}\n\n',
+            'event: content_block_start\ndata: {"type":"content_block_start","index":0,"content_block":{"type":"text","text":""}}\n\n',
+            'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"## Meeting"}}\n\nevent: content_bl',
+            'ock_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":" Summary"}}\n\n',
+            'event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":4}}\n\n',
+            'event: message_stop\ndata: {"type":"message_stop"}\n\n'
+        ];
+        fetch.mockResolvedValueOnce(new Response(new ReadableStream({
+            start(controller) {
+                events.forEach(event => controller.enqueue(encoder.encode(event)));
+                controller.close();
+            }
+        }), { status: 200 }));
+        const deltas = [];
+
+        const result = await client.stream(client.buildMessages('Summarize', 'Transcript'), {}, delta => deltas.push(delta));
+
+        const [url, request] = fetch.mock.calls[fetch.mock.calls.length - 1];
+        expect(url).toBe('https://api.anthropic.com/v1/messages');
+        expect(JSON.parse(request.body).stream).toBe(true);
+        expect(deltas).toEqual(['## Meeting', ' Summary']);
+        expect(result).toEqual({
+            text: '## Meeting Summary',
+            model: 'claude-3-5-sonnet-20241022',
+            usage: { input_tokens: 120, output_tokens: 4 },
+            stopped: false
+        });
+        expect(() => client.parseStreamEvent('error', '{"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}'))
+            .toThrow('Anthropic stream error: Overloaded');
+    });
 });
\ No newline at end of file
@@ -0,0 +1,164 @@
+/**
+ * Unit Tests for Azure OpenAI Client
+ * Runs the client against a local stub server standing in for an Azure OpenAI resource
+ */
+
+const http = require('http');
+const { AzureOpenAIClient, AZURE_DEFAULT_API_VERSION } = require('../../src/api/azureOpenaiClient');
+
+// Mock console to avoid noise in tests
+console.log = jest.fn();
+console.error = jest.fn();
+
+const apiKey = '0123456789abcdef0123456789abcdef';
+
+describe('AzureOpenAIClient', () => {
+    let server;
+    let endpoint;
+    let requests;
+    let respond;
+
+    beforeAll(done => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                const request = { method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+                requests.push(request);
+
+                const { status = 200, json = {}, headers = {} } = respond(request);
+                res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+                res.end(JSON.stringify(json));
+            });
+        });
+        server.listen(0, '127.0.0.1', () => {
+            endpoint = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.closeAllConnections();
+        server.close(done);
+    });
+
+    let client;
+
+    beforeEach(() => {
+        requests = [];
+        respond = () => ({
+            json: {
+                choices: [{ message: { content: '## Meeting Summary\nBudget approved.' } }],
+                model: 'gpt-4o',
+                usage: { prompt_tokens: 20, completion_tokens: 5, total_tokens: 25 }
+            }
+        });
+        client = new AzureOpenAIClient();
+    });
+
+    describe('Configuration', () => {
+        test('should validate endpoint, deployment, api-version and key', () => {
+            const config = { endpoint, deployment: 'summaries', apiKey };
+
+            expect(() => client.configure({ ...config, apiKey: 'sk-short' })).toThrow('Invalid Azure OpenAI API key format');
+            expect(() => client.configure({ ...config, deployment: ' ' })).toThrow('deployment name is required');
+            expect(() => client.configure({ ...config, apiVersion: 'latest' })).toThrow('Invalid Azure OpenAI api-version');
+            expect(() => client.configure({ ...config, endpoint: 'http://my-resource.openai.azure.com' })).toThrow('must use https');
+            expect(() => client.configure({ ...config, endpoint: 'my-resource' })).toThrow('must be a URL');
+        });
+
+        test('should keep only the resource origin of a pasted endpoint', () => {
+            client.configure({
+                endpoint: 'https://my-resource.openai.azure.com/openai/deployments/old/chat/completions',
+                deployment: 'summaries',
+                apiVersion: '2024-08-01-preview',
+                apiKey
+            });
+
+            expect(client.endpoint).toBe('https://my-resource.openai.azure.com');
+            expect(client.getEndpoint('/chat/completions'))
+                .toBe('https://my-resource.openai.azure.com/openai/deployments/summaries/chat/completions?api-version=2024-08-01-preview');
+            expect(client.getEndpoint('/models')).toBe('https://my-resource.openai.azure.com/openai/models?api-version=2024-08-01-preview');
+        });
+    });
+
+    describe('Requests', () => {
+        test('should test the deployment on initialize with api-key auth', async () => {
+            await client.initialize({ endpoint, deployment: 'summaries', apiKey });
+
+            expect(requests).toHaveLength(1);
+            expect(requests[0].method).toBe('POST');
+            expect(requests[0].url).toBe(`/openai/deployments/summaries/chat/completions?api-version=${AZURE_DEFAULT_API_VERSION}`);
+            expect(requests[0].headers['api-key']).toBe(apiKey);
+            expect(requests[0].headers.authorization).toBeUndefined();
+            expect(requests[0].body.max_tokens).toBe(1);
+        });
+
+        test('should generate a summary through the deployment', async () => {
+            client.configure({ endpoint, deployment: 'summaries', apiKey });
+
+            const result = await client.generateSummary({
+                metadata: { participants: ['Alice', 'Bob'], duration: '00:30:00', language: 'en', totalEntries: 2 },
+                content: '[00:00:01] Alice: The budget is approved.',
+                sections: []
+            }, { language: 'en' });
+
+            expect(result.summary).toContain('Budget approved.');
+            expect(result.metadata.model).toBe('gpt-4o');
+            expect(requests[0].body.messages[0].role).toBe('system');
+            expect(requests[0].body.messages[1].content).toContain('The budget is approved.');
+        });
+
+        test('should report a missing deployment without retrying', async () => {
+            respond = () => ({ status: 404, json: { error: { code: 'DeploymentNotFound', message: 'The API deployment for this resource does not exist.' } } });
+
+            await expect(client.initialize({ endpoint, deployment: 'missing', apiKey }))
+                .rejects.toThrow('Deployment "missing" not found (404)');
+            await expect(client.callWithRetry('missing', [{ role: 'user', content: 'Hi' }], {}))
+                .rejects.toThrow('not found (404)');
+            expect(requests).toHaveLength(2);
+        });
+
+        test('should report a rejected key', async () => {
+            respond = () => ({ status: 401, json: { error: { code: '401', message: 'Access denied due to invalid subscription key.' } } });
+
+            await expect(client.initialize({ endpoint, deployment: 'summaries', apiKey }))
+                .rejects.toThrow('Please check your Azure OpenAI key and endpoint');
+        });
+
+        test('should track Azure rate-limit headers', async () => {
+            respond = () => ({
+                headers: { 'x-ratelimit-remaining-requests': '7', 'x-ratelimit-remaining-tokens': '1200' },
+                json: { choices: [{ message: { content: 'ok' } }] }
+            });
+            client.configure({ endpoint, deployment: 'summaries', apiKey });
+
+            await client.makeApiCall('summaries', [{ role: 'user', content: 'Test' }], {});
+
+            expect(client.rateLimits.requests.remaining).toBe(7);
+            expect(client.rateLimits.tokens.remaining).toBe(1200);
+        });
+
+        test('should list the resource models', async () => {
+            respond = () => ({ json: { data: [{ id: 'gpt-4o', created_at: 1715558400 }] } });
+            client.configure({ endpoint, deployment: 'summaries', apiKey });
+
+            const models = await client.getAvailableModels();
+
+            expect(requests[0].url).toBe(`/openai/models?api-version=${AZURE_DEFAULT_API_VERSION}`);
+            expect(models).toEqual([{ id: 'gpt-4o', created: '2024-05-13T00:00:00.000Z' }]);
+        });
+    });
+
+    describe('Chunking', () => {
+        test('should size chunks with the azure provider limits', () => {
+            const { chunkingStrategy } = require('../../src/utils/chunkingStrategy.js');
+
+            expect(client.providerId).toBe('azure');
+            expect(chunkingStrategy.getContextLimit('azure', 'summaries')).toBe(120000);
+            expect(chunkingStrategy.getContextLimit('azure', 'gpt-4.1')).toBe(1000000);
+        });
+    });
+});
@@ -0,0 +1,252 @@
+/**
+ * Unit tests for the background service's summary path
+ * Tests chunk concurrency and the provider client shared by a summary job
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+const { providerRegistry } = require('../../src/api/providerRegistry.js');
+const { chunkingStrategy } = require('../../src/utils/chunkingStrategy.js');
+
+// In-memory chrome.storage.local answering both callbacks and promises
+function createStorage() {
+    const store = {};
+    const answer = (value, callback) => {
+        if (callback) callback(value);
+        return Promise.resolve(value);
+    };
+    return {
+        store,
+        get: jest.fn((keys, callback) => {
+            const list = Array.isArray(keys) ? keys : [keys];
+            return answer(Object.fromEntries(list.filter(key => key in store).map(key => [key, store[key]])), callback);
+        }),
+        set: jest.fn((items, callback) => answer(Object.assign(store, items) && undefined, callback)),
+        remove: jest.fn((keys, callback) => {
+            (Array.isArray(keys) ? keys : [keys]).forEach(key => delete store[key]);
+            return answer(undefined, callback);
+        })
+    };
+}
+
+/**
+ * Compile a TypeScript module (and the TypeScript modules it requires) the way webpack would
+ * @param {string} file - Path of the .ts file
+ * @param {string} epilogue - Code appended to the module, e.g. to export what it keeps private
+ * @returns {Object} module.exports
+ */
+function requireTypeScript(file, epilogue = '') {
+    const { outputText } = ts.transpileModule(fs.readFileSync(file, 'utf8'), {
+        compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2020 }
+    });
+    const moduleRequire = (id) => {
+        if (!id.startsWith('.')) {
+            return require(id);
+        }
+        const target = path.join(path.dirname(file), id);
+        return fs.existsSync(`${target}.ts`) ? requireTypeScript(`${target}.ts`) : require(target);
+    };
+    const compiled = { exports: {} };
+    new Function('require', 'module', 'exports', `${outputText}\n${epilogue}`)(moduleRequire, compiled, compiled.exports);
+    return compiled.exports;
+}
+
+// The service worker exports nothing; hand back its class
+const loadBackgroundService = () => requireTypeScript(
+    path.join(__dirname, '../../src/background/background.ts'),
+    'module.exports = { BackgroundService };'
+).BackgroundService;
+
+const listener = () => ({ addListener: jest.fn() });
+
+// Enough speech to split into several sections for a local model's 3.5k context
+const TRANSCRIPT = {
+    entries: Array.from({ length: 300 }, (_, i) => ({
+        speaker: i % 2 ? 'Alice' : 'Bob',
+        text: `Item ${i}: we reviewed the rollout plan, the open risks and who follows up with the vendor next week.`,
+        startTime: `00:${String(Math.floor(i / 2)).padStart(2, '0')}:${i % 2 ? '30' : '00'}.0000000`
+    }))
+};
+
+describe('BackgroundService summaries', () => {
+    let BackgroundService;
+    let service;
+    let client;
+    let inFlight;
+    let maxInFlight;
+
+    beforeAll(() => {
+        global.chrome = {
+            runtime: { onMessage: listener(), onConnect: listener(), onInstalled: listener(), lastError: null, getPlatformInfo: jest.fn() },
+            webRequest: { onBeforeSendHeaders: listener() },
+            tabs: { onRemoved: listener() },
+            storage: { local: createStorage() }
+        };
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        // The module starts the service; its half-hourly session cleanup must not keep Jest running
+        const setIntervalSpy = jest.spyOn(global, 'setInterval').mockReturnValue(0);
+        BackgroundService = loadBackgroundService();
+        setIntervalSpy.mockRestore();
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+        delete global.chrome;
+    });
+
+    beforeEach(() => {
+        global.chrome.storage.local = createStorage();
+        jest.spyOn(global, 'setInterval').mockReturnValue(0);
+        service = new BackgroundService();
+        inFlight = 0;
+        maxInFlight = 0;
+        client = {
+            displayName: 'Local model',
+            maxOutputTokens: 2048,
+            resolveModel: jest.fn().mockResolvedValue('qwen2.5:7b'),
+            complete: jest.fn(async () => {
+                inFlight++;
+                maxInFlight = Math.max(maxInFlight, inFlight);
+                await new Promise(resolve => setTimeout(resolve, 5));
+                inFlight--;
+                return { text: '# Summary\n- Rollout agreed', model: 'qwen2.5:7b', usage: {} };
+            })
+        };
+        jest.spyOn(providerRegistry, 'createConfiguredClient').mockReturnValue(client);
+    });
+
+    afterEach(() => {
+        global.setInterval.mockRestore();
+        providerRegistry.createConfiguredClient.mockRestore();
+    });
+
+    const settings = (extra = {}) => ({
+        provider: 'local',
+        apiKey: '',
+        local: { baseUrl: 'http://localhost:11434/v1', model: 'qwen2.5:7b' },
+        language: 'en',
+        promptTemplate: 'default',
+        redactPii: false,
+        ...extra
+    });
+
+    test('should summarize sections in parallel up to the concurrency setting', async () => {
+        const prepared = service.prepareForProvider(TRANSCRIPT, settings());
+
+        const summary = await service.summarizeInChunks(prepared.transcript, settings({ chunkConcurrency: 3 }));
+
+        const sectionCalls = client.complete.mock.calls.length - 1;
+        expect(sectionCalls).toBeGreaterThan(3);
+        expect(maxInFlight).toBe(3);
+        expect(summary.fullSummary).toContain('Rollout agreed');
+    });
+
+    test('should fall back to the provider default concurrency', async () => {
+        const adapter = providerRegistry.get('local');
+        const prepared = service.prepareForProvider(TRANSCRIPT, settings());
+        adapter.concurrency = 2;
+
+        try {
+            await service.summarizeInChunks(prepared.transcript, settings({ chunkConcurrency: 0 }));
+        } finally {
+            adapter.concurrency = 1;
+        }
+
+        expect(maxInFlight).toBe(2);
+    });
+
+    test('should cut sections with the chunking strategy from settings', async () => {
+        const chunk = jest.spyOn(chunkingStrategy, 'chunkTranscript');
+        const prepared = service.prepareForProvider(TRANSCRIPT, settings());
+
+        await service.summarizeInChunks(prepared.transcript, settings({ chunkingStrategy: 'topic_segments' }));
+
+        expect(chunk).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ strategy: 'topic_segments' }));
+        chunk.mockRestore();
+    });
+
+    test('should share one provider client across every request of a job', async () => {
+        await service.summarizeTranscript(TRANSCRIPT, settings({ chunkConcurrency: 2 }));
+
+        expect(client.complete.mock.calls.length).toBeGreaterThan(2);
+        expect(providerRegistry.createConfiguredClient).toHaveBeenCalledTimes(1);
+    });
+
+    describe('batch summaries', () => {
+        test('should queue each summary and cancel it with the batch', async () => {
+            service.batchSettings = settings();
+            jest.spyOn(service, 'summarizeTranscript').mockReturnValue(new Promise(() => {}));
+            const jobId = await service.batchProcessor.handlers.queueSummary(TRANSCRIPT);
+            expect(service.summaryQueue.getJob(jobId)).not.toBeNull();
+
+            const controller = new AbortController();
+            const summary = service.awaitBatchSummary(jobId, controller.signal);
+            controller.abort();
+
+            await expect(summary).rejects.toThrow('The summary was cancelled');
+            expect(service.summaryQueue.getJob(jobId).status).toBe('cancelled');
+        });
+
+        test('should resume a batch left running by a previous service worker', async () => {
+            const { store } = global.chrome.storage.local;
+            store.summary_jobs = [{ id: 'summary-1', status: 'complete', summary: { fullSummary: 'Resumed' } }];
+            store.batch_context = { tabId: 7, settings: settings() };
+            store.batch_job = {
+                id: 'batch-1',
+                status: 'running',
+                sources: ['https://contoso.sharepoint.com/Recordings'],
+                items: [{ recording: { url: 'https://contoso.sharepoint.com/a.mp4', title: 'Planning' }, status: 'summarizing', summaryJobId: 'summary-1' }],
+                progress: { total: 1, completed: 0, failed: 0 }
+            };
+
+            const restarted = new BackgroundService();
+            for (let i = 0; i < 10 && restarted.batchProcessor.getJob()?.status !== 'completed'; i++) {
+                await new Promise(resolve => setImmediate(resolve));
+            }
+
+            expect(restarted.batchTabId).toBe(7);
+            expect(restarted.batchProcessor.getJob()).toMatchObject({
+                status: 'completed',
+                items: [{ status: 'done', summary: { fullSummary: 'Resumed' } }]
+            });
+            expect(store).not.toHaveProperty('batch_context');
+        });
+
+        test('should keep the service worker alive while a batch runs', () => {
+            jest.spyOn(service.batchProcessor, 'isRunning').mockReturnValue(true);
+
+            service.updateKeepAlive();
+
+            expect(global.setInterval).toHaveBeenCalledWith(expect.any(Function), 20000);
+        });
+    });
+
+    describe('summary job input', () => {
+        const API_KEY = 'sk-test1234567890abcdef1234';
+        const openai = { provider: 'openai', apiKey: API_KEY, language: 'en' };
+
+        test('should store the transcript without its raw payload and the API key encrypted', async () => {
+            await service.saveSummaryJobInput({ id: 'summary-1', transcript: { ...TRANSCRIPT, raw: '<vtt>' }, settings: openai });
+
+            const { store } = global.chrome.storage.local;
+            expect(store['summary_job_transcript_summary-1']).toEqual(TRANSCRIPT);
+            expect(store.api_keys.openai.key).not.toBe(API_KEY);
+            expect(JSON.stringify(store)).not.toContain(API_KEY);
+        });
+
+        test('should read the API key back when a job resumes', async () => {
+            await service.saveSummaryJobInput({ id: 'summary-1', transcript: TRANSCRIPT, settings: openai });
+
+            const input = await service.loadSummaryJobInput({ id: 'summary-1', settings: { provider: 'openai', language: 'en' } });
+
+            expect(input).toEqual({ transcript: TRANSCRIPT, settings: openai });
+        });
+
+        test('should not resume a job whose transcript is gone', async () => {
+            await expect(service.loadSummaryJobInput({ id: 'summary-1', settings: settings() }))
+                .rejects.toThrow('The transcript of this summary was not found, so it could not resume');
+        });
+    });
+});
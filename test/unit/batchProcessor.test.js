@@ -0,0 +1,265 @@
+/**
+ * Unit tests for BatchProcessor
+ * Tests batch job lifecycle, per-recording failures and progress reporting
+ */
+
+const { BatchProcessor, BATCH_STATUS, BATCH_ITEM_STATUS } = require('../../src/utils/batchProcessor.js');
+
+const RECORDINGS = [
+    { url: 'https://contoso.sharepoint.com/a.mp4', title: 'Planning', driveId: 'd', itemId: 'a' },
+    { url: 'https://contoso.sharepoint.com/b.mp4', title: 'Retro', driveId: 'd', itemId: 'b' }
+];
+
+const TRANSCRIPT = {
+    entries: [
+        { speaker: 'Alice', text: 'Hello', startTime: '00:00:01.0000000' },
+        { speaker: 'Bob', text: 'Hi', startTime: '00:01:05.5000000' }
+    ]
+};
+
+describe('BatchProcessor', () => {
+    let handlers;
+    let processor;
+    let updates;
+
+    beforeEach(() => {
+        updates = [];
+        handlers = {
+            listRecordings: jest.fn().mockResolvedValue({ recordings: RECORDINGS, errors: [] }),
+            fetchTranscript: jest.fn().mockResolvedValue(TRANSCRIPT),
+            queueSummary: jest.fn(async () => `summary-${handlers.queueSummary.mock.calls.length}`),
+            awaitSummary: jest.fn().mockResolvedValue({ fullSummary: 'Summary' }),
+            onUpdate: jest.fn(job => updates.push(JSON.parse(JSON.stringify(job))))
+        };
+        processor = new BatchProcessor(handlers);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('start', () => {
+        test('should extract and summarize every recording', async () => {
+            const job = await processor.start(['https://contoso.sharepoint.com/Recordings']);
+
+            expect(handlers.listRecordings).toHaveBeenCalledWith(['https://contoso.sharepoint.com/Recordings']);
+            expect(handlers.fetchTranscript).toHaveBeenCalledTimes(2);
+            expect(handlers.queueSummary).toHaveBeenCalledWith(expect.objectContaining({
+                entries: [
+                    expect.objectContaining({ speaker: 'Alice', text: 'Hello', startTime: '00:00:01.0000000' }),
+                    expect.objectContaining({ speaker: 'Bob', text: 'Hi', startTime: '00:01:05.5000000' })
+                ],
+                metadata: expect.objectContaining({ participants: ['Alice', 'Bob'], duration: '00:01:04' })
+            }));
+            expect(handlers.awaitSummary).toHaveBeenCalledWith('summary-1', { signal: expect.any(AbortSignal) });
+            expect(job.status).toBe(BATCH_STATUS.COMPLETED);
+            expect(job.progress).toEqual({ total: 2, completed: 2, failed: 0 });
+            expect(job.items[0]).toMatchObject({
+                status: BATCH_ITEM_STATUS.DONE,
+                summary: { fullSummary: 'Summary' },
+                summaryJobId: 'summary-1',
+                transcriptText: '[00:00:01] Alice: Hello\n[00:01:05] Bob: Hi'
+            });
+            expect(job.finishedAt).not.toBeNull();
+        });
+
+        test('should report progress through each step', async () => {
+            await processor.start(['https://contoso.sharepoint.com/Recordings']);
+
+            const statuses = updates.map(job => job.items[0] ? job.items[0].status : job.status);
+            expect(statuses[0]).toBe(BATCH_STATUS.LISTING);
+            expect(statuses).toContain(BATCH_ITEM_STATUS.EXTRACTING);
+            expect(statuses).toContain(BATCH_ITEM_STATUS.SUMMARIZING);
+            expect(updates[updates.length - 1].status).toBe(BATCH_STATUS.COMPLETED);
+        });
+
+        test('should expose the job while it runs', async () => {
+            const run = processor.start(['https://contoso.sharepoint.com/Recordings']);
+
+            expect(processor.getJob().status).toBe(BATCH_STATUS.LISTING);
+            expect(processor.isRunning()).toBe(true);
+            await expect(processor.start(['https://other'])).rejects.toThrow('A batch job is already running');
+
+            await run;
+            expect(processor.isRunning()).toBe(false);
+        });
+
+        test('should keep going when one recording fails', async () => {
+            handlers.fetchTranscript.mockRejectedValueOnce(new Error('Transcript not found (404)'));
+
+            const job = await processor.start(['https://contoso.sharepoint.com/Recordings']);
+
+            expect(job.status).toBe(BATCH_STATUS.COMPLETED);
+            expect(job.progress).toEqual({ total: 2, completed: 1, failed: 1 });
+            expect(job.items[0]).toMatchObject({ status: BATCH_ITEM_STATUS.FAILED, error: 'Transcript not found (404)' });
+            expect(handlers.queueSummary).toHaveBeenCalledTimes(1);
+        });
+
+        test('should fail the job when recordings cannot be listed', async () => {
+            handlers.listRecordings.mockRejectedValue(new Error('The SharePoint tab running the batch was closed or reloaded'));
+
+            const job = await processor.start(['https://contoso.sharepoint.com/Recordings']);
+
+            expect(job.status).toBe(BATCH_STATUS.FAILED);
+            expect(job.error).toBe('The SharePoint tab running the batch was closed or reloaded');
+        });
+
+        test('should keep per-source listing errors', async () => {
+            handlers.listRecordings.mockResolvedValue({ recordings: [], errors: [{ source: 'x', error: 'HTTP 403' }] });
+
+            const job = await processor.start(['x']);
+
+            expect(job.sourceErrors).toEqual([{ source: 'x', error: 'HTTP 403' }]);
+            expect(job.progress.total).toBe(0);
+        });
+
+        test('should reject empty source lists and drop duplicates', async () => {
+            await expect(processor.start([' ', ''])).rejects.toThrow('No folder or recording URLs provided');
+
+            await processor.start(['https://a', ' https://a ']);
+            expect(handlers.listRecordings).toHaveBeenCalledWith(['https://a']);
+        });
+    });
+
+    describe('cancel', () => {
+        test('should abort the summary in flight and skip the remaining recordings', async () => {
+            let summarizeSignal;
+            handlers.awaitSummary.mockImplementationOnce((jobId, { signal }) => new Promise((resolve, reject) => {
+                summarizeSignal = signal;
+                signal.addEventListener('abort', () => reject(new Error('Request cancelled')));
+            }));
+
+            const run = processor.start(['https://contoso.sharepoint.com/Recordings']);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(processor.cancel()).toBe(true);
+            const job = await run;
+
+            expect(summarizeSignal.aborted).toBe(true);
+            expect(job.status).toBe(BATCH_STATUS.CANCELLED);
+            expect(job.items.map(item => item.status)).toEqual([BATCH_ITEM_STATUS.CANCELLED, BATCH_ITEM_STATUS.CANCELLED]);
+            expect(job.progress).toEqual({ total: 2, completed: 0, failed: 0 });
+            expect(handlers.fetchTranscript).toHaveBeenCalledTimes(1);
+            expect(processor.isRunning()).toBe(false);
+        });
+
+        test('should keep recordings finished before the cancel', async () => {
+            handlers.awaitSummary
+                .mockResolvedValueOnce({ fullSummary: 'First' })
+                .mockImplementationOnce((jobId, { signal }) => new Promise((resolve, reject) => {
+                    signal.addEventListener('abort', () => reject(new Error('Request cancelled')));
+                }));
+
+            const run = processor.start(['https://contoso.sharepoint.com/Recordings']);
+            while (handlers.awaitSummary.mock.calls.length < 2) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+            processor.cancel();
+            const job = await run;
+
+            expect(job.items[0]).toMatchObject({ status: BATCH_ITEM_STATUS.DONE, summary: { fullSummary: 'First' } });
+            expect(job.items[1].status).toBe(BATCH_ITEM_STATUS.CANCELLED);
+            expect(job.progress).toEqual({ total: 2, completed: 1, failed: 0 });
+        });
+
+        test('should do nothing without a running job', async () => {
+            expect(processor.cancel()).toBe(false);
+
+            await processor.start(['https://contoso.sharepoint.com/Recordings']);
+            expect(processor.cancel()).toBe(false);
+        });
+    });
+
+    describe('formatTranscriptText', () => {
+        const timedTranscript = {
+            meetingInfo: { transcriptStartedAt: '2024-05-01T09:00:00Z' },
+            entries: [
+                { speaker: 'Alice', text: 'Hello', startTime: '00:00:01.0000000' },
+                { speaker: 'Bob', text: 'Back again', startTime: '00:10:00.0000000' }
+            ],
+            events: [
+                { eventType: 'TranscriptStarted', startOffset: '00:00:00.0000000' },
+                { eventType: 'TranscriptStopped', startOffset: '00:02:00.0000000' },
+                { eventType: 'TranscriptStarted', startOffset: '00:09:30.0000000' }
+            ]
+        };
+
+        test('should mark transcription gaps', async () => {
+            const { transcriptTimeline } = require('../../src/utils/transcriptTimeline.js');
+            const timeline = transcriptTimeline.build(timedTranscript);
+
+            expect(processor.formatTranscriptText(timedTranscript, timeline).split('\n')).toEqual([
+                '[00:00:01] Alice: Hello',
+                '[00:02:00] -- Transcription stopped for 00:07:30 --',
+                '[00:10:00] Bob: Back again'
+            ]);
+        });
+
+        test('should record meeting times and honour the clock style', async () => {
+            handlers.fetchTranscript.mockResolvedValue(timedTranscript);
+
+            const job = await processor.start(['https://contoso.sharepoint.com/Recordings'], { timestampStyle: 'clock' });
+
+            expect(job.timestampStyle).toBe('clock');
+            expect(job.items[0].meetingStart).toBe('2024-05-01T09:00:00.000Z');
+            expect(job.items[0].meetingEnd).toBe('2024-05-01T09:10:00.000Z');
+            expect(job.items[0].transcriptText).not.toContain('[00:00:01]');
+        });
+    });
+
+    describe('restore', () => {
+        const interrupted = () => ({
+            id: 'batch-1',
+            status: BATCH_STATUS.RUNNING,
+            sources: ['https://contoso.sharepoint.com/Recordings'],
+            timestampStyle: 'offset',
+            items: [
+                { recording: RECORDINGS[0], status: BATCH_ITEM_STATUS.DONE, summary: { fullSummary: 'Done before' } },
+                { recording: RECORDINGS[1], status: BATCH_ITEM_STATUS.SUMMARIZING, summaryJobId: 'summary-7' },
+                { recording: { ...RECORDINGS[1], title: 'Review' }, status: BATCH_ITEM_STATUS.PENDING }
+            ],
+            progress: { total: 3, completed: 1, failed: 0 }
+        });
+
+        test('should carry on with the recordings left', async () => {
+            const job = await processor.restore(interrupted());
+
+            expect(handlers.listRecordings).not.toHaveBeenCalled();
+            expect(handlers.awaitSummary).toHaveBeenCalledWith('summary-7', { signal: expect.any(AbortSignal) });
+            expect(handlers.fetchTranscript).toHaveBeenCalledTimes(1);
+            expect(handlers.fetchTranscript).toHaveBeenCalledWith(expect.objectContaining({ title: 'Review' }));
+            expect(handlers.queueSummary).toHaveBeenCalledTimes(1);
+            expect(job.status).toBe(BATCH_STATUS.COMPLETED);
+            expect(job.items[0].summary).toEqual({ fullSummary: 'Done before' });
+            expect(job.progress).toEqual({ total: 3, completed: 3, failed: 0 });
+        });
+
+        test('should list the recordings again when the restart came first', async () => {
+            const job = await processor.restore({ ...interrupted(), status: BATCH_STATUS.LISTING, items: [] });
+
+            expect(handlers.listRecordings).toHaveBeenCalledWith(['https://contoso.sharepoint.com/Recordings']);
+            expect(job.progress).toEqual({ total: 2, completed: 2, failed: 0 });
+        });
+
+        test('should mark an unfinished job as interrupted when it cannot resume', () => {
+            expect(processor.restore(interrupted(), false)).toBeNull();
+
+            const job = processor.getJob();
+            expect(job.status).toBe(BATCH_STATUS.FAILED);
+            expect(job.items[1]).toMatchObject({ status: BATCH_ITEM_STATUS.FAILED, error: 'Interrupted' });
+            expect(job.progress).toEqual({ total: 3, completed: 1, failed: 2 });
+            expect(handlers.awaitSummary).not.toHaveBeenCalled();
+        });
+
+        test('should keep a finished job as it was', () => {
+            const finished = { status: BATCH_STATUS.COMPLETED, items: [], progress: { total: 0, completed: 0, failed: 0 } };
+
+            expect(processor.restore(finished)).toBeNull();
+
+            expect(processor.getJob()).toBe(finished);
+            expect(handlers.onUpdate).not.toHaveBeenCalled();
+        });
+    });
+});
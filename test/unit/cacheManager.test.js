@@ -0,0 +1,77 @@
+/**
+ * Unit tests for CacheManager
+ * Tests the chunk summary cache that lets a retry skip sections already summarized
+ */
+
+const CacheManager = require('../../src/cacheManager.js');
+
+describe('CacheManager', () => {
+    let store;
+    let cacheManager;
+
+    // Callback-style chrome.storage.local that answers on a later tick, like the real one
+    const later = (callback, value) => setTimeout(() => callback && callback(value), 0);
+
+    beforeEach(async () => {
+        store = { cache_metadata: { version: '1.0.0' } };
+        global.chrome = {
+            runtime: { lastError: null },
+            storage: {
+                local: {
+                    get: jest.fn((keys, callback) => {
+                        const result = {};
+                        keys.filter(key => key in store).forEach(key => {
+                            result[key] = JSON.parse(JSON.stringify(store[key]));
+                        });
+                        later(callback, result);
+                    }),
+                    set: jest.fn((items, callback) => {
+                        Object.assign(store, JSON.parse(JSON.stringify(items)));
+                        later(callback);
+                    }),
+                    remove: jest.fn((keys, callback) => {
+                        keys.forEach(key => delete store[key]);
+                        later(callback);
+                    })
+                }
+            }
+        };
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        // Periodic cleanup is not under test
+        jest.spyOn(global, 'setInterval').mockReturnValue(0);
+        cacheManager = new CacheManager();
+        await cacheManager.initializeCache();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete global.chrome;
+    });
+
+    describe('Chunk results', () => {
+        test('should keep every result when chunks finish at the same time', async () => {
+            await Promise.all([0, 1, 2, 3, 4].map(index =>
+                cacheManager.cacheChunkResult('transcript', index, 'prompt', { summary: `Chunk ${index}` })
+            ));
+
+            expect(Object.keys(store.cached_chunk_summaries)).toHaveLength(5);
+            for (let index = 0; index < 5; index++) {
+                await expect(cacheManager.getCachedChunkResult('transcript', index, 'prompt'))
+                    .resolves.toEqual({ summary: `Chunk ${index}` });
+            }
+        });
+
+        test('should drop expired results on read without touching fresh ones', async () => {
+            await cacheManager.cacheChunkResult('transcript', 0, 'prompt', { summary: 'Old' });
+            store.cached_chunk_summaries.transcript_0_prompt.timestamp = Date.now() - cacheManager.config.summaryTTL - 1;
+
+            const [expired] = await Promise.all([
+                cacheManager.getCachedChunkResult('transcript', 0, 'prompt'),
+                cacheManager.cacheChunkResult('transcript', 1, 'prompt', { summary: 'New' })
+            ]);
+
+            expect(expired).toBeNull();
+            expect(Object.keys(store.cached_chunk_summaries)).toEqual(['transcript_1_prompt']);
+        });
+    });
+});
@@ -290,6 +290,73 @@ describe('ChunkingStrategy', () => {
         });
     });
 
+    describe('Topic Segmentation', () => {
+        const agenda = [
+            'The budget for the third quarter is over the forecast.',
+            'Marketing spent more of the budget than the forecast allowed.',
+            'We should cut the travel budget to match the forecast.',
+            'Finance will update the budget forecast next week.',
+            'Next item is hiring for the backend team.',
+            'We have two open hiring requisitions and three candidates.',
+            'The candidates for the backend role finish interviews Friday.',
+            'Hiring should close before the backend roadmap starts.',
+            'Finally the product launch date for the mobile app.',
+            'The launch needs the mobile release approved by the store.',
+            'Store review for the mobile app takes about a week before launch.',
+            'So the launch moves if the mobile release slips.'
+        ];
+        const topicTranscript = {
+            ...mockTranscriptSmall,
+            content: agenda.join('\n'),
+            sections: agenda.map((text, i) => ({
+                speaker: i % 2 ? 'Bob' : 'Alice',
+                startTime: `00:${String(i).padStart(2, '0')}:00`,
+                endTime: `00:${String(i).padStart(2, '0')}:50`,
+                text
+            }))
+        };
+        const topicTokens = chunkingStrategy.estimateTokenCount(agenda.slice(0, 4).join(' '));
+
+        test('should cut chunks at agenda items and label them with keywords', () => {
+            const chunks = strategy.chunkTranscript(topicTranscript, {
+                strategy: CHUNKING_STRATEGIES.TOPIC_SEGMENTS,
+                maxTokensPerChunk: topicTokens + 10,
+                preserveContext: false
+            });
+
+            expect(chunks.map(chunk => chunk.sections[0].text)).toEqual([agenda[0], agenda[4], agenda[8]]);
+            expect(chunks[0].metadata.topicLabel).toContain('budget');
+            expect(chunks[1].metadata.topicLabel).toContain('hiring');
+            expect(chunks[2].metadata.topicLabel).toContain('launch');
+        });
+
+        test('should pack whole topics together when they fit', () => {
+            const chunks = strategy.chunkByTopics(topicTranscript, topicTokens * 2 + 20);
+
+            expect(chunks.map(chunk => chunk.sections.length)).toEqual([8, 4]);
+        });
+
+        test('should split a topic longer than one chunk', () => {
+            const chunks = strategy.chunkByTopics(topicTranscript, Math.ceil(topicTokens / 2));
+
+            expect(chunks.length).toBeGreaterThan(3);
+            chunks.forEach(chunk => expect(chunk.metadata.topicLabel).toEqual(expect.any(String)));
+        });
+
+        test('should use topic labels as section headers when combining', async () => {
+            const mockAiFunction = jest.fn().mockResolvedValue({ summary: 'Section summary' });
+
+            await strategy.processLargeTranscript(topicTranscript, mockAiFunction, {
+                strategy: CHUNKING_STRATEGIES.TOPIC_SEGMENTS,
+                maxTokensPerChunk: topicTokens + 10
+            });
+
+            const combineCall = mockAiFunction.mock.calls.find(([, options]) => options.promptType === 'combine');
+            expect(combineCall[0].content).toMatch(/^## Section 1: [^\n]*budget[^\n]* \(00:00:00 - /);
+            expect(combineCall[0].content).toMatch(/## Section 3: [^\n]*launch/);
+        });
+    });
+
     describe('Context Overlap', () => {
         test('should add context overlap between chunks', () => {
             const chunks = strategy.chunkBySpeakerTurns(mockTranscriptLarge, 30000);
@@ -372,6 +439,60 @@ describe('ChunkingStrategy', () => {
             expect(result.chunkDetails).toBeDefined();
         });
 
+        test('should summarize chunks concurrently and keep results in order', async () => {
+            const options = {
+                provider: 'anthropic',
+                model: 'claude-3-5-sonnet-20241022',
+                strategy: CHUNKING_STRATEGIES.SPEAKER_TURNS,
+                maxTokensPerChunk: 20000,
+                concurrency: 3
+            };
+            const totalChunks = strategy.chunkTranscript(mockTranscriptLarge, options).length;
+            expect(totalChunks).toBeGreaterThan(3);
+
+            let active = 0;
+            let maxActive = 0;
+            const finished = [];
+            const mockAiFunction = jest.fn(async (transcript, summaryOptions) => {
+                if (summaryOptions.promptType === 'combine') {
+                    expect(finished.length).toBe(totalChunks);
+                    return { summary: transcript.content };
+                }
+                active++;
+                maxActive = Math.max(maxActive, active);
+                // Later chunks finish first
+                await new Promise(resolve => setTimeout(resolve, (totalChunks - summaryOptions.chunkIndex) * 2));
+                active--;
+                finished.push(summaryOptions.chunkIndex);
+                if (summaryOptions.chunkIndex === 1) {
+                    throw new Error('Chunk failed');
+                }
+                return { summary: `Chunk ${summaryOptions.chunkIndex}` };
+            });
+            const progressUpdates = [];
+
+            const result = await strategy.processLargeTranscript(
+                mockTranscriptLarge,
+                mockAiFunction,
+                options,
+                update => progressUpdates.push(update)
+            );
+
+            expect(maxActive).toBe(3);
+            expect(finished).not.toEqual([...finished].sort((a, b) => a - b));
+            expect(result.chunkDetails.map(detail => detail.index)).toEqual([...Array(totalChunks).keys()]);
+            expect(result.chunkDetails[1].success).toBe(false);
+            expect(result.metadata).toMatchObject({ chunksProcessed: totalChunks - 1, chunksFailed: 1 });
+            expect(result.summary.indexOf('Chunk 0')).toBeLessThan(result.summary.indexOf('Chunk 2'));
+            expect(mockAiFunction.mock.calls.filter(([, opts]) => opts.promptType === 'combine')).toHaveLength(1);
+
+            const chunkUpdates = progressUpdates.filter(update => update.stage === 'chunking');
+            const counts = chunkUpdates.map(update => update.current);
+            expect(counts).toEqual([...counts].sort((a, b) => a - b));
+            expect(chunkUpdates.every(update => update.total === totalChunks && update.inProgress <= 3)).toBe(true);
+            expect(counts[counts.length - 1]).toBe(totalChunks);
+        });
+
 
         test('should not chunk small transcripts', async () => {
             const mockAiFunction = jest.fn().mockResolvedValue({
@@ -393,6 +514,182 @@ describe('ChunkingStrategy', () => {
         });
     });
 
+    describe('Resumable Chunk Processing', () => {
+        const options = {
+            provider: 'anthropic',
+            model: 'claude-3-5-sonnet-20241022',
+            strategy: CHUNKING_STRATEGIES.SPEAKER_TURNS,
+            maxTokensPerChunk: 20000,
+            prompt: 'Summarize',
+            language: 'en'
+        };
+
+        // In-memory stand-in for CacheManager's chunk methods
+        function createCache() {
+            const store = {};
+            return {
+                store,
+                generateTranscriptHash: jest.fn(content => `t${content.length}`),
+                generatePromptHash: jest.fn((prompt, language, settings) => JSON.stringify([prompt, language, settings])),
+                getCachedChunkResult: jest.fn(async (hash, index, promptHash) => store[`${hash}_${index}_${promptHash}`] || null),
+                cacheChunkResult: jest.fn(async (hash, index, promptHash, result) => {
+                    store[`${hash}_${index}_${promptHash}`] = result;
+                })
+            };
+        }
+
+        test('should report failed sections instead of dropping them silently', async () => {
+            const mockAiFunction = jest.fn(async (transcript, summaryOptions) => {
+                if (summaryOptions.chunkIndex === 1) {
+                    throw new Error('Request timeout');
+                }
+                return { summary: `Chunk ${summaryOptions.chunkIndex}` };
+            });
+
+            const result = await strategy.processLargeTranscript(mockTranscriptLarge, mockAiFunction, options);
+
+            expect(result.failedSections).toHaveLength(1);
+            expect(result.failedSections[0]).toMatchObject({ index: 1, error: 'Request timeout' });
+            expect(result.failedSections[0].timeRange).toEqual(result.chunkDetails[1].timeRange);
+        });
+
+        test('should retry only the chunks that failed', async () => {
+            const cacheManager = createCache();
+            const runOptions = { ...options, cacheManager };
+            let failChunk = true;
+            const mockAiFunction = jest.fn(async (transcript, summaryOptions) => {
+                if (summaryOptions.chunkIndex === 1 && failChunk) {
+                    throw new Error('Rate limit exceeded');
+                }
+                return { summary: summaryOptions.isChunk ? `Chunk ${summaryOptions.chunkIndex}` : 'Final' };
+            });
+
+            const first = await strategy.processLargeTranscript(mockTranscriptLarge, mockAiFunction, runOptions);
+            const totalChunks = first.chunkDetails.length;
+            expect(first.failedSections.map(section => section.index)).toEqual([1]);
+            expect(Object.keys(cacheManager.store)).toHaveLength(totalChunks - 1);
+
+            failChunk = false;
+            mockAiFunction.mockClear();
+            const progressUpdates = [];
+            const retried = await strategy.retryFailedChunks(mockTranscriptLarge, mockAiFunction, runOptions, update => progressUpdates.push(update));
+
+            const chunkCalls = mockAiFunction.mock.calls.filter(([, summaryOptions]) => summaryOptions.isChunk);
+            expect(chunkCalls.map(([, summaryOptions]) => summaryOptions.chunkIndex)).toEqual([1]);
+            expect(retried.failedSections).toEqual([]);
+            expect(retried.summary).toBe('Final');
+            expect(retried.chunkDetails.filter(detail => detail.cached)).toHaveLength(totalChunks - 1);
+            expect(progressUpdates.filter(update => update.cached)).toHaveLength(totalChunks - 1);
+            expect(mockAiFunction.mock.calls.find(([, summaryOptions]) => summaryOptions.promptType === 'combine')[0].content)
+                .toContain('Chunk 1');
+        });
+
+        test('should stop at a cancelled chunk and keep the finished ones cached', async () => {
+            const cacheManager = createCache();
+            const controller = new AbortController();
+            const mockAiFunction = jest.fn(async (transcript, summaryOptions) => {
+                if (summaryOptions.chunkIndex === 1) {
+                    controller.abort();
+                    summaryOptions.signal.throwIfAborted();
+                }
+                return { summary: `Chunk ${summaryOptions.chunkIndex}` };
+            });
+
+            await expect(strategy.processLargeTranscript(mockTranscriptLarge, mockAiFunction, { ...options, cacheManager, signal: controller.signal }))
+                .rejects.toMatchObject({ name: 'AbortError' });
+
+            expect(mockAiFunction.mock.calls.map(([, summaryOptions]) => summaryOptions.chunkIndex)).toEqual([0, 1]);
+            expect(Object.keys(cacheManager.store)).toHaveLength(1);
+        });
+
+        test('should key cached chunks by prompt and model', () => {
+            const cacheManager = createCache();
+            const keys = strategy.getChunkCacheKeys(mockTranscriptLarge, { ...options, cacheManager });
+            const otherModel = strategy.getChunkCacheKeys(mockTranscriptLarge, { ...options, model: 'claude-3-haiku-20240307', cacheManager });
+
+            expect(keys.transcriptHash).toBe(otherModel.transcriptHash);
+            expect(keys.promptHash).not.toBe(otherModel.promptHash);
+            expect(strategy.getChunkCacheKeys(mockTranscriptLarge, options)).toBeNull();
+        });
+
+        test('should require a cache to retry', async () => {
+            await expect(strategy.retryFailedChunks(mockTranscriptLarge, jest.fn(), options))
+                .rejects.toThrow('cacheManager');
+        });
+    });
+
+    describe('Hierarchical Combining', () => {
+        const chunkSummaries = Array.from({ length: 10 }, (_, i) => ({
+            chunkIndex: i,
+            timeRange: { start: `00:0${i}:00`, end: `00:0${i}:59` },
+            speakers: [i % 2 ? 'Bob' : 'Alice'],
+            summary: { summary: `Point ${i}` },
+            tokenCount: 1000
+        }));
+
+        test('should combine in one call when the summaries fit', async () => {
+            const mockAiFunction = jest.fn().mockResolvedValue({ summary: 'Final' });
+
+            const result = await strategy.combineSectionSummaries(chunkSummaries, mockTranscriptLarge.metadata, mockAiFunction, {});
+
+            expect(mockAiFunction).toHaveBeenCalledTimes(1);
+            expect(mockAiFunction.mock.calls[0][1].totalSections).toBe(10);
+            expect(result.metadata.chunkingSummary.reduceLevels).toBe(0);
+        });
+
+        test('should reduce level by level when the summaries exceed the combine budget', async () => {
+            const partTokens = strategy.estimateTokenCount(strategy.formatCombineContent([
+                { timeRange: chunkSummaries[0].timeRange, speakers: ['Alice', 'Bob'], text: 'Point 0' }
+            ]));
+            let calls = 0;
+            const mockAiFunction = jest.fn(async () => ({ summary: `Point ${calls++}` }));
+            const progressUpdates = [];
+
+            const result = await strategy.combineSectionSummaries(
+                chunkSummaries,
+                mockTranscriptLarge.metadata,
+                mockAiFunction,
+                { maxCombineTokens: partTokens * 3 },
+                update => progressUpdates.push(update)
+            );
+
+            // Level 1: 10 -> 4 parts (3 calls, the last part moves up as is); level 2: 4 -> 2; final combine
+            const levels = mockAiFunction.mock.calls.map(([, options]) => options.reduceLevel);
+            expect(levels).toEqual([1, 1, 1, 2, undefined]);
+            expect(result.metadata.chunkingSummary.reduceLevels).toBe(2);
+
+            const [firstGroup] = mockAiFunction.mock.calls[0];
+            expect(firstGroup.content).toContain('## Section 3 (00:02:00 - 00:02:59, Speakers: Alice)\nPoint 2');
+            expect(firstGroup.content).not.toContain('Point 3');
+
+            const [finalTranscript, finalOptions] = mockAiFunction.mock.calls[4];
+            expect(finalOptions.totalSections).toBe(2);
+            expect(finalTranscript.content).toContain('(00:00:00 - 00:08:59, Speakers: Alice, Bob)');
+            expect(finalTranscript.content).toContain('(00:09:00 - 00:09:59, Speakers: Bob)');
+
+            const reducing = progressUpdates.filter(update => update.stage === 'reducing');
+            expect(reducing.filter(update => update.level === 1).map(update => update.current)).toEqual([0, 1, 2, 3, 4]);
+            expect(reducing.filter(update => update.level === 2).map(update => update.total)).toEqual([2, 2, 2]);
+        });
+
+        test('should stop reducing when no two summaries fit together', async () => {
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const mockAiFunction = jest.fn().mockResolvedValue({ summary: 'Final' });
+
+            const result = await strategy.combineSectionSummaries(
+                chunkSummaries.slice(0, 3),
+                mockTranscriptLarge.metadata,
+                mockAiFunction,
+                { maxCombineTokens: 1 }
+            );
+
+            expect(mockAiFunction).toHaveBeenCalledTimes(1);
+            expect(result.metadata.chunkingSummary.reduceLevels).toBe(0);
+            expect(warn).toHaveBeenCalled();
+            warn.mockRestore();
+        });
+    });
+
     describe('Edge Cases and Error Handling', () => {
         test('should handle empty transcript sections', () => {
             const emptyTranscript = {
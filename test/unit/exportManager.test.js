@@ -482,6 +482,62 @@ describe('ExportManager', () => {
         });
     });
 
+    describe('Batch Bundle', () => {
+        const { TranscriptImporter } = require('../../src/utils/transcriptImporter');
+
+        const batchJob = {
+            createdAt: '2024-05-03T09:00:00.000Z',
+            progress: { total: 2, completed: 1, failed: 1 },
+            sourceErrors: [{ source: 'https://contoso.sharepoint.com/sites/x/Recordings', error: 'Access denied (403)' }],
+            items: [
+                {
+                    recording: { title: '週會 Weekly', url: 'https://contoso.sharepoint.com/weekly.mp4' },
+                    status: 'done',
+                    error: null,
+                    summary: { fullSummary: '## 重點\n- 進度正常' },
+                    transcriptText: '[00:00:01] Alice: Hello',
+                    meetingStart: '2024-05-02T09:00:00.000Z',
+                    meetingEnd: '2024-05-02T09:45:00.000Z'
+                },
+                {
+                    recording: { title: 'Retro', url: 'https://contoso.sharepoint.com/retro.mp4' },
+                    status: 'failed',
+                    error: 'Transcript not found (404)',
+                    summary: null,
+                    transcriptText: null
+                }
+            ]
+        };
+
+        test('should bundle summaries and transcripts into a ZIP archive', async () => {
+            const bundle = exportManager.createBatchBundle(batchJob);
+            const buffer = bundle.content.buffer;
+            const importer = new TranscriptImporter();
+
+            expect(bundle.contentType).toBe('application/zip');
+            expect(bundle.filename).toBe('meeting-summaries_2024-05-03.zip');
+
+            const index = await importer.readZipEntry(buffer, 'index.md');
+            expect(index).toContain('**Recordings:** 2 (1 summarized, 1 failed)');
+            expect(index).toContain('| 02 | [Retro](https://contoso.sharepoint.com/retro.mp4) | failed: Transcript not found (404) |  |');
+            expect(index).toContain('- https://contoso.sharepoint.com/sites/x/Recordings: Access denied (403)');
+
+            const summary = await importer.readZipEntry(buffer, '01_週會_weekly/summary.md');
+            expect(summary).toContain('# 週會 Weekly');
+            expect(summary).toContain('- 進度正常');
+            expect(summary).toContain('**Meeting Time:** ');
+            expect(await importer.readZipEntry(buffer, '01_週會_weekly/transcript.txt')).toBe('[00:00:01] Alice: Hello');
+        });
+
+        test('should compute standard CRC-32 checksums', () => {
+            expect(exportManager.crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+        });
+
+        test('should reject jobs without items', () => {
+            expect(() => exportManager.createBatchBundle({})).toThrow('Invalid batch job: missing items');
+        });
+    });
+
     describe('Edge Cases', () => {
         test('should handle empty summary content', async () => {
             const emptyData = {
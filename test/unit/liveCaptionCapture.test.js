@@ -0,0 +1,316 @@
+/**
+ * Unit tests for LiveCaptionCapture
+ * Tests caption de-duplication, Stream transcript output and meeting-end detection
+ */
+
+const { LiveCaptionRecorder, LiveCaptionCapture } = require('../../src/utils/liveCaptionCapture.js');
+
+/**
+ * Minimal element supporting the selectors used by the capture
+ */
+function createElement(attributes = {}, children = [], textContent = '') {
+    return {
+        attributes,
+        children,
+        textContent,
+        matches(selector) {
+            return selector.split(',').some(part => {
+                const match = part.trim().match(/^\[data-tid="(.+)"\]$/);
+                if (match) return this.attributes['data-tid'] === match[1];
+                if (part.trim().startsWith('.')) return (this.attributes.class || '') === part.trim().slice(1);
+                if (part.trim().startsWith('#')) return this.attributes.id === part.trim().slice(1);
+                return false;
+            });
+        },
+        querySelectorAll(selector) {
+            const found = [];
+            const visit = element => {
+                element.children.forEach(child => {
+                    if (child.matches(selector)) found.push(child);
+                    visit(child);
+                });
+            };
+            visit(this);
+            return found;
+        },
+        querySelector(selector) {
+            return this.querySelectorAll(selector)[0] || null;
+        }
+    };
+}
+
+function createCaption(speaker, text) {
+    const children = [createElement({ 'data-tid': 'closed-caption-text' }, [], text)];
+    if (speaker) {
+        children.unshift(createElement({ 'data-tid': 'author' }, [], speaker));
+    }
+    return createElement({ class: 'fui-ChatMessageCompact' }, children);
+}
+
+function createMeetingPage(captions, inCall = true) {
+    const container = createElement({ 'data-tid': 'closed-caption-v2-window-wrapper' }, captions);
+    const children = [container];
+    if (inCall) {
+        children.push(createElement({ id: 'hangup-button' }));
+    }
+    const body = createElement({}, children);
+    return { body, container, querySelector: selector => body.querySelector(selector) };
+}
+
+describe('LiveCaptionRecorder', () => {
+    let clock;
+    let recorder;
+
+    beforeEach(() => {
+        clock = 1000;
+        recorder = new LiveCaptionRecorder({ now: () => clock, language: 'en-us' });
+        recorder.start();
+    });
+
+    test('should ignore captions before start or after stop', () => {
+        const idle = new LiveCaptionRecorder({ now: () => clock });
+        expect(idle.recordCaption({}, 'Alice', 'Hello')).toBeNull();
+
+        recorder.stop();
+        expect(recorder.recordCaption({}, 'Alice', 'Hello')).toBeNull();
+        expect(recorder.entries).toHaveLength(0);
+    });
+
+    test('should revise a caption row in place', () => {
+        const row = {};
+        recorder.recordCaption(row, 'Alice', 'Hello');
+        clock += 2000;
+        recorder.recordCaption(row, 'Alice', 'Hello everyone, welcome');
+
+        expect(recorder.entries).toHaveLength(1);
+        expect(recorder.entries[0]).toMatchObject({ text: 'Hello everyone, welcome', startMs: 0, endMs: 2000, revisions: 1 });
+    });
+
+    test('should keep the longer text when a stale prefix is re-rendered', () => {
+        const row = {};
+        recorder.recordCaption(row, 'Alice', 'Hello everyone');
+        recorder.recordCaption(row, 'Alice', 'Hello');
+
+        expect(recorder.entries[0].text).toBe('Hello everyone');
+    });
+
+    test('should merge a re-rendered row into the existing caption', () => {
+        recorder.recordCaption({}, 'Alice', 'Hello everyone');
+        clock += 1000;
+        recorder.recordCaption({}, 'Bob', 'Hi Alice');
+        clock += 1000;
+        recorder.recordCaption({}, 'Alice', 'Hello everyone');
+
+        expect(recorder.entries.map(entry => entry.text)).toEqual(['Hello everyone', 'Hi Alice']);
+    });
+
+    test('should record a repeated phrase said much later as a new caption', () => {
+        recorder.recordCaption({}, 'Alice', 'Yes');
+        clock += 1000;
+        recorder.recordCaption({}, 'Bob', 'Ready?');
+        clock += 30000;
+        recorder.recordCaption({}, 'Alice', 'Yes');
+
+        expect(recorder.entries).toHaveLength(3);
+    });
+
+    test('should close the previous caption when a new one starts', () => {
+        recorder.recordCaption({}, 'Alice', 'First');
+        clock += 4000;
+        recorder.recordCaption({}, 'Bob', 'Second');
+
+        expect(recorder.entries[0].endMs).toBe(4000);
+    });
+
+    test('should produce Stream transcript entries and events', () => {
+        recorder.recordCaption({}, 'Alice', '  Hello\n world ');
+        clock += 5000;
+        recorder.recordCaption({}, '', 'Anyone there?');
+        clock += 1500;
+        recorder.stop();
+
+        const transcript = recorder.toStreamTranscript();
+
+        expect(transcript.entries).toHaveLength(2);
+        expect(transcript.entries[0]).toMatchObject({
+            text: 'Hello world',
+            speakerDisplayName: 'Alice',
+            startOffset: '00:00:00.0000000',
+            endOffset: '00:00:05.0000000',
+            spokenLanguageTag: 'en-us'
+        });
+        expect(transcript.entries[1].speakerDisplayName).toBe('Unknown Speaker');
+        expect(transcript.events.map(event => [event.eventType, event.startOffset])).toEqual([
+            ['TranscriptStarted', '00:00:00.0000000'],
+            ['TranscriptStopped', '00:00:06.5000000']
+        ]);
+    });
+});
+
+describe('LiveCaptionCapture', () => {
+    let clock;
+    let capture;
+
+    beforeEach(() => {
+        clock = 0;
+        capture = new LiveCaptionCapture(new LiveCaptionRecorder({ now: () => clock }));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should read captions on screen and carry the speaker over', () => {
+        const page = createMeetingPage([
+            createCaption('Alice', 'Good morning'),
+            createCaption('', 'Let us begin'),
+            createCaption('Bob', 'Sounds good')
+        ]);
+
+        capture.start(page);
+
+        expect(capture.getStatus()).toMatchObject({
+            capturing: true,
+            entryCount: 3,
+            speakers: ['Alice', 'Bob'],
+            startedAt: 0
+        });
+        expect(capture.recorder.entries[1].speaker).toBe('Alice');
+    });
+
+    test('should pick up revisions on the next scan', () => {
+        const caption = createCaption('Alice', 'Good');
+        const page = createMeetingPage([caption]);
+        capture.start(page);
+
+        caption.children[1].textContent = 'Good morning all';
+        clock += 1000;
+        capture.scan();
+
+        expect(capture.recorder.entries).toHaveLength(1);
+        expect(capture.recorder.entries[0].text).toBe('Good morning all');
+    });
+
+    test('should refuse to start twice', () => {
+        const page = createMeetingPage([]);
+        capture.start(page);
+
+        expect(() => capture.start(page)).toThrow('Live caption capture is already running');
+    });
+
+    test('should stop when the call controls disappear', () => {
+        const onMeetingEnded = jest.fn();
+        const page = createMeetingPage([createCaption('Alice', 'Bye')]);
+        capture.start(page, { onMeetingEnded });
+
+        page.body.children.pop();
+        capture.scan();
+
+        expect(capture.isCapturing()).toBe(false);
+        expect(onMeetingEnded).toHaveBeenCalledTimes(1);
+        expect(capture.getStatus().entryCount).toBe(1);
+    });
+
+    test('should keep capturing if the call controls were never seen', () => {
+        const page = createMeetingPage([createCaption('Alice', 'Hi')], false);
+        capture.start(page);
+        capture.scan();
+
+        expect(capture.isCapturing()).toBe(true);
+    });
+
+    describe('with mutation observers', () => {
+        let observers;
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            observers = [];
+            global.MutationObserver = class {
+                constructor(callback) {
+                    this.callback = callback;
+                    this.targets = [];
+                    observers.push(this);
+                }
+                observe(target, options) {
+                    this.targets.push({ target, options });
+                }
+                disconnect() {
+                    this.targets = [];
+                }
+            };
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+            delete global.MutationObserver;
+        });
+
+        const [captionObserver, pageObserver] = [0, 1].map(index => () => observers[index]);
+
+        test('should watch caption text only inside the captions region', () => {
+            const page = createMeetingPage([createCaption('Alice', 'Hi')]);
+            capture.start(page);
+
+            expect(captionObserver().targets).toEqual([
+                { target: page.container, options: { childList: true, subtree: true, characterData: true } }
+            ]);
+            expect(pageObserver().targets).toEqual([{ target: page.body, options: { childList: true, subtree: true } }]);
+        });
+
+        test('should scan once per burst of caption mutations', () => {
+            const caption = createCaption('Alice', 'Good');
+            const page = createMeetingPage([caption]);
+            capture.start(page);
+            const scan = jest.spyOn(capture, 'scan');
+
+            caption.children[1].textContent = 'Good morning all';
+            for (let i = 0; i < 20; i++) captionObserver().callback();
+            jest.runAllTimers();
+
+            expect(scan).toHaveBeenCalledTimes(1);
+            expect(capture.recorder.entries[0].text).toBe('Good morning all');
+        });
+
+        test('should find a captions region that appears after the start', () => {
+            const page = createMeetingPage([]);
+            page.body.children.shift();
+            capture.start(page);
+            expect(captionObserver().targets).toEqual([]);
+
+            const container = createElement({ 'data-tid': 'closed-caption-v2-window-wrapper' }, [createCaption('Bob', 'Can you hear me?')]);
+            page.body.children.unshift(container);
+            pageObserver().callback();
+            jest.runAllTimers();
+
+            expect(captionObserver().targets.map(entry => entry.target)).toEqual([container]);
+            expect(capture.recorder.entries.map(entry => entry.text)).toEqual(['Can you hear me?']);
+        });
+
+        test('should keep pending revisions and stop observing when stopped', () => {
+            const caption = createCaption('Alice', 'Good');
+            const page = createMeetingPage([caption]);
+            capture.start(page);
+
+            caption.children[1].textContent = 'Good night';
+            captionObserver().callback();
+            capture.stop();
+
+            expect(capture.recorder.entries[0].text).toBe('Good night');
+            expect(observers.every(observer => observer.targets.length === 0)).toBe(true);
+            expect(jest.getTimerCount()).toBe(0);
+        });
+
+        test('should notice the call ending from page mutations', () => {
+            const onMeetingEnded = jest.fn();
+            const page = createMeetingPage([createCaption('Alice', 'Bye')]);
+            capture.start(page, { onMeetingEnded });
+
+            page.body.children.pop();
+            pageObserver().callback();
+            jest.runAllTimers();
+
+            expect(onMeetingEnded).toHaveBeenCalledTimes(1);
+        });
+    });
+});
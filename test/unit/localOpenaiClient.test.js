@@ -0,0 +1,145 @@
+/**
+ * Unit Tests for Local Model Client
+ * Runs the client against a local stub server standing in for Ollama / LM Studio / vLLM
+ */
+
+const http = require('http');
+const { LocalOpenAIClient } = require('../../src/api/localOpenaiClient');
+const { chunkingStrategy } = require('../../src/utils/chunkingStrategy.js');
+
+// Mock console to avoid noise in tests
+console.log = jest.fn();
+console.error = jest.fn();
+console.warn = jest.fn();
+
+const transcript = {
+    metadata: { participants: ['Alice', 'Bob'], duration: '00:20:00', language: 'en', totalEntries: 2 },
+    content: '[00:00:01] Alice: We agree on the roadmap.',
+    sections: []
+};
+
+describe('LocalOpenAIClient', () => {
+    let server;
+    let baseUrl;
+    let requests;
+    let respond;
+
+    beforeAll(done => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                const request = { method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+                requests.push(request);
+
+                const { status = 200, json = {} } = respond(request);
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(json));
+            });
+        });
+        server.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.closeAllConnections();
+        server.close(done);
+    });
+
+    let client;
+
+    beforeEach(() => {
+        requests = [];
+        respond = request => (request.url === '/v1/models'
+            ? { json: { object: 'list', data: [{ id: 'llama3.1:8b', created: 1721000000 }, { id: 'qwen2.5:7b', created: 1726000000 }] } }
+            : { json: { choices: [{ message: { content: '## Meeting Summary\nRoadmap agreed.' } }], model: request.body.model } });
+        client = new LocalOpenAIClient();
+    });
+
+    describe('Configuration', () => {
+        test('should accept a missing key and keep the base path', () => {
+            client.configure({ baseUrl: 'http://localhost:1234/v1/' });
+
+            expect(client.apiKey).toBeNull();
+            expect(client.validateApiKey('')).toBe(true);
+            expect(client.getEndpoint('/chat/completions')).toBe('http://localhost:1234/v1/chat/completions');
+            expect(client.getAuthHeaders()).toEqual({});
+        });
+
+        test('should reject base URLs that are not http(s)', () => {
+            expect(() => client.configure({ baseUrl: 'localhost:11434' })).toThrow('must use http or https');
+            expect(() => client.configure({ baseUrl: 'not a url' })).toThrow('must be a URL');
+        });
+    });
+
+    describe('Model discovery', () => {
+        test('should list models from /v1/models without auth', async () => {
+            client.configure({ baseUrl });
+
+            await expect(client.listModels()).resolves.toEqual(['llama3.1:8b', 'qwen2.5:7b']);
+            expect(requests[0].url).toBe('/v1/models');
+            expect(requests[0].headers.authorization).toBeUndefined();
+        });
+
+        test('should send a bearer key when one is configured', async () => {
+            client.configure({ baseUrl, apiKey: 'lm-studio' });
+
+            await client.listModels();
+
+            expect(requests[0].headers.authorization).toBe('Bearer lm-studio');
+        });
+
+        test('should fail initialize when the chosen model is not served', async () => {
+            await expect(client.initialize({ baseUrl, model: 'mistral:7b' }))
+                .rejects.toThrow('model "mistral:7b" is not served (available: llama3.1:8b, qwen2.5:7b)');
+        });
+    });
+
+    describe('Summaries', () => {
+        test('should default to the first served model and a small output budget', async () => {
+            client.configure({ baseUrl });
+
+            const result = await client.generateSummary(transcript, { language: 'en' });
+
+            const completion = requests.find(request => request.url === '/v1/chat/completions');
+            expect(completion.body.model).toBe('llama3.1:8b');
+            expect(completion.body.max_tokens).toBe(1024);
+            expect(completion.body.messages[1].content).toContain('We agree on the roadmap.');
+            expect(result.summary).toContain('Roadmap agreed.');
+        });
+
+        test('should use the configured model', async () => {
+            client.configure({ baseUrl, model: 'qwen2.5:7b' });
+
+            await client.generateSummary(transcript, { language: 'en' });
+
+            expect(requests.map(request => request.url)).toEqual(['/v1/chat/completions']);
+            expect(requests[0].body.model).toBe('qwen2.5:7b');
+        });
+
+        test('should explain a rejected extension origin', async () => {
+            respond = () => ({ status: 403, json: {} });
+            client.configure({ baseUrl, model: 'llama3.1:8b' });
+
+            await expect(client.callWithRetry('llama3.1:8b', [{ role: 'user', content: 'Hi' }], {}))
+                .rejects.toThrow('OLLAMA_ORIGINS');
+            expect(requests).toHaveLength(1);
+        });
+    });
+
+    describe('Context limits', () => {
+        test('should chunk against the small local context window', async () => {
+            const longTranscript = { ...transcript, content: 'word '.repeat(5000) };
+            client.configure({ baseUrl, model: 'llama3.1:8b' });
+
+            expect(chunkingStrategy.getContextLimit('local', 'llama3.1:8b')).toBe(3500);
+            expect(chunkingStrategy.getOptimalChunkSize('local', 'llama3.1:8b')).toBeLessThan(3500);
+            await expect(client.checkTokenLimits(transcript, 'llama3.1:8b')).resolves.toBe(false);
+            await expect(client.checkTokenLimits(longTranscript, 'llama3.1:8b')).resolves.toBe(true);
+        });
+    });
+});
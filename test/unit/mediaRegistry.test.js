@@ -0,0 +1,151 @@
+/**
+ * Unit tests for MediaRegistry
+ * Tests per-tab recording of SharePoint transcripts API requests
+ */
+
+const { MediaRegistry, MEDIA_REGISTRY_STORAGE_KEY } = require('../../src/utils/mediaRegistry.js');
+
+/**
+ * In-memory stand-in for a chrome.storage area
+ */
+function createStorageArea(initial = {}) {
+    const data = { ...initial };
+    return {
+        data,
+        get: jest.fn(async (keys) => {
+            const result = {};
+            keys.forEach(key => {
+                if (key in data) result[key] = data[key];
+            });
+            return result;
+        }),
+        set: jest.fn(async (items) => {
+            Object.assign(data, JSON.parse(JSON.stringify(items)));
+        })
+    };
+}
+
+const SITE = 'https://contoso-my.sharepoint.com/personal/jane_contoso_com';
+const LIST_URL = `${SITE}/_api/v2.1/drives/b!AbC123/items/01XYZ/media/transcripts?$top=10`;
+const CONTENT_URL = `${SITE}/_api/v2.1/drives/b!AbC123/items/01XYZ/media/transcripts/5f1e9c2a-1111-2222-3333-444455556666/streamContent?format=json`;
+
+describe('MediaRegistry', () => {
+    let storage;
+    let registry;
+
+    beforeEach(() => {
+        storage = createStorageArea();
+        registry = new MediaRegistry(storage);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('parseMediaUrl', () => {
+        test('should parse a transcript list URL', () => {
+            expect(registry.parseMediaUrl(LIST_URL)).toEqual({
+                siteUrl: SITE,
+                driveId: 'b!AbC123',
+                itemId: '01XYZ',
+                transcriptId: null,
+                transcriptsUrl: `${SITE}/_api/v2.1/drives/b!AbC123/items/01XYZ/media/transcripts`
+            });
+        });
+
+        test('should parse a transcript content URL', () => {
+            const media = registry.parseMediaUrl(CONTENT_URL);
+
+            expect(media.transcriptId).toBe('5f1e9c2a-1111-2222-3333-444455556666');
+        });
+
+        test('should decode percent-encoded drive IDs', () => {
+            const media = registry.parseMediaUrl(
+                'https://contoso.sharepoint.com/sites/Team/_api/v2.1/drives/b%21AbC/items/01XYZ/media/transcripts'
+            );
+
+            expect(media.siteUrl).toBe('https://contoso.sharepoint.com/sites/Team');
+            expect(media.driveId).toBe('b!AbC');
+        });
+
+        test('should ignore unrelated URLs', () => {
+            expect(registry.parseMediaUrl(`${SITE}/_api/v2.1/drives/b!AbC123/items/01XYZ/thumbnails`)).toBeNull();
+            expect(registry.parseMediaUrl(undefined)).toBeNull();
+        });
+    });
+
+    describe('recordRequest', () => {
+        test('should record media per tab and persist it', async () => {
+            await registry.recordRequest(7, LIST_URL, 'xmlhttprequest');
+
+            const media = await registry.getMedia(7);
+            expect(media).toMatchObject({ driveId: 'b!AbC123', itemId: '01XYZ', transcriptId: null });
+            expect(await registry.getMedia(8)).toBeNull();
+            expect(storage.data[MEDIA_REGISTRY_STORAGE_KEY]['7']).toHaveLength(1);
+        });
+
+        test('should keep a known transcript ID when the list is requested again', async () => {
+            await registry.recordRequest(7, CONTENT_URL, 'xmlhttprequest');
+            await registry.recordRequest(7, LIST_URL, 'xmlhttprequest');
+
+            const all = await registry.getAllMedia(7);
+            expect(all).toHaveLength(1);
+            expect(all[0].transcriptId).toBe('5f1e9c2a-1111-2222-3333-444455556666');
+        });
+
+        test('should put the most recent recording first', async () => {
+            await registry.recordRequest(7, LIST_URL, 'xmlhttprequest');
+            await registry.recordRequest(
+                7,
+                `${SITE}/_api/v2.1/drives/b!AbC123/items/02OTHER/media/transcripts`,
+                'fetch'
+            );
+
+            expect((await registry.getMedia(7)).itemId).toBe('02OTHER');
+            expect(await registry.getAllMedia(7)).toHaveLength(2);
+        });
+
+        test('should ignore requests not tied to a tab', async () => {
+            expect(await registry.recordRequest(-1, LIST_URL, 'xmlhttprequest')).toBeNull();
+            expect(storage.set).not.toHaveBeenCalled();
+        });
+
+        test('should forget a tab on main frame navigation', async () => {
+            await registry.recordRequest(7, LIST_URL, 'xmlhttprequest');
+            await registry.recordRequest(7, `${SITE}/_layouts/15/stream.aspx?id=abc`, 'main_frame');
+
+            expect(await registry.getMedia(7)).toBeNull();
+        });
+    });
+
+    describe('clearTab', () => {
+        test('should remove a closed tab', async () => {
+            await registry.recordRequest(7, LIST_URL, 'xmlhttprequest');
+            await registry.clearTab(7);
+
+            expect(await registry.getMedia(7)).toBeNull();
+            expect(storage.data[MEDIA_REGISTRY_STORAGE_KEY]['7']).toBeUndefined();
+        });
+    });
+
+    describe('load', () => {
+        test('should restore entries persisted by a previous service worker', async () => {
+            const persisted = createStorageArea({
+                [MEDIA_REGISTRY_STORAGE_KEY]: { 3: [{ driveId: 'b!D', itemId: 'I', transcriptId: 'T' }] }
+            });
+            const restored = new MediaRegistry(persisted);
+
+            expect(await restored.getMedia(3)).toEqual({ driveId: 'b!D', itemId: 'I', transcriptId: 'T' });
+            await restored.getMedia(3);
+            expect(persisted.get).toHaveBeenCalledTimes(1);
+        });
+
+        test('should work without a storage area', async () => {
+            const memoryOnly = new MediaRegistry(null);
+
+            await memoryOnly.recordRequest(1, LIST_URL, 'xmlhttprequest');
+            expect((await memoryOnly.getMedia(1)).itemId).toBe('01XYZ');
+        });
+    });
+});
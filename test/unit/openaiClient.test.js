@@ -296,6 +296,20 @@ describe('OpenAIClient', () => {
             
             expect(endTime - startTime).toBeGreaterThanOrEqual(900); // Allow some tolerance
         });
+
+        test('should track rate-limit headers from responses', async () => {
+            const values = { 'x-ratelimit-remaining-requests': '0', 'x-ratelimit-reset-requests': '1s' };
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                headers: { get: (header) => values[header] || null },
+                json: () => Promise.resolve({ choices: [{ message: { content: 'ok' } }] })
+            });
+
+            await client.makeApiCall('gpt-4.1', [{ role: 'user', content: 'Test' }], {});
+
+            expect(client.rateLimits.requests.remaining).toBe(0);
+            expect(client.rateLimits.getWaitTime()).toBeGreaterThan(900);
+        });
     });
 
     describe('Model Selection', () => {
@@ -308,6 +322,175 @@ describe('OpenAIClient', () => {
             expect(client.checkTokenLimits(longText, 'gpt-3.5-turbo')).resolves.toBe(true);
         });
     });
+
+    describe('Provider Interface', () => {
+        beforeEach(() => {
+            client.configure({ apiKey: validApiKey });
+        });
+
+        test('should complete messages with the default model', async () => {
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                json: () => Promise.resolve({
+                    choices: [{ message: { content: 'Summary text' } }],
+                    model: 'gpt-4.1',
+                    usage: { total_tokens: 12 }
+                })
+            });
+
+            const result = await client.complete(client.buildMessages('Summarize', 'Transcript'), { maxTokens: 4096 });
+
+            const body = JSON.parse(fetch.mock.calls[0][1].body);
+            expect(body.model).toBe('gpt-4.1');
+            expect(body.max_tokens).toBe(4096);
+            expect(body.messages.map(message => message.role)).toEqual(['system', 'user']);
+            expect(result).toEqual(expect.objectContaining({ text: 'Summary text', model: 'gpt-4.1', usage: { total_tokens: 12 } }));
+        });
+
+        test('should reject empty completions', async () => {
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                json: () => Promise.resolve({ choices: [{ message: { content: '' } }] })
+            });
+
+            await expect(client.complete([{ role: 'user', content: 'Hi' }])).rejects.toThrow('OpenAI returned empty response');
+        });
+
+        test('should stream the whole completion as one delta without streaming support', async () => {
+            jest.spyOn(client, 'capabilities').mockReturnValue({ streaming: false, modelDiscovery: true, requiresApiKey: true });
+            fetch.mockResolvedValueOnce({
+                ok: true,
+                json: () => Promise.resolve({ choices: [{ message: { content: 'Summary text' } }] })
+            });
+            const deltas = [];
+
+            const result = await client.stream([{ role: 'user', content: 'Hi' }], {}, delta => deltas.push(delta));
+
+            expect(deltas).toEqual(['Summary text']);
+            expect(result).toEqual(expect.objectContaining({ text: 'Summary text', stopped: false }));
+        });
+    });
+
+    describe('Cancellation', () => {
+        beforeEach(() => {
+            client.configure({ apiKey: validApiKey });
+        });
+
+        test('should abort an in-flight request without calling it a timeout', async () => {
+            const controller = new AbortController();
+            const sent = new Promise(resolve => fetch.mockImplementationOnce((url, request) => {
+                resolve();
+                return new Promise((_, reject) => {
+                    request.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+                });
+            }));
+
+            const pending = client.complete([{ role: 'user', content: 'Hi' }], { signal: controller.signal });
+            await sent;
+            controller.abort();
+
+            await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+            expect(fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('should end the retry wait and send nothing more once cancelled', async () => {
+            const controller = new AbortController();
+            const sleep = jest.spyOn(client, 'sleep');
+            const waiting = new Promise(resolve => sleep.mockImplementationOnce((ms, signal) => {
+                resolve();
+                return new Promise((_, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+            }));
+            fetch.mockRejectedValueOnce(new Error('fetch failed'));
+
+            const pending = client.callWithRetry('gpt-4.1', [{ role: 'user', content: 'Hi' }], {}, controller.signal);
+            await waiting;
+            controller.abort();
+
+            await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+            expect(sleep).toHaveBeenCalledWith(2000, controller.signal);
+            expect(fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('should cut a wait short when its signal aborts', async () => {
+            const controller = new AbortController();
+            const wait = client.sleep(60000, controller.signal);
+            controller.abort();
+
+            await expect(wait).rejects.toMatchObject({ name: 'AbortError' });
+        });
+    });
+
+    describe('Streaming', () => {
+        const encoder = new TextEncoder();
+
+        // Response whose body delivers the given pieces; abort errors the body like fetch does
+        const sseResponse = (pieces, request, keepOpen = false) => new Response(new ReadableStream({
+            start(controller) {
+                pieces.forEach(piece => controller.enqueue(encoder.encode(piece)));
+                request.signal.addEventListener('abort', () => controller.error(new DOMException('Aborted', 'AbortError')));
+                if (!keepOpen) {
+                    controller.close();
+                }
+            }
+        }), { status: 200, headers: { 'content-type': 'text/event-stream' } });
+
+        beforeEach(() => {
+            client.configure({ apiKey: validApiKey });
+        });
+
+        test('should pass deltas on as chunks arrive, including events split across reads', async () => {
+            fetch.mockImplementationOnce((url, request) => Promise.resolve(sseResponse([
+                'data: {"model":"gpt-4.1","choices":[{"delta":{"role":"assistant","content":""}}]}\n\n',
+                'data: {"model":"gpt-4.1","choices":[{"delta":{"content":"## Sum"}}]}\n\ndata: {"model":"gpt-4.1","cho',
+                'ices":[{"delta":{"content":"mary"}}]}\n',
+                '\n: keep-alive\n\ndata: [DONE]\n\n'
+            ], request)));
+            const deltas = [];
+
+            const result = await client.stream(client.buildMessages('Summarize', 'Transcript'), { maxTokens: 4096 }, delta => deltas.push(delta));
+
+            const body = JSON.parse(fetch.mock.calls[0][1].body);
+            expect(body.stream).toBe(true);
+            expect(fetch.mock.calls[0][1].headers['Accept']).toBe('text/event-stream');
+            expect(client.capabilities().streaming).toBe(true);
+            expect(deltas).toEqual(['## Sum', 'mary']);
+            expect(result).toEqual({ text: '## Summary', model: 'gpt-4.1', usage: undefined, stopped: false });
+        });
+
+        test('should keep the partial text when stopped mid-stream', async () => {
+            fetch.mockImplementationOnce((url, request) => Promise.resolve(sseResponse([
+                'data: {"choices":[{"delta":{"content":"Partial"}}]}\n\n'
+            ], request, true)));
+            const controller = new AbortController();
+
+            const result = await client.stream([{ role: 'user', content: 'Hi' }], { signal: controller.signal }, () => controller.abort());
+
+            expect(result).toEqual(expect.objectContaining({ text: 'Partial', stopped: true }));
+            expect(fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('should not retry a stream that failed after sending text', async () => {
+            let reads = 0;
+            fetch.mockImplementationOnce(() => Promise.resolve(new Response(new ReadableStream({
+                pull(controller) {
+                    if (reads++ === 0) {
+                        controller.enqueue(encoder.encode('data: {"choices":[{"delta":{"content":"Half"}}]}\n\n'));
+                    } else {
+                        controller.error(new Error('socket hang up'));
+                    }
+                }
+            }), { status: 200 })));
+
+            await expect(client.stream([{ role: 'user', content: 'Hi' }])).rejects.toThrow('socket hang up');
+            expect(fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('should report stream error events', () => {
+            expect(() => client.parseStreamEvent('message', '{"error":{"message":"content filtered"}}'))
+                .toThrow('OpenAI stream error: content filtered');
+            expect(client.parseStreamEvent('message', '{"choices":[],"prompt_filter_results":[]}')).toEqual(expect.objectContaining({ text: '' }));
+        });
+    });
 });
 
 describe('Integration with Storage and Formatter', () => {
@@ -0,0 +1,147 @@
+/**
+ * Unit Tests for Provider Registry
+ * Tests provider adapters, client creation from settings and the limits chunking reads
+ */
+
+const { ProviderRegistry, providerRegistry } = require('../../src/api/providerRegistry');
+const { OpenAIClient } = require('../../src/api/openaiClient');
+const { AnthropicClient } = require('../../src/api/anthropicClient');
+const { AzureOpenAIClient } = require('../../src/api/azureOpenaiClient');
+const { LocalOpenAIClient } = require('../../src/api/localOpenaiClient');
+const { chunkingStrategy } = require('../../src/utils/chunkingStrategy.js');
+
+// Mock console to avoid noise in tests
+console.log = jest.fn();
+console.error = jest.fn();
+
+describe('ProviderRegistry', () => {
+    describe('Built-in providers', () => {
+        test('should list the shipped providers in picker order', () => {
+            expect(providerRegistry.list().map(adapter => adapter.id)).toEqual(['openai', 'anthropic', 'azure', 'local']);
+            expect(providerRegistry.get('local').requiresApiKey).toBe(false);
+            expect(providerRegistry.get('azure').fields.map(field => field.key)).toEqual(['endpoint', 'deployment', 'apiVersion']);
+        });
+
+        test('should create the matching client for each provider', () => {
+            expect(providerRegistry.createClient('openai')).toBeInstanceOf(OpenAIClient);
+            expect(providerRegistry.createClient('anthropic')).toBeInstanceOf(AnthropicClient);
+            expect(providerRegistry.createClient('azure')).toBeInstanceOf(AzureOpenAIClient);
+            expect(providerRegistry.createClient('local')).toBeInstanceOf(LocalOpenAIClient);
+            expect(() => providerRegistry.createClient('gemini')).toThrow('Unsupported AI provider: gemini');
+        });
+
+        test('should give every client the common provider interface', () => {
+            const methods = ['initialize', 'testConnection', 'listModels', 'complete', 'stream', 'capabilities'];
+
+            providerRegistry.list().forEach(adapter => {
+                const client = providerRegistry.createClient(adapter.id);
+                methods.forEach(method => expect(typeof client[method]).toBe('function'));
+                expect(client.providerId).toBe(adapter.id);
+                expect(client.capabilities().requiresApiKey).toBe(adapter.requiresApiKey);
+            });
+        });
+
+        test('should configure clients from extension settings', async () => {
+            const openai = providerRegistry.createConfiguredClient({ provider: 'openai', apiKey: 'sk-test1234567890abcdef1234' });
+            expect(openai.apiKey).toBe('sk-test1234567890abcdef1234');
+            await expect(openai.resolveModel()).resolves.toBe('gpt-4.1');
+
+            const azure = providerRegistry.createConfiguredClient({
+                provider: 'azure',
+                apiKey: '0123456789abcdef0123456789abcdef',
+                azure: { endpoint: 'https://my-resource.openai.azure.com', deployment: 'summaries', apiVersion: '2024-10-21' }
+            });
+            expect(azure.getEndpoint('/chat/completions')).toContain('/openai/deployments/summaries/');
+
+            const local = providerRegistry.createConfiguredClient({ provider: 'local', apiKey: '', local: { baseUrl: 'http://localhost:1234/v1', model: 'qwen2.5:7b' } });
+            expect(local.apiKey).toBeNull();
+            await expect(local.resolveModel()).resolves.toBe('qwen2.5:7b');
+
+            expect(() => providerRegistry.createConfiguredClient({ provider: 'anthropic', apiKey: '' }))
+                .toThrow('Anthropic API key is required');
+        });
+
+        test('should report the summary model chunking is sized for', () => {
+            expect(providerRegistry.getSummaryModel({ provider: 'openai' })).toBe('gpt-4.1');
+            expect(providerRegistry.getSummaryModel({ provider: 'azure', azure: { deployment: 'summaries' } })).toBe('summaries');
+            expect(providerRegistry.getSummaryModel({ provider: 'local' })).toBeNull();
+        });
+
+        test('should size Claude summaries for the model its label names', () => {
+            const anthropic = providerRegistry.get('anthropic');
+            const model = providerRegistry.getSummaryModel({ provider: 'anthropic' });
+
+            expect(anthropic.label).toBe('Claude Sonnet 4');
+            expect(model).toBe('claude-sonnet-4-20250514');
+            expect(anthropic.limits[model]).toBe(180000);
+            expect(providerRegistry.createClient('anthropic').defaultModel).toBe(model);
+        });
+
+        test('should pick chunk concurrency from settings, else the provider default', () => {
+            expect(providerRegistry.getConcurrency({ provider: 'openai' })).toBe(3);
+            expect(providerRegistry.getConcurrency({ provider: 'local' })).toBe(1);
+            expect(providerRegistry.getConcurrency({ provider: 'local', chunkConcurrency: 4 })).toBe(4);
+            expect(providerRegistry.getConcurrency({ provider: 'anthropic', chunkConcurrency: 0 })).toBe(2);
+        });
+    });
+
+    describe('Registering providers', () => {
+        class EchoClient extends OpenAIClient {
+            constructor() {
+                super();
+                this.providerId = 'echo';
+                this.displayName = 'Echo';
+            }
+
+            requiresApiKey() {
+                return false;
+            }
+        }
+
+        const echoAdapter = {
+            id: 'echo',
+            label: 'Echo',
+            loadClient: () => EchoClient,
+            requiresApiKey: false,
+            summaryModel: () => 'echo-1',
+            limits: { 'echo-1': 64000, 'default': 8000 }
+        };
+
+        test('should reject incomplete and duplicate adapters', () => {
+            const registry = new ProviderRegistry();
+            registry.register(echoAdapter);
+
+            expect(() => registry.register({ id: 'nameless', loadClient: () => EchoClient })).toThrow('needs an id, a label and loadClient');
+            expect(() => registry.register(echoAdapter)).toThrow('already registered: echo');
+        });
+
+        test('should fill adapter defaults', () => {
+            const registry = new ProviderRegistry().register({ id: 'bare', label: 'Bare', loadClient: () => EchoClient });
+
+            expect(registry.get('bare')).toEqual(expect.objectContaining({
+                requiresApiKey: true,
+                fields: [],
+                limits: {},
+                hostField: null
+            }));
+            expect(registry.getSummaryModel({ provider: 'bare' })).toBeNull();
+        });
+
+        test('should size chunks with a registered provider\'s limits', () => {
+            providerRegistry.register(echoAdapter);
+
+            try {
+                expect(providerRegistry.list().map(adapter => adapter.id)).toContain('echo');
+                expect(chunkingStrategy.getContextLimit('echo', 'echo-1')).toBe(64000);
+                expect(chunkingStrategy.getContextLimit('echo', 'echo-2')).toBe(8000);
+                expect(providerRegistry.createConfiguredClient({ provider: 'echo' })).toBeInstanceOf(EchoClient);
+            } finally {
+                providerRegistry.adapters.delete('echo');
+            }
+        });
+
+        test('should fall back to the OpenAI gpt-4 limit for unknown providers', () => {
+            expect(chunkingStrategy.getContextLimit('unknown', 'model')).toBe(120000);
+        });
+    });
+});
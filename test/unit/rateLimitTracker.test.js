@@ -0,0 +1,97 @@
+/**
+ * Unit tests for RateLimitTracker
+ * Tests provider header parsing, waiting for capacity and reservations
+ */
+
+const { RateLimitTracker } = require('../../src/utils/rateLimitTracker.js');
+
+const headers = values => ({ get: name => (name in values ? values[name] : null) });
+
+describe('RateLimitTracker', () => {
+    const now = Date.parse('2025-01-01T00:00:00Z');
+    let tracker;
+
+    beforeEach(() => {
+        tracker = new RateLimitTracker();
+    });
+
+    describe('parseReset', () => {
+        test('should parse OpenAI durations, seconds and timestamps', () => {
+            expect(tracker.parseReset('20ms', now)).toBe(now + 20);
+            expect(tracker.parseReset('1s', now)).toBe(now + 1000);
+            expect(tracker.parseReset('6m0s', now)).toBe(now + 360000);
+            expect(tracker.parseReset('1h2m3.5s', now)).toBe(now + 3723500);
+            expect(tracker.parseReset('30', now)).toBe(now + 30000);
+            expect(tracker.parseReset('2025-01-01T00:00:12Z', now)).toBe(now + 12000);
+            expect(tracker.parseReset(null, now)).toBe(0);
+            expect(tracker.parseReset('soon', now)).toBe(0);
+        });
+    });
+
+    describe('update', () => {
+        test('should read OpenAI headers', () => {
+            tracker.update(headers({
+                'x-ratelimit-remaining-requests': '0',
+                'x-ratelimit-reset-requests': '2s',
+                'x-ratelimit-remaining-tokens': '5000',
+                'x-ratelimit-reset-tokens': '500ms'
+            }), now);
+
+            expect(tracker.requests).toEqual({ remaining: 0, resetAt: now + 2000 });
+            expect(tracker.tokens).toEqual({ remaining: 5000, resetAt: now + 500 });
+            expect(tracker.getWaitTime(100, now)).toBe(2000);
+        });
+
+        test('should read Anthropic headers, preferring the input token limit', () => {
+            tracker.update(headers({
+                'anthropic-ratelimit-requests-remaining': '10',
+                'anthropic-ratelimit-requests-reset': '2025-01-01T00:01:00Z',
+                'anthropic-ratelimit-input-tokens-remaining': '1000',
+                'anthropic-ratelimit-input-tokens-reset': '2025-01-01T00:00:30Z',
+                'anthropic-ratelimit-tokens-remaining': '9000'
+            }), now);
+
+            expect(tracker.tokens).toEqual({ remaining: 1000, resetAt: now + 30000 });
+            expect(tracker.getWaitTime(500, now)).toBe(0);
+            expect(tracker.getWaitTime(2000, now)).toBe(30000);
+        });
+
+        test('should block on retry-after', () => {
+            tracker.update(headers({ 'retry-after': '3' }), now);
+            expect(tracker.getWaitTime(0, now)).toBe(3000);
+            expect(tracker.getWaitTime(0, now + 3000)).toBe(0);
+        });
+
+        test('should ignore missing headers', () => {
+            tracker.update(undefined, now);
+            tracker.update(headers({}), now);
+            expect(tracker.getWaitTime(1000000, now)).toBe(0);
+        });
+    });
+
+    describe('acquire', () => {
+        test('should reserve capacity so concurrent requests wait', async () => {
+            tracker.update(headers({
+                'x-ratelimit-remaining-requests': '2',
+                'x-ratelimit-reset-requests': '1m0s',
+                'x-ratelimit-remaining-tokens': '100000',
+                'x-ratelimit-reset-tokens': '1m0s'
+            }));
+            const sleep = jest.fn(() => {
+                // Simulate the window resetting while asleep
+                tracker.requests.resetAt = Date.now() - 1;
+                return Promise.resolve();
+            });
+
+            await expect(tracker.acquire(100, sleep)).resolves.toBe(0);
+            await expect(tracker.acquire(100, sleep)).resolves.toBe(0);
+            expect(tracker.requests.remaining).toBe(0);
+            expect(tracker.tokens.remaining).toBe(99800);
+
+            const waited = await tracker.acquire(100, sleep);
+            expect(sleep).toHaveBeenCalledTimes(1);
+            expect(waited).toBeGreaterThan(59000);
+            expect(tracker.requests.remaining).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit tests for SpeakerMapper
+ * Tests renaming and merging speakers, alias suggestions and tenant keys
+ */
+
+const { SpeakerMapper, DEFAULT_TENANT } = require('../../src/utils/speakerMapper.js');
+const { transcriptNormalizer } = require('../../src/utils/transcriptNormalizer.js');
+
+const TRANSCRIPT = {
+    meetingInfo: { title: 'Planning', siteUrl: 'https://contoso.sharepoint.com/sites/team' },
+    entries: [
+        { id: 'e1', text: 'Morning all', speakerDisplayName: 'Chen, Wei (Contractor)', speakerId: 'aad-wei', startOffset: '00:00:01.0000000', endOffset: '00:00:02.0000000' },
+        { id: 'e2', text: 'Hi', speakerDisplayName: 'Unknown Speaker', speakerId: '', startOffset: '00:00:03.0000000', endOffset: '00:00:04.0000000' },
+        { id: 'e3', text: 'Joining from my phone', speakerDisplayName: 'Wei Chen (Guest)', speakerId: 'guest-7', startOffset: '00:00:05.0000000', endOffset: '00:00:06.0000000' },
+        { id: 'e4', text: 'Let us start', speakerDisplayName: 'Chen, Wei (Contractor)', speakerId: 'aad-wei', startOffset: '00:00:07.0000000', endOffset: '00:00:08.0000000' }
+    ]
+};
+
+describe('SpeakerMapper', () => {
+    let mapper;
+
+    beforeEach(() => {
+        mapper = new SpeakerMapper();
+    });
+
+    describe('listSpeakers', () => {
+        test('should list speakers by ID, or by name without an ID', () => {
+            const speakers = mapper.listSpeakers(TRANSCRIPT, { 'id:aad-wei': ' Wei ' });
+
+            expect(speakers).toEqual([
+                { key: 'id:aad-wei', speakerId: 'aad-wei', name: 'Chen, Wei (Contractor)', alias: 'Wei', suggestion: 'Wei Chen', entryCount: 2 },
+                { key: 'name:Unknown Speaker', speakerId: null, name: 'Unknown Speaker', alias: '', suggestion: '', entryCount: 1 },
+                { key: 'id:guest-7', speakerId: 'guest-7', name: 'Wei Chen (Guest)', alias: '', suggestion: 'Wei Chen', entryCount: 1 }
+            ]);
+        });
+    });
+
+    describe('applyMapping', () => {
+        test('should rename and merge speakers before AI formatting', () => {
+            const mapped = mapper.applyMapping(TRANSCRIPT, {
+                'id:aad-wei': 'Wei',
+                'id:guest-7': 'Wei',
+                'name:Unknown Speaker': 'Mei'
+            });
+
+            expect(mapped.entries.map(entry => entry.speaker)).toEqual(['Wei', 'Mei', 'Wei', 'Wei']);
+            expect(mapped.entries[2].speakerId).toBe('guest-7');
+            expect(mapped.metadata.participants).toEqual(['Wei', 'Mei']);
+            expect(transcriptNormalizer.formatForAI(mapped).content).toBe(
+                '[00:00:01] Wei: Morning all\n[00:00:03] Mei: Hi\n[00:00:05] Wei: Joining from my phone Let us start'
+            );
+        });
+
+        test('should ignore blank aliases and unknown keys', () => {
+            const mapped = mapper.applyMapping(TRANSCRIPT, { 'id:aad-wei': '  ', 'id:someone-else': 'Ann' });
+
+            expect(mapped.entries.map(entry => entry.speaker)).toEqual([
+                'Chen, Wei (Contractor)', 'Unknown Speaker', 'Wei Chen (Guest)', 'Chen, Wei (Contractor)'
+            ]);
+        });
+
+        test('should return the normalized transcript without a mapping', () => {
+            expect(mapper.applyMapping(TRANSCRIPT)).toEqual(
+                expect.objectContaining({ entries: transcriptNormalizer.normalize(TRANSCRIPT).entries })
+            );
+        });
+    });
+
+    describe('getPersistableMapping', () => {
+        test('should drop blank aliases and the per-meeting unknown speaker', () => {
+            expect(mapper.getPersistableMapping({
+                'id:aad-wei': 'Wei ',
+                'id:guest-7': '',
+                'name:Unknown Speaker': 'Mei',
+                'name:Room 4': 'Ops team'
+            })).toEqual({ 'id:aad-wei': 'Wei', 'name:Room 4': 'Ops team' });
+        });
+    });
+
+    describe('suggestAlias', () => {
+        test('should turn AAD and guest names into everyday names', () => {
+            expect(mapper.suggestAlias('Chen, Wei (Contractor)')).toBe('Wei Chen');
+            expect(mapper.suggestAlias('Ann Lee [External]')).toBe('Ann Lee');
+            expect(mapper.suggestAlias('Ann Lee')).toBe('');
+            expect(mapper.suggestAlias('Unknown Speaker')).toBe('');
+        });
+    });
+
+    describe('getTenantKey', () => {
+        test('should derive the tenant from SharePoint URLs', () => {
+            expect(mapper.getTenantKey({ siteUrl: 'https://Contoso.sharepoint.com/sites/team' })).toBe('contoso');
+            expect(mapper.getTenantKey({ siteUrl: null, url: 'https://contoso-my.sharepoint.com/personal/wei/stream.aspx' })).toBe('contoso');
+        });
+
+        test('should read the tenant ID from Teams join links', () => {
+            const joinWebUrl = 'https://teams.microsoft.com/l/meetup-join/19%3ameeting_abc%40thread.v2/0?context=%7b%22Tid%22%3a%2272F988BF-86F1-41AF-91AB-2D7CD011DB47%22%7d';
+
+            expect(mapper.getTenantKey({ joinWebUrl })).toBe('72f988bf-86f1-41af-91ab-2d7cd011db47');
+        });
+
+        test('should fall back to the default tenant', () => {
+            expect(mapper.getTenantKey({ url: 'not a url' })).toBe(DEFAULT_TENANT);
+            expect(mapper.getTenantKey(null)).toBe(DEFAULT_TENANT);
+        });
+    });
+});
@@ -309,6 +309,28 @@ describe('StorageManager', () => {
         });
     });
     
+    describe('Speaker Mapping Management', () => {
+        beforeEach(async () => {
+            await storageManager.initialize();
+        });
+        
+        test('should keep speaker mappings per tenant', async () => {
+            await storageManager.saveSpeakerMappings('contoso', { 'id:aad-wei': 'Wei' });
+            await storageManager.saveSpeakerMappings('fabrikam', { 'id:aad-ann': 'Ann' });
+            
+            expect(await storageManager.loadSpeakerMappings('contoso')).toEqual({ 'id:aad-wei': 'Wei' });
+            expect(await storageManager.loadSpeakerMappings('fabrikam')).toEqual({ 'id:aad-ann': 'Ann' });
+            expect(await storageManager.loadSpeakerMappings('other')).toEqual({});
+        });
+        
+        test('should remove a tenant when its mapping is emptied', async () => {
+            await storageManager.saveSpeakerMappings('contoso', { 'id:aad-wei': 'Wei' });
+            await storageManager.saveSpeakerMappings('contoso', {});
+            
+            expect(global.chrome.storage.local.set).toHaveBeenLastCalledWith({ speaker_mappings: {} });
+        });
+    });
+    
     describe('Data Export/Import', () => {
         beforeEach(async () => {
             await storageManager.initialize();
@@ -56,6 +56,18 @@ describe('StreamApiClient', () => {
             );
         });
 
+        test('should not repeat a personal path already in the site URL', () => {
+            const url = client.buildApiUrl(
+                'https://test.sharepoint.com/personal/user_test',
+                'driveId123',
+                'itemId456'
+            );
+
+            expect(url).toBe(
+                'https://test.sharepoint.com/personal/user_test/_api/v2.1/drives/driveId123/items/itemId456/media/transcripts'
+            );
+        });
+
         test('should build URL without transcript ID', () => {
             const url = client.buildApiUrl(
                 'https://tenant.sharepoint.com/',
@@ -116,6 +128,24 @@ describe('StreamApiClient', () => {
             
             expect(headers['Authorization']).toBe('Bearer v1.scripttokentest');
         });
+
+        test('should fall back to the session token captured by the background', async () => {
+            global.window.location.href = 'https://teams.microsoft.com/v2/';
+            global.document = { querySelectorAll: jest.fn().mockReturnValue([]), getElementById: jest.fn() };
+            global.localStorage = { getItem: jest.fn().mockReturnValue(null) };
+            global.sessionStorage = { getItem: jest.fn().mockReturnValue(null) };
+            global.chrome.runtime.sendMessage.mockResolvedValueOnce({
+                sessionData: { authToken: 'Bearer eyJ.session.token' }
+            });
+
+            const headers = await client.getAuthHeaders();
+
+            expect(global.chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'getSessionData' });
+            expect(headers['Authorization']).toBe('Bearer eyJ.session.token');
+
+            delete global.localStorage;
+            delete global.sessionStorage;
+        });
     });
 
     describe('shouldNotRetry', () => {
@@ -247,6 +277,52 @@ describe('StreamApiClient', () => {
         });
     });
 
+    describe('createSimpleTranscript', () => {
+        const meetingInfo = { title: 'Captions', url: 'https://test.sharepoint.com/stream.aspx' };
+
+        test('should map voice spans, cue ids and offsets from WebVTT', () => {
+            const vtt = [
+                'WEBVTT',
+                '',
+                'NOTE exported by Teams',
+                '',
+                'cue-a',
+                '00:00:01.500 --> 00:00:03.000',
+                '<v Jane Doe>First line</v>',
+                '<v Jane Doe>second line</v>',
+                '',
+                'cue-b',
+                '01:02.000 --> 01:05.250',
+                '<v John Smith>Reply</v>'
+            ].join('\n');
+
+            const result = client.createSimpleTranscript(vtt, meetingInfo);
+
+            expect(result.metadata.type).toBe('WebVTT');
+            expect(result.metadata.participants).toEqual(['Jane Doe', 'John Smith']);
+            expect(result.metadata.duration).toBe('00:01:03');
+            expect(result.entries[0]).toMatchObject({
+                id: 'cue-a',
+                text: 'First line second line',
+                speaker: 'Jane Doe',
+                startTime: '00:00:01.5000000',
+                endTime: '00:00:03.0000000'
+            });
+            expect(result.entries[1].startTime).toBe('00:01:02.0000000');
+        });
+
+        test('should keep "Name: text" speakers for captions without voice spans', () => {
+            const result = client.createSimpleTranscript(
+                'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nAnn: Hello there',
+                meetingInfo
+            );
+
+            expect(result.entries[0].speaker).toBe('Ann');
+            expect(result.entries[0].text).toBe('Hello there');
+            expect(result.entries[0].id).toBe(1);
+        });
+    });
+
     describe('calculateTranscriptDuration', () => {
         test('should calculate duration from entries', () => {
             const entries = [
@@ -255,7 +331,17 @@ describe('StreamApiClient', () => {
             ];
 
             const duration = client.calculateTranscriptDuration(entries);
-            expect(duration).toBe('00:01:30');
+            expect(duration).toBe('00:01:25');
+        });
+
+        test('should measure unsorted entries of a trimmed recording', () => {
+            const entries = [
+                { startOffset: '00:42:15.0000000', endOffset: '00:43:00.0000000' },
+                { startOffset: '00:40:00.0000000', endOffset: '00:40:30.0000000' }
+            ];
+
+            const duration = client.calculateTranscriptDuration(entries);
+            expect(duration).toBe('00:03:00');
         });
 
         test('should return 00:00:00 for empty entries', () => {
@@ -270,11 +356,12 @@ describe('StreamApiClient', () => {
 
         test('should handle entries without endOffset', () => {
             const entries = [
+                { startOffset: '00:00:10.0000000' },
                 { startOffset: '00:00:45.0000000' }
             ];
 
             const duration = client.calculateTranscriptDuration(entries);
-            expect(duration).toBe('00:00:45');
+            expect(duration).toBe('00:00:35');
         });
     });
 
@@ -391,6 +478,146 @@ describe('StreamApiClient', () => {
         });
     });
 
+    describe('transcript selection', () => {
+        const meetingInfo = {
+            isValid: true,
+            title: 'Test Meeting',
+            url: 'https://test.sharepoint.com/stream.aspx',
+            siteUrl: 'https://test.sharepoint.com',
+            driveId: 'driveId123',
+            itemId: 'itemId456'
+        };
+
+        const listing = {
+            value: [
+                {
+                    id: 'tr-en',
+                    displayName: 'English',
+                    languageTag: 'en-US',
+                    createdDateTime: '2024-05-01T09:00:00Z',
+                    size: 2048,
+                    temporaryDownloadUrl: 'https://download.example.com/en'
+                },
+                {
+                    id: 'tr-zh',
+                    languageTag: 'zh-TW',
+                    createdDateTime: '2024-05-01T09:30:00Z',
+                    temporaryDownloadUrl: 'https://download.example.com/zh'
+                }
+            ]
+        };
+
+        const contentFor = (speaker, language, offsets) => ({
+            entries: offsets.map((offset, index) => ({
+                id: `${language}-${index}`,
+                text: `${speaker} says ${index}`,
+                speakerDisplayName: speaker,
+                startOffset: offset[0],
+                endOffset: offset[1],
+                spokenLanguageTag: language
+            })),
+            events: []
+        });
+
+        test('should describe every transcript in a listing', () => {
+            const list = client.parseTranscriptList(listing);
+
+            expect(list).toHaveLength(2);
+            expect(list[0]).toEqual({
+                id: 'tr-en',
+                displayName: 'English',
+                language: 'en-US',
+                createdDateTime: '2024-05-01T09:00:00Z',
+                size: 2048,
+                temporaryDownloadUrl: 'https://download.example.com/en'
+            });
+            expect(list[1].displayName).toBe('Transcript 2');
+            expect(list[1].size).toBeNull();
+        });
+
+        test('should return empty list for malformed listing', () => {
+            expect(client.parseTranscriptList(null)).toEqual([]);
+            expect(client.parseTranscriptList({ entries: [] })).toEqual([]);
+        });
+
+        test('should download the requested transcript from a listing', async () => {
+            const makeApiRequest = jest.spyOn(client, 'makeApiRequest')
+                .mockResolvedValue(contentFor('Mei', 'zh-TW', [['00:00:01.0000000', '00:00:02.0000000']]));
+
+            const result = await client.parseTranscriptResponse(listing, { ...meetingInfo, transcriptId: 'tr-zh' });
+
+            expect(makeApiRequest.mock.calls[0][0]).toContain('https://download.example.com/zh');
+            expect(result.metadata.language).toBe('zh-TW');
+            expect(result.availableTranscripts.map(item => item.id)).toEqual(['tr-en', 'tr-zh']);
+            expect(result.meetingInfo.transcriptStartedAt).toBe('2024-05-01T09:30:00Z');
+        });
+
+        test('should default to the first transcript when none is requested', async () => {
+            const makeApiRequest = jest.spyOn(client, 'makeApiRequest')
+                .mockResolvedValue(contentFor('Ann', 'en-US', [['00:00:01.0000000', '00:00:02.0000000']]));
+
+            await client.parseTranscriptResponse(listing, meetingInfo);
+
+            expect(makeApiRequest.mock.calls[0][0]).toContain('https://download.example.com/en');
+        });
+
+        test('should merge selected transcripts into one timeline', async () => {
+            jest.spyOn(client, 'fetchTranscriptListing').mockResolvedValue(listing);
+            jest.spyOn(client, 'fetchTranscriptContent').mockImplementation(async meta => (
+                meta.id === 'tr-en'
+                    ? contentFor('Ann', 'en-US', [['00:00:01.0000000', '00:00:03.0000000'], ['00:00:10.0000000', '00:00:12.5000000']])
+                    : contentFor('Mei', 'zh-TW', [['00:00:05.0000000', '00:00:07.0000000']])
+            ));
+
+            const result = await client.fetchTranscripts(meetingInfo, ['tr-en', 'tr-zh']);
+
+            expect(result.entries.map(entry => entry.speaker)).toEqual(['Ann', 'Mei', 'Ann']);
+            expect(result.entries[1].transcriptId).toBe('tr-zh');
+            expect(result.entries[1].id).toBe('tr-zh:zh-TW-0');
+            expect(result.metadata.type).toBe('MergedTranscript');
+            expect(result.metadata.participants).toEqual(['Ann', 'Mei']);
+            expect(result.metadata.language).toBe('multi');
+            expect(result.metadata.languages).toEqual(['en-US', 'zh-TW']);
+            expect(result.metadata.duration).toBe('00:00:11');
+            expect(result.metadata.entryCount).toBe(3);
+            expect(result.availableTranscripts).toHaveLength(2);
+            expect(result.meetingInfo.transcriptStartedAt).toBe('2024-05-01T09:00:00Z');
+        });
+
+        test('should return a single selected transcript unmerged', async () => {
+            jest.spyOn(client, 'fetchTranscriptListing').mockResolvedValue(listing);
+            jest.spyOn(client, 'fetchTranscriptContent')
+                .mockResolvedValue(contentFor('Mei', 'zh-TW', [['00:00:05.0000000', '00:00:07.0000000']]));
+
+            const result = await client.fetchTranscripts(meetingInfo, ['tr-zh']);
+
+            expect(result.metadata.type).toBe('Transcript');
+            expect(result.transcriptInfo.id).toBe('tr-zh');
+        });
+
+        test('should reject unknown transcript IDs', async () => {
+            jest.spyOn(client, 'fetchTranscriptListing').mockResolvedValue(listing);
+
+            await expect(client.fetchTranscripts(meetingInfo, ['missing'])).rejects.toThrow(
+                'Transcript missing is not available for this recording'
+            );
+        });
+
+        test('should fall back to fetchTranscript without IDs', async () => {
+            const fetchTranscript = jest.spyOn(client, 'fetchTranscript').mockResolvedValue({ entries: [] });
+
+            await client.fetchTranscripts(meetingInfo, []);
+
+            expect(fetchTranscript).toHaveBeenCalledWith(meetingInfo);
+        });
+
+        test('should convert offsets to milliseconds', () => {
+            expect(client.offsetToMilliseconds('01:02:03.5000000')).toBe(3723500);
+            expect(client.offsetToMilliseconds('invalid')).toBe(0);
+            expect(client.offsetToMilliseconds(undefined)).toBe(0);
+        });
+    });
+
     describe('createDetailedError', () => {
         test('should create enhanced error with context', () => {
             const originalError = new Error('Original error message');
@@ -0,0 +1,275 @@
+/**
+ * Unit tests for SummaryJobQueue
+ * Tests job order, progress states, cancelling, persistence and resuming after a restart
+ */
+
+const { SummaryJobQueue, SUMMARY_JOB_STATUS } = require('../../src/utils/summaryJobQueue.js');
+
+const TRANSCRIPT = { entries: [{ speaker: 'Alice', text: 'Hello' }], meetingInfo: { title: 'Planning' } };
+const SETTINGS = { provider: 'openai', apiKey: 'sk-test1234567890abcdef1234' };
+
+describe('SummaryJobQueue', () => {
+    let handlers;
+    let queue;
+    let saved;
+
+    beforeEach(() => {
+        saved = [];
+        handlers = {
+            summarize: jest.fn().mockResolvedValue({ fullSummary: 'Summary' }),
+            save: jest.fn(jobs => {
+                saved = JSON.parse(JSON.stringify(jobs));
+            }),
+            saveInput: jest.fn().mockResolvedValue(undefined),
+            loadInput: jest.fn().mockResolvedValue({ transcript: TRANSCRIPT, settings: SETTINGS }),
+            removeInput: jest.fn().mockResolvedValue(undefined),
+            onUpdate: jest.fn(),
+            onDelta: jest.fn()
+        };
+        queue = new SummaryJobQueue(handlers);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('enqueue', () => {
+        test('should run jobs one at a time in order', async () => {
+            const order = [];
+            handlers.summarize.mockImplementation(async (job) => {
+                order.push(job.transcript.entries[0].text);
+                expect(queue.jobs.filter(candidate => candidate.status === SUMMARY_JOB_STATUS.RUNNING)).toHaveLength(1);
+                return { fullSummary: job.transcript.entries[0].text };
+            });
+
+            const first = queue.enqueue({ entries: [{ text: 'first' }] }, SETTINGS);
+            const second = queue.enqueue({ entries: [{ text: 'second' }] }, SETTINGS);
+            expect(second.status).toBe(SUMMARY_JOB_STATUS.QUEUED);
+            await queue.drain();
+
+            expect(order).toEqual(['first', 'second']);
+            expect(queue.getJob(first.id)).toMatchObject({ status: SUMMARY_JOB_STATUS.COMPLETE, summary: { fullSummary: 'first' } });
+            expect(queue.isBusy()).toBe(false);
+        });
+
+        test('should record chunk progress and streamed text', async () => {
+            const statuses = [];
+            handlers.onUpdate.mockImplementation(job => statuses.push(job.status));
+            handlers.summarize.mockImplementation(async (job, { onProgress, onDelta }) => {
+                onProgress(1, 3);
+                onProgress(2, 3);
+                onDelta('## Sum');
+                onDelta('mary');
+                return { fullSummary: '## Summary' };
+            });
+
+            const job = queue.enqueue(TRANSCRIPT, SETTINGS);
+            const finished = await queue.waitFor(job.id);
+
+            expect(statuses).toEqual([
+                SUMMARY_JOB_STATUS.QUEUED,
+                SUMMARY_JOB_STATUS.RUNNING,
+                SUMMARY_JOB_STATUS.CHUNK_DONE,
+                SUMMARY_JOB_STATUS.CHUNK_DONE,
+                SUMMARY_JOB_STATUS.COMPLETE
+            ]);
+            expect(finished.progress).toEqual({ completedChunks: 2, totalChunks: 3 });
+            expect(finished.partialText).toBe('## Summary');
+            expect(handlers.onDelta).toHaveBeenCalledWith(finished, 'mary');
+        });
+
+        test('should record failures and go on with the next job', async () => {
+            handlers.summarize
+                .mockRejectedValueOnce(new Error('Invalid API key (401)'))
+                .mockResolvedValueOnce({ fullSummary: 'Summary' });
+
+            const failed = queue.enqueue(TRANSCRIPT, SETTINGS);
+            const next = queue.enqueue(TRANSCRIPT, SETTINGS);
+            await queue.drain();
+
+            expect(queue.getJob(failed.id)).toMatchObject({ status: SUMMARY_JOB_STATUS.FAILED, error: 'Invalid API key (401)' });
+            expect(queue.getJob(next.id).status).toBe(SUMMARY_JOB_STATUS.COMPLETE);
+        });
+    });
+
+    describe('cancel', () => {
+        // summarize that waits until its signal aborts, then behaves like a stopped stream
+        const summarizeUntilAborted = (job, { signal, onDelta }) => new Promise((resolve, reject) => {
+            onDelta('Partial');
+            signal.addEventListener('abort', () => {
+                if (job.keepPartial) {
+                    resolve({ fullSummary: 'Partial', stopped: true });
+                } else {
+                    reject(new DOMException('Aborted', 'AbortError'));
+                }
+            });
+        });
+
+        test('should cancel a running job at once and start the next one', async () => {
+            handlers.summarize.mockImplementationOnce(summarizeUntilAborted);
+
+            const running = queue.enqueue(TRANSCRIPT, SETTINGS);
+            const next = queue.enqueue(TRANSCRIPT, SETTINGS);
+            await Promise.resolve();
+            expect(queue.cancel(running.id)).toBe(true);
+
+            expect(queue.getJob(running.id).status).toBe(SUMMARY_JOB_STATUS.CANCELLED);
+            await queue.drain();
+            expect(queue.getJob(next.id).status).toBe(SUMMARY_JOB_STATUS.COMPLETE);
+            expect(queue.cancel(running.id)).toBe(false);
+        });
+
+        test('should keep the streamed text when stopped', async () => {
+            handlers.summarize.mockImplementationOnce(summarizeUntilAborted);
+
+            const job = queue.enqueue(TRANSCRIPT, SETTINGS);
+            job.keepPartial = true;
+            await Promise.resolve();
+            queue.cancel(job.id, true);
+
+            const finished = await queue.waitFor(job.id);
+            expect(finished).toMatchObject({ status: SUMMARY_JOB_STATUS.COMPLETE, summary: { stopped: true }, partialText: 'Partial' });
+        });
+
+        test('should cancel a queued job before it runs', async () => {
+            handlers.summarize.mockImplementationOnce(summarizeUntilAborted);
+
+            const running = queue.enqueue(TRANSCRIPT, SETTINGS);
+            const queued = queue.enqueue(TRANSCRIPT, SETTINGS);
+            queue.cancel(queued.id);
+            queue.cancel(running.id);
+            await queue.drain();
+
+            expect(handlers.summarize).toHaveBeenCalledTimes(1);
+            expect(queue.getJob(queued.id).status).toBe(SUMMARY_JOB_STATUS.CANCELLED);
+        });
+    });
+
+    describe('persistence', () => {
+        test('should save records without the transcript or API key and store the input once', async () => {
+            const job = queue.enqueue(TRANSCRIPT, SETTINGS);
+            await Promise.resolve();
+            expect(saved[0]).toMatchObject({ id: job.id, title: 'Planning', settings: { provider: 'openai' } });
+            expect(saved[0]).not.toHaveProperty('transcript');
+            expect(saved[0].settings).not.toHaveProperty('apiKey');
+            expect(handlers.saveInput).toHaveBeenCalledTimes(1);
+            expect(handlers.saveInput).toHaveBeenCalledWith({ id: job.id, transcript: TRANSCRIPT, settings: SETTINGS });
+
+            await queue.drain();
+            await Promise.resolve();
+            expect(saved[0].status).toBe(SUMMARY_JOB_STATUS.COMPLETE);
+            expect(saved[0]).not.toHaveProperty('settings');
+            expect(handlers.removeInput).toHaveBeenCalledWith(job.id);
+        });
+
+        test('should not save chunk progress', async () => {
+            await queue.waitFor(queue.enqueue(TRANSCRIPT, SETTINGS).id);
+            const savesWithoutProgress = handlers.save.mock.calls.length;
+            handlers.save.mockClear();
+            handlers.onUpdate.mockClear();
+            handlers.summarize.mockImplementation(async (job, { onProgress }) => {
+                onProgress(1, 3);
+                onProgress(2, 3);
+                return { fullSummary: 'Summary' };
+            });
+
+            await queue.waitFor(queue.enqueue(TRANSCRIPT, SETTINGS).id);
+
+            expect(handlers.save).toHaveBeenCalledTimes(savesWithoutProgress);
+            expect(handlers.onUpdate).toHaveBeenCalledWith(expect.objectContaining({ progress: { completedChunks: 2, totalChunks: 3 } }));
+        });
+
+        test('should fail rather than resume a job whose input could not be stored', async () => {
+            handlers.saveInput.mockRejectedValue(new Error('QUOTA_BYTES quota exceeded'));
+            handlers.summarize.mockImplementation(() => new Promise(() => {}));
+
+            const job = queue.enqueue(TRANSCRIPT, SETTINGS);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(job.resumable).toBe(false);
+            expect(saved[0].resumable).toBe(false);
+
+            // The worker stops while the job runs; the next one finds only the record
+            const restarted = new SummaryJobQueue(handlers);
+            restarted.restore(saved);
+            await restarted.drain();
+
+            expect(handlers.loadInput).not.toHaveBeenCalled();
+            expect(restarted.getJob(job.id)).toMatchObject({
+                status: SUMMARY_JOB_STATUS.FAILED,
+                error: 'The transcript could not be saved, so the summary could not resume after a restart'
+            });
+            expect(handlers.removeInput).toHaveBeenCalledWith(job.id);
+        });
+
+        test('should keep only the latest finished jobs', async () => {
+            for (let i = 0; i < 7; i++) {
+                queue.enqueue(TRANSCRIPT, SETTINGS);
+            }
+            await queue.drain();
+
+            expect(queue.jobs).toHaveLength(5);
+        });
+
+        test('should show popups no transcript or settings', () => {
+            const view = queue.toView(queue.enqueue(TRANSCRIPT, SETTINGS));
+
+            expect(view).toMatchObject({ status: SUMMARY_JOB_STATUS.RUNNING, title: 'Planning' });
+            expect(view).not.toHaveProperty('settings');
+            expect(view).not.toHaveProperty('transcript');
+        });
+
+        test('should resume jobs interrupted by a restart, first in line', async () => {
+            const reference = { provider: 'openai' };
+            const interrupted = {
+                id: 'summary-1', status: SUMMARY_JOB_STATUS.CHUNK_DONE, settings: reference,
+                progress: { completedChunks: 2, totalChunks: 4 }, partialText: '', attempts: 1
+            };
+            const waiting = { id: 'summary-2', status: SUMMARY_JOB_STATUS.QUEUED, settings: reference, attempts: 0 };
+            const done = { id: 'summary-0', status: SUMMARY_JOB_STATUS.COMPLETE, summary: { fullSummary: 'Old' } };
+            const runs = [];
+            const loaded = [];
+            handlers.loadInput.mockImplementation(async (job) => {
+                loaded.push({ id: job.id, settings: job.settings });
+                return { transcript: TRANSCRIPT, settings: SETTINGS };
+            });
+            handlers.summarize.mockImplementation(async (job) => {
+                runs.push({ id: job.id, transcript: job.transcript, settings: job.settings });
+                return { fullSummary: job.id };
+            });
+
+            queue.restore([done, interrupted, waiting]);
+            await queue.drain();
+
+            expect(loaded).toEqual([{ id: 'summary-1', settings: reference }, { id: 'summary-2', settings: reference }]);
+            expect(runs).toEqual([
+                { id: 'summary-1', transcript: TRANSCRIPT, settings: SETTINGS },
+                { id: 'summary-2', transcript: TRANSCRIPT, settings: SETTINGS }
+            ]);
+            expect(queue.getJob('summary-1')).toMatchObject({ status: SUMMARY_JOB_STATUS.COMPLETE, resumed: true, attempts: 2 });
+            expect(queue.getLatestJob().id).toBe('summary-2');
+        });
+
+        test('should give up on a job interrupted too many times', async () => {
+            queue.restore([{ id: 'summary-1', status: SUMMARY_JOB_STATUS.RUNNING, transcript: TRANSCRIPT, settings: SETTINGS, attempts: 3 }]);
+            await queue.drain();
+
+            expect(handlers.summarize).not.toHaveBeenCalled();
+            expect(queue.getJob('summary-1')).toMatchObject({ status: SUMMARY_JOB_STATUS.FAILED, error: 'The summary was interrupted too many times' });
+        });
+
+        test('should fail a resumed job whose input is gone', async () => {
+            handlers.loadInput.mockRejectedValue(new Error('The transcript of this summary was not found, so it could not resume'));
+
+            queue.restore([{ id: 'summary-1', status: SUMMARY_JOB_STATUS.RUNNING, settings: { provider: 'openai' }, attempts: 1 }]);
+            await queue.drain();
+
+            expect(handlers.summarize).not.toHaveBeenCalled();
+            expect(queue.getJob('summary-1')).toMatchObject({
+                status: SUMMARY_JOB_STATUS.FAILED,
+                error: 'The transcript of this summary was not found, so it could not resume'
+            });
+        });
+    });
+});
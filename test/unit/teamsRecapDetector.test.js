@@ -0,0 +1,180 @@
+/**
+ * Unit tests for TeamsRecapDetector
+ * Tests recap detection and recording resolution in Teams on the web
+ */
+
+const { TeamsRecapDetector, TEAMS_HOSTNAMES } = require('../../src/utils/teamsRecapDetector.js');
+const manifest = require('../../manifest.json');
+
+const TRANSCRIPTS_URL = 'https://contoso-my.sharepoint.com/personal/jane_contoso_com/_api/v2.1/drives/b!drive123/items/01ITEM456/media/transcripts';
+const STREAM_URL = 'https://contoso-my.sharepoint.com/personal/jane_contoso_com/_layouts/15/stream.aspx?id=%2Fpersonal%2Fjane_contoso_com%2FDocuments%2FRecordings%2FWeekly%20Sync.mp4';
+const JOIN_URL = 'https://teams.microsoft.com/l/meetup-join/19%3ameeting_abc%40thread.v2/0';
+
+/**
+ * Minimal document: each element lists the selectors it matches
+ */
+function createDocument({ elements = [], title = '', href = 'https://teams.microsoft.com/v2/' } = {}) {
+    const matching = selector => elements.filter(element =>
+        selector.split(', ').some(part => element.selectors.includes(part))
+    );
+
+    return {
+        title,
+        location: { href },
+        querySelector: selector => matching(selector)[0] || null,
+        querySelectorAll: selector => matching(selector)
+    };
+}
+
+function element(selectors, { text = '', attributes = {} } = {}) {
+    return {
+        selectors,
+        textContent: text,
+        getAttribute: name => (name in attributes ? attributes[name] : null)
+    };
+}
+
+describe('TeamsRecapDetector', () => {
+    let detector;
+
+    beforeEach(() => {
+        detector = new TeamsRecapDetector();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('isTeamsPage', () => {
+        test('should recognize Teams on the web only', () => {
+            expect(detector.isTeamsPage('https://teams.microsoft.com/v2/')).toBe(true);
+            expect(detector.isTeamsPage('https://contoso.sharepoint.com/_layouts/15/stream.aspx')).toBe(false);
+            expect(detector.isTeamsPage('not a url')).toBe(false);
+        });
+
+        test('should only accept hosts the manifest injects the content script into', () => {
+            const contentMatches = manifest.content_scripts.flatMap(script => script.matches);
+
+            expect(detector.isTeamsPage('https://teams.cloud.microsoft/v2/')).toBe(true);
+            TEAMS_HOSTNAMES.forEach(hostname => {
+                expect(contentMatches).toContain(`https://${hostname}/*`);
+                expect(manifest.host_permissions).toContain(`https://${hostname}/*`);
+            });
+        });
+    });
+
+    describe('isRecapView', () => {
+        test('should detect the recap container', () => {
+            const doc = createDocument({ elements: [element(['[data-tid="meeting-recap"]'])] });
+
+            expect(detector.isRecapView(doc)).toBe(true);
+        });
+
+        test('should detect a Transcript tab in English or Chinese', () => {
+            expect(detector.isRecapView(createDocument({ elements: [element(['[role="tab"]'], { text: ' Transcript ' })] }))).toBe(true);
+            expect(detector.isRecapView(createDocument({ elements: [element(['[role="tab"]'], { text: '文字記錄' })] }))).toBe(true);
+        });
+
+        test('should ignore other Teams views', () => {
+            const doc = createDocument({ elements: [element(['[role="tab"]'], { text: 'Chat' })] });
+
+            expect(detector.isRecapView(doc)).toBe(false);
+        });
+    });
+
+    describe('detect', () => {
+        test('should return null outside a recap', () => {
+            expect(detector.detect(createDocument())).toBeNull();
+        });
+
+        test('should resolve IDs from the recap transcripts request and the Stream player', () => {
+            const doc = createDocument({
+                title: 'Weekly Sync | Microsoft Teams',
+                elements: [
+                    element(['[data-tid="meeting-recap"]']),
+                    element(['[data-tid="recap-recording-duration"]'], { text: '45m 12s' }),
+                    element(['iframe[src*=".sharepoint.com/"]'], { attributes: { src: STREAM_URL } }),
+                    element(['a[href*="/l/meetup-join/"]'], { attributes: { href: JOIN_URL } })
+                ]
+            });
+
+            const meetingInfo = detector.detect(doc, {
+                resourceUrls: ['https://teams.microsoft.com/api/chatsvc/messages', `${TRANSCRIPTS_URL}/tr-1/streamContent`]
+            });
+
+            expect(meetingInfo).toEqual({
+                url: 'https://teams.microsoft.com/v2/',
+                title: 'Weekly Sync',
+                duration: '45m 12s',
+                siteUrl: 'https://contoso-my.sharepoint.com/personal/jane_contoso_com',
+                driveId: 'b!drive123',
+                itemId: '01ITEM456',
+                transcriptId: 'tr-1',
+                meetingPath: '/personal/jane_contoso_com/Documents/Recordings/Weekly Sync.mp4',
+                joinWebUrl: JOIN_URL
+            });
+        });
+
+        test('should prefer media recorded by the background', () => {
+            const doc = createDocument({
+                elements: [element(['[data-tid="meeting-recap"]']), element(['[data-tid="chat-title"]'], { text: 'Design Review' })]
+            });
+            const media = {
+                siteUrl: 'https://contoso.sharepoint.com/sites/design',
+                driveId: 'b!registry',
+                itemId: '01REGISTRY',
+                transcriptId: 'tr-9'
+            };
+
+            const meetingInfo = detector.detect(doc, { media, resourceUrls: [TRANSCRIPTS_URL] });
+
+            expect(meetingInfo).toMatchObject({
+                title: 'Design Review',
+                duration: '--',
+                siteUrl: 'https://contoso.sharepoint.com/sites/design',
+                driveId: 'b!registry',
+                itemId: '01REGISTRY',
+                transcriptId: 'tr-9'
+            });
+        });
+
+        test('should ignore recorded media once the user has left the recap', () => {
+            const doc = createDocument({ elements: [element(['[role="tab"]'], { text: 'Chat' })] });
+            const media = { siteUrl: 'https://contoso.sharepoint.com/sites/design', driveId: 'b!registry', itemId: '01REGISTRY' };
+
+            expect(detector.detect(doc, { media })).toBeNull();
+        });
+
+        test('should return a recap without IDs when the recording is not known yet', () => {
+            const doc = createDocument({ elements: [element(['[role="tab"]'], { text: 'Recap' })] });
+
+            const meetingInfo = detector.detect(doc);
+
+            expect(meetingInfo.title).toBe('Untitled Meeting');
+            expect(meetingInfo.driveId).toBe('');
+            expect(meetingInfo.itemId).toBe('');
+        });
+    });
+
+    describe('parseStreamUrl', () => {
+        test('should derive the site from the recording path', () => {
+            expect(detector.parseStreamUrl(STREAM_URL)).toEqual({
+                siteUrl: 'https://contoso-my.sharepoint.com/personal/jane_contoso_com',
+                meetingPath: '/personal/jane_contoso_com/Documents/Recordings/Weekly Sync.mp4'
+            });
+        });
+
+        test('should ignore non-Stream links', () => {
+            expect(detector.parseStreamUrl('https://contoso.sharepoint.com/sites/x/Shared%20Documents/a.docx')).toBeNull();
+            expect(detector.parseStreamUrl('https://example.com/stream.aspx?id=x')).toBeNull();
+            expect(detector.parseStreamUrl(null)).toBeNull();
+        });
+    });
+
+    describe('extractTitle', () => {
+        test('should not use the bare Teams window title', () => {
+            expect(detector.extractTitle(createDocument({ title: 'Microsoft Teams' }))).toBeNull();
+        });
+    });
+});
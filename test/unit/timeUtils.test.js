@@ -0,0 +1,117 @@
+/**
+ * Unit tests for TimeUtils
+ * Tests offset and ISO-8601 duration parsing and span, speaking time and silence
+ */
+
+const { TimeUtils } = require('../../src/utils/timeUtils.js');
+
+describe('TimeUtils', () => {
+    let time;
+
+    beforeEach(() => {
+        time = new TimeUtils();
+    });
+
+    describe('parse', () => {
+        test('should parse Stream offsets', () => {
+            expect(time.parse('01:02:03.5000000')).toBe(3723500);
+            expect(time.parse('00:00:00.0000000')).toBe(0);
+            expect(time.parse('125:00:00')).toBe(450000000);
+        });
+
+        test('should parse .NET offsets with days', () => {
+            expect(time.parse('1.02:00:00.0000000')).toBe(26 * 3600000);
+        });
+
+        test('should parse short timestamps', () => {
+            expect(time.parse('1:02.5')).toBe(62500);
+            expect(time.parse('0:0:3.450')).toBe(3450);
+        });
+
+        test('should parse ISO-8601 durations', () => {
+            expect(time.parse('PT1H2M3.5S')).toBe(3723500);
+            expect(time.parse('PT45M')).toBe(2700000);
+            expect(time.parse('P1DT1H')).toBe(25 * 3600000);
+            expect(time.parse('-PT30S')).toBe(-30000);
+        });
+
+        test('should pass milliseconds through', () => {
+            expect(time.parse(1500.4)).toBe(1500);
+        });
+
+        test('should return null for unparseable values', () => {
+            ['', 'invalid', '12', 'P', 'PT', '1:2:3:4', null, undefined, NaN].forEach(value => {
+                expect(time.parse(value)).toBeNull();
+            });
+            expect(time.toMilliseconds('invalid')).toBe(0);
+        });
+    });
+
+    describe('formatting', () => {
+        test('should format Stream offsets', () => {
+            expect(time.formatOffset(3723500)).toBe('01:02:03.5000000');
+            expect(time.formatOffset(999.6)).toBe('00:00:01.0000000');
+            expect(time.formatOffset(-5)).toBe('00:00:00.0000000');
+        });
+
+        test('should format durations without partial seconds', () => {
+            expect(time.formatDuration(3723999)).toBe('01:02:03');
+            expect(time.formatDuration(100 * 3600000)).toBe('100:00:00');
+        });
+    });
+
+    describe('measure', () => {
+        test('should measure unsorted entries of a trimmed recording', () => {
+            const result = time.measure([
+                { startOffset: '00:10:20.0000000', endOffset: '00:10:30.0000000' },
+                { startOffset: '00:10:00.0000000', endOffset: '00:10:05.0000000' }
+            ]);
+
+            expect(result).toEqual({
+                startMs: 600000,
+                endMs: 630000,
+                spanMs: 30000,
+                speakingMs: 15000,
+                silenceMs: 15000
+            });
+        });
+
+        test('should count overlapping speech once', () => {
+            const result = time.measure([
+                { startTime: '00:00:00', endTime: '00:00:10' },
+                { startTime: '00:00:05', endTime: '00:00:08' },
+                { startTime: '00:00:09', endTime: '00:00:12' }
+            ]);
+
+            expect(result.speakingMs).toBe(12000);
+            expect(result.silenceMs).toBe(0);
+        });
+
+        test('should treat entries without an end as instants', () => {
+            const result = time.measure([
+                { startTime: '00:00:10.0000000' },
+                { startTime: '00:00:40.0000000', endTime: '00:00:30.0000000' }
+            ]);
+
+            expect(result).toMatchObject({ spanMs: 30000, speakingMs: 0, silenceMs: 30000 });
+        });
+
+        test('should return zeros without timed entries', () => {
+            expect(time.measure([])).toEqual({ startMs: 0, endMs: 0, spanMs: 0, speakingMs: 0, silenceMs: 0 });
+            expect(time.measure([{ text: 'untimed' }]).spanMs).toBe(0);
+            expect(time.measure(null).spanMs).toBe(0);
+        });
+    });
+
+    describe('speakingTimeBySpeaker', () => {
+        test('should sum speaking time per speaker', () => {
+            const result = time.speakingTimeBySpeaker([
+                { speaker: 'Alice', startTime: '00:00:00', endTime: '00:00:10' },
+                { speakerDisplayName: 'Bob', startOffset: '00:00:10.0000000', endOffset: '00:00:15.0000000' },
+                { speaker: 'Alice', startTime: '00:01:00', endTime: '00:01:20' }
+            ]);
+
+            expect(result).toEqual({ Alice: 30000, Bob: 5000 });
+        });
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * Unit tests for TokenCounter
+ * Tests model-to-encoding mapping, BPE counting with a registered vocabulary and CJK-aware estimates
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TokenCounter, ENCODINGS } = require('../../src/utils/tokenCounter.js');
+
+/**
+ * Tiny tiktoken-format vocabulary: every single byte plus "he", "the" and " the"
+ */
+function buildVocabulary() {
+    const tokens = Array.from({ length: 256 }, (_, byte) => Buffer.from([byte]));
+    ['he', 'the', ' the'].forEach(text => tokens.push(Buffer.from(text)));
+    return tokens.map((bytes, rank) => `${bytes.toString('base64')} ${rank}`).join('\n');
+}
+
+describe('TokenCounter', () => {
+    let counter;
+
+    beforeEach(() => {
+        counter = new TokenCounter();
+    });
+
+    describe('getEncoding', () => {
+        test('should map models to their encodings', () => {
+            expect(counter.getEncoding('openai', 'gpt-4.1')).toBe(ENCODINGS.O200K);
+            expect(counter.getEncoding('openai', 'gpt-4o-mini')).toBe(ENCODINGS.O200K);
+            expect(counter.getEncoding('openai', 'gpt-4')).toBe(ENCODINGS.CL100K);
+            expect(counter.getEncoding('openai', 'gpt-3.5-turbo')).toBe(ENCODINGS.CL100K);
+            expect(counter.getEncoding('openai', 'some-new-model')).toBe(ENCODINGS.O200K);
+            expect(counter.getEncoding('anthropic', 'claude-3-5-sonnet-20241022')).toBe(ENCODINGS.CLAUDE);
+            expect(counter.getEncoding()).toBe(ENCODINGS.O200K);
+        });
+    });
+
+    describe('BPE counting', () => {
+        beforeEach(() => {
+            expect(counter.registerEncoding(ENCODINGS.O200K, buildVocabulary())).toBe(259);
+        });
+
+        test('should count whole pieces found in the vocabulary as one token', () => {
+            expect(counter.count('the')).toBe(1);
+            expect(counter.count(' the')).toBe(1);
+        });
+
+        test('should merge byte pairs by rank', () => {
+            // "then" -> "t" "he" "n" -> "the" "n"
+            expect(counter.count('then')).toBe(2);
+            // " the" + " " "c" "a" "t"
+            expect(counter.count(' the cat')).toBe(5);
+        });
+
+        test('should count UTF-8 bytes of unmerged text', () => {
+            expect(counter.count('中')).toBe(3);
+        });
+
+        test('should only use the vocabulary for its encoding', () => {
+            expect(counter.hasEncoding(ENCODINGS.O200K)).toBe(true);
+            expect(counter.count('then', { provider: 'openai', model: 'gpt-4' })).toBe(counter.estimate('then', ENCODINGS.CL100K));
+        });
+
+        test('should reject unsupported or empty vocabularies', () => {
+            expect(() => counter.registerEncoding(ENCODINGS.CLAUDE, buildVocabulary())).toThrow('Unsupported encoding');
+            expect(() => counter.registerEncoding(ENCODINGS.CL100K, '')).toThrow('Empty vocabulary');
+        });
+    });
+
+    describe('loadEncoding', () => {
+        const originalFetch = global.fetch;
+
+        afterEach(() => {
+            global.fetch = originalFetch;
+        });
+
+        test('should register a fetched vocabulary', async () => {
+            global.fetch = jest.fn().mockResolvedValue({ ok: true, text: () => Promise.resolve(buildVocabulary()) });
+
+            await expect(counter.loadEncoding(ENCODINGS.CL100K, 'vocab/cl100k_base.tiktoken')).resolves.toBe(true);
+            expect(counter.count('then', { model: 'gpt-4' })).toBe(2);
+        });
+
+        test('should fall back to estimates when the file is missing', async () => {
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+
+            await expect(counter.loadEncoding(ENCODINGS.O200K, 'vocab/o200k_base.tiktoken')).resolves.toBe(false);
+            expect(counter.hasEncoding(ENCODINGS.O200K)).toBe(false);
+            warn.mockRestore();
+        });
+
+        test('should load the bundled vocabularies once', async () => {
+            global.chrome = { runtime: { getURL: path => `chrome-extension://id/${path}` } };
+            global.fetch = jest.fn().mockResolvedValue({ ok: true, text: () => Promise.resolve(buildVocabulary()) });
+
+            await expect(counter.loadBundledEncodings()).resolves.toBe(true);
+            await counter.loadBundledEncodings();
+
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+            expect(global.fetch).toHaveBeenCalledWith('chrome-extension://id/assets/vocab/o200k_base.tiktoken');
+            expect(counter.hasEncoding(ENCODINGS.CL100K)).toBe(true);
+            delete global.chrome;
+        });
+
+        test('should count exactly with the vocabularies shipped in assets/vocab', () => {
+            const read = name => fs.readFileSync(path.join(__dirname, '../../assets/vocab', `${name}.tiktoken`), 'utf8');
+            counter.registerEncoding(ENCODINGS.CL100K, read(ENCODINGS.CL100K));
+            counter.registerEncoding(ENCODINGS.O200K, read(ENCODINGS.O200K));
+            const chinese = '我們今天討論了產品上線的時程，以及誰負責聯絡供應商。';
+
+            // Reference counts from OpenAI's tiktoken
+            expect(counter.count('tiktoken is great!', { model: 'gpt-4' })).toBe(6);
+            expect(counter.count(chinese, { model: 'gpt-4' })).toBe(40);
+            expect(counter.count(chinese, { model: 'gpt-4.1' })).toBe(21);
+            expect(counter.count('えっと、来週の会議で決めましょう。', { model: 'gpt-4.1' })).toBe(14);
+        });
+    });
+
+    describe('estimate', () => {
+        test('should count short English words as one token each', () => {
+            expect(counter.count('We ship on Friday.')).toBe(5);
+            expect(counter.count('internationalization')).toBe(5);
+        });
+
+        test('should count Chinese and Japanese per character', () => {
+            const chinese = '我們今天討論預算';
+            expect(counter.count(chinese)).toBe(6);
+            expect(counter.count(chinese, { provider: 'openai', model: 'gpt-4' })).toBe(10);
+            expect(counter.count(chinese, { provider: 'anthropic' })).toBe(10);
+            expect(counter.count('えっと')).toBe(3);
+        });
+
+        test('should not undercount CJK compared to characters / 4', () => {
+            const text = '這是一個測試句子，包含大約二十個中文字符，應該被正確估算。';
+            expect(counter.count(text)).toBeGreaterThan(Math.ceil(text.length / 4) * 2);
+        });
+
+        test('should split mixed-script and numeric text', () => {
+            // "[" "00" ":" "12" "]" "Alice" ":" "Q" "3" "預算" "1234567" (3 digit groups)
+            expect(counter.count('[00:12] Alice: Q3 預算 1234567')).toBe(14);
+        });
+
+        test('should return zero for empty text', () => {
+            expect(counter.count('')).toBe(0);
+            expect(counter.count(null)).toBe(0);
+        });
+    });
+});
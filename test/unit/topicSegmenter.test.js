@@ -0,0 +1,115 @@
+/**
+ * Unit tests for TopicSegmenter
+ * Tests CJK-aware tokenization, TextTiling boundaries and keyword labels
+ */
+
+const { TopicSegmenter } = require('../../src/utils/topicSegmenter.js');
+
+const section = text => ({ speaker: 'Alice', startTime: '00:00:00', endTime: '00:00:30', text });
+
+const englishAgenda = [
+    'The budget for the third quarter is over the forecast.',
+    'Marketing spent more of the budget than the forecast allowed.',
+    'We should cut the travel budget to match the forecast.',
+    'Finance will update the budget forecast next week.',
+    'Next item is hiring for the backend team.',
+    'We have two open hiring requisitions and three candidates.',
+    'The candidates for the backend role finish interviews Friday.',
+    'Hiring should close before the backend roadmap starts.',
+    'Finally the product launch date for the mobile app.',
+    'The launch needs the mobile release approved by the store.',
+    'Store review for the mobile app takes about a week before launch.',
+    'So the launch moves if the mobile release slips.'
+].map(section);
+
+const chineseAgenda = [
+    '第三季的預算已經超過預估。',
+    '行銷部門的預算花費比預估多。',
+    '差旅預算要刪減才能符合預估。',
+    '財務下週會更新預算預估。',
+    '下一個議題是後端團隊招募。',
+    '目前招募兩個職缺有三位候選人。',
+    '後端職缺的候選人週五完成面試。',
+    '招募要在後端路線圖開始前結束。',
+    '最後是行動應用程式的上線日期。',
+    '上線需要商店審核行動版本。',
+    '商店審核行動應用程式大約一週。',
+    '行動版本延誤的話上線就會延後。'
+].map(section);
+
+describe('TopicSegmenter', () => {
+    let segmenter;
+
+    beforeEach(() => {
+        segmenter = new TopicSegmenter();
+    });
+
+    describe('tokenize', () => {
+        test('should drop stopwords and normalize plurals', () => {
+            expect(segmenter.tokenize('We reviewed the Budgets and the forecast, yeah.')).toEqual(['reviewed', 'budget', 'forecast']);
+        });
+
+        test('should split Han text into bigrams without grammar characters', () => {
+            expect(segmenter.tokenize('我們的預算')).toEqual(['預算']);
+            expect(segmenter.tokenize('後端招募')).toEqual(['後端', '端招', '招募']);
+        });
+
+        test('should keep Katakana runs and skip Hiragana', () => {
+            expect(segmenter.tokenize('リリースの日程について')).toEqual(['リリース', '日程']);
+        });
+
+        test('should separate Latin words from adjacent CJK text', () => {
+            expect(segmenter.tokenize('Q3預算review')).toEqual(['預算', 'review']);
+        });
+    });
+
+    describe('segment', () => {
+        test('should place boundaries where the agenda moves on', () => {
+            const segments = segmenter.segment(englishAgenda);
+
+            expect(segments.map(({ start, end }) => [start, end])).toEqual([[0, 4], [4, 8], [8, 12]]);
+            expect(segments[0].depth).toBe(0);
+            expect(segments[1].depth).toBeGreaterThan(0);
+        });
+
+        test('should segment Chinese transcripts', () => {
+            const segments = segmenter.segment(chineseAgenda);
+
+            expect(segments.map(({ start }) => start)).toEqual([0, 4, 8]);
+        });
+
+        test('should return one segment for short transcripts', () => {
+            expect(segmenter.segment(englishAgenda.slice(0, 3))).toEqual([{ start: 0, end: 3, depth: 0 }]);
+            expect(segmenter.segment([])).toEqual([]);
+        });
+
+        test('should keep segments at least minSegmentSections long', () => {
+            const segments = segmenter.segment(englishAgenda, { minSegmentSections: 5 });
+
+            segments.forEach(({ start, end }) => expect(end - start).toBeGreaterThanOrEqual(5));
+        });
+    });
+
+    describe('extractKeywords', () => {
+        test('should pick the terms that set each text apart', () => {
+            const texts = [englishAgenda.slice(0, 4), englishAgenda.slice(4, 8), englishAgenda.slice(8)]
+                .map(sections => sections.map(s => s.text).join('\n'));
+
+            const keywords = segmenter.extractKeywords(texts, 2);
+
+            expect(keywords[0]).toEqual(['forecast', 'budget']);
+            expect(keywords[1]).toContain('hiring');
+            expect(keywords[2]).toContain('launch');
+        });
+
+        test('should label Chinese text with bigrams', () => {
+            const texts = [chineseAgenda.slice(0, 4), chineseAgenda.slice(4, 8)]
+                .map(sections => sections.map(s => s.text).join('\n'));
+
+            const [budget, hiring] = segmenter.extractKeywords(texts, 2);
+
+            expect(budget).toEqual(['預算', '預估']);
+            expect(hiring).toEqual(expect.arrayContaining(['後端', '招募']));
+        });
+    });
+});
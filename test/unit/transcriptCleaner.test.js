@@ -0,0 +1,110 @@
+/**
+ * Unit tests for TranscriptCleaner
+ * Tests per-language filler removal, repeat collapsing, short-entry merging and token savings
+ */
+
+const { TranscriptCleaner } = require('../../src/utils/transcriptCleaner.js');
+
+describe('TranscriptCleaner', () => {
+    let cleaner;
+
+    beforeEach(() => {
+        cleaner = new TranscriptCleaner();
+    });
+
+    describe('cleanText', () => {
+        test('should remove English hesitations and set-off fillers', () => {
+            expect(cleaner.cleanText('Um, so, uh, the plan is, you know, ready.', 'en-us')).toEqual({
+                text: 'so, the plan is, ready.',
+                fillersRemoved: 3,
+                repeatsRemoved: 0
+            });
+        });
+
+        test('should keep filler words used as ordinary words', () => {
+            expect(cleaner.cleanText('Do you know the umbrella? I like it', 'en-us').text)
+                .toBe('Do you know the umbrella? I like it');
+            expect(cleaner.cleanText('那個問題好啊', 'zh-tw').text).toBe('那個問題好啊');
+        });
+
+        test('should remove Traditional and Simplified Chinese fillers', () => {
+            expect(cleaner.cleanText('嗯，那個，我們今天，呃，討論預算', 'zh-tw').text).toBe('我們今天，討論預算');
+            expect(cleaner.cleanText('嗯 那个，这个问题', 'zh-cn').text).toBe('这个问题');
+        });
+
+        test('should remove Japanese fillers', () => {
+            expect(cleaner.cleanText('えっと、あの、いろいろ準備しました', 'ja-jp').text).toBe('いろいろ準備しました');
+        });
+
+        test('should collapse stuttered repeats', () => {
+            expect(cleaner.cleanText('We we we need the the budget', 'en-us')).toMatchObject({
+                text: 'We need the budget',
+                repeatsRemoved: 3
+            });
+            expect(cleaner.cleanText('我們，我們的我我我覺得可以', 'zh-tw')).toMatchObject({
+                text: '我們的我覺得可以',
+                repeatsRemoved: 3
+            });
+        });
+
+        test('should detect the language from the script when unknown', () => {
+            expect(cleaner.resolveLanguage('unknown', 'えっと')).toBe('ja');
+            expect(cleaner.resolveLanguage('unknown', '那個')).toBe('zh-TW');
+            expect(cleaner.resolveLanguage('zh-Hans-CN', '')).toBe('zh-CN');
+            expect(cleaner.resolveLanguage(null, 'um')).toBe('en');
+        });
+
+        test('should only apply enabled steps', () => {
+            expect(cleaner.cleanText('Um, the the plan', 'en', { removeFillers: false, collapseRepeats: false }).text)
+                .toBe('Um, the the plan');
+        });
+    });
+
+    describe('clean', () => {
+        const transcript = {
+            entries: [
+                { id: 'e1', text: 'Um,', speakerDisplayName: 'Alice', startOffset: '00:00:01.0000000', endOffset: '00:00:02.0000000', confidence: 0.9 },
+                { id: 'e2', text: 'OK so', speakerDisplayName: 'Alice', startOffset: '00:00:02.5000000', endOffset: '00:00:03.0000000', confidence: 0.8 },
+                { id: 'e3', text: 'we ship, you know, on Friday', speakerDisplayName: 'Alice', startOffset: '00:00:03.5000000', endOffset: '00:00:05.0000000', confidence: 0.95 },
+                { id: 'e4', text: '嗯，好', speakerDisplayName: 'Bob', startOffset: '00:00:06.0000000', endOffset: '00:00:07.0000000' },
+                { id: 'e5', text: '沒問題', speakerDisplayName: 'Bob', startOffset: '00:00:20.0000000', endOffset: '00:00:21.0000000' }
+            ]
+        };
+
+        test('should clean entries, merge short ones and report savings', () => {
+            const { transcript: cleaned, stats } = cleaner.clean(transcript);
+
+            expect(cleaned.entries.map(entry => entry.text)).toEqual(['OK so we ship, on Friday', '好', '沒問題']);
+            expect(cleaned.entries[0]).toMatchObject({
+                startTime: '00:00:02.5000000',
+                endTime: '00:00:05.0000000',
+                confidence: 0.8
+            });
+            expect(cleaned.metadata.entryCount).toBe(3);
+            expect(stats).toMatchObject({ fillersRemoved: 3, repeatsRemoved: 0, entriesMerged: 1 });
+            expect(stats.tokensSaved).toBe(stats.tokensBefore - stats.tokensAfter);
+            expect(stats.tokensSaved).toBeGreaterThan(0);
+        });
+
+        test('should not merge entries far apart or long enough on their own', () => {
+            const { transcript: cleaned } = cleaner.clean(transcript, { removeFillers: false, shortEntryChars: 4 });
+
+            expect(cleaned.entries.map(entry => entry.text)).toEqual([
+                'Um, OK so', 'we ship, you know, on Friday', '嗯，好', '沒問題'
+            ]);
+        });
+
+        test('should join CJK text without spaces', () => {
+            expect(cleaner.joinText('好', '沒問題')).toBe('好沒問題');
+            expect(cleaner.joinText('OK', '好')).toBe('OK 好');
+        });
+    });
+
+    describe('estimateTokens', () => {
+        test('should count with the shared token counter', () => {
+            const { tokenCounter } = require('../../src/utils/tokenCounter.js');
+            expect(cleaner.estimateTokens('我們開會')).toBe(tokenCounter.count('我們開會'));
+            expect(cleaner.estimateTokens('')).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,237 @@
+/**
+ * Unit tests for TranscriptImporter
+ * Tests parsing of locally imported VTT, DOCX and plain-text transcripts
+ */
+
+const zlib = require('zlib');
+const { TranscriptImporter, IMPORT_FORMATS } = require('../../src/utils/transcriptImporter.js');
+
+/**
+ * Build a minimal single-entry ZIP archive (deflated) for DOCX tests
+ */
+function buildZip(entryName, content) {
+    const name = Buffer.from(entryName, 'utf-8');
+    const data = Buffer.from(content, 'utf-8');
+    const compressed = zlib.deflateRawSync(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(0, 42);
+
+    const centralOffset = local.length + name.length + compressed.length;
+    const centralSize = central.length + name.length;
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(1, 8);
+    end.writeUInt16LE(1, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(centralOffset, 16);
+
+    const zip = Buffer.concat([local, name, compressed, central, name, end]);
+    return zip.buffer.slice(zip.byteOffset, zip.byteOffset + zip.length);
+}
+
+function buildDocumentXml(paragraphs) {
+    const body = paragraphs.map(runs => `<w:p><w:pPr><w:pStyle w:val="Normal"/></w:pPr>${runs}</w:p>`).join('');
+    return `<?xml version="1.0" encoding="UTF-8"?><w:document><w:body>${body}</w:body></w:document>`;
+}
+
+describe('TranscriptImporter', () => {
+    let importer;
+
+    beforeEach(() => {
+        importer = new TranscriptImporter();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('detectFormat', () => {
+        test('should detect supported extensions', () => {
+            expect(importer.detectFormat('meeting.vtt')).toBe(IMPORT_FORMATS.VTT);
+            expect(importer.detectFormat('Meeting.DOCX')).toBe(IMPORT_FORMATS.DOCX);
+            expect(importer.detectFormat('notes.txt')).toBe(IMPORT_FORMATS.TEXT);
+        });
+
+        test('should reject unsupported extensions', () => {
+            expect(() => importer.detectFormat('slides.pdf')).toThrow('Unsupported transcript file type: .pdf');
+        });
+    });
+
+    describe('parseVtt', () => {
+        test('should read speakers from voice tags', () => {
+            const vtt = [
+                'WEBVTT',
+                '',
+                'a1b2/12-0',
+                '00:00:01.000 --> 00:00:04.500',
+                '<v Jane Doe>Good morning everyone.</v>',
+                '',
+                'a1b2/13-0',
+                '00:00:05.000 --> 00:00:08.250',
+                '<v John Smith>Morning! Shall we start</v>',
+                '<v John Smith>with the roadmap?</v>'
+            ].join('\n');
+
+            const result = importer.parseVtt(vtt, { title: 'Weekly Sync' });
+
+            expect(result.metadata.entryCount).toBe(2);
+            expect(result.metadata.participants).toEqual(['Jane Doe', 'John Smith']);
+            expect(result.metadata.duration).toBe('00:00:07');
+            expect(result.entries[0]).toMatchObject({
+                id: 'a1b2/12-0',
+                text: 'Good morning everyone.',
+                speaker: 'Jane Doe',
+                startTime: '00:00:01.0000000',
+                endTime: '00:00:04.5000000'
+            });
+            expect(result.entries[1].text).toBe('Morning! Shall we start with the roadmap?');
+            expect(result.meetingInfo.title).toBe('Weekly Sync');
+        });
+
+        test('should fall back to unknown speaker without voice tags', () => {
+            const result = importer.parseVtt('WEBVTT\n\n00:01.000 --> 00:02.000\nNo voice here');
+
+            expect(result.entries[0].speaker).toBe('Unknown Speaker');
+            expect(result.entries[0].id).toBe('cue-1');
+            expect(result.metadata.participants).toEqual([]);
+        });
+
+        test('should throw when no cues are present', () => {
+            expect(() => importer.parseVtt('WEBVTT\n\nNOTE nothing here')).toThrow('No transcript entries found in file');
+        });
+    });
+
+    describe('parsePlainText', () => {
+        test('should parse "Name  HH:MM:SS" headers', () => {
+            const text = [
+                'Jane Doe  00:00:03',
+                'Welcome to the review.',
+                'Let us begin.',
+                '',
+                'John Smith\t0:01:15',
+                'Thanks Jane.'
+            ].join('\n');
+
+            const result = importer.parsePlainText(text, { title: 'Review' });
+
+            expect(result.metadata.type).toBe('ImportedTranscript');
+            expect(result.metadata.format).toBe(IMPORT_FORMATS.TEXT);
+            expect(result.entries).toHaveLength(2);
+            expect(result.entries[0]).toMatchObject({
+                speaker: 'Jane Doe',
+                text: 'Welcome to the review. Let us begin.',
+                startTime: '00:00:03.0000000',
+                endTime: '00:01:15.0000000'
+            });
+            expect(result.entries[1].startTime).toBe('00:01:15.0000000');
+            expect(result.entries[1].endTime).toBe('00:01:15.0000000');
+        });
+
+        test('should ignore text before the first header', () => {
+            const result = importer.parsePlainText('Meeting notes\n\nAlice  00:00:10\nHello');
+
+            expect(result.entries).toHaveLength(1);
+            expect(result.entries[0].speaker).toBe('Alice');
+        });
+    });
+
+    describe('parseDocx', () => {
+        test('should parse the speaker header layout', async () => {
+            const xml = buildDocumentXml([
+                '<w:r><w:t>Weekly Sync</w:t></w:r>',
+                '<w:r><w:t>Jane Doe</w:t></w:r><w:r><w:tab/><w:t>0:03</w:t></w:r>',
+                '<w:r><w:t xml:space="preserve">Q&amp;A starts </w:t></w:r><w:r><w:t>now.</w:t></w:r>',
+                '<w:r><w:t>陳小明</w:t></w:r><w:r><w:tab/><w:t>1:20</w:t></w:r>',
+                '<w:r><w:t>好的，謝謝。</w:t></w:r>'
+            ]);
+
+            const result = await importer.parseDocx(buildZip('word/document.xml', xml), { title: 'Weekly Sync' });
+
+            expect(result.metadata.format).toBe(IMPORT_FORMATS.DOCX);
+            expect(result.metadata.participants).toEqual(['Jane Doe', '陳小明']);
+            expect(result.entries[0].text).toBe('Q&A starts now.');
+            expect(result.entries[0].startTime).toBe('00:00:03.0000000');
+            expect(result.entries[1].startTime).toBe('00:01:20.0000000');
+        });
+
+        test('should parse the older cue layout', async () => {
+            const xml = buildDocumentXml([
+                '<w:r><w:t>0:0:0.0 --> 0:0:3.450</w:t></w:r>',
+                '<w:r><w:t>Jane Doe</w:t></w:r>',
+                '<w:r><w:t>Hello there.</w:t></w:r>',
+                '<w:r><w:t>0:0:4.0 --> 0:0:6.0</w:t></w:r>',
+                '<w:r><w:t>John Smith</w:t></w:r>',
+                '<w:r><w:t>Hi!</w:t></w:r>'
+            ]);
+
+            const result = await importer.parseDocx(buildZip('word/document.xml', xml));
+
+            expect(result.entries).toHaveLength(2);
+            expect(result.entries[0]).toMatchObject({
+                speaker: 'Jane Doe',
+                text: 'Hello there.',
+                startTime: '00:00:00.0000000',
+                endTime: '00:00:03.4500000'
+            });
+            expect(result.entries[1].speaker).toBe('John Smith');
+        });
+
+        test('should reject files that are not ZIP archives', async () => {
+            await expect(importer.parseDocx(new ArrayBuffer(64))).rejects.toThrow('File is not a valid DOCX document');
+        });
+
+        test('should reject archives without a document part', async () => {
+            await expect(importer.parseDocx(buildZip('word/styles.xml', '<w:styles/>'))).rejects.toThrow(
+                'DOCX document is missing word/document.xml'
+            );
+        });
+    });
+
+    describe('importFile', () => {
+        test('should route files by extension and title them by name', async () => {
+            const file = {
+                name: 'Design Review.vtt',
+                text: async () => 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n<v Ann>Hi</v>'
+            };
+
+            const result = await importer.importFile(file);
+
+            expect(result.meetingInfo.title).toBe('Design Review');
+            expect(result.meetingInfo.fileName).toBe('Design Review.vtt');
+            expect(result.entries[0].speaker).toBe('Ann');
+        });
+
+        test('should treat WEBVTT text files as VTT', async () => {
+            const file = {
+                name: 'captions.txt',
+                text: async () => 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n<v Ann>Hi</v>'
+            };
+
+            const result = await importer.importFile(file);
+
+            expect(result.metadata.format).toBe(IMPORT_FORMATS.VTT);
+        });
+
+        test('should reject a missing file', async () => {
+            await expect(importer.importFile(null)).rejects.toThrow('No file selected');
+        });
+    });
+});
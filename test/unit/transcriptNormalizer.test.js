@@ -0,0 +1,215 @@
+/**
+ * Unit tests for TranscriptNormalizer
+ * Tests the canonical transcript model, validation and the shared AI formatting
+ */
+
+const { TranscriptNormalizer } = require('../../src/utils/transcriptNormalizer.js');
+const StreamApiClient = require('../../src/api/streamApiClient.js');
+
+const RAW_TRANSCRIPT = {
+    $schema: '',
+    version: '1.0',
+    type: 'Transcript',
+    entries: [
+        {
+            id: 'e1',
+            speechServiceResultId: 'r1',
+            text: 'Good morning',
+            speakerId: 's1',
+            speakerDisplayName: 'Alice',
+            confidence: 0.9,
+            startOffset: '00:00:01.0000000',
+            endOffset: '00:00:03.0000000',
+            hasBeenEdited: false,
+            roomId: null,
+            spokenLanguageTag: 'en-us'
+        },
+        {
+            id: 'e2',
+            speechServiceResultId: 'r2',
+            text: 'Let us start',
+            speakerId: 's1',
+            speakerDisplayName: 'Alice',
+            confidence: 0.7,
+            startOffset: '00:00:03.5000000',
+            endOffset: '00:00:05.0000000',
+            hasBeenEdited: true,
+            roomId: null,
+            spokenLanguageTag: 'en-us'
+        },
+        {
+            id: 'e3',
+            speechServiceResultId: 'r3',
+            text: 'Sure',
+            speakerId: 's2',
+            speakerDisplayName: 'Bob',
+            confidence: 0.8,
+            startOffset: '00:01:10.0000000',
+            endOffset: '00:01:12.2500000',
+            hasBeenEdited: false,
+            roomId: null,
+            spokenLanguageTag: 'en-us'
+        }
+    ],
+    events: []
+};
+
+describe('TranscriptNormalizer', () => {
+    let normalizer;
+
+    beforeEach(() => {
+        normalizer = new TranscriptNormalizer();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('normalize', () => {
+        test('should map raw Stream entries to the canonical fields', () => {
+            const result = normalizer.normalize(RAW_TRANSCRIPT, { title: 'Weekly' });
+
+            expect(result.entries[1]).toEqual({
+                id: 'e2',
+                text: 'Let us start',
+                speaker: 'Alice',
+                speakerId: 's1',
+                startTime: '00:00:03.5000000',
+                endTime: '00:00:05.0000000',
+                confidence: 0.7,
+                language: 'en-us',
+                isEdited: true
+            });
+            expect(result.meetingInfo).toMatchObject({ title: 'Weekly', url: null, transcriptStartedAt: null });
+            expect(result.metadata).toEqual({
+                version: '1.0',
+                type: 'Transcript',
+                participants: ['Alice', 'Bob'],
+                duration: '00:01:11',
+                speakingTime: '00:00:05',
+                silence: '00:01:05',
+                language: 'en-us',
+                entryCount: 3,
+                hasEvents: false
+            });
+        });
+
+        test('should be idempotent', () => {
+            const once = normalizer.normalize(RAW_TRANSCRIPT);
+
+            expect(normalizer.normalize(once)).toEqual(once);
+        });
+
+        test('should fill defaults for incomplete entries', () => {
+            const result = normalizer.normalize({
+                entries: [{ text: '  spaced\n text ', startTime: '1:02.5' }],
+                metadata: { type: 'WebVTT', format: 'vtt' }
+            });
+
+            expect(result.entries[0]).toMatchObject({
+                id: 1,
+                text: 'spaced text',
+                speaker: 'Unknown Speaker',
+                speakerId: null,
+                startTime: '00:01:02.5000000',
+                endTime: '00:01:02.5000000',
+                confidence: null,
+                language: 'unknown',
+                isEdited: false
+            });
+            expect(result.metadata).toMatchObject({ type: 'WebVTT', format: 'vtt', participants: [], duration: '00:00:00' });
+        });
+
+        test('should keep the language of merged multi-language transcripts', () => {
+            const result = normalizer.normalize({
+                entries: [{ text: 'Hi', speaker: 'Ann', startTime: '00:00:01.0000000', language: 'en-US', transcriptId: 'tr-en' }],
+                metadata: { language: 'multi', languages: ['en-US', 'zh-TW'] }
+            });
+
+            expect(result.metadata.language).toBe('multi');
+            expect(result.entries[0].transcriptId).toBe('tr-en');
+        });
+
+        test('should reject transcripts without entries', () => {
+            expect(() => normalizer.normalize(null)).toThrow('Invalid transcript: Transcript is null or undefined');
+            expect(() => normalizer.normalize({ version: '1.0' })).toThrow('Invalid transcript: Missing or invalid entries array');
+            expect(() => normalizer.normalize({ entries: [] })).toThrow('Invalid transcript: Transcript contains no entries');
+        });
+
+        test('should accept plain-text transcripts carried in rawText', () => {
+            const result = normalizer.normalize({ entries: [], rawText: 'Meeting notes' });
+
+            expect(result.metadata.entryCount).toBe(0);
+            expect(result.rawText).toBe('Meeting notes');
+        });
+    });
+
+    describe('validate', () => {
+        test('should warn about suspicious entries without failing', () => {
+            const result = normalizer.validate({
+                entries: [{ text: '', startOffset: '00:00:01.0000000', confidence: 0.2 }]
+            });
+
+            expect(result.isValid).toBe(true);
+            expect(result.warnings).toEqual([
+                'Entry 0 has empty text',
+                'Entry 0 missing speaker name',
+                'Entry 0 has low confidence (0.2)'
+            ]);
+        });
+
+        test('should fail on entries that are not objects', () => {
+            expect(normalizer.validate({ entries: ['text'] })).toMatchObject({
+                isValid: false,
+                errors: ['Entry 0 is not an object']
+            });
+        });
+    });
+
+    describe('formatForAI', () => {
+        test('should group consecutive entries by speaker', () => {
+            const result = normalizer.formatForAI(RAW_TRANSCRIPT);
+
+            expect(result.content).toBe('[00:00:01] Alice: Good morning Let us start\n[00:01:10] Bob: Sure');
+            expect(result.sections[0]).toEqual({
+                speaker: 'Alice',
+                startTime: '00:00:01',
+                endTime: '00:00:05',
+                text: 'Good morning Let us start',
+                confidence: 0.8
+            });
+            expect(result.metadata).toEqual({
+                participants: ['Alice', 'Bob'],
+                duration: '00:01:11',
+                speakingTime: '00:00:05',
+                silence: '00:01:05',
+                language: 'en-us',
+                totalEntries: 3,
+                startTime: '00:00:01',
+                endTime: '00:01:12'
+            });
+        });
+
+        test('should produce the same AI input for raw and parsed transcripts', async () => {
+            const parsed = await new StreamApiClient().parseTranscriptContent(RAW_TRANSCRIPT, { title: 'Weekly' });
+
+            expect(normalizer.formatForAI(parsed)).toEqual(normalizer.formatForAI(RAW_TRANSCRIPT));
+        });
+
+        test('should fall back to raw text without entries', () => {
+            const result = normalizer.formatForAI({ entries: [], rawText: ' Notes only ' });
+
+            expect(result.content).toBe('Notes only');
+            expect(result.sections).toEqual([]);
+        });
+
+        test('should report null confidence for sources without scores', () => {
+            const result = normalizer.formatForAI({
+                entries: [{ text: 'Imported', speaker: 'Ann', startTime: '00:00:01.0000000', confidence: null }]
+            });
+
+            expect(result.sections[0].confidence).toBeNull();
+        });
+    });
+});
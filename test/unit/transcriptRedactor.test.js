@@ -0,0 +1,124 @@
+/**
+ * Unit tests for TranscriptRedactor
+ * Tests PII detection, confidential terms, stable placeholders and restoring summaries
+ */
+
+const { TranscriptRedactor } = require('../../src/utils/transcriptRedactor.js');
+const { transcriptNormalizer } = require('../../src/utils/transcriptNormalizer.js');
+
+const TRANSCRIPT = {
+    entries: [
+        { id: 'e1', text: 'Mail me at wei.chen@contoso.com or call +886 912 345 678', speakerDisplayName: 'Wei Chen', startOffset: '00:00:01.0000000', endOffset: '00:00:05.0000000' },
+        { id: 'e2', text: 'Project Falcon ships for Northwind on 2024-03-15', speakerDisplayName: 'Ann Lee', startOffset: '00:00:06.0000000', endOffset: '00:00:09.0000000' },
+        { id: 'e3', text: 'Again, WEI.CHEN@contoso.com owns falcon', speakerDisplayName: 'Wei Chen', startOffset: '00:00:10.0000000', endOffset: '00:00:12.0000000' }
+    ]
+};
+
+describe('TranscriptRedactor', () => {
+    let redactor;
+
+    beforeEach(() => {
+        redactor = new TranscriptRedactor();
+    });
+
+    describe('redactText', () => {
+        const redact = (text, terms) => redactor.redactText(text, redactor.createState(terms));
+
+        test('should redact emails and phone numbers', () => {
+            expect(redact('Reach ann@fabrikam.co.uk, (02) 2345-6789 or 0912345678'))
+                .toBe('Reach [EMAIL_1], [PHONE_1] or [PHONE_2]');
+        });
+
+        test('should only redact card numbers passing the Luhn check', () => {
+            expect(redact('Card 4111 1111 1111 1111 works')).toBe('Card [CARD_1] works');
+            expect(redact('Order 4111 1111 1111 1112 failed')).not.toContain('[CARD_');
+        });
+
+        test('should leave timestamps, dates and short numbers alone', () => {
+            const text = '[00:12:34] Budget of 250000 due 2024-03-15, ticket 4521, version 3.14159';
+            expect(redact(text)).toBe(text);
+        });
+
+        test('should redact terms case-insensitively, longest first', () => {
+            expect(redact('Falcon and Project Falcon, 獵鷹計畫啟動', ['falcon', 'Project Falcon', '獵鷹計畫']))
+                .toBe('[TERM_1] and [TERM_2], [TERM_3]啟動');
+        });
+
+        test('should not redact terms inside other words', () => {
+            expect(redact('Anna met Ann', ['Ann'])).toBe('Anna met [TERM_1]');
+        });
+    });
+
+    describe('redact', () => {
+        test('should use stable placeholders across content, sections and participants', () => {
+            const formatted = transcriptNormalizer.formatForAI(TRANSCRIPT);
+            const result = redactor.redact(formatted, { terms: ['Falcon', 'Northwind', 'Wei Chen'] });
+
+            expect(result.transcript.content).toBe(
+                '[00:00:01] [TERM_1]: Mail me at [EMAIL_1] or call [PHONE_1]\n' +
+                '[00:00:06] Ann Lee: Project [TERM_2] ships for [TERM_3] on 2024-03-15\n' +
+                '[00:00:10] [TERM_1]: Again, [EMAIL_1] owns [TERM_2]'
+            );
+            expect(result.transcript.metadata.participants).toEqual(['[TERM_1]', 'Ann Lee']);
+            expect(result.transcript.sections[2]).toMatchObject({ speaker: '[TERM_1]', text: 'Again, [EMAIL_1] owns [TERM_2]' });
+            expect(result.replacements).toEqual({
+                '[TERM_1]': 'Wei Chen',
+                '[EMAIL_1]': 'wei.chen@contoso.com',
+                '[PHONE_1]': '+886 912 345 678',
+                '[TERM_2]': 'Falcon',
+                '[TERM_3]': 'Northwind'
+            });
+            expect(result.counts).toEqual({ TERM: 5, EMAIL: 2, CARD: 0, PHONE: 1 });
+        });
+
+        test('should not modify the formatted transcript', () => {
+            const formatted = transcriptNormalizer.formatForAI(TRANSCRIPT);
+            const copy = JSON.parse(JSON.stringify(formatted));
+
+            redactor.redact(formatted, { terms: ['Falcon'] });
+
+            expect(formatted).toEqual(copy);
+        });
+    });
+
+    describe('restore', () => {
+        const replacements = { '[EMAIL_1]': 'wei@contoso.com', '[TERM_1]': 'R&D <Falcon>' };
+
+        test('should restore placeholders throughout a summary', () => {
+            const summary = {
+                participants: ['[TERM_1]'],
+                actionItems: [{ task: 'Email [EMAIL_1]', assignee: '[TERM_1]' }],
+                fullSummary: 'Keep [TERM_9] as is',
+                duration: 42
+            };
+
+            expect(redactor.restore(summary, replacements)).toEqual({
+                participants: ['R&D <Falcon>'],
+                actionItems: [{ task: 'Email wei@contoso.com', assignee: 'R&D <Falcon>' }],
+                fullSummary: 'Keep [TERM_9] as is',
+                duration: 42
+            });
+        });
+
+        test('should escape restored text inside HTML', () => {
+            expect(redactor.restore({ html: '<p>[TERM_1]</p>' }, replacements).html)
+                .toBe('<p>R&amp;D &lt;Falcon&gt;</p>');
+        });
+
+        test('should return the value unchanged without replacements', () => {
+            const summary = { fullSummary: '[EMAIL_1]' };
+            expect(redactor.restore(summary, {})).toBe(summary);
+        });
+
+        test('should restore streamed text when placeholders are split across pieces', () => {
+            const received = [];
+            const restorer = redactor.createStreamRestorer(replacements, text => received.push(text));
+
+            ['Mail [EM', 'AIL_', '1] about [', 'TERM_1] [see notes', '] and [TE'].forEach(piece => restorer.push(piece));
+            expect(received.join('')).toBe('Mail wei@contoso.com about R&D <Falcon> [see notes] and ');
+
+            restorer.flush();
+            expect(received.join('')).toBe('Mail wei@contoso.com about R&D <Falcon> [see notes] and [TE');
+        });
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for TranscriptTimeline
+ * Tests wall-clock anchoring, gap detection and timestamp formatting
+ */
+
+const { TranscriptTimeline, TIMESTAMP_STYLES } = require('../../src/utils/transcriptTimeline.js');
+
+const event = (eventType, startOffset) => ({ id: `${eventType}-${startOffset}`, eventType, userId: '', userDisplayName: '', startOffset });
+
+describe('TranscriptTimeline', () => {
+    let timeline;
+
+    const transcript = {
+        meetingInfo: { title: 'Weekly', transcriptStartedAt: '2024-05-01T09:00:30Z' },
+        entries: [
+            { speaker: 'Alice', text: 'Hello', startTime: '00:00:31.0000000', endTime: '00:00:35.0000000' },
+            { speaker: 'Bob', text: 'Back', startTime: '00:20:05.0000000', endTime: '00:20:09.5000000' }
+        ],
+        events: [
+            event('TranscriptStopped', '00:05:00.0000000'),
+            event('CallStarted', '00:00:00.0000000'),
+            event('TranscriptStarted', '00:00:30.0000000'),
+            event('TranscriptStarted', '00:20:00.0000000')
+        ]
+    };
+
+    beforeEach(() => {
+        timeline = new TranscriptTimeline();
+    });
+
+    describe('build', () => {
+        test('should anchor the call start and end to the wall clock', () => {
+            const result = timeline.build(transcript);
+
+            expect(result.originMs).toBe(Date.parse('2024-05-01T09:00:00Z'));
+            expect(result.meetingStart).toBe('2024-05-01T09:00:00.000Z');
+            expect(result.meetingEnd).toBe('2024-05-01T09:20:09.500Z');
+            expect(result.startMs).toBe(0);
+            expect(result.endMs).toBe(1209500);
+        });
+
+        test('should find stretches where transcription was stopped', () => {
+            const { gaps } = timeline.build(transcript);
+
+            expect(gaps).toEqual([{
+                startMs: 300000,
+                endMs: 1200000,
+                durationMs: 900000,
+                start: '2024-05-01T09:05:00.000Z',
+                end: '2024-05-01T09:20:00.000Z'
+            }]);
+        });
+
+        test('should keep offsets without a clock anchor', () => {
+            const result = timeline.build({ ...transcript, meetingInfo: { title: 'Weekly' } });
+
+            expect(result.originMs).toBeNull();
+            expect(result.meetingStart).toBeNull();
+            expect(result.gaps[0]).toMatchObject({ startMs: 300000, start: null });
+        });
+
+        test('should start at the first entry without events', () => {
+            const result = timeline.build({ entries: transcript.entries, events: [] });
+
+            expect(result.startMs).toBe(31000);
+            expect(result.gaps).toEqual([]);
+        });
+
+        test('should ignore a stop that is never restarted', () => {
+            const result = timeline.build({
+                entries: transcript.entries,
+                events: [event('TranscriptStarted', '00:00:00.0000000'), event('TranscriptStopped', '00:30:00.0000000')]
+            });
+
+            expect(result.gaps).toEqual([]);
+            expect(result.endMs).toBe(1800000);
+        });
+
+        test('should handle a missing transcript', () => {
+            expect(timeline.build(null)).toMatchObject({ originMs: null, startMs: 0, endMs: 0, gaps: [] });
+        });
+    });
+
+    describe('formatTime', () => {
+        test('should show offsets by default', () => {
+            const result = timeline.build(transcript);
+
+            expect(timeline.formatTime('00:20:05.0000000', result)).toBe('00:20:05');
+            expect(timeline.formatTime(300000, result)).toBe('00:05:00');
+        });
+
+        test('should show clock times when requested', () => {
+            const result = timeline.build(transcript);
+
+            expect(timeline.formatTime('00:20:05.0000000', result, TIMESTAMP_STYLES.CLOCK, { timeZone: 'UTC' })).toBe('09:20:05');
+            expect(timeline.formatTime('00:20:05.0000000', result, TIMESTAMP_STYLES.CLOCK, { timeZone: 'Asia/Taipei' })).toBe('17:20:05');
+        });
+
+        test('should fall back to offsets without an anchor', () => {
+            const result = timeline.build({ entries: transcript.entries, events: [] });
+
+            expect(timeline.formatTime('00:00:31.0000000', result, TIMESTAMP_STYLES.CLOCK)).toBe('00:00:31');
+        });
+
+        test('should format dates for meeting start times', () => {
+            expect(timeline.formatClockTime('2024-05-01T23:30:00Z', { timeZone: 'UTC', includeDate: true })).toBe('2024-05-01 23:30');
+        });
+    });
+});
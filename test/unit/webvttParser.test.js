@@ -0,0 +1,170 @@
+/**
+ * Unit tests for WebVTTParser
+ * Tests WebVTT structure, timestamps, cue settings and voice spans
+ */
+
+const { WebVTTParser } = require('../../src/utils/webvttParser.js');
+
+describe('WebVTTParser', () => {
+    let parser;
+
+    beforeEach(() => {
+        parser = new WebVTTParser();
+    });
+
+    describe('parse', () => {
+        test('should parse a Teams transcript with voice spans and cue ids', () => {
+            const vtt = [
+                'WEBVTT',
+                '',
+                '3f0a/12-0',
+                '00:00:01.250 --> 00:00:04.000',
+                '<v Jane Doe>Good morning everyone.</v>',
+                '',
+                '3f0a/13-0',
+                '00:00:04.500 --> 00:00:09.120',
+                '<v John Smith>Morning! Shall we start</v>',
+                '<v John Smith>with the roadmap?</v>'
+            ].join('\n');
+
+            const { cues, errors } = parser.parse(vtt);
+
+            expect(errors).toEqual([]);
+            expect(cues).toHaveLength(2);
+            expect(cues[0]).toMatchObject({
+                id: '3f0a/12-0',
+                startMs: 1250,
+                endMs: 4000,
+                startTime: '00:00:01.2500000',
+                endTime: '00:00:04.0000000',
+                speaker: 'Jane Doe',
+                text: 'Good morning everyone.'
+            });
+            expect(cues[1].speaker).toBe('John Smith');
+            expect(cues[1].text).toBe('Morning! Shall we start\nwith the roadmap?');
+        });
+
+        test('should keep header text and skip NOTE, STYLE and REGION blocks', () => {
+            const vtt = [
+                'WEBVTT - Weekly sync',
+                'Kind: captions',
+                '',
+                'STYLE',
+                '::cue { color: yellow; }',
+                '',
+                'REGION',
+                'id:speaker width:40% lines:3',
+                '',
+                'NOTE This is a comment',
+                'spanning two lines',
+                '',
+                '00:01.000 --> 00:02.000',
+                'Hello'
+            ].join('\n');
+
+            const result = parser.parse(vtt);
+
+            expect(result.header).toBe('- Weekly sync');
+            expect(result.styles).toEqual(['::cue { color: yellow; }']);
+            expect(result.regions).toEqual([{ id: 'speaker', width: '40%', lines: '3' }]);
+            expect(result.notes).toEqual(['This is a comment\nspanning two lines']);
+            expect(result.cues).toHaveLength(1);
+            expect(result.cues[0].id).toBeNull();
+        });
+
+        test('should parse cue settings', () => {
+            const { cues } = parser.parse(
+                'WEBVTT\n\n00:00:01.000 --> 00:00:02.000 align:start position:10% line:0 bogus:1\nHi'
+            );
+
+            expect(cues[0].settings).toEqual({ align: 'start', position: '10%', line: '0' });
+        });
+
+        test('should accept both MM:SS.mmm and HH:MM:SS.mmm timestamps', () => {
+            const { cues } = parser.parse('WEBVTT\n\n59:59.999 --> 01:00:00.500\nBoundary');
+
+            expect(cues[0].startMs).toBe(3599999);
+            expect(cues[0].endMs).toBe(3600500);
+        });
+
+        test('should start a new cue at a timing line without a blank separator', () => {
+            const vtt = 'WEBVTT\n\n00:01.000 --> 00:02.000\nFirst\n00:03.000 --> 00:04.000\nSecond';
+
+            const { cues } = parser.parse(vtt);
+
+            expect(cues.map(cue => cue.text)).toEqual(['First', 'Second']);
+        });
+
+        test('should normalize CRLF line endings and strip the BOM', () => {
+            const { cues, errors } = parser.parse('\uFEFFWEBVTT\r\n\r\n00:01.000 --> 00:02.000\r\nHi\r\n');
+
+            expect(errors).toEqual([]);
+            expect(cues[0].text).toBe('Hi');
+        });
+
+        test('should report and skip malformed cues', () => {
+            const vtt = [
+                'WEBVTT',
+                '',
+                '00:01 --> 00:02.000',
+                'Bad start',
+                '',
+                '00:05.000 --> 00:04.000',
+                'Ends before start',
+                '',
+                'stray text',
+                '',
+                '00:06.000 --> 00:07.000',
+                'Good'
+            ].join('\n');
+
+            const { cues, errors } = parser.parse(vtt);
+
+            expect(cues.map(cue => cue.text)).toEqual(['Good']);
+            expect(errors).toEqual([
+                { line: 3, message: 'Invalid cue timing' },
+                { line: 6, message: 'Cue ends before it starts' },
+                { line: 9, message: 'Block is not a valid cue' }
+            ]);
+        });
+
+        test('should recover from a missing signature unless strict', () => {
+            const text = '00:01.000 --> 00:02.000\nHi';
+
+            expect(parser.parse(text).cues).toHaveLength(1);
+            expect(parser.parse(text).errors[0].message).toBe('Missing WEBVTT signature');
+            expect(() => parser.parse(text, { strict: true })).toThrow('Missing WEBVTT signature');
+        });
+
+        test('should reject non-string input', () => {
+            expect(() => parser.parse(null)).toThrow('WebVTT input must be a string');
+        });
+    });
+
+    describe('parseCuePayload', () => {
+        test('should collect voices with classes and strip markup', () => {
+            const payload = parser.parseCuePayload(
+                '<v.loud Ann Lee>I <b>really</b> think &amp; hope</v>\n<v Bob>Sure<00:00:03.000> thing</v>'
+            );
+
+            expect(payload.voices).toEqual(['Ann Lee', 'Bob']);
+            expect(payload.text).toBe('I really think & hope\nSure thing');
+        });
+
+        test('should return no voices for plain captions', () => {
+            expect(parser.parseCuePayload('Just text').voices).toEqual([]);
+        });
+    });
+
+    describe('parseTimestamp', () => {
+        test('should reject malformed timestamps', () => {
+            expect(parser.parseTimestamp('1:02.000')).toBeNull();
+            expect(parser.parseTimestamp('00:61.000')).toBeNull();
+            expect(parser.parseTimestamp('00:01,000')).toBeNull();
+        });
+
+        test('should allow hours beyond two digits', () => {
+            expect(parser.parseTimestamp('100:00:00.000')).toBe(360000000);
+        });
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit tests for WorkerPool
+ * Tests concurrency limits, result order and error handling
+ */
+
+const { WorkerPool, MAX_CONCURRENCY } = require('../../src/utils/workerPool.js');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('WorkerPool', () => {
+    test('should clamp concurrency', () => {
+        expect(new WorkerPool().concurrency).toBe(1);
+        expect(new WorkerPool(0).concurrency).toBe(1);
+        expect(new WorkerPool('4').concurrency).toBe(4);
+        expect(new WorkerPool(100).concurrency).toBe(MAX_CONCURRENCY);
+    });
+
+    test('should keep at most concurrency tasks in flight', async () => {
+        let active = 0;
+        let maxActive = 0;
+
+        await new WorkerPool(2).run([1, 2, 3, 4, 5], async () => {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await delay(5);
+            active--;
+        });
+
+        expect(maxActive).toBe(2);
+    });
+
+    test('should return results in input order', async () => {
+        const results = await new WorkerPool(3).run([30, 10, 20], async (ms, index) => {
+            await delay(ms);
+            return `${index}:${ms}`;
+        });
+
+        expect(results).toEqual(['0:30', '1:10', '2:20']);
+    });
+
+    test('should run one at a time by default', async () => {
+        const order = [];
+
+        await new WorkerPool().run([20, 5], async ms => {
+            order.push(`start ${ms}`);
+            await delay(ms);
+            order.push(`end ${ms}`);
+        });
+
+        expect(order).toEqual(['start 20', 'end 20', 'start 5', 'end 5']);
+    });
+
+    test('should stop starting tasks after a failure', async () => {
+        const started = [];
+
+        await expect(new WorkerPool(1).run(['a', 'b', 'c'], async item => {
+            started.push(item);
+            if (item === 'b') {
+                throw new Error('failed b');
+            }
+        })).rejects.toThrow('failed b');
+
+        expect(started).toEqual(['a', 'b']);
+    });
+
+    test('should handle an empty list', async () => {
+        await expect(new WorkerPool(4).run([], jest.fn())).resolves.toEqual([]);
+    });
+});